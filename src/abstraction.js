@@ -11,7 +11,7 @@
  * The output format is designed to be easily "stepped through" by AI models.
  */
 
-import { schemaRegistry } from './schema-registry.js';
+import { schemaRegistry, describeSchemaSnapshot } from './schema-registry.js';
 import { parseCode, parseFile } from './parser.js';
 import { getComplexityRating } from './complexity.js';
 import { SymbolTable } from './symbol-table.js';
@@ -24,6 +24,25 @@ import { ReferenceResolver } from './reference-resolver.js';
  */
 const CHARS_PER_TOKEN = 4;
 
+/**
+ * Object permissions each DML operation needs
+ */
+const DML_PERMISSIONS = {
+  insert: ['canCreate'],
+  update: ['canUpdate'],
+  upsert: ['canCreate', 'canUpdate'],
+  delete: ['canDelete'],
+  undelete: ['canDelete'],
+  merge: ['canUpdate', 'canDelete'],
+};
+
+const PERMISSION_LABELS = {
+  canCreate: 'Create',
+  canRead: 'Read',
+  canUpdate: 'Edit',
+  canDelete: 'Delete',
+};
+
 /**
  * Create an abstract representation of an Apex file
  * @param {Object} parsedResult - Result from parser
@@ -42,12 +61,18 @@ async function createAbstraction(parsedResult, options = {}) {
     buildSemanticGraph = false, // Build dependency DAG
     sourceCode = null, // Source code text for reference resolution
     allParsedClasses = [], // All classes for reference resolution
+    access = null, // { profile } or { permissionSet } the code runs as
   } = options;
 
   // Load schema if needed
-  if (resolveSchema) {
+  if (resolveSchema || access) {
     await schemaRegistry.loadFromCache();
   }
+  const permissions = access ? schemaRegistry.findPermissions(access) : null;
+  if (access && !permissions) {
+    const name = access.profile ? `profile ${access.profile}` : `permission set ${access.permissionSet}`;
+    throw new Error(`Unknown ${name}: not in the schema cache`);
+  }
 
   // Build symbol table for type resolution
   const symbolTable = new SymbolTable(parsedResult);
@@ -55,6 +80,15 @@ async function createAbstraction(parsedResult, options = {}) {
     symbolTable.buildFromParsedResult();
   }
 
+  const methods = buildMethodAbstractions(parsedResult, {
+    includeMethodBodies,
+    maxMethodBodyLines,
+    resolveSchema,
+    targetMethod,
+    symbolTable,
+  });
+  const touches = aggregateTouches(parsedResult, resolveSchema, symbolTable);
+
   const abstraction = {
     // Metadata
     meta: {
@@ -62,32 +96,30 @@ async function createAbstraction(parsedResult, options = {}) {
       type: parsedResult.type,
       name: parsedResult.name,
       generatedAt: new Date().toISOString(),
+      schemaSnapshot: resolveSchema ? schemaRegistry.getSnapshot() : null,
     },
     
     // Class signature
     signature: buildSignature(parsedResult),
     
     // Condensed methods with touches
-    methods: buildMethodAbstractions(parsedResult, {
-      includeMethodBodies,
-      maxMethodBodyLines,
-      resolveSchema,
-      targetMethod,
-      symbolTable,
-    }),
+    methods,
     
     // Condensed constructors
-    constructors: buildConstructorAbstractions(parsedResult),
+    constructors: buildConstructorAbstractions(parsedResult, symbolTable),
     
     // Fields and properties
     state: buildStateAbstraction(parsedResult),
     
     // All SObjects touched by this class
-    touches: aggregateTouches(parsedResult, resolveSchema, symbolTable),
+    touches,
+
+    // What the running user may do with them, when a profile or permission set is given
+    access: permissions ? buildAccessSummary(methods, touches, permissions, access) : null,
     
-    // Constraints from validation rules
+    // Constraints from validation rules, linked to the fields methods write
     constraints: includeValidationRules ? 
-      await buildConstraints(parsedResult, resolveSchema) : [],
+      await buildConstraints(parsedResult, resolveSchema, methods) : [],
     
     // Inner types
     innerTypes: buildInnerTypeAbstractions(parsedResult),
@@ -197,6 +229,51 @@ function buildMethodAbstractions(parsed, options) {
   return methods;
 }
 
+/**
+ * Describe a parent-to-child subquery: the child object behind its
+ * relationship and, with schema resolution, the type of each field and the
+ * fields the child object does not have
+ */
+function buildSubqueryRead(subquery, parentObject, resolveSchema) {
+  const relationship = schemaRegistry.resolveChildRelationship(parentObject, subquery.relationship);
+  const read = {
+    relationship: subquery.relationship,
+    object: relationship?.childObject || null,
+    via: relationship?.field || null,
+    fields: subquery.fields.filter(f => typeof f === 'string'),
+  };
+
+  if (resolveSchema && read.object) {
+    read.fieldTypes = {};
+    read.unknownFields = [];
+    for (const field of read.fields) {
+      const fieldInfo = resolveFieldInfo(read.object, field);
+      if (fieldInfo) {
+        read.fieldTypes[field] = {
+          type: fieldInfo.type,
+          required: fieldInfo.required,
+          description: fieldInfo.description,
+        };
+      } else {
+        read.unknownFields.push(field);
+      }
+    }
+  }
+
+  return read;
+}
+
+/**
+ * Schema of a queried field, following relationship paths like Owner.Name
+ */
+function resolveFieldInfo(objectName, field) {
+  if (!field.includes('.')) return schemaRegistry.findField(objectName, field);
+
+  // A partial resolution means a segment does not exist
+  const steps = schemaRegistry.resolveFieldPath(`${objectName}.${field}`);
+  return steps?.length === field.split('.').length ? steps[steps.length - 1].info : null;
+}
+
 /**
  * Build a human-readable method signature
  */
@@ -217,6 +294,7 @@ function buildMethodTouches(method, resolveSchema, symbolTable) {
   const touches = {
     reads: [],   // SOQL queries
     writes: [],  // DML operations
+    fieldWrites: [], // Assigned SObject fields
     fields: new Set(),
     objects: new Set(),
   };
@@ -229,15 +307,20 @@ function buildMethodTouches(method, resolveSchema, symbolTable) {
       line: query.line,
     };
 
-    // Add subqueries
+    // Add subqueries, resolved to the child object of their relationship
     const subqueries = query.fields?.filter(f => typeof f === 'object' && f.subquery) || [];
     if (subqueries.length > 0) {
-      read.subqueries = subqueries.map(s => s.subquery);
+      read.subqueries = subqueries.map(s => buildSubqueryRead(s, query.object, resolveSchema));
     }
 
     touches.reads.push(read);
     touches.objects.add(query.object);
     read.fields.forEach(f => touches.fields.add(`${query.object}.${f}`));
+    for (const subquery of read.subqueries || []) {
+      if (!subquery.object) continue;
+      touches.objects.add(subquery.object);
+      subquery.fields.forEach(f => touches.fields.add(`${subquery.object}.${f}`));
+    }
 
     // Enrich with schema if available
     if (resolveSchema && query.object) {
@@ -274,7 +357,11 @@ function buildMethodTouches(method, resolveSchema, symbolTable) {
 
     // Try to resolve the target type via symbol table
     let inferredObject = null;
-    if (symbolTable) {
+    const parameter = (method.parameters || []).find(p => p.name.toLowerCase() === dml.target?.toLowerCase());
+    if (parameter && symbolTable) {
+      inferredObject = symbolTable.extractBaseType(parameter.type);
+    }
+    if (!inferredObject && symbolTable) {
       const symbol = symbolTable.resolveSymbol(dml.target);
       if (symbol && symbol.type) {
         inferredObject = symbolTable.extractBaseType(symbol.type);
@@ -323,6 +410,27 @@ function buildMethodTouches(method, resolveSchema, symbolTable) {
     touches.writes.push(write);
   }
 
+  // Process field assignments, with the validation rules that read each field
+  for (const assignment of (method.fieldWrites || [])) {
+    const object = resolveWriteObject(assignment, symbolTable);
+    if (!object) continue;
+
+    const fieldWrite = {
+      object,
+      field: assignment.field,
+      target: assignment.target,
+      line: assignment.line,
+    };
+    if (resolveSchema) {
+      fieldWrite.field = schemaRegistry.findField(object, assignment.field)?.name || assignment.field;
+      fieldWrite.rules = findRulesReadingField(object, fieldWrite.field);
+    }
+
+    touches.fieldWrites.push(fieldWrite);
+    touches.objects.add(object);
+    touches.fields.add(`${object}.${fieldWrite.field}`);
+  }
+
   // Convert sets to arrays
   touches.fields = Array.from(touches.fields);
   touches.objects = Array.from(touches.objects);
@@ -330,6 +438,37 @@ function buildMethodTouches(method, resolveSchema, symbolTable) {
   return touches;
 }
 
+/**
+ * SObject type of an assigned field's record: the declared type of a local
+ * or parameter, else a class member from the symbol table, else the
+ * variable name. Returns null when the record is not an SObject (w.label on
+ * an Apex class instance).
+ */
+function resolveWriteObject(assignment, symbolTable) {
+  let object = null;
+  if (symbolTable) {
+    const type = assignment.type || (assignment.target && symbolTable.resolveSymbol(assignment.target)?.type);
+    if (type) object = symbolTable.extractBaseType(type);
+  }
+  object = object || inferObjectFromTarget(assignment.target);
+  return schemaRegistry.isSObjectType(object) ? object : null;
+}
+
+/**
+ * Names of the active validation rules whose formula reads a field
+ */
+function findRulesReadingField(objectName, fieldName) {
+  const object = schemaRegistry.findObject(objectName);
+  if (!object) return [];
+
+  const lower = fieldName.toLowerCase();
+  return schemaRegistry.getFormulaReferences(object.name)
+    .filter(formula => formula.kind === 'validationRule' && formula.active)
+    .filter(formula => formula.dependsOn.some(dependency =>
+      dependency.object === object.name && dependency.field.toLowerCase() === lower))
+    .map(formula => formula.name);
+}
+
 /**
  * Try to infer SObject type from a variable name
  */
@@ -360,11 +499,11 @@ function inferObjectFromTarget(target) {
 /**
  * Build constructor abstractions
  */
-function buildConstructorAbstractions(parsed) {
+function buildConstructorAbstractions(parsed, symbolTable) {
   return (parsed.constructors || []).map(ctor => ({
     signature: buildConstructorSignature(ctor, parsed.name),
     complexity: ctor.complexity,
-    touches: buildMethodTouches(ctor, false),
+    touches: buildMethodTouches(ctor, false, symbolTable),
   }));
 }
 
@@ -468,6 +607,14 @@ function aggregateTouches(parsed, resolveSchema, symbolTable) {
         allObjects.add(inferredObject);
       }
     }
+
+    for (const assignment of (method.fieldWrites || [])) {
+      const object = resolveWriteObject(assignment, symbolTable);
+      if (object) {
+        allObjects.add(object);
+        allFields.add(`${object}.${assignment.field}`);
+      }
+    }
   }
 
   // From constructors
@@ -510,6 +657,7 @@ function aggregateTouches(parsed, resolveSchema, symbolTable) {
           isStandard: schema.isStandard || false,
           fieldCount: schema.fields?.size || 0,
           hasValidationRules: (schema.validationRules?.length || 0) > 0,
+          recordTypes: (schema.recordTypes || []).map(rt => rt.name),
           availableFields: Array.from(schema.fields?.keys() || []),
         };
       }
@@ -520,31 +668,123 @@ function aggregateTouches(parsed, resolveSchema, symbolTable) {
 }
 
 /**
- * Build constraints from validation rules
+ * Build constraints from validation rules on the objects the class touches.
+ * Each lists what its formula references and the field writes (by method)
+ * that can make it fire.
  */
-async function buildConstraints(parsed, resolveSchema) {
+async function buildConstraints(parsed, resolveSchema, methods = []) {
   if (!resolveSchema) return [];
 
   const constraints = [];
   const touches = aggregateTouches(parsed, false);
+  // Code may spell an object in any case; rules are keyed by its API name
+  const canonicalName = objName => schemaRegistry.findObject(objName)?.name || objName;
+  const fieldWrites = methods.flatMap(method =>
+    method.touches.fieldWrites.map(write => ({ ...write, object: canonicalName(write.object), method: method.name })));
+  const objects = new Set([...Array.from(touches.objects, canonicalName), ...fieldWrites.map(write => write.object)]);
 
-  for (const objName of touches.objects) {
+  for (const objName of objects) {
     const rules = schemaRegistry.getValidationRules(objName);
+    const formulas = schemaRegistry.getFormulaReferences(objName);
     for (const rule of rules) {
-      if (rule.active) {
-        constraints.push({
-          object: objName,
-          rule: rule.name,
-          errorMessage: rule.errorMessage,
-          condition: rule.errorConditionFormula?.substring(0, 200), // Truncate long formulas
-        });
-      }
+      if (!rule.active) continue;
+
+      const references = formulas.find(f => f.kind === 'validationRule' && f.name === rule.name);
+      const writtenBy = fieldWrites
+        .filter(write => write.object === objName && write.rules?.includes(rule.name))
+        .map(write => ({ method: write.method, field: write.field, line: write.line }));
+
+      constraints.push({
+        object: objName,
+        rule: rule.name,
+        errorMessage: rule.errorMessage,
+        condition: rule.errorConditionFormula,
+        fields: references?.fields || [],
+        paths: references?.paths || [],
+        globals: references?.globals || [],
+        parseError: references?.error || null,
+        writtenFields: [...new Set(writtenBy.map(write => write.field))],
+        writtenBy,
+      });
     }
   }
 
   return constraints;
 }
 
+/**
+ * Object and field access of a profile or permission set to what the
+ * methods touch, with each query, DML statement and field assignment it
+ * would be denied. Only fields the schema knows are checked.
+ * @returns {Object} { source, principal, objects: [{ object, canCreate, canRead, canUpdate,
+ *   canDelete, ... }], fields: [{ object, field, readable, editable }],
+ *   denied: [{ method, line, operation, object, field, reason }] }
+ */
+function buildAccessSummary(methods, touches, permissions, access) {
+  const fields = new Map();
+  const fieldAccess = (object, field) => {
+    const key = `${object}.${field}`;
+    if (!fields.has(key)) {
+      fields.set(key, { object, field, ...schemaRegistry.getFieldAccess(object, field, access) });
+    }
+    return fields.get(key);
+  };
+  const denied = [];
+
+  for (const method of methods) {
+    const deny = (line, operation, object, field, reason) =>
+      denied.push({ method: method.name, line, operation, object, field, reason });
+
+    const reads = method.touches.reads.flatMap(read => [read, ...(read.subqueries || []).map(s => ({ ...s, line: read.line }))]);
+    for (const read of reads.filter(r => schemaRegistry.findObject(r.object))) {
+      if (!schemaRegistry.getObjectAccess(read.object, access).canRead) {
+        deny(read.line, 'query', read.object, null, 'needs Read access');
+      }
+      for (const { object, field } of read.fields.flatMap(f => schemaFieldsOfPath(read.object, f))) {
+        if (!fieldAccess(object, field).readable) {
+          deny(read.line, 'query', object, field, 'field is not readable');
+        }
+      }
+    }
+
+    for (const write of method.touches.writes.filter(w => schemaRegistry.findObject(w.object))) {
+      const objectAccess = schemaRegistry.getObjectAccess(write.object, access);
+      const missing = (DML_PERMISSIONS[write.operation] || []).filter(permission => !objectAccess[permission]);
+      if (missing.length > 0) {
+        deny(write.line, write.operation, write.object, null,
+          `needs ${missing.map(permission => PERMISSION_LABELS[permission]).join(' and ')} access`);
+      }
+    }
+
+    for (const write of method.touches.fieldWrites) {
+      if (schemaRegistry.findField(write.object, write.field) && !fieldAccess(write.object, write.field).editable) {
+        deny(write.line, 'set', write.object, write.field, 'field is not editable');
+      }
+    }
+  }
+
+  return {
+    source: `${permissions.type} ${permissions.name}`,
+    principal: access,
+    objects: touches.objects.map(object => ({ object, ...schemaRegistry.getObjectAccess(object, access) })),
+    fields: Array.from(fields.values()),
+    denied,
+  };
+}
+
+/**
+ * Schema fields a queried field reads: the field itself, or each field a
+ * relationship path (Account__r.Name) crosses
+ */
+function schemaFieldsOfPath(objectName, fieldPath) {
+  if (!fieldPath.includes('.')) {
+    const field = schemaRegistry.findField(objectName, fieldPath);
+    return field ? [{ object: objectName, field: field.name }] : [];
+  }
+  const steps = schemaRegistry.resolveFieldPath(`${objectName}.${fieldPath}`) || [];
+  return steps.map(step => ({ object: step.object, field: step.field }));
+}
+
 /**
  * Build inner type abstractions
  */
@@ -619,6 +859,7 @@ function formatForLLM(abstraction) {
   // Header
   lines.push(`# ${meta.type}: ${meta.name}`);
   lines.push(`# File: ${meta.file}`);
+  lines.push(...formatSnapshotHeader(meta.schemaSnapshot));
   lines.push('');
 
   // Signature
@@ -690,6 +931,18 @@ function formatForLLM(abstraction) {
            }
            
            lines.push(readLine);
+           for (const subquery of read.subqueries || []) {
+             const target = subquery.object ? `${subquery.object} via ${subquery.via}` : 'unresolved';
+             const fieldInfo = subquery.fields.map(f => {
+               const ftype = subquery.fieldTypes?.[f];
+               return ftype ? `${f} (${ftype.type}${ftype.required ? ', required' : ''})` : f;
+             });
+             let subqueryLine = `    - ${subquery.relationship} (${target}): [${fieldInfo.join(', ')}]`;
+             if (subquery.unknownFields?.length > 0) {
+               subqueryLine += ` | unknown: ${subquery.unknownFields.join(', ')}`;
+             }
+             lines.push(subqueryLine);
+           }
          }
        }
        if (method.touches.writes?.length > 0) {
@@ -704,6 +957,13 @@ function formatForLLM(abstraction) {
            lines.push(writeLine);
          }
        }
+       if (method.touches.fieldWrites?.length > 0) {
+         lines.push('Sets fields:');
+         for (const write of method.touches.fieldWrites) {
+           const rules = write.rules?.length > 0 ? ` | validated by: ${write.rules.join(', ')}` : '';
+           lines.push(`  - ${write.object}.${write.field} (line ${write.line})${rules}`);
+         }
+       }
        lines.push('');
      }
    }
@@ -720,6 +980,9 @@ function formatForLLM(abstraction) {
            const more = schema.availableFields.length > 5 ? `, +${schema.availableFields.length - 5} more` : '';
            objLine += `\n    Fields: ${fieldPreview}${more}`;
          }
+         if (schema.recordTypes?.length > 0) {
+           objLine += `\n    Record types: ${schema.recordTypes.join(', ')}`;
+         }
          lines.push(objLine);
        } else {
          lines.push(`  - ${obj}`);
@@ -728,11 +991,23 @@ function formatForLLM(abstraction) {
      lines.push('');
    }
 
+  if (abstraction.access) {
+    lines.push(...formatAccess(abstraction.access));
+    lines.push('');
+  }
+
   // Constraints
   if (constraints?.length > 0) {
     lines.push('## Constraints (Validation Rules)');
     for (const constraint of constraints) {
       lines.push(`  - ${constraint.object}.${constraint.rule}: "${constraint.errorMessage}"`);
+      const references = [...constraint.fields, ...constraint.paths, ...constraint.globals];
+      if (references.length > 0) {
+        lines.push(`    Reads: ${references.join(', ')}`);
+      }
+      if (constraint.writtenBy.length > 0) {
+        lines.push(`    Set by: ${constraint.writtenBy.map(w => `${w.method} (${w.field})`).join(', ')}`);
+      }
     }
     lines.push('');
   }
@@ -750,6 +1025,55 @@ function formatForLLM(abstraction) {
   return lines.join('\n');
 }
 
+/**
+ * Access section: the running user's object permissions and what the code
+ * would be denied. Apex runs in system mode unless it opts into user mode,
+ * so denials bite in user-mode code (WITH USER_MODE, AS USER,
+ * stripInaccessible) and whatever the UI shows the user.
+ */
+function formatAccess(access) {
+  const lines = [`## Access (${access.source})`];
+
+  for (const object of access.objects) {
+    const granted = Object.entries(PERMISSION_LABELS)
+      .filter(([permission]) => object[permission])
+      .map(([, label]) => label);
+    lines.push(`  - ${object.object}: ${granted.length > 0 ? granted.join(', ') : 'no access'}`);
+  }
+
+  const restricted = access.fields.filter(field => !field.editable);
+  if (restricted.length > 0) {
+    lines.push('Restricted fields:');
+    for (const field of restricted) {
+      lines.push(`  - ${field.object}.${field.field}: ${field.readable ? 'read-only' : 'hidden'}`);
+    }
+  }
+
+  if (access.denied.length > 0) {
+    lines.push('Denied in user mode:');
+    for (const denial of access.denied) {
+      const target = denial.field ? `${denial.object}.${denial.field}` : denial.object;
+      lines.push(`  - ${denial.method} (line ${denial.line}): ${denial.operation} ${target}: ${denial.reason}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Header lines naming the schema snapshot a context was resolved against,
+ * with a warning when it is stale
+ */
+function formatSnapshotHeader(snapshot) {
+  if (!snapshot) return [];
+
+  const lines = [`# ${describeSchemaSnapshot(snapshot)}`];
+  if (snapshot.warning) {
+    lines.push(`# Warning: ${snapshot.warning}`);
+  }
+  return lines;
+}
+
 /**
  * Create abstraction from file path
  */
@@ -775,5 +1099,7 @@ export {
   abstractFile,
   abstractCode,
   formatForLLM,
+  formatSnapshotHeader,
+  formatAccess,
   estimateTokens,
 };
@@ -1,17 +1,81 @@
+import * as salesforceCore from '@salesforce/core';
 
-import { AuthInfo, Connection } from '@salesforce/core';
+/**
+ * Environment variables for non-interactive (CI) authentication; same names as the Salesforce CLI
+ */
+const ACCESS_TOKEN_ENV = 'SF_ACCESS_TOKEN';
+const INSTANCE_URL_ENV = 'SF_INSTANCE_URL';
 
-async function authorize() {
+/**
+ * Authentication failed; callers decide whether to exit, retry or report
+ */
+class AuthenticationError extends Error {
+  /**
+   * @param {string} message - What failed
+   * @param {Object} details - { targetOrg, cause }
+   */
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = 'AuthenticationError';
+    this.targetOrg = details.targetOrg;
+  }
+}
+
+/**
+ * Connect to a Salesforce org
+ *
+ * An access token and instance URL in the environment take precedence, so CI
+ * can authenticate without a CLI login. Otherwise the org comes from an
+ * authorization stored by the Salesforce CLI: `targetOrg` (alias or username)
+ * or the CLI's default target org.
+ * @param {Object} options - { targetOrg, env, core }
+ *   core: { AuthInfo, Connection, Org } in place of @salesforce/core's
+ * @returns {Promise<Connection>}
+ * @throws {AuthenticationError}
+ */
+async function authorize(options = {}) {
+  const env = options.env || process.env;
+  const core = options.core || salesforceCore;
+  const accessToken = env[ACCESS_TOKEN_ENV];
+  const instanceUrl = env[INSTANCE_URL_ENV];
+
+  if (accessToken || instanceUrl) {
+    if (!accessToken || !instanceUrl) {
+      throw new AuthenticationError(
+        `${ACCESS_TOKEN_ENV} and ${INSTANCE_URL_ENV} must be set together`
+      );
+    }
+    return connectWithAccessToken(accessToken, instanceUrl, core);
+  }
+
+  const targetOrg = options.targetOrg;
   try {
-    // This will use the default org set in the Salesforce CLI
-    const authInfo = await AuthInfo.create();
-    const connection = await Connection.create({ authInfo });
-    console.log('Successfully connected to Salesforce org:', connection.getAuthInfo().getFields().orgId);
+    const org = await core.Org.create(targetOrg ? { aliasOrUsername: targetOrg } : {});
+    return org.getConnection();
+  } catch (error) {
+    throw new AuthenticationError(targetOrg
+      ? `Could not connect to org ${targetOrg}: ${error.message}`
+      : `No target org: pass --target-org or set a default org in the Salesforce CLI (${error.message})`,
+    { targetOrg, cause: error });
+  }
+}
+
+/**
+ * Connect with an access token, checking it against the org before use
+ */
+async function connectWithAccessToken(accessToken, instanceUrl, core) {
+  try {
+    const authInfo = await core.AuthInfo.create({ username: accessToken, accessTokenOptions: { instanceUrl } });
+    const connection = await core.Connection.create({ authInfo });
+
+    // The token stands in for the username until the org tells us who we are;
+    // it must not end up in the cache manifest
+    const identity = await connection.identity();
+    authInfo.update({ username: identity.username, orgId: identity.organization_id });
     return connection;
   } catch (error) {
-    console.error('Salesforce authentication failed:', error.message);
-    process.exit(1);
+    throw new AuthenticationError(`Access token rejected by ${instanceUrl}: ${error.message}`, { cause: error });
   }
 }
 
-export { authorize };
+export { authorize, AuthenticationError, ACCESS_TOKEN_ENV, INSTANCE_URL_ENV };
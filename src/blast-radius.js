@@ -0,0 +1,425 @@
+/**
+ * Change-Set Blast Radius
+ *
+ * Answers "what does this branch put at risk?" for a whole project:
+ * 1. Finds Apex files changed since the merge base with a given revision
+ * 2. Maps changed line ranges to the methods (or classes) they fall in
+ * 3. Runs GraphAnalyzer.analyzeImpact for each changed graph node
+ * 4. Collects transitively affected callers, triggers and SObjects
+ * 5. Ranks the changes by risk into a single report
+ */
+
+import fse from 'fs-extra';
+import path from 'path';
+import { parseCode } from './parser.js';
+import { GraphAnalyzer } from './graph-analyzer.js';
+import { loadProject } from './project.js';
+import { SemanticGraph } from './semantic-graph.js';
+import { ReferenceResolver } from './reference-resolver.js';
+import { diffParsed } from './semantic-diff.js';
+import {
+  getRepoRoot,
+  getMergeBase,
+  listChangedFiles,
+  listChangedLines,
+  readFileAtRevision,
+} from './git.js';
+
+/**
+ * Extra risk for change kinds that are likely to break callers
+ */
+const CHANGE_RISK = {
+  removed: 15,
+  signature: 10,
+  added: 0,
+  body: 0,
+  declaration: 5,
+};
+
+/**
+ * Compute the blast radius of everything changed since a revision
+ * @param {string} since - Revision to compare against (e.g. origin/main)
+ * @param {Object} options - { cwd, targets, depth, index, cacheDir, project }
+ * @returns {Promise<Object>} Risk-ranked blast radius report
+ */
+async function computeBlastRadius(since, options = {}) {
+  const depth = options.depth || 3;
+  const root = await getRepoRoot({ cwd: options.cwd });
+  const base = await getMergeBase(since, 'HEAD', { cwd: root });
+
+  // The working tree is compared so that the project graph matches the diff
+  const changes = await listChangedFiles(base, null, { cwd: root });
+  const hunks = await listChangedLines(base, null, { cwd: root });
+
+  const project = options.project ||
+    await loadProject(options.targets || [root], { index: options.index, cacheDir: options.cacheDir });
+  const analyzer = new GraphAnalyzer(project.graph, project.resolver);
+  const parsedByPath = await indexParsedByRealPath(project.parsedClasses);
+
+  const report = {
+    since,
+    base,
+    changed: [],
+    removed: [],
+    affected: {
+      callers: [],
+      triggers: [],
+      sobjects: [],
+    },
+    summary: null,
+  };
+
+  for (const change of changes) {
+    const baseSource = change.status === 'added'
+      ? null
+      : await readFileAtRevision(base, change.oldPath, { cwd: root });
+    const before = parseRevision(baseSource, change.oldPath);
+
+    if (change.status === 'removed') {
+      if (before?.name) {
+        const baseGraph = buildBaseGraph(project, before, baseSource, change.oldPath);
+        report.removed.push(removedEntry(baseGraph, before.name, null, change.path));
+      }
+      continue;
+    }
+
+    const after = parsedByPath.get(await fse.realpath(path.join(root, change.path)));
+    if (!after) continue; // Outside the analyzed targets, or failed to parse
+
+    const diff = diffParsed(before, after);
+    if (diff.methods.removed.length > 0) {
+      const baseGraph = buildBaseGraph(project, before, baseSource, change.oldPath);
+      for (const method of diff.methods.removed) {
+        report.removed.push(removedEntry(baseGraph, before.name, method.name, change.path));
+      }
+    }
+
+    for (const member of findChangedMembers(after, diff, hunks.get(change.path) || [])) {
+      report.changed.push(analyzeChange(project, analyzer, member, change.path, depth));
+    }
+  }
+
+  report.changed.sort((a, b) => b.risk.score - a.risk.score || b.impact.totalAffected - a.impact.totalAffected);
+  report.affected = mergeAffected(report.changed);
+  report.summary = summarize(report, analyzer);
+
+  return report;
+}
+
+/**
+ * Parse source read from git, or return null if the file did not exist
+ */
+function parseRevision(sourceCode, filePath) {
+  if (sourceCode === null) return null;
+  const fileType = path.extname(filePath).toLowerCase() === '.trigger' ? 'trigger' : 'class';
+  try {
+    return parseCode(sourceCode, { fileType });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Map parse results by the real path of their file, matching git's view of the repo
+ */
+async function indexParsedByRealPath(parsedClasses) {
+  const result = new Map();
+  for (const parsed of parsedClasses) {
+    result.set(await fse.realpath(parsed.path), parsed);
+  }
+  return result;
+}
+
+/**
+ * Work out which methods (or the class itself) a set of hunks touches
+ * @param {Object} parsed - Current parse result of the file
+ * @param {Object} diff - Semantic diff against the base version
+ * @param {Object[]} fileHunks - Changed line ranges for the file
+ * @returns {Object[]} [{ className, methodName, kind, nodeId }]
+ */
+function findChangedMembers(parsed, diff, fileHunks) {
+  const className = parsed.name;
+
+  // Triggers have no method nodes; any change affects the trigger as a whole
+  if (parsed.type === 'trigger' || diff.status === 'added') {
+    return [{ className, methodName: null, kind: diff.status === 'added' ? 'added' : 'body' }];
+  }
+
+  const addedMethods = new Set(diff.methods.added.map(m => m.name));
+  const changedSignatures = new Set(diff.methods.changed.map(m => m.name));
+  const members = [];
+  let outsideMethods = false;
+
+  for (const hunk of fileHunks) {
+    const touched = (parsed.methods || []).filter(m =>
+      hunk.newStart <= (m.endLine || m.line) && hunk.newEnd >= m.line
+    );
+    if (touched.length === 0) {
+      outsideMethods = true;
+    }
+    for (const method of touched) {
+      if (members.some(m => m.methodName === method.name)) continue;
+      members.push({
+        className,
+        methodName: method.name,
+        kind: addedMethods.has(method.name)
+          ? 'added'
+          : changedSignatures.has(method.name) ? 'signature' : 'body',
+      });
+    }
+  }
+
+  if (outsideMethods || Object.keys(diff.declaration).length > 0) {
+    members.push({ className, methodName: null, kind: 'declaration' });
+  }
+
+  return members;
+}
+
+/**
+ * Run impact analysis for one changed member
+ */
+function analyzeChange(project, analyzer, member, filePath, depth) {
+  const { graph } = project;
+  const nodeId = member.methodName
+    ? graph.nodeId('method', `${member.className}.${member.methodName}`)
+    : graph.nodeId('class', member.className);
+
+  const impact = analyzer.analyzeImpact(nodeId, depth);
+  const affected = collectAffected(project, nodeId, depth);
+
+  const baseScore = impact.impact?.riskScore || 0;
+  const score = baseScore +
+    (affected.callers.length > 0 ? CHANGE_RISK[member.kind] || 0 : 0) +
+    affected.triggers.length * 5;
+
+  return {
+    id: nodeId,
+    name: member.methodName ? `${member.className}.${member.methodName}` : member.className,
+    file: filePath,
+    kind: member.kind,
+    impact: impact.impact || { totalAffected: 0, riskScore: 0, riskLevel: 'low' },
+    risk: {
+      score,
+      level: analyzer.riskLevel(score),
+    },
+    affected,
+  };
+}
+
+/**
+ * Collect callers, triggers and SObjects transitively affected by a node.
+ * Class-level changes affect the dependents of every method of the class.
+ */
+function collectAffected(project, nodeId, depth) {
+  const { graph } = project;
+  const node = graph.nodes.get(nodeId);
+  const affected = { callers: new Set(), triggers: new Set(), sobjects: new Set() };
+  if (!node) {
+    return { callers: [], triggers: [], sobjects: [] };
+  }
+
+  const startIds = [nodeId];
+  if (node.type === 'class') {
+    for (const edge of (graph.outgoing.get(nodeId) || [])) {
+      if (edge.type === 'contains' && graph.nodes.get(edge.to)?.type === 'method') {
+        startIds.push(edge.to);
+      }
+    }
+  }
+
+  for (const startId of startIds) {
+    for (const { node: dependent, edge } of graph.getBackwardDependencies(startId, depth)) {
+      if (edge.type !== 'calls' || startIds.includes(dependent.id)) continue;
+      if (dependent.type === 'method') {
+        affected.callers.add(dependent.name);
+      } else if (dependent.type === 'class' && dependent.metadata.type === 'trigger') {
+        affected.triggers.add(dependent.name);
+      }
+    }
+
+    for (const { node: dependency } of graph.getForwardDependencies(startId, 1)) {
+      if (dependency.type === 'sobject') {
+        affected.sobjects.add(dependency.name);
+      }
+    }
+  }
+
+  // A changed trigger, or one that reaches the change, fires on its SObject
+  const triggerNames = [...affected.triggers];
+  if (node.metadata.type === 'trigger') {
+    triggerNames.push(node.name);
+  }
+  for (const triggerName of triggerNames) {
+    const trigger = project.parsedClasses.find(p => p.name === triggerName);
+    if (trigger?.object) {
+      affected.sobjects.add(trigger.object);
+    }
+  }
+
+  return {
+    callers: Array.from(affected.callers).sort(),
+    triggers: Array.from(affected.triggers).sort(),
+    sobjects: Array.from(affected.sobjects).sort(),
+  };
+}
+
+/**
+ * Build the graph of the current project with one class restored to its base
+ * version, so that its removed members have nodes for current callers to call
+ */
+function buildBaseGraph(project, before, baseSource, filePath) {
+  const restored = { ...before, file: filePath };
+  const parsedClasses = [
+    ...project.parsedClasses.filter(p => p.name !== before.name),
+    restored,
+  ];
+  const sourceCodeMap = new Map(project.sourceCodeMap);
+  sourceCodeMap.set(filePath, baseSource);
+
+  const graph = new SemanticGraph(parsedClasses, { schemaRegistry: project.schemaRegistry });
+  new ReferenceResolver(graph, parsedClasses, sourceCodeMap);
+  return graph;
+}
+
+/**
+ * Describe a removed class or method and the classes that still call it
+ * @param {SemanticGraph} baseGraph - Graph in which the removed member still exists
+ */
+function removedEntry(baseGraph, className, methodName, filePath) {
+  const targetIds = [];
+  if (methodName) {
+    targetIds.push(baseGraph.nodeId('method', `${className}.${methodName}`));
+  } else {
+    const classId = baseGraph.nodeId('class', className);
+    targetIds.push(classId, ...(baseGraph.outgoing.get(classId) || [])
+      .filter(edge => edge.type === 'contains')
+      .map(edge => edge.to));
+  }
+
+  const callers = new Set();
+  for (const targetId of targetIds) {
+    for (const edge of (baseGraph.incoming.get(targetId) || [])) {
+      if (edge.type !== 'calls') continue;
+      const caller = baseGraph.nodes.get(edge.from);
+      const callerClass = caller.type === 'method' ? caller.name.split('.')[0] : caller.name;
+      if (callerClass !== className) {
+        callers.add(callerClass);
+      }
+    }
+  }
+  const referencedBy = Array.from(callers).sort();
+
+  return {
+    name: methodName ? `${className}.${methodName}` : className,
+    file: filePath,
+    kind: 'removed',
+    referencedBy,
+    risk: {
+      score: referencedBy.length > 0 ? CHANGE_RISK.removed * referencedBy.length : 0,
+      level: referencedBy.length > 0 ? 'critical' : 'low',
+    },
+  };
+}
+
+/**
+ * Union of everything affected across all changes
+ */
+function mergeAffected(changed) {
+  const merged = { callers: new Set(), triggers: new Set(), sobjects: new Set() };
+  const changedNames = new Set(changed.map(c => c.name));
+
+  for (const change of changed) {
+    change.affected.callers
+      .filter(name => !changedNames.has(name))
+      .forEach(name => merged.callers.add(name));
+    change.affected.triggers.forEach(name => merged.triggers.add(name));
+    change.affected.sobjects.forEach(name => merged.sobjects.add(name));
+  }
+
+  return {
+    callers: Array.from(merged.callers).sort(),
+    triggers: Array.from(merged.triggers).sort(),
+    sobjects: Array.from(merged.sobjects).sort(),
+  };
+}
+
+/**
+ * Overall counts and the highest risk level in the report
+ */
+function summarize(report, analyzer) {
+  const scores = [
+    ...report.changed.map(c => c.risk.score),
+    ...report.removed.map(r => r.risk.score),
+  ];
+  const maxScore = scores.length > 0 ? Math.max(...scores) : 0;
+  const hasBrokenReference = report.removed.some(r => r.referencedBy.length > 0);
+
+  return {
+    changedMembers: report.changed.length,
+    removedMembers: report.removed.length,
+    affectedCallers: report.affected.callers.length,
+    affectedTriggers: report.affected.triggers.length,
+    affectedSObjects: report.affected.sobjects.length,
+    riskLevel: hasBrokenReference ? 'critical' : analyzer.riskLevel(maxScore),
+  };
+}
+
+/**
+ * Format a blast radius report for reviewers
+ */
+function formatBlastRadiusReport(report) {
+  const lines = [];
+  const { summary } = report;
+
+  lines.push(`# Blast Radius since ${report.since} (${report.base.slice(0, 7)})`);
+  lines.push('');
+  lines.push(`Overall risk: ${summary.riskLevel.toUpperCase()}`);
+  lines.push(`Changed: ${summary.changedMembers} | Removed: ${summary.removedMembers} | ` +
+    `Callers: ${summary.affectedCallers} | Triggers: ${summary.affectedTriggers} | SObjects: ${summary.affectedSObjects}`);
+  lines.push('');
+
+  if (report.changed.length === 0 && report.removed.length === 0) {
+    lines.push('No Apex changes.');
+    return lines.join('\n');
+  }
+
+  lines.push('## Changes by Risk');
+  report.changed.forEach((change, i) => {
+    lines.push(`${i + 1}. [${change.risk.level}] ${change.name} (${change.kind}, score ${change.risk.score})`);
+    if (change.affected.callers.length > 0) {
+      lines.push(`   Callers: ${change.affected.callers.join(', ')}`);
+    }
+    if (change.affected.triggers.length > 0) {
+      lines.push(`   Triggers: ${change.affected.triggers.join(', ')}`);
+    }
+    if (change.affected.sobjects.length > 0) {
+      lines.push(`   SObjects: ${change.affected.sobjects.join(', ')}`);
+    }
+  });
+
+  if (report.removed.length > 0) {
+    lines.push('');
+    lines.push('## Removed');
+    for (const removed of report.removed) {
+      const refs = removed.referencedBy.length > 0
+        ? ` - still referenced by ${removed.referencedBy.join(', ')}`
+        : '';
+      lines.push(`- [${removed.risk.level}] ${removed.name}${refs}`);
+    }
+  }
+
+  lines.push('');
+  lines.push('## Affected');
+  lines.push(`Callers:  ${report.affected.callers.join(', ') || '(none)'}`);
+  lines.push(`Triggers: ${report.affected.triggers.join(', ') || '(none)'}`);
+  lines.push(`SObjects: ${report.affected.sobjects.join(', ') || '(none)'}`);
+
+  return lines.join('\n');
+}
+
+export {
+  computeBlastRadius,
+  findChangedMembers,
+  formatBlastRadiusReport,
+};
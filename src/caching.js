@@ -1,48 +1,420 @@
+/**
+ * Metadata Cache
+ *
+ * Builds `.asfst-cache` from a directory of retrieved or checked-out metadata.
+ * Both SFDX source format (decomposed `objects/<Name>/` directories) and
+ * Metadata API format (`objects/<Name>.object` files) are accepted, and are
+ * normalized into the layout SchemaRegistry.loadFromCache reads:
+ *
+ *   objects/<Name>.object.json       - assembled CustomObject
+ *   classes/<Name>.cls-meta.json     - class metadata (+ the .cls source)
+ *   triggers/<Name>.trigger-meta.json
+ *   labels/CustomLabels.labels-meta.json
+ *   globalValueSets/<Name>.globalValueSet-meta.json
+ *   profiles/<Name>.profile-meta.json
+ *   permissionsets/<Name>.permissionset-meta.json
+ *   manifest.json                    - where and when the snapshot was taken
+ *
+ * Caching merges into an existing cache, so a selective retrieve (a few
+ * fields of an object, say) updates those components and keeps the rest.
+ * Profiles and permission sets only carry permissions for the objects and
+ * fields retrieved alongside them, so their permissions are merged too.
+ */
 
 import fse from 'fs-extra';
 import path from 'path';
-import { Parser } from 'xml2js';
+import { readMetadataXml, readSourceObject, OBJECT_CHILD_FOLDERS } from './source-format.js';
 
 const CACHE_DIR = '.asfst-cache';
 
-async function cacheMetadata(sourceDir) {
-  await fse.ensureDir(CACHE_DIR);
+/**
+ * Named org profiles live in their own caches below the default one:
+ * .asfst-cache/orgs/<name>
+ */
+const PROFILES_DIR = 'orgs';
 
-  const files = await fse.readdir(sourceDir);
+/**
+ * Cache manifest file, relative to the cache directory
+ */
+const MANIFEST_FILE = 'manifest.json';
 
-  for (const file of files) {
-    const filePath = path.join(sourceDir, file);
-    const stat = await fse.stat(filePath);
+/**
+ * Metadata types cached by ingest and the folder each one lives in
+ */
+const METADATA_FOLDERS = {
+  ApexClass: 'classes',
+  ApexTrigger: 'triggers',
+  CustomObject: 'objects',
+  CustomLabels: 'labels',
+  GlobalValueSet: 'globalValueSets',
+  Profile: 'profiles',
+  PermissionSet: 'permissionsets',
+};
 
-    if (stat.isDirectory()) {
-      await cacheMetadata(filePath);
+/**
+ * Child component types and the CustomObject key they are cached under
+ */
+const OBJECT_CHILD_TYPES = {
+  CustomField: 'fields',
+  ValidationRule: 'validationRules',
+  RecordType: 'recordTypes',
+};
+
+/**
+ * Metadata API files that are XML without an .xml extension
+ */
+const MDAPI_XML_SUFFIXES = ['.object', '.labels', '.globalValueSet', '.profile', '.permissionset'];
+
+/**
+ * Permission lists of Profile and PermissionSet metadata and the key that
+ * identifies an entry, for merging a retrieve into a cached copy
+ */
+const PERMISSION_LIST_KEYS = {
+  objectPermissions: 'object',
+  fieldPermissions: 'field',
+  classAccesses: 'apexClass',
+  userPermissions: 'name',
+  recordTypeVisibilities: 'recordType',
+  tabVisibilities: 'tab',
+};
+
+/**
+ * Cache folders whose components are merged with the cached copy
+ */
+const MERGED_FOLDERS = {
+  profiles: 'Profile',
+  permissionsets: 'PermissionSet',
+};
+
+/**
+ * Cache directory of a named org profile, or the default cache
+ * @param {string|null} org - Profile name, e.g. "uat"
+ * @returns {string} Cache directory
+ */
+function getCacheDir(org = null) {
+  if (!org) return CACHE_DIR;
+  if (!/^[\w.-]+$/.test(org) || org.startsWith('.')) {
+    throw new Error(`Invalid org profile name: ${org}`);
+  }
+  return path.join(CACHE_DIR, PROFILES_DIR, org);
+}
+
+/**
+ * List the default cache and every named org profile with its manifest
+ * @returns {Promise<Object[]>} { name, cacheDir, manifest } per existing cache
+ */
+async function listCacheProfiles() {
+  const profiles = [];
+  if (await readCacheManifest(CACHE_DIR) || await fse.pathExists(path.join(CACHE_DIR, 'objects'))) {
+    profiles.push({ name: null, cacheDir: CACHE_DIR, manifest: await readCacheManifest(CACHE_DIR) });
+  }
+
+  const profilesDir = path.join(CACHE_DIR, PROFILES_DIR);
+  if (await fse.pathExists(profilesDir)) {
+    for (const entry of (await fse.readdir(profilesDir, { withFileTypes: true })).filter(e => e.isDirectory())) {
+      const cacheDir = path.join(profilesDir, entry.name);
+      profiles.push({ name: entry.name, cacheDir, manifest: await readCacheManifest(cacheDir) });
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Cache the metadata found under a source or mdapi directory
+ * @param {string} sourceDir - Directory to read (a retrieve output, force-app, or mdapi folder)
+ * @param {Object} options - { cacheDir, types, snapshot }
+ *   types limits the metadata types cached;
+ *   snapshot describes the org the metadata was retrieved from (see writeCacheManifest)
+ * @returns {Promise<Object>} Number of cached components per folder
+ */
+async function cacheMetadata(sourceDir, options = {}) {
+  const cacheDir = options.cacheDir || CACHE_DIR;
+  if (!await fse.pathExists(sourceDir)) {
+    throw new Error(`Metadata directory not found: ${sourceDir}`);
+  }
+
+  const folders = options.types && options.types.length > 0
+    ? options.types.map(type => METADATA_FOLDERS[type]).filter(Boolean)
+    : Object.values(METADATA_FOLDERS);
+  if (folders.length === 0) {
+    throw new Error(`None of the types can be cached: ${options.types.join(', ')}`);
+  }
+
+  await fse.ensureDir(cacheDir);
+  const summary = Object.fromEntries(Object.values(METADATA_FOLDERS).map(folder => [folder, 0]));
+  await cacheDirectory(path.resolve(sourceDir), path.resolve(cacheDir), new Set(folders), summary);
+
+  await writeCacheManifest(cacheDir, options.snapshot || {
+    source: 'directory',
+    path: path.resolve(sourceDir),
+    apiVersion: await detectApiVersion(sourceDir),
+  });
+  return summary;
+}
+
+/**
+ * Record where the cached metadata came from and when
+ * @param {string} cacheDir - Cache directory
+ * @param {Object} snapshot - { source: 'org', orgId, username, instanceUrl, apiVersion }
+ *   or { source: 'directory', path, apiVersion }
+ * @returns {Promise<Object>} The manifest written
+ */
+async function writeCacheManifest(cacheDir, snapshot) {
+  const manifest = {
+    source: snapshot.source || 'org',
+    orgId: snapshot.orgId || null,
+    username: snapshot.username || null,
+    instanceUrl: snapshot.instanceUrl || null,
+    path: snapshot.path || null,
+    apiVersion: snapshot.apiVersion || null,
+    retrievedAt: new Date().toISOString(),
+  };
+  await fse.outputJson(path.join(cacheDir, MANIFEST_FILE), manifest, { spaces: 2 });
+  return manifest;
+}
+
+/**
+ * Read the cache manifest
+ * @returns {Promise<Object|null>} The manifest, or null for caches written before manifests existed
+ */
+async function readCacheManifest(cacheDir = CACHE_DIR) {
+  const manifestPath = path.join(cacheDir, MANIFEST_FILE);
+  if (!await fse.pathExists(manifestPath)) return null;
+  return fse.readJson(manifestPath);
+}
+
+/**
+ * API version declared by a local project (sfdx-project.json) or mdapi folder (package.xml)
+ */
+async function detectApiVersion(sourceDir) {
+  const sfdxProjectPath = path.join(sourceDir, 'sfdx-project.json');
+  if (await fse.pathExists(sfdxProjectPath)) {
+    const sfdxProject = await fse.readJson(sfdxProjectPath);
+    return sfdxProject.sourceApiVersion || null;
+  }
+
+  const packagePath = path.join(sourceDir, 'package.xml');
+  if (await fse.pathExists(packagePath)) {
+    const manifest = await readMetadataXml(packagePath);
+    return manifest?.Package?.version || null;
+  }
+  return null;
+}
+
+/**
+ * Walk a directory, caching the contents of every metadata folder found
+ */
+async function cacheDirectory(dir, cacheDir, folders, summary) {
+  const entries = await fse.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+
+    const entryPath = path.join(dir, entry.name);
+    if (entryPath === cacheDir) continue;
+
+    if (Object.values(METADATA_FOLDERS).includes(entry.name)) {
+      if (!folders.has(entry.name)) continue;
+      summary[entry.name] += entry.name === METADATA_FOLDERS.CustomObject
+        ? await cacheObjects(entryPath, cacheDir)
+        : await cacheFolder(entryPath, path.join(cacheDir, entry.name), MERGED_FOLDERS[entry.name]);
     } else {
-      await processFile(filePath);
+      await cacheDirectory(entryPath, cacheDir, folders, summary);
     }
   }
 }
 
-async function processFile(filePath) {
-  const fileExtension = path.extname(filePath);
-  const baseName = path.basename(filePath);
+/**
+ * Cache an objects folder, assembling decomposed source-format objects
+ * @returns {Promise<number>} Number of objects cached
+ */
+async function cacheObjects(objectsDir, cacheDir) {
+  const destinationDir = path.join(cacheDir, 'objects');
+  await fse.ensureDir(destinationDir);
+  let count = 0;
+
+  for (const entry of await fse.readdir(objectsDir, { withFileTypes: true })) {
+    const entryPath = path.join(objectsDir, entry.name);
+    let objectName;
+    let data;
 
-  const destinationPath = path.join(CACHE_DIR, path.relative('./metadata', filePath));
-  await fse.ensureDir(path.dirname(destinationPath));
+    if (entry.isDirectory()) {
+      objectName = entry.name;
+      data = await readSourceObject(entryPath);
+    } else if (entry.name.endsWith('.object')) {
+      objectName = entry.name.slice(0, -'.object'.length);
+      data = await readMetadataXml(entryPath);
+    } else {
+      continue;
+    }
 
-  if (fileExtension === '.xml') {
-    const xml = await fse.readFile(filePath);
-    const parser = new Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(xml);
-    const jsonPath = destinationPath.replace('.xml', '.json');
-    await fse.writeJson(jsonPath, result, { spaces: 2 });
-  } else {
-    await fse.copy(filePath, destinationPath);
+    const destination = path.join(destinationDir, `${objectName}.object.json`);
+    if (await fse.pathExists(destination)) {
+      data = mergeCustomObject(await fse.readJson(destination), data);
+    }
+    await fse.writeJson(destination, data, { spaces: 2 });
+    count++;
   }
+
+  return count;
 }
 
-async function clearCache() {
-    await fse.remove(CACHE_DIR);
+/**
+ * Cache a flat metadata folder: XML becomes JSON, sources are copied
+ * @param {string|null} mergedType - Root element of components merged over
+ *   their cached copy (see mergePermissions)
+ * @returns {Promise<number>} Number of components cached
+ */
+async function cacheFolder(folderDir, destinationDir, mergedType = null) {
+  await fse.ensureDir(destinationDir);
+  let count = 0;
+
+  for (const entry of await fse.readdir(folderDir, { withFileTypes: true })) {
+    if (!entry.isFile()) continue;
+
+    const filePath = path.join(folderDir, entry.name);
+    const suffix = MDAPI_XML_SUFFIXES.find(s => entry.name.endsWith(s));
+
+    if (entry.name.endsWith('.xml') || suffix) {
+      const jsonName = suffix
+        ? `${entry.name}-meta.json`
+        : entry.name.replace(/\.xml$/, '.json');
+      const destination = path.join(destinationDir, jsonName);
+      let data = await readMetadataXml(filePath);
+      if (mergedType && await fse.pathExists(destination)) {
+        data = mergePermissions(await fse.readJson(destination), data, mergedType);
+      }
+      await fse.writeJson(destination, data, { spaces: 2 });
+      count++;
+    } else {
+      await fse.copy(filePath, path.join(destinationDir, entry.name));
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Merge a newly retrieved CustomObject over a cached one. Child components
+ * (fields, validation rules, ...) are merged by fullName; the incoming
+ * version wins for anything present in both.
+ */
+function mergeCustomObject(existing, incoming) {
+  const merged = { ...(existing?.CustomObject || {}) };
+  const childKeys = new Set(Object.values(OBJECT_CHILD_FOLDERS).map(child => child.key));
+
+  for (const [key, value] of Object.entries(incoming?.CustomObject || {})) {
+    if (!childKeys.has(key)) {
+      merged[key] = value;
+      continue;
+    }
+
+    const children = new Map();
+    for (const child of [merged[key], value].flatMap(toArray)) {
+      children.set(child.fullName, child);
+    }
+    merged[key] = Array.from(children.values());
+  }
+
+  return { CustomObject: merged };
+}
+
+/**
+ * Merge a newly retrieved Profile or PermissionSet over a cached one.
+ * Permission entries are merged by what they grant access to; the incoming
+ * entry wins for anything present in both.
+ */
+function mergePermissions(existing, incoming, rootType) {
+  const merged = { ...(existing?.[rootType] || {}) };
+
+  for (const [key, value] of Object.entries(incoming?.[rootType] || {})) {
+    const entryKey = PERMISSION_LIST_KEYS[key];
+    if (!entryKey) {
+      merged[key] = value;
+      continue;
+    }
+
+    const entries = new Map();
+    for (const entry of [merged[key], value].flatMap(toArray)) {
+      entries.set(entry[entryKey], entry);
+    }
+    merged[key] = Array.from(entries.values());
+  }
+
+  return { [rootType]: merged };
+}
+
+/**
+ * Normalize a value xml2js may have parsed as a single item
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Remove deleted components from the cache
+ * @param {Object[]} components - { type, fullName } of deleted components
+ * @param {Object} options - { cacheDir }
+ */
+async function removeCachedComponents(components, options = {}) {
+  const cacheDir = options.cacheDir || CACHE_DIR;
+
+  for (const { type, fullName } of components) {
+    const childKey = OBJECT_CHILD_TYPES[type];
+    if (childKey) {
+      // Child components are named Object.Child
+      const separator = fullName.indexOf('.');
+      const objectPath = path.join(cacheDir, 'objects', `${fullName.slice(0, separator)}.object.json`);
+      if (separator === -1 || !await fse.pathExists(objectPath)) continue;
+
+      const data = await fse.readJson(objectPath);
+      const childName = fullName.slice(separator + 1);
+      if (data.CustomObject?.[childKey]) {
+        data.CustomObject[childKey] = toArray(data.CustomObject[childKey]).filter(child => child.fullName !== childName);
+        await fse.writeJson(objectPath, data, { spaces: 2 });
+      }
+      continue;
+    }
+
+    const folder = METADATA_FOLDERS[type];
+    const folderDir = path.join(cacheDir, folder || '');
+    if (!folder || !await fse.pathExists(folderDir)) continue;
+
+    for (const file of await fse.readdir(folderDir)) {
+      if (file.startsWith(`${fullName}.`)) {
+        await fse.remove(path.join(folderDir, file));
+      }
+    }
+  }
+}
+
+async function clearCache(options = {}) {
+  const cacheDir = options.cacheDir || CACHE_DIR;
+  if (cacheDir !== CACHE_DIR || !await fse.pathExists(cacheDir)) {
+    await fse.remove(cacheDir);
+    return;
+  }
+
+  // The default cache holds the named profiles, which are cleared separately
+  for (const entry of await fse.readdir(cacheDir)) {
+    if (entry !== PROFILES_DIR) {
+      await fse.remove(path.join(cacheDir, entry));
+    }
+  }
 }
 
 
-export { cacheMetadata, clearCache };
+export {
+  CACHE_DIR,
+  getCacheDir,
+  listCacheProfiles,
+  cacheMetadata,
+  clearCache,
+  mergeCustomObject,
+  mergePermissions,
+  removeCachedComponents,
+  writeCacheManifest,
+  readCacheManifest,
+  METADATA_FOLDERS,
+};
@@ -0,0 +1,202 @@
+/**
+ * Entity-Relationship Diagrams
+ *
+ * Draws SObjects and their lookup/master-detail relationships, read from
+ * the schema through the relationship edges of SemanticGraph:
+ * 1. The selected objects plus N hops of related objects, in either direction
+ * 2. Mermaid erDiagram, Graphviz DOT or PlantUML output
+ * 3. Created By / Last Modified By lookups are left out unless asked for,
+ *    since every object has them and they would link everything to User
+ */
+
+import { SemanticGraph } from './semantic-graph.js';
+import { schemaRegistry as defaultSchemaRegistry } from './schema-registry.js';
+
+const ERD_FORMATS = ['mermaid', 'dot', 'plantuml'];
+
+const AUDIT_LOOKUPS = new Set(['CreatedById', 'LastModifiedById']);
+
+/**
+ * Select the objects and relationships of a diagram
+ * @param {string[]} objectNames - Objects to center on; all objects when empty
+ * @param {Object} options - { depth, includeFields, includeAudit, schemaRegistry }
+ *   depth: hops of related objects to include (default 1)
+ *   includeFields: list every field, not just the keys
+ * @returns {Object} { entities: [{ name, label, isStandard, fields }],
+ *   relationships: [{ from, to, type, field, relationshipName, required }] }
+ *   relationships point from the child to the parent
+ * @throws {Error} When a named object is not in the schema
+ */
+function buildErd(objectNames = [], options = {}) {
+  const registry = options.schemaRegistry || defaultSchemaRegistry;
+  const depth = options.depth ?? 1;
+
+  const unknown = objectNames.filter(name => !registry.findObject(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown SObject${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+  }
+
+  const graph = new SemanticGraph([], { schemaRegistry: registry });
+  graph.addSchemaObjects();
+  const allRelationships = collectRelationships(graph, options.includeAudit);
+
+  const selected = objectNames.length > 0
+    ? selectNeighbourhood(objectNames.map(name => registry.findObject(name).name), allRelationships, depth)
+    : new Set(graph.objectNodes.keys());
+
+  const relationships = allRelationships.filter(r => selected.has(r.from) && selected.has(r.to));
+  const entities = Array.from(selected).sort().map(name => {
+    const object = registry.findObject(name);
+    const foreignKeys = new Set(relationships.filter(r => r.from === name).map(r => r.field));
+    const fields = Array.from(object.fields.values())
+      .filter(field => field.name !== 'Id')
+      .filter(field => options.includeFields || foreignKeys.has(field.name))
+      .map(field => ({ name: field.name, type: field.type, key: foreignKeys.has(field.name) ? 'FK' : null }));
+
+    return {
+      name,
+      label: object.label,
+      isStandard: object.isStandard || false,
+      fields: [{ name: 'Id', type: 'Id', key: 'PK' }, ...fields],
+    };
+  });
+
+  return { entities, relationships };
+}
+
+/**
+ * One relationship per lookup field, from the graph's relationship edges
+ */
+function collectRelationships(graph, includeAudit = false) {
+  const relationships = [];
+  for (const edge of graph.edges.values()) {
+    if (edge.type !== 'lookup' && edge.type !== 'master_detail') continue;
+
+    for (const field of edge.metadata.fields) {
+      if (!includeAudit && AUDIT_LOOKUPS.has(field.field)) continue;
+      relationships.push({
+        from: graph.nodes.get(edge.from).name,
+        to: graph.nodes.get(edge.to).name,
+        type: edge.type,
+        field: field.field,
+        relationshipName: field.relationshipName,
+        required: field.required,
+      });
+    }
+  }
+  return relationships.sort((a, b) =>
+    a.from.localeCompare(b.from) || a.to.localeCompare(b.to) || a.field.localeCompare(b.field));
+}
+
+/**
+ * The start objects and every object within depth relationship hops
+ */
+function selectNeighbourhood(startNames, relationships, depth) {
+  const selected = new Set(startNames);
+  let frontier = new Set(startNames);
+
+  for (let hop = 0; hop < depth && frontier.size > 0; hop++) {
+    const next = new Set();
+    for (const { from, to } of relationships) {
+      if (frontier.has(from) && !selected.has(to)) next.add(to);
+      if (frontier.has(to) && !selected.has(from)) next.add(from);
+    }
+    next.forEach(name => selected.add(name));
+    frontier = next;
+  }
+
+  return selected;
+}
+
+/**
+ * Render a diagram
+ * @param {Object} erd - Result of buildErd
+ * @param {string} format - mermaid, dot or plantuml
+ */
+function formatErd(erd, format = 'mermaid') {
+  switch (format) {
+    case 'mermaid':
+      return formatMermaid(erd);
+    case 'dot':
+      return formatDot(erd);
+    case 'plantuml':
+      return formatPlantUml(erd);
+    default:
+      throw new Error(`Unknown diagram format: ${format} (expected ${ERD_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Crow's foot cardinality shared by Mermaid and PlantUML: a parent has any
+ * number of children; a child must have a parent when the field is required
+ */
+function cardinality(relationship) {
+  return `${relationship.required ? '||' : '|o'}--o{`;
+}
+
+function formatMermaid(erd) {
+  const lines = ['erDiagram'];
+
+  for (const entity of erd.entities) {
+    lines.push(`    ${entity.name} {`);
+    for (const field of entity.fields) {
+      lines.push(`        ${field.type} ${field.name}${field.key ? ` ${field.key}` : ''}`);
+    }
+    lines.push('    }');
+  }
+  for (const r of erd.relationships) {
+    lines.push(`    ${r.to} ${cardinality(r)} ${r.from} : "${r.field}"`);
+  }
+
+  return lines.join('\n');
+}
+
+function formatDot(erd) {
+  const escape = text => String(text).replace(/([{}|<>"\\])/g, '\\$1');
+  const lines = [
+    'digraph ERD {',
+    '  rankdir=LR;',
+    '  node [shape=record, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];',
+  ];
+
+  for (const entity of erd.entities) {
+    const fields = entity.fields
+      .map(field => `${escape(field.name)} : ${escape(field.type)}${field.key ? ` (${field.key})` : ''}\\l`)
+      .join('');
+    lines.push(`  "${entity.name}" [label="{${escape(entity.name)}|${fields}}"];`);
+  }
+  for (const r of erd.relationships) {
+    const style = r.type === 'master_detail' ? 'solid, penwidth=2' : 'dashed';
+    lines.push(`  "${r.from}" -> "${r.to}" [label="${escape(r.field)}", style=${style}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function formatPlantUml(erd) {
+  const lines = ['@startuml', 'hide circle', 'skinparam linetype ortho', ''];
+
+  for (const entity of erd.entities) {
+    const [id, ...fields] = entity.fields;
+    lines.push(`entity ${entity.name} {`);
+    lines.push(`  * ${id.name} : ${id.type} <<PK>>`);
+    if (fields.length > 0) {
+      lines.push('  --');
+      for (const field of fields) {
+        lines.push(`  ${field.name} : ${field.type}${field.key ? ` <<${field.key}>>` : ''}`);
+      }
+    }
+    lines.push('}');
+  }
+  lines.push('');
+  for (const r of erd.relationships) {
+    lines.push(`${r.to} ${cardinality(r)} ${r.from} : ${r.field}`);
+  }
+
+  lines.push('@enduml');
+  return lines.join('\n');
+}
+
+export { buildErd, formatErd, ERD_FORMATS };
@@ -0,0 +1,406 @@
+/**
+ * Salesforce Formula Evaluator
+ *
+ * Evaluates formula ASTs from formula-parser.js locally, so validation rules
+ * can be checked against sample records without a round trip to the org.
+ *
+ * Values are JS numbers, strings, booleans and null, Date objects for
+ * DateTime values and DateValue for Date values. Blank text and null are the
+ * same value, as in Salesforce. Field and global values come from resolvers
+ * on the context, so callers decide how records are read and typed:
+ * - resolveField(path) - value of Amount__c (['Amount__c']) or Account__r.Name
+ * - resolveGlobal(path) - value of $User.Id (['$User', 'Id'])
+ * - resolvePrior(path) - value before the change, for ISCHANGED and PRIORVALUE
+ * - isNew - the record is being inserted
+ * - now - evaluation time for TODAY() and NOW()
+ */
+
+import { parseFormula } from './formula-parser.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A formula cannot be evaluated: unsupported function, wrong argument
+ * types or arithmetic errors
+ */
+class FormulaEvaluationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaEvaluationError';
+  }
+}
+
+/**
+ * A Date value (no time), held as UTC midnight
+ */
+class DateValue {
+  constructor(time) {
+    this.time = time;
+  }
+
+  static of(year, month, day) {
+    return new DateValue(Date.UTC(year, month - 1, day));
+  }
+
+  /**
+   * Parse YYYY-MM-DD (a trailing time is ignored); null when not a date
+   */
+  static parse(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(text));
+    return match ? DateValue.of(Number(match[1]), Number(match[2]), Number(match[3])) : null;
+  }
+
+  toString() {
+    return new Date(this.time).toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Functions that receive evaluated arguments
+ */
+const FUNCTIONS = {
+  // Logical
+  NOT: ([value]) => !isTrue(value),
+  ISBLANK: ([value]) => isBlank(value),
+  ISNULL: ([value]) => isBlank(value),
+  NULLVALUE: ([value, substitute]) => (isBlank(value) ? substitute : value),
+  BLANKVALUE: ([value, substitute]) => (isBlank(value) ? substitute : value),
+  ISPICKVAL: ([value, literal]) => !isBlank(value) && value === literal,
+  INCLUDES: ([value, literal]) => !isBlank(value) && String(value).split(';').includes(literal),
+  ISNUMBER: ([text]) => !isBlank(text) && /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(String(text).trim()),
+
+  // Text
+  TEXT: ([value]) => toText(value),
+  VALUE: ([text]) => {
+    if (isBlank(text)) return null;
+    const number = Number(String(text).trim());
+    if (Number.isNaN(number)) throw new FormulaEvaluationError(`VALUE: "${text}" is not a number`);
+    return number;
+  },
+  LEN: ([text]) => toText(text).length,
+  LEFT: ([text, count]) => toText(text).slice(0, Math.max(0, toNumber(count))),
+  RIGHT: ([text, count]) => {
+    const n = Math.max(0, toNumber(count));
+    return n === 0 ? '' : toText(text).slice(-n);
+  },
+  MID: ([text, start, count]) => toText(text).substr(Math.max(0, toNumber(start) - 1), Math.max(0, toNumber(count))),
+  UPPER: ([text]) => toText(text).toUpperCase(),
+  LOWER: ([text]) => toText(text).toLowerCase(),
+  TRIM: ([text]) => toText(text).trim(),
+  CONTAINS: ([text, search]) => toText(text).includes(toText(search)),
+  BEGINS: ([text, prefix]) => toText(text).startsWith(toText(prefix)),
+  FIND: ([search, text, start = 1]) => toText(text).indexOf(toText(search), toNumber(start) - 1) + 1,
+  SUBSTITUTE: ([text, search, replacement]) => toText(text).split(toText(search)).join(toText(replacement)),
+  REGEX: ([text, pattern]) => new RegExp(`^(?:${toText(pattern)})$`).test(toText(text)),
+  LPAD: ([text, length, pad = ' ']) => toText(text).padStart(toNumber(length), toText(pad)).slice(0, toNumber(length)),
+  RPAD: ([text, length, pad = ' ']) => toText(text).padEnd(toNumber(length), toText(pad)).slice(0, toNumber(length)),
+
+  // Math
+  ABS: ([number]) => mapNumber(number, Math.abs),
+  FLOOR: ([number]) => mapNumber(number, Math.floor),
+  CEILING: ([number]) => mapNumber(number, Math.ceil),
+  ROUND: ([number, digits = 0]) => mapNumber(number, n => {
+    // Half away from zero, like Salesforce
+    const factor = 10 ** toNumber(digits);
+    return Math.sign(n) * Math.round(Math.abs(n) * factor) / factor;
+  }),
+  MAX: (numbers) => (numbers.some(isBlank) ? null : Math.max(...numbers.map(toNumber))),
+  MIN: (numbers) => (numbers.some(isBlank) ? null : Math.min(...numbers.map(toNumber))),
+  MOD: ([number, divisor]) => {
+    if (isBlank(number) || isBlank(divisor)) return null;
+    if (toNumber(divisor) === 0) throw new FormulaEvaluationError('MOD: division by zero');
+    return toNumber(number) % toNumber(divisor);
+  },
+
+  // Date and time
+  TODAY: (args, context) => {
+    const now = context.now || new Date();
+    return DateValue.of(now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate());
+  },
+  NOW: (args, context) => new Date((context.now || new Date()).getTime()),
+  DATE: ([year, month, day]) => {
+    if ([year, month, day].some(isBlank)) return null;
+    const date = DateValue.of(toNumber(year), toNumber(month), toNumber(day));
+    const parsed = new Date(date.time);
+    if (parsed.getUTCMonth() + 1 !== toNumber(month) || parsed.getUTCDate() !== toNumber(day)) {
+      throw new FormulaEvaluationError(`DATE: ${year}-${month}-${day} is not a valid date`);
+    }
+    return date;
+  },
+  DATEVALUE: ([value]) => {
+    if (isBlank(value)) return null;
+    if (value instanceof DateValue) return value;
+    if (value instanceof Date) return new DateValue(Math.floor(value.getTime() / DAY_MS) * DAY_MS);
+    const date = DateValue.parse(value);
+    if (!date) throw new FormulaEvaluationError(`DATEVALUE: "${value}" is not a date`);
+    return date;
+  },
+  DATETIMEVALUE: ([value]) => {
+    if (isBlank(value)) return null;
+    if (value instanceof DateValue) return new Date(value.time);
+    if (value instanceof Date) return value;
+    const dateTime = new Date(String(value).replace(' ', 'T').replace(/(T[\d:.]+)$/, '$1Z'));
+    if (Number.isNaN(dateTime.getTime())) throw new FormulaEvaluationError(`DATETIMEVALUE: "${value}" is not a date/time`);
+    return dateTime;
+  },
+  YEAR: ([date]) => mapDate(date, d => d.getUTCFullYear()),
+  MONTH: ([date]) => mapDate(date, d => d.getUTCMonth() + 1),
+  DAY: ([date]) => mapDate(date, d => d.getUTCDate()),
+  WEEKDAY: ([date]) => mapDate(date, d => d.getUTCDay() + 1),
+  ADDMONTHS: ([date, months]) => {
+    if (isBlank(date) || isBlank(months)) return null;
+    const start = new Date(toDate(date).time);
+    const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + Math.trunc(toNumber(months)), 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    // The last day of a month maps to the last day of the target month
+    const startLastDay = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)).getUTCDate();
+    const day = start.getUTCDate() === startLastDay ? lastDay : Math.min(start.getUTCDate(), lastDay);
+    return DateValue.of(target.getUTCFullYear(), target.getUTCMonth() + 1, day);
+  },
+};
+
+/**
+ * Functions that receive unevaluated argument nodes: short-circuiting
+ * logic and the functions that look at a field rather than its value
+ */
+const SPECIAL_FORMS = {
+  IF: ([condition, whenTrue, whenFalse], context) => {
+    if (whenFalse === undefined) throw new FormulaEvaluationError('IF expects 3 arguments');
+    return evaluate(isTrue(evaluate(condition, context)) ? whenTrue : whenFalse, context);
+  },
+  AND: (args, context) => args.every(arg => isTrue(evaluate(arg, context))),
+  OR: (args, context) => args.some(arg => isTrue(evaluate(arg, context))),
+  CASE: ([expression, ...cases], context) => {
+    if (cases.length < 3 || cases.length % 2 === 0) {
+      throw new FormulaEvaluationError('CASE expects value/result pairs and an else result');
+    }
+    const value = evaluate(expression, context);
+    for (let i = 0; i < cases.length - 1; i += 2) {
+      if (valuesEqual(value, evaluate(cases[i], context))) {
+        return evaluate(cases[i + 1], context);
+      }
+    }
+    return evaluate(cases[cases.length - 1], context);
+  },
+  ISNEW: (args, context) => Boolean(context.isNew),
+  ISCHANGED: ([field], context) => {
+    const path = fieldPath(field, 'ISCHANGED');
+    if (context.isNew) return false;
+    return !valuesEqual(context.resolveField(path), context.resolvePrior(path));
+  },
+  PRIORVALUE: ([field], context) => {
+    const path = fieldPath(field, 'PRIORVALUE');
+    // On insert there is no prior record; Salesforce returns the current value
+    return context.isNew ? context.resolveField(path) : context.resolvePrior(path);
+  },
+};
+
+/**
+ * Evaluate a formula
+ * @param {string|Object} formula - Formula source or an AST from parseFormula
+ * @param {Object} context - { resolveField, resolveGlobal, resolvePrior, isNew, now }
+ * @returns {*} Formula value
+ * @throws {FormulaSyntaxError|FormulaEvaluationError}
+ */
+function evaluateFormula(formula, context = {}) {
+  const ast = typeof formula === 'string' ? parseFormula(formula) : formula;
+  return evaluate(ast, {
+    resolveField: () => null,
+    resolveGlobal: () => null,
+    resolvePrior: () => null,
+    ...context,
+  });
+}
+
+function evaluate(node, context) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+    case 'Field':
+      return normalize(context.resolveField(node.path));
+    case 'Global':
+      return normalize(context.resolveGlobal(node.path));
+    case 'Unary':
+      return evaluateUnary(node, context);
+    case 'Binary':
+      return evaluateBinary(node, context);
+    case 'Call': {
+      const special = SPECIAL_FORMS[node.name];
+      if (special) return special(node.args, context);
+
+      const fn = FUNCTIONS[node.name];
+      if (!fn) throw new FormulaEvaluationError(`Unsupported function ${node.name}`);
+      return fn(node.args.map(arg => evaluate(arg, context)), context);
+    }
+    default:
+      throw new FormulaEvaluationError(`Unknown node type ${node.type}`);
+  }
+}
+
+function evaluateUnary(node, context) {
+  const value = evaluate(node.operand, context);
+  if (node.operator === '!') return !isTrue(value);
+  if (isBlank(value)) return null;
+  return node.operator === '-' ? -toNumber(value) : toNumber(value);
+}
+
+function evaluateBinary(node, context) {
+  const { operator } = node;
+
+  // Short-circuit like AND() and OR()
+  if (operator === '&&') {
+    return isTrue(evaluate(node.left, context)) && isTrue(evaluate(node.right, context));
+  }
+  if (operator === '||') {
+    return isTrue(evaluate(node.left, context)) || isTrue(evaluate(node.right, context));
+  }
+
+  const left = evaluate(node.left, context);
+  const right = evaluate(node.right, context);
+
+  switch (operator) {
+    case '&':
+      return toText(left) + toText(right);
+    case '=':
+    case '==':
+      return valuesEqual(left, right);
+    case '!=':
+    case '<>':
+      return !valuesEqual(left, right);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+      return compareValues(left, right, operator);
+    case '+':
+    case '-':
+      return addValues(left, right, operator);
+  }
+
+  if (isBlank(left) || isBlank(right)) return null;
+  const a = toNumber(left);
+  const b = toNumber(right);
+  switch (operator) {
+    case '*':
+      return a * b;
+    case '/':
+      if (b === 0) throw new FormulaEvaluationError('Division by zero');
+      return a / b;
+    case '^':
+      return a ** b;
+  }
+  throw new FormulaEvaluationError(`Unknown operator ${operator}`);
+}
+
+/**
+ * + and - on numbers and dates: date +/- days, date - date in days
+ */
+function addValues(left, right, operator) {
+  if (isBlank(left) || isBlank(right)) return null;
+
+  if (isTemporal(left)) {
+    if (isTemporal(right)) {
+      if (operator === '+') throw new FormulaEvaluationError('Cannot add two dates');
+      return (timeOf(left) - timeOf(right)) / DAY_MS;
+    }
+    const days = operator === '+' ? toNumber(right) : -toNumber(right);
+    return left instanceof DateValue
+      ? new DateValue(left.time + Math.trunc(days) * DAY_MS)
+      : new Date(left.getTime() + days * DAY_MS);
+  }
+  if (isTemporal(right)) {
+    if (operator === '-') throw new FormulaEvaluationError('Cannot subtract a date from a number');
+    return addValues(right, left, operator);
+  }
+
+  if (typeof left === 'string' || typeof right === 'string') {
+    if (operator === '+') return left + right;
+  }
+  return operator === '+' ? toNumber(left) + toNumber(right) : toNumber(left) - toNumber(right);
+}
+
+/**
+ * Relational comparison; comparing with a blank value is false
+ */
+function compareValues(left, right, operator) {
+  if (isBlank(left) || isBlank(right)) return false;
+
+  const a = isTemporal(left) ? timeOf(left) : left;
+  const b = isTemporal(right) ? timeOf(right) : right;
+  if (typeof a !== typeof b) {
+    throw new FormulaEvaluationError(`Cannot compare ${describeValue(left)} with ${describeValue(right)}`);
+  }
+
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+}
+
+function valuesEqual(left, right) {
+  if (isBlank(left) || isBlank(right)) return isBlank(left) && isBlank(right);
+  if (isTemporal(left) && isTemporal(right)) return timeOf(left) === timeOf(right);
+  return left === right;
+}
+
+function fieldPath(node, functionName) {
+  if (node?.type !== 'Field') {
+    throw new FormulaEvaluationError(`${functionName} expects a field`);
+  }
+  return node.path;
+}
+
+function normalize(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function isTrue(value) {
+  return value === true;
+}
+
+function isTemporal(value) {
+  return value instanceof DateValue || value instanceof Date;
+}
+
+function timeOf(value) {
+  return value instanceof DateValue ? value.time : value.getTime();
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  throw new FormulaEvaluationError(`Expected a number but found ${describeValue(value)}`);
+}
+
+function toDate(value) {
+  if (value instanceof DateValue) return value;
+  if (value instanceof Date) return new DateValue(Math.floor(value.getTime() / DAY_MS) * DAY_MS);
+  throw new FormulaEvaluationError(`Expected a date but found ${describeValue(value)}`);
+}
+
+function toText(value) {
+  if (isBlank(value)) return '';
+  if (value instanceof DateValue) return value.toString();
+  if (value instanceof Date) return value.toISOString().replace('T', ' ').replace(/\.\d+Z$/, 'Z');
+  return String(value);
+}
+
+function mapNumber(value, fn) {
+  return isBlank(value) ? null : fn(toNumber(value));
+}
+
+function mapDate(value, fn) {
+  return isBlank(value) ? null : fn(new Date(toDate(value).time));
+}
+
+function describeValue(value) {
+  if (isTemporal(value)) return `date ${toText(value)}`;
+  return typeof value === 'string' ? `text "${value}"` : String(value);
+}
+
+export { evaluateFormula, DateValue, FormulaEvaluationError };
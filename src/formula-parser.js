@@ -0,0 +1,306 @@
+/**
+ * Salesforce Formula Parser
+ *
+ * Parses the formula language shared by formula fields, validation rules and
+ * default values into a small AST, so callers can:
+ * 1. List the fields, cross-object paths and global variables a formula references
+ * 2. Link validation rules and formula fields to the fields they depend on
+ * 3. Evaluate formulas locally against a record
+ *
+ * AST nodes:
+ * - { type: 'Literal', dataType: 'number'|'string'|'boolean'|'null', value }
+ * - { type: 'Field', name, path } - Amount__c, Account__r.Name
+ * - { type: 'Global', name, path } - $User.Id, $RecordType.DeveloperName
+ * - { type: 'Call', name, args } - function names are upper-cased
+ * - { type: 'Unary', operator, operand }
+ * - { type: 'Binary', operator, left, right }
+ */
+
+/**
+ * Binary operators by binding power; higher binds tighter. Equality and
+ * comparison operators share a level, as in Salesforce.
+ */
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '=': 3, '==': 3, '!=': 3, '<>': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '&': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7,
+  '^': 9,
+};
+
+/**
+ * Binding power of the unary operators (-x, +x, !x)
+ */
+const UNARY_PRECEDENCE = 8;
+
+/**
+ * Operator tokens, longest first so '<=' wins over '<'
+ */
+const OPERATORS = ['&&', '||', '==', '!=', '<>', '<=', '>=', '+', '-', '*', '/', '^', '&', '=', '<', '>', '!'];
+
+const KEYWORDS = {
+  TRUE: { dataType: 'boolean', value: true },
+  FALSE: { dataType: 'boolean', value: false },
+  NULL: { dataType: 'null', value: null },
+};
+
+/**
+ * A formula that does not parse; position is the character offset
+ */
+class FormulaSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'FormulaSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a formula into tokens: { type: 'number'|'string'|'name'|'operator'|'punct', value, position }
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) throw new FormulaSyntaxError('Unterminated comment', i);
+      i = end + 2;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(text[i + 1]))) {
+      const match = /^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?|^[0-9]+\.?/.exec(text.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== char) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const escaped = text[i + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) throw new FormulaSyntaxError('Unterminated string', start);
+      tokens.push({ type: 'string', value, position: start });
+      i++;
+      continue;
+    }
+
+    // Names include dotted paths and the $ of global variables
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = /^\$?[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(text.slice(i));
+      if (!match) throw new FormulaSyntaxError(`Unexpected character '${char}'`, i);
+      tokens.push({ type: 'name', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    if ('(),'.includes(char)) {
+      tokens.push({ type: 'punct', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw new FormulaSyntaxError(`Unexpected character '${char}'`, i);
+  }
+
+  tokens.push({ type: 'end', value: null, position: text.length });
+  return tokens;
+}
+
+/**
+ * Pratt parser over the token list
+ */
+class FormulaParser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.value !== value) {
+      throw new FormulaSyntaxError(`Expected '${value}' but found ${describeToken(token)}`, token.position);
+    }
+    return token;
+  }
+
+  parse() {
+    if (this.peek().type === 'end') {
+      throw new FormulaSyntaxError('Empty formula', 0);
+    }
+    const ast = this.parseExpression(0);
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw new FormulaSyntaxError(`Unexpected ${describeToken(token)}`, token.position);
+    }
+    return ast;
+  }
+
+  parseExpression(minPrecedence) {
+    let left = this.parsePrefix();
+
+    for (;;) {
+      const token = this.peek();
+      const precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) break;
+
+      this.next();
+      // ^ is right-associative
+      const right = this.parseExpression(token.value === '^' ? precedence - 1 : precedence);
+      left = { type: 'Binary', operator: token.value, left, right };
+    }
+
+    return left;
+  }
+
+  parsePrefix() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'Literal', dataType: 'number', value: token.value };
+      case 'string':
+        return { type: 'Literal', dataType: 'string', value: token.value };
+      case 'operator':
+        if (token.value === '-' || token.value === '+' || token.value === '!') {
+          return { type: 'Unary', operator: token.value, operand: this.parseExpression(UNARY_PRECEDENCE) };
+        }
+        break;
+      case 'punct':
+        if (token.value === '(') {
+          const expression = this.parseExpression(0);
+          this.expect(')');
+          return expression;
+        }
+        break;
+      case 'name':
+        return this.parseName(token);
+    }
+
+    throw new FormulaSyntaxError(`Unexpected ${describeToken(token)}`, token.position);
+  }
+
+  parseName(token) {
+    const name = token.value;
+
+    if (this.peek().value === '(' && !name.includes('.') && !name.startsWith('$')) {
+      this.next();
+      const args = [];
+      if (this.peek().value !== ')') {
+        for (;;) {
+          args.push(this.parseExpression(0));
+          if (this.peek().value !== ',') break;
+          this.next();
+        }
+      }
+      this.expect(')');
+      return { type: 'Call', name: name.toUpperCase(), args };
+    }
+
+    const keyword = KEYWORDS[name.toUpperCase()];
+    if (keyword) {
+      return { type: 'Literal', ...keyword };
+    }
+
+    return {
+      type: name.startsWith('$') ? 'Global' : 'Field',
+      name,
+      path: name.split('.'),
+    };
+  }
+}
+
+function describeToken(token) {
+  return token.type === 'end' ? 'end of formula' : `'${token.value}'`;
+}
+
+/**
+ * Parse a formula into an AST
+ * @param {string} text - Formula source
+ * @returns {Object} AST root
+ * @throws {FormulaSyntaxError}
+ */
+function parseFormula(text) {
+  return new FormulaParser(String(text ?? '')).parse();
+}
+
+/**
+ * List what a formula references
+ * @param {string|Object} formula - Formula source or an AST from parseFormula
+ * @returns {Object} { fields, paths, globals, functions } - fields are the
+ *   formula's own object's fields, paths the cross-object references
+ *   (Account__r.Name); each list is deduplicated in order of appearance
+ * @throws {FormulaSyntaxError}
+ */
+function extractFormulaReferences(formula) {
+  const ast = typeof formula === 'string' ? parseFormula(formula) : formula;
+  const references = { fields: new Set(), paths: new Set(), globals: new Set(), functions: new Set() };
+
+  const visit = (node) => {
+    switch (node.type) {
+      case 'Field':
+        references[node.path.length > 1 ? 'paths' : 'fields'].add(node.name);
+        break;
+      case 'Global':
+        references.globals.add(node.name);
+        break;
+      case 'Call':
+        references.functions.add(node.name);
+        node.args.forEach(visit);
+        break;
+      case 'Unary':
+        visit(node.operand);
+        break;
+      case 'Binary':
+        visit(node.left);
+        visit(node.right);
+        break;
+    }
+  };
+  visit(ast);
+
+  return {
+    fields: Array.from(references.fields),
+    paths: Array.from(references.paths),
+    globals: Array.from(references.globals),
+    functions: Array.from(references.functions),
+  };
+}
+
+export { parseFormula, extractFormulaReferences, FormulaSyntaxError };
@@ -0,0 +1,158 @@
+/**
+ * Git Helpers
+ *
+ * Thin wrappers around the git CLI for reading Apex source at specific
+ * revisions and listing what changed between them.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Pathspecs that select executable Apex files
+ */
+const APEX_PATHSPECS = ['*.cls', '*.trigger'];
+
+/**
+ * Run a git command and return its stdout
+ * @param {string[]} args - Arguments passed to git
+ * @param {Object} options - { cwd }
+ * @returns {Promise<string>} Command output
+ */
+async function runGit(args, options = {}) {
+  try {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd: options.cwd || process.cwd(),
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout;
+  } catch (error) {
+    const detail = (error.stderr || error.message || '').trim();
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Get the root directory of the repository containing cwd
+ */
+async function getRepoRoot(options = {}) {
+  return (await runGit(['rev-parse', '--show-toplevel'], options)).trim();
+}
+
+/**
+ * List Apex files changed between two revisions
+ * @param {string} revA - Base revision
+ * @param {string|null} revB - Target revision, or null for the working tree
+ * @param {Object} options - { cwd, pathspecs }
+ * @returns {Promise<Object[]>} [{ status, path, oldPath }] with repo-relative paths
+ */
+async function listChangedFiles(revA, revB, options = {}) {
+  const pathspecs = options.pathspecs || APEX_PATHSPECS;
+  const revisions = revB ? [revA, revB] : [revA];
+  const output = await runGit(
+    ['diff', '--name-status', '-M', ...revisions, '--', ...pathspecs],
+    options
+  );
+
+  const changes = [];
+  for (const line of output.split('\n')) {
+    if (!line.trim()) continue;
+
+    const [statusCode, ...paths] = line.split('\t');
+    const status = statusCode[0];
+    if (status === 'R' || status === 'C') {
+      changes.push({ status: 'renamed', oldPath: paths[0], path: paths[1] });
+    } else {
+      changes.push({
+        status: { A: 'added', D: 'removed', M: 'modified' }[status] || 'modified',
+        oldPath: paths[0],
+        path: paths[0],
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * List the line ranges touched in each Apex file between two revisions
+ * @param {string} revA - Base revision
+ * @param {string|null} revB - Target revision, or null for the working tree
+ * @param {Object} options - { cwd, pathspecs }
+ * @returns {Promise<Map<string, Object[]>>} Repo-relative path -> [{ oldStart, oldEnd, newStart, newEnd }]
+ */
+async function listChangedLines(revA, revB, options = {}) {
+  const pathspecs = options.pathspecs || APEX_PATHSPECS;
+  const revisions = revB ? [revA, revB] : [revA];
+  const output = await runGit(
+    ['diff', '-U0', '-M', '--no-color', ...revisions, '--', ...pathspecs],
+    options
+  );
+
+  const hunks = new Map();
+  let currentFile = null;
+
+  for (const line of output.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4);
+      currentFile = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (currentFile && !hunks.has(currentFile)) {
+        hunks.set(currentFile, []);
+      }
+      continue;
+    }
+
+    const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (match && currentFile) {
+      const [oldStart, oldCount, newStart, newCount] = [
+        Number(match[1]),
+        match[2] === undefined ? 1 : Number(match[2]),
+        Number(match[3]),
+        match[4] === undefined ? 1 : Number(match[4]),
+      ];
+      hunks.get(currentFile).push({
+        oldStart,
+        oldEnd: oldStart + Math.max(oldCount, 1) - 1,
+        newStart,
+        // Pure deletions touch the position between newStart and the next line
+        newEnd: newStart + Math.max(newCount, 1) - 1,
+      });
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Find the common ancestor of two revisions
+ */
+async function getMergeBase(revA, revB = 'HEAD', options = {}) {
+  return (await runGit(['merge-base', revA, revB], options)).trim();
+}
+
+/**
+ * Read a file's content at a revision
+ * @param {string} revision - Commit-ish
+ * @param {string} filePath - Repo-relative path
+ * @param {Object} options - { cwd } (should be the repo root)
+ * @returns {Promise<string|null>} File content, or null if it does not exist there
+ */
+async function readFileAtRevision(revision, filePath, options = {}) {
+  try {
+    return await runGit(['show', `${revision}:${filePath}`], options);
+  } catch (error) {
+    return null;
+  }
+}
+
+export {
+  runGit,
+  getRepoRoot,
+  listChangedFiles,
+  listChangedLines,
+  getMergeBase,
+  readFileAtRevision,
+  APEX_PATHSPECS,
+};
@@ -44,7 +44,7 @@ class GraphAnalyzer {
         directDependencies: forward.length,
         totalAffected: affectedCount,
         riskScore: riskScore,
-        riskLevel: this._riskScoreTolevel(riskScore),
+        riskLevel: this.riskLevel(riskScore),
       },
       dependents: backward.slice(0, 10).map(d => ({
         id: d.node.id,
@@ -270,6 +270,16 @@ class GraphAnalyzer {
     };
   }
 
+  /**
+   * Map a risk score to low, medium, high or critical
+   */
+  riskLevel(score) {
+    if (score >= 30) return 'critical';
+    if (score >= 15) return 'high';
+    if (score >= 5) return 'medium';
+    return 'low';
+  }
+
   /**
    * ============ Helper Methods ============
    */
@@ -287,13 +297,6 @@ class GraphAnalyzer {
     return Math.round(baseScore * impactMultiplier);
   }
 
-  _riskScoreTolevel(score) {
-    if (score >= 30) return 'critical';
-    if (score >= 15) return 'high';
-    if (score >= 5) return 'medium';
-    return 'low';
-  }
-
   _calculateCriticalityScore(node, incomingEdges, outgoingEdges) {
     // Higher score = more critical
     const inDegreeWeight = incomingEdges.length * 2;
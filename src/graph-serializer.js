@@ -11,8 +11,25 @@
  */
 
 class GraphSerializer {
-  constructor(graph) {
+  /**
+   * @param {SemanticGraph} graph - Graph to serialize
+   * @param {Object} options - { schemaSnapshot } from SchemaRegistry.getSnapshot()
+   */
+  constructor(graph, options = {}) {
     this.graph = graph;
+    this.schemaSnapshot = options.schemaSnapshot || null;
+  }
+
+  /**
+   * Metadata block shared by the serializations
+   */
+  _metadata(type, fields = {}) {
+    return {
+      type,
+      timestamp: new Date().toISOString(),
+      ...fields,
+      schemaSnapshot: this.schemaSnapshot,
+    };
   }
 
   /**
@@ -23,12 +40,10 @@ class GraphSerializer {
     const edges = Array.from(this.graph.edges.values());
 
     return {
-      metadata: {
-        type: 'full_graph',
-        timestamp: new Date().toISOString(),
+      metadata: this._metadata('full_graph', {
         nodeCount: nodes.length,
         edgeCount: edges.length,
-      },
+      }),
       nodes: nodes.map(n => this._serializeNode(n)),
       edges: edges.map(e => this._serializeEdge(e)),
       stats: this.graph.getStats(),
@@ -49,14 +64,12 @@ class GraphSerializer {
     );
 
     return {
-      metadata: {
-        type: 'context_radius',
-        timestamp: new Date().toISOString(),
+      metadata: this._metadata('context_radius', {
         targetNode: context.targetNode.id,
         depth: depth,
         nodeCount: context.nodes.length,
         edgeCount: relevantEdges.length,
-      },
+      }),
       targetNode: this._serializeNode(context.targetNode),
       nodes: context.nodes.map(n => this._serializeNode(n)),
       edges: relevantEdges.map(e => this._serializeEdge(e)),
@@ -86,14 +99,12 @@ class GraphSerializer {
       .filter(n => n !== undefined);
 
     return {
-      metadata: {
-        type: 'impact_analysis',
-        timestamp: new Date().toISOString(),
+      metadata: this._metadata('impact_analysis', {
         targetNode: targetNodeId,
         depth: depth,
         nodeCount: impactedNodes.length,
         edgeCount: impactEdges.length,
-      },
+      }),
       targetNode: this._serializeNode(this.graph.nodes.get(targetNodeId)),
       dependents: backward.map(d => ({
         node: this._serializeNode(d.node),
@@ -190,10 +201,7 @@ class GraphSerializer {
     }
 
     return {
-      metadata: {
-        type: 'semantic_outline',
-        timestamp: new Date().toISOString(),
-      },
+      metadata: this._metadata('semantic_outline'),
       outline,
     };
   }
@@ -216,12 +224,10 @@ class GraphSerializer {
     const relevantMethods = methodNodes.filter(m => methodsInCalls.has(m.id));
 
     return {
-      metadata: {
-        type: 'call_graph',
-        timestamp: new Date().toISOString(),
+      metadata: this._metadata('call_graph', {
         methodCount: relevantMethods.length,
         callCount: callEdges.length,
-      },
+      }),
       methods: relevantMethods.map(m => this._serializeNode(m)),
       calls: callEdges.map(e => ({
         from: e.from,
@@ -254,12 +260,10 @@ class GraphSerializer {
       .filter(n => n !== undefined);
 
     return {
-      metadata: {
-        type: 'data_flow',
-        timestamp: new Date().toISOString(),
+      metadata: this._metadata('data_flow', {
         nodeCount: affectedNodes.length,
         edgeCount: allEdges.length,
-      },
+      }),
       nodes: affectedNodes.map(n => this._serializeNode(n)),
       reads: readEdges.map(e => ({
         from: e.from,
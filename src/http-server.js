@@ -0,0 +1,421 @@
+/**
+ * HTTP/JSON API Server
+ *
+ * Long-running local server for dashboards and bots. The project graph and
+ * schemaRegistry stay in memory, so requests skip the cold start:
+ * 1. GET  /health                          - Loaded classes, objects, last refresh
+ * 2. GET  /parse?file= | POST /parse       - Parser output
+ * 3. GET  /context?file=&method=&format=   - Abstraction (json) or LLM text
+ * 4. GET  /semantic|/constraints|/impact?file= - LLM formatter views
+ * 5. GET  /graph/stats|impact|callers|path|hotspots - Graph queries
+ * 6. GET  /schema/objects[/<name>]         - Schema lookups
+ * 7. POST /refresh                         - Force a refresh
+ *
+ * A recursive file watcher refreshes the project when Apex sources or
+ * object metadata change, and the schema when the metadata cache changes.
+ */
+
+import fs from 'fs';
+import fse from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { parseFile, parseCode } from './parser.js';
+import { createAbstraction, estimateTokens, formatForLLM } from './abstraction.js';
+import { formatAsSemanticContext, formatAsConstraintContext, formatAsImpactContext } from './llm-formatter.js';
+import { GraphAnalyzer } from './graph-analyzer.js';
+import { Project } from './project.js';
+import { schemaRegistry as defaultSchemaRegistry } from './schema-registry.js';
+
+/**
+ * Error with an HTTP status code
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+class ApiServer extends EventEmitter {
+  /**
+   * @param {Object} options - { targets, index, watch, debounceMs, schemaRegistry }
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.targets = options.targets && options.targets.length > 0 ? options.targets : [process.cwd()];
+    this.schemaRegistry = options.schemaRegistry || defaultSchemaRegistry;
+    this.project = null;
+    this.server = null;
+    this.watchers = [];
+    this.lastRefresh = null;
+    this.pendingChanges = { sources: false, metadata: false, schema: false };
+    this.refreshTimer = null;
+    this.refreshing = Promise.resolve();
+
+    this.routes = {
+      'GET /health': () => this.health(),
+      'GET /parse': query => this.parse(query),
+      'POST /parse': (query, body) => this.parse({ ...query, ...body }),
+      'GET /context': query => this.context(query),
+      'GET /semantic': query => this.formatted(query, formatAsSemanticContext),
+      'GET /constraints': query => this.formatted(query, formatAsConstraintContext),
+      'GET /impact': query => this.formatted(query, formatAsImpactContext),
+      'GET /graph/stats': () => this.project.graph.getStats(),
+      'GET /graph/impact': query => this.graphImpact(query),
+      'GET /graph/callers': query => this.graphCallers(query),
+      'GET /graph/path': query => this.graphPath(query),
+      'GET /graph/hotspots': query => this.analyzer().findHotspots(Number(query.limit) || 10),
+      'GET /schema/objects': () => ({ objects: this.schemaRegistry.getAllObjects().sort() }),
+      'POST /refresh': () => this.refresh({ sources: true, metadata: true, schema: true }),
+    };
+  }
+
+  /**
+   * Load the project, start watching and listen for requests
+   * @param {number} port - Port to listen on (0 picks a free port)
+   * @param {string} host - Interface to bind
+   * @returns {Promise<Object>} { host, port }
+   */
+  async start(port = 3000, host = '127.0.0.1') {
+    await this.schemaRegistry.loadFromCache();
+    this.project = new Project(this.targets, {
+      index: this.options.index !== undefined ? this.options.index : true,
+      schemaRegistry: this.schemaRegistry,
+    });
+    await this.project.refresh();
+    this.lastRefresh = new Date().toISOString();
+
+    if (this.options.watch !== false) {
+      this._watch();
+    }
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    const address = this.server.address();
+    return { host: address.address, port: address.port };
+  }
+
+  /**
+   * Stop watching and close the server
+   */
+  async stop() {
+    clearTimeout(this.refreshTimer);
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    await this.refreshing;
+  }
+
+  /**
+   * Bring the project and schema up to date
+   * @param {Object} changes - { sources, metadata, schema } flags of what changed
+   * @returns {Promise<Object>} Refresh summary
+   */
+  refresh(changes = { sources: true }) {
+    const result = this.refreshing.then(async () => {
+      const summary = { added: [], changed: [], removed: [], affected: [], objects: [] };
+
+      if (changes.schema) {
+        await this.schemaRegistry.reload();
+      }
+      if (changes.schema || changes.metadata) {
+        summary.objects = await this.project.reloadMetadata();
+      }
+      if (changes.sources) {
+        Object.assign(summary, await this.project.refresh());
+      }
+
+      this.lastRefresh = new Date().toISOString();
+      this.emit('refresh', summary);
+      return summary;
+    });
+
+    // A failed refresh must not block the requests queued behind it
+    this.refreshing = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * GET /health
+   */
+  health() {
+    return {
+      status: 'ok',
+      targets: this.targets,
+      classes: this.project.parsedClasses.length,
+      objects: this.schemaRegistry.getAllObjects().length,
+      errors: this.project.errors,
+      lastRefresh: this.lastRefresh,
+    };
+  }
+
+  /**
+   * GET|POST /parse - a project file or a posted code string
+   */
+  async parse(params) {
+    if (params.code) {
+      return parseCode(params.code, { fileType: params.fileType || 'class' });
+    }
+    return this._parsedFile(params);
+  }
+
+  /**
+   * GET /context
+   */
+  async context(params) {
+    const abstraction = await this._abstraction(params, {
+      targetMethod: params.method || null,
+      includeMethodBodies: params.bodies === 'true',
+    });
+    if (params.format === 'llm') {
+      return { text: `${formatForLLM(abstraction)}\n\n# Estimated tokens: ~${abstraction.tokens}` };
+    }
+    return abstraction;
+  }
+
+  /**
+   * GET /semantic, /constraints, /impact
+   */
+  async formatted(params, formatter) {
+    const abstraction = await this._abstraction(params);
+    return { text: formatter(abstraction) };
+  }
+
+  /**
+   * GET /graph/impact?node=&depth=
+   */
+  graphImpact(params) {
+    const nodeId = this._nodeId(requireParam(params, 'node'));
+    return this.analyzer().analyzeImpact(nodeId, Number(params.depth) || 3);
+  }
+
+  /**
+   * GET /graph/callers?method=Class.method
+   */
+  graphCallers(params) {
+    const method = requireParam(params, 'method');
+    if (!this.project.graph.methodNodes.has(method)) {
+      throw new HttpError(404, `Method not found: ${method}`);
+    }
+    return this.project.resolver.buildImpactMap(method);
+  }
+
+  /**
+   * GET /graph/path?from=&to=&maxDepth=
+   */
+  graphPath(params) {
+    const fromId = this._nodeId(requireParam(params, 'from'));
+    const toId = this._nodeId(requireParam(params, 'to'));
+    return this.analyzer().traceCallPath(fromId, toId, Number(params.maxDepth) || 5);
+  }
+
+  /**
+   * Analyzer over the current graph
+   */
+  analyzer() {
+    return new GraphAnalyzer(this.project.graph, this.project.resolver);
+  }
+
+  /**
+   * Route a request and write the JSON response
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    try {
+      await this.refreshing;
+
+      let handler = this.routes[`${req.method} ${pathname}`];
+      const objectMatch = pathname.match(/^\/schema\/objects\/([^/]+)$/);
+      if (!handler && req.method === 'GET' && objectMatch) {
+        handler = () => this._describeObject(decodeURIComponent(objectMatch[1]));
+      }
+      if (!handler) {
+        throw new HttpError(404, `No route for ${req.method} ${pathname}`);
+      }
+
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      sendJson(res, 200, await handler(query, body));
+    } catch (error) {
+      sendJson(res, error.status || 500, { error: error.message });
+    }
+  }
+
+  /**
+   * GET /schema/objects/<name>
+   */
+  _describeObject(name) {
+    const object = this.schemaRegistry.describeObject(name);
+    if (!object) {
+      throw new HttpError(404, `SObject not found: ${name}`);
+    }
+    return object;
+  }
+
+  /**
+   * Parse result for ?file=, taken from the loaded project when possible
+   */
+  async _parsedFile(params) {
+    const file = path.resolve(requireParam(params, 'file'));
+    const loaded = this.project.parsedClasses.find(p => p.path === file);
+    if (loaded) return loaded;
+
+    if (!await fse.pathExists(file)) {
+      throw new HttpError(404, `File not found: ${params.file}`);
+    }
+    try {
+      return await parseFile(file);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+
+  /**
+   * Abstraction of ?file= built from the in-memory parse result
+   */
+  async _abstraction(params, options = {}) {
+    const parsed = await this._parsedFile(params);
+    const abstraction = await createAbstraction(parsed, {
+      ...options,
+      resolveSchema: params.schema !== 'false',
+      includeValidationRules: params.schema !== 'false',
+    });
+    abstraction.tokens = estimateTokens(abstraction);
+    return abstraction;
+  }
+
+  /**
+   * Resolve a node reference given as an id or a bare name
+   */
+  _nodeId(reference) {
+    const { graph } = this.project;
+    const id = [
+      reference,
+      graph.nodeId('method', reference),
+      graph.nodeId('class', reference),
+      graph.nodeId('sobject', reference),
+    ].find(candidate => graph.nodes.has(candidate));
+
+    if (!id) {
+      throw new HttpError(404, `Node not found: ${reference}`);
+    }
+    return id;
+  }
+
+  /**
+   * Watch project targets and the metadata cache, debouncing refreshes
+   */
+  _watch() {
+    const directories = new Set();
+    for (const target of this.targets) {
+      const resolved = path.resolve(target);
+      if (fs.existsSync(resolved)) {
+        directories.add(fs.statSync(resolved).isDirectory() ? resolved : path.dirname(resolved));
+      }
+    }
+
+    for (const directory of directories) {
+      this._watchDirectory(directory, fileName => {
+        if (!fileName) return;
+        if (/\.(cls|trigger)$/i.test(fileName)) {
+          this._scheduleRefresh('sources');
+        } else if (fileName.endsWith('-meta.xml') && fileName.split(path.sep).includes('objects')) {
+          this._scheduleRefresh('metadata');
+        }
+      });
+    }
+
+    const cacheDir = path.resolve(this.schemaRegistry.cacheDir);
+    if (fs.existsSync(cacheDir)) {
+      this._watchDirectory(cacheDir, () => this._scheduleRefresh('schema'));
+    }
+  }
+
+  /**
+   * Start a recursive watcher on one directory
+   */
+  _watchDirectory(directory, onChange) {
+    try {
+      const watcher = fs.watch(directory, { recursive: true }, (eventType, fileName) =>
+        onChange(fileName ? fileName.toString() : null)
+      );
+      watcher.on('error', error => this.emit('error', error));
+      this.watchers.push(watcher);
+    } catch (error) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Collect change kinds and refresh once the burst of events settles
+   */
+  _scheduleRefresh(kind) {
+    this.pendingChanges[kind] = true;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      const changes = this.pendingChanges;
+      this.pendingChanges = { sources: false, metadata: false, schema: false };
+      this.refresh(changes).catch(error => this.emit('error', error));
+    }, this.options.debounceMs || 200);
+  }
+}
+
+/**
+ * Read a required query parameter
+ */
+function requireParam(params, name) {
+  if (!params[name]) {
+    throw new HttpError(400, `Missing required parameter: ${name}`);
+  }
+  return params[name];
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf-8');
+  if (!text.trim()) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON response
+ */
+function sendJson(res, status, data) {
+  const body = JSON.stringify(data, (key, value) => (value instanceof Map ? Object.fromEntries(value) : value));
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+export {
+  ApiServer,
+  HttpError,
+};
@@ -0,0 +1,147 @@
+/**
+ * Incremental Ingest
+ *
+ * Re-ingests only what changed in the org since the last run:
+ * 1. List components of the ingested types (listMetadata)
+ * 2. Compare their lastModifiedDate with the state recorded last time
+ * 3. Retrieve changed components and merge them into the cache
+ * 4. Drop deleted components from the cache
+ * 5. Record the new state in `.asfst-cache/components.json`
+ *
+ * Listing and retrieval are injected, so the plan can be driven by a local
+ * stand-in instead of an org.
+ */
+
+import fse from 'fs-extra';
+import path from 'path';
+import { CACHE_DIR, cacheMetadata, removeCachedComponents, writeCacheManifest } from './caching.js';
+import { DEFAULT_METADATA_TYPES } from './metadata-manifest.js';
+
+/**
+ * Component state file, relative to the cache directory
+ */
+const STATE_FILE = 'components.json';
+
+/**
+ * Types listed alongside a type, because editing them does not change the
+ * parent's lastModifiedDate
+ */
+const CHILD_TYPES = {
+  CustomObject: ['CustomField', 'ValidationRule', 'RecordType'],
+};
+
+/**
+ * Expand types with the child types whose changes must be detected too
+ */
+function expandTypes(types) {
+  return [...new Set(types.flatMap(type => [type, ...(CHILD_TYPES[type] || [])]))];
+}
+
+/**
+ * Key of a component in the recorded state
+ */
+function componentKey(component) {
+  return `${component.type}:${component.fullName}`;
+}
+
+/**
+ * Read the component state recorded by the last ingest
+ * @returns {Promise<Object|null>} { retrievedAt, components: { key: { type, fullName, lastModifiedDate } } }
+ */
+async function readIngestState(cacheDir = CACHE_DIR) {
+  const statePath = path.join(cacheDir, STATE_FILE);
+  if (!await fse.pathExists(statePath)) return null;
+  return fse.readJson(statePath);
+}
+
+/**
+ * Compare listed components with the recorded state
+ * @param {Object|null} state - State from readIngestState
+ * @param {Object[]} listed - listMetadata results ({ type, fullName, lastModifiedDate })
+ * @param {string[]} types - Types that were listed; recorded components of other types are left alone
+ * @returns {Object} { full, changed, deleted, unchanged }
+ */
+function planIncrementalIngest(state, listed, types) {
+  if (!state) {
+    return { full: true, changed: listed, deleted: [], unchanged: 0 };
+  }
+
+  const listedKeys = new Set();
+  const changed = [];
+  let unchanged = 0;
+
+  for (const component of listed) {
+    const key = componentKey(component);
+    listedKeys.add(key);
+
+    const previous = state.components[key];
+    if (previous && previous.lastModifiedDate === component.lastModifiedDate) {
+      unchanged++;
+    } else {
+      changed.push(component);
+    }
+  }
+
+  const listedTypes = new Set(types);
+  const deleted = Object.entries(state.components)
+    .filter(([key, component]) => listedTypes.has(component.type) && !listedKeys.has(key))
+    .map(([, component]) => component);
+
+  return { full: false, changed, deleted, unchanged };
+}
+
+/**
+ * Run an incremental ingest
+ * @param {Object} options - { lister, retriever, types, cacheDir, snapshot }
+ *   lister(types) resolves to listMetadata results;
+ *   retriever(components) retrieves them and resolves to the output directory
+ * @returns {Promise<Object>} The executed plan plus the cache summary
+ */
+async function incrementalIngest(options) {
+  const cacheDir = options.cacheDir || CACHE_DIR;
+  const baseTypes = options.types && options.types.length > 0 ? options.types : DEFAULT_METADATA_TYPES;
+  const types = expandTypes(baseTypes);
+
+  const state = await readIngestState(cacheDir);
+  const listed = (await options.lister(types)).map(({ type, fullName, lastModifiedDate }) => ({
+    type, fullName, lastModifiedDate,
+  }));
+  const plan = planIncrementalIngest(state, listed, types);
+
+  let summary = null;
+  const toRetrieve = plan.full
+    ? baseTypes.map(type => ({ type, fullName: '*' }))
+    : plan.changed;
+  if (toRetrieve.length > 0) {
+    const outputDir = await options.retriever(toRetrieve);
+    summary = await cacheMetadata(outputDir, { cacheDir, snapshot: options.snapshot });
+  }
+  if (plan.deleted.length > 0) {
+    await removeCachedComponents(plan.deleted, { cacheDir });
+  }
+
+  const listedTypes = new Set(types);
+  const components = Object.fromEntries(
+    Object.entries(state?.components || {}).filter(([, component]) => !listedTypes.has(component.type))
+  );
+  for (const component of listed) {
+    components[componentKey(component)] = component;
+  }
+  await fse.outputJson(path.join(cacheDir, STATE_FILE), {
+    retrievedAt: new Date().toISOString(),
+    components,
+  }, { spaces: 2 });
+
+  // Even with nothing retrieved, the cache is now known to match the org
+  await writeCacheManifest(cacheDir, options.snapshot || { source: 'org' });
+
+  return { ...plan, summary };
+}
+
+export {
+  incrementalIngest,
+  planIncrementalIngest,
+  readIngestState,
+  expandTypes,
+  CHILD_TYPES,
+};
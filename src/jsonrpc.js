@@ -0,0 +1,233 @@
+/**
+ * JSON-RPC 2.0 Connection
+ *
+ * Minimal JSON-RPC transport over a pair of streams (usually stdin/stdout),
+ * shared by the language server and the MCP server:
+ * 1. 'header' framing - LSP style `Content-Length: N\r\n\r\n{...}`
+ * 2. 'line' framing - one JSON message per line (MCP stdio)
+ *
+ * Requests are dispatched to registered handlers; a handler's return value
+ * (or thrown ResponseError) becomes the response.
+ */
+
+/**
+ * Standard JSON-RPC error codes
+ */
+const ErrorCodes = {
+  ParseError: -32700,
+  InvalidRequest: -32600,
+  MethodNotFound: -32601,
+  InvalidParams: -32602,
+  InternalError: -32603,
+};
+
+/**
+ * Error returned to the client as a JSON-RPC error response
+ */
+class ResponseError extends Error {
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.name = 'ResponseError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+class JsonRpcConnection {
+  /**
+   * @param {Readable} input - Stream messages are read from
+   * @param {Writable} output - Stream messages are written to
+   * @param {Object} options - { framing: 'header' | 'line' }
+   */
+  constructor(input, output, options = {}) {
+    this.input = input;
+    this.output = output;
+    this.framing = options.framing || 'header';
+    this.requestHandlers = new Map();
+    this.notificationHandlers = new Map();
+    this.buffer = Buffer.alloc(0);
+    this.queue = Promise.resolve(); // Messages are handled one at a time, in order
+    this.closed = false;
+  }
+
+  /**
+   * Register a handler for a request method
+   */
+  onRequest(method, handler) {
+    this.requestHandlers.set(method, handler);
+  }
+
+  /**
+   * Register a handler for a notification method
+   */
+  onNotification(method, handler) {
+    this.notificationHandlers.set(method, handler);
+  }
+
+  /**
+   * Send a notification to the client
+   */
+  sendNotification(method, params) {
+    this._write({ jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Start reading messages
+   * @returns {Promise<void>} Resolves when the input ends or close() is called
+   */
+  listen() {
+    return new Promise((resolve) => {
+      this._resolveClosed = resolve;
+      this.input.on('data', chunk => this._onData(chunk));
+      this.input.on('end', () => this.close());
+    });
+  }
+
+  /**
+   * Stop reading messages; listen() resolves once queued messages are handled
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this._resolveClosed) {
+      this.queue.then(this._resolveClosed);
+    }
+  }
+
+  /**
+   * Split incoming data into messages according to the framing
+   */
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (!this.closed) {
+      const body = this.framing === 'line' ? this._readLine() : this._readFramed();
+      if (body === null) break;
+      if (body.trim()) {
+        this._handleBody(body);
+      }
+    }
+  }
+
+  /**
+   * Read one Content-Length framed message body, if complete
+   */
+  _readFramed() {
+    const headerEnd = this.buffer.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return null;
+
+    const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+    const match = header.match(/Content-Length:\s*(\d+)/i);
+    if (!match) {
+      // Unrecoverable framing error: drop the bad header and continue
+      this.buffer = this.buffer.subarray(headerEnd + 4);
+      return '';
+    }
+
+    const length = Number(match[1]);
+    const start = headerEnd + 4;
+    if (this.buffer.length < start + length) return null;
+
+    const body = this.buffer.subarray(start, start + length).toString('utf-8');
+    this.buffer = this.buffer.subarray(start + length);
+    return body;
+  }
+
+  /**
+   * Read one newline-delimited message body, if complete
+   */
+  _readLine() {
+    const newline = this.buffer.indexOf('\n');
+    if (newline === -1) return null;
+
+    const body = this.buffer.subarray(0, newline).toString('utf-8');
+    this.buffer = this.buffer.subarray(newline + 1);
+    return body;
+  }
+
+  /**
+   * Parse and dispatch a message body
+   */
+  _handleBody(body) {
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      this._write({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: ErrorCodes.ParseError, message: `Invalid JSON: ${error.message}` },
+      });
+      return;
+    }
+
+    this.queue = this.queue.then(() => this._dispatch(message));
+  }
+
+  /**
+   * Invoke the handler for a request or notification
+   */
+  async _dispatch(message) {
+    const isRequest = message.id !== undefined && message.id !== null;
+
+    if (!message.method) {
+      // Responses to server-initiated requests are not used
+      return;
+    }
+
+    if (!isRequest) {
+      const handler = this.notificationHandlers.get(message.method);
+      if (handler) {
+        try {
+          await handler(message.params || {});
+        } catch (error) {
+          // Notifications have no response channel
+        }
+      }
+      return;
+    }
+
+    const handler = this.requestHandlers.get(message.method);
+    if (!handler) {
+      this._write({
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: ErrorCodes.MethodNotFound, message: `Method not found: ${message.method}` },
+      });
+      return;
+    }
+
+    try {
+      const result = await handler(message.params || {});
+      this._write({ jsonrpc: '2.0', id: message.id, result: result === undefined ? null : result });
+    } catch (error) {
+      this._write({
+        jsonrpc: '2.0',
+        id: message.id,
+        error: {
+          code: error instanceof ResponseError ? error.code : ErrorCodes.InternalError,
+          message: error.message,
+          ...(error.data !== undefined ? { data: error.data } : {}),
+        },
+      });
+    }
+  }
+
+  /**
+   * Serialize and write a message with the configured framing
+   */
+  _write(message) {
+    const body = JSON.stringify(message);
+    if (this.framing === 'line') {
+      this.output.write(`${body}\n`);
+    } else {
+      this.output.write(`Content-Length: ${Buffer.byteLength(body, 'utf-8')}\r\n\r\n${body}`);
+    }
+  }
+}
+
+export {
+  JsonRpcConnection,
+  ResponseError,
+  ErrorCodes,
+};
@@ -9,6 +9,7 @@
 
 import { TypeResolver } from './type-resolver.js';
 import { schemaRegistry } from './schema-registry.js';
+import { formatSnapshotHeader, formatAccess } from './abstraction.js';
 
 /**
  * Format abstraction as semantic context for AI understanding
@@ -21,6 +22,7 @@ function formatAsSemanticContext(abstraction) {
   // Header
   lines.push(`# Semantic Analysis: ${meta.name}`);
   lines.push(`Type: ${meta.type} | File: ${meta.file}`);
+  lines.push(...formatSnapshotHeader(meta.schemaSnapshot));
   lines.push('');
 
   // Class purpose/intent
@@ -79,12 +81,17 @@ function formatAsSemanticContext(abstraction) {
 /**
  * Format as constraint-focused context
  * Emphasizes what fields are accessed and their constraints
+ * @param {TypeResolver} typeResolver - Source of field constraints; defaults
+ *   to one that checks the access the abstraction was built with
  */
-function formatAsConstraintContext(abstraction, typeResolver) {
+function formatAsConstraintContext(abstraction, typeResolver = null) {
+  const resolver = typeResolver ||
+    new TypeResolver(null, schemaRegistry, { access: abstraction.access?.principal });
   const lines = [];
   const { meta, methods, touches } = abstraction;
 
   lines.push(`# Constraint Model: ${meta.name}`);
+  lines.push(...formatSnapshotHeader(meta.schemaSnapshot));
   lines.push('');
 
   // Object schemas with field details
@@ -106,9 +113,12 @@ function formatAsConstraintContext(abstraction, typeResolver) {
         if (fieldsAccessed.length > 0) {
           lines.push(`  Fields used:`);
           for (const field of fieldsAccessed) {
-            const fieldInfo = schemaRegistry.getField(obj, field);
+            const fieldInfo = resolver.getFieldConstraints(obj, field);
             if (fieldInfo) {
-              lines.push(`    - ${field}: ${fieldInfo.type}${fieldInfo.required ? ' (required)' : ''}`);
+              const { access } = fieldInfo;
+              const restriction = access && !access.editable ? ` [${access.readable ? 'read-only' : 'hidden'}]` : '';
+              lines.push(`    - ${field}: ${fieldInfo.type}${fieldInfo.required ? ' (required)' : ''}${restriction}`);
+              lines.push(...formatPicklistValues(obj, field, fieldInfo));
             } else {
               lines.push(`    - ${field}: ?`);
             }
@@ -138,9 +148,29 @@ function formatAsConstraintContext(abstraction, typeResolver) {
     }
   }
 
+  if (abstraction.access) {
+    lines.push('');
+    lines.push(...formatAccess(abstraction.access));
+  }
+
   return lines.join('\n');
 }
 
+/**
+ * Legal values of a picklist field, overall and per record type
+ */
+function formatPicklistValues(objectName, fieldName, fieldInfo) {
+  const values = schemaRegistry.getPicklistValues(objectName, fieldName);
+  if (!values || values.length === 0) return [];
+
+  const source = fieldInfo.valueSetName ? ` (global value set ${fieldInfo.valueSetName})` : '';
+  const lines = [`        values${fieldInfo.restricted ? ' (restricted)' : ''}: ${values.join(', ')}${source}`];
+  for (const [recordType, recordTypeValues] of Object.entries(fieldInfo.recordTypeValues || {})) {
+    lines.push(`        record type ${recordType}: ${recordTypeValues.join(', ')}`);
+  }
+  return lines;
+}
+
 /**
  * Format as impact analysis
  * Shows what could be affected by changes to this code
@@ -150,6 +180,7 @@ function formatAsImpactContext(abstraction) {
   const { meta, touches, complexity } = abstraction;
 
   lines.push(`# Impact Analysis: ${meta.name}`);
+  lines.push(...formatSnapshotHeader(meta.schemaSnapshot));
   lines.push('');
 
   lines.push('## Risk Assessment');
@@ -0,0 +1,602 @@
+/**
+ * Apex Language Server
+ *
+ * Language Server Protocol front-end over the same project model the CLI and
+ * the LLM formatters use, so editors see the context the AI sees:
+ * 1. Go to definition for classes, methods and fields
+ * 2. Find references from the ReferenceResolver call graph (getCallers)
+ * 3. Hover with SObject field types from the SchemaRegistry
+ * 4. Diagnostics for syntax errors and unknown SOQL fields
+ *
+ * Open documents are kept in the Project with updateSource(), so unsaved
+ * edits are reflected in references and the graph.
+ */
+
+import fse from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseSource } from './parser.js';
+import { Project } from './project.js';
+import { SymbolTable } from './symbol-table.js';
+import { schemaRegistry as defaultSchemaRegistry } from './schema-registry.js';
+import { JsonRpcConnection } from './jsonrpc.js';
+
+/**
+ * LSP constants used by this server
+ */
+const TextDocumentSyncKind = { Full: 1 };
+const DiagnosticSeverity = { Error: 1, Warning: 2 };
+
+/**
+ * Fields every SObject has, whether or not its metadata lists them
+ */
+const SYSTEM_FIELDS = new Set([
+  'id', 'name', 'ownerid', 'createdbyid', 'createddate', 'lastmodifiedbyid',
+  'lastmodifieddate', 'systemmodstamp', 'isdeleted', 'recordtypeid', 'currencyisocode',
+  'lastactivitydate', 'lastvieweddate', 'lastreferenceddate',
+]);
+
+/**
+ * Words that can precede an identifier without being its type
+ */
+const NON_TYPE_KEYWORDS = new Set(['return', 'new', 'else', 'throw', 'instanceof', 'in', 'and', 'or', 'not']);
+
+class ApexLanguageServer {
+  /**
+   * @param {JsonRpcConnection} connection - Connection to the editor
+   * @param {Object} options - { index, schemaRegistry, root }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.options = options;
+    this.schemaRegistry = options.schemaRegistry || defaultSchemaRegistry;
+    this.project = null;
+    this.documents = new Map(); // uri -> { text, version, parsed }
+    this.shutdownRequested = false;
+
+    this._registerHandlers();
+  }
+
+  /**
+   * Wire protocol methods to server methods
+   */
+  _registerHandlers() {
+    const connection = this.connection;
+
+    connection.onRequest('initialize', params => this.initialize(params));
+    connection.onNotification('initialized', () => {});
+    connection.onRequest('shutdown', () => {
+      this.shutdownRequested = true;
+      return null;
+    });
+    connection.onNotification('exit', () => connection.close());
+
+    connection.onNotification('textDocument/didOpen', ({ textDocument }) =>
+      this.updateDocument(textDocument.uri, textDocument.text, textDocument.version)
+    );
+    connection.onNotification('textDocument/didChange', ({ textDocument, contentChanges }) => {
+      const change = contentChanges[contentChanges.length - 1];
+      return change ? this.updateDocument(textDocument.uri, change.text, textDocument.version) : null;
+    });
+    connection.onNotification('textDocument/didClose', ({ textDocument }) =>
+      this.closeDocument(textDocument.uri)
+    );
+
+    connection.onRequest('textDocument/definition', params => this.definition(params));
+    connection.onRequest('textDocument/references', params => this.references(params));
+    connection.onRequest('textDocument/hover', params => this.hover(params));
+  }
+
+  /**
+   * Load the workspace and announce capabilities
+   */
+  async initialize(params) {
+    const root = params.rootUri
+      ? fileURLToPath(params.rootUri)
+      : (params.rootPath || this.options.root || process.cwd());
+
+    await this.schemaRegistry.loadFromCache();
+
+    this.project = new Project([root], {
+      index: this.options.index !== undefined ? this.options.index : true,
+      schemaRegistry: this.schemaRegistry,
+    });
+    await this.project.load();
+    this.project.buildGraph();
+
+    return {
+      capabilities: {
+        textDocumentSync: {
+          openClose: true,
+          change: TextDocumentSyncKind.Full,
+        },
+        definitionProvider: true,
+        referencesProvider: true,
+        hoverProvider: true,
+      },
+      serverInfo: { name: 'asfst' },
+    };
+  }
+
+  /**
+   * Re-parse an open document, update the project and publish diagnostics
+   */
+  async updateDocument(uri, text, version = null) {
+    const filePath = fileURLToPath(uri);
+    let parsed = await this.project.updateSource(filePath, text);
+
+    // Keep syntax diagnostics for sources the project could not register
+    let failure = null;
+    if (!parsed) {
+      failure = this.project.errors.find(e => e.file === path.resolve(filePath));
+      try {
+        parsed = parseSource(text, filePath);
+      } catch (error) {
+        parsed = null;
+      }
+    }
+
+    this.documents.set(uri, { text, version, parsed });
+    this.connection.sendNotification('textDocument/publishDiagnostics', {
+      uri,
+      version: version === null ? undefined : version,
+      diagnostics: this.computeDiagnostics(parsed, text, failure),
+    });
+  }
+
+  /**
+   * Forget an open document and fall back to its content on disk
+   */
+  async closeDocument(uri) {
+    this.documents.delete(uri);
+    const filePath = fileURLToPath(uri);
+    if (await fse.pathExists(filePath)) {
+      await this.project.updateSource(filePath, await fse.readFile(filePath, 'utf-8'));
+    }
+    this.connection.sendNotification('textDocument/publishDiagnostics', { uri, diagnostics: [] });
+  }
+
+  /**
+   * Build diagnostics for a parse result
+   * @param {Object|null} parsed - Parse result of the document
+   * @param {string} text - Document text
+   * @param {Object|null} failure - Project load error for the document, if any
+   * @returns {Object[]} LSP diagnostics
+   */
+  computeDiagnostics(parsed, text, failure = null) {
+    const diagnostics = [];
+
+    if (failure && !(parsed?.errors?.length > 0)) {
+      diagnostics.push({
+        range: toRange(0, 0, 0),
+        severity: DiagnosticSeverity.Error,
+        source: 'asfst',
+        message: failure.message,
+      });
+    }
+
+    for (const error of (parsed?.errors || [])) {
+      const firstLine = (error.text || '').split('\n')[0];
+      diagnostics.push({
+        range: toRange(error.line - 1, error.column, Math.max(firstLine.length, 1)),
+        severity: DiagnosticSeverity.Error,
+        source: 'asfst',
+        message: error.type === 'missing'
+          ? `Syntax error: missing ${error.text || 'token'}`
+          : `Syntax error near "${firstLine}"`,
+      });
+    }
+
+    for (const query of (parsed?.soql || [])) {
+      const object = this._findObject(query.object);
+      if (!object) continue;
+
+      for (const field of query.fields) {
+        if (typeof field !== 'string' || field.includes('.') || field.includes('(')) continue;
+        if (SYSTEM_FIELDS.has(field.toLowerCase()) || findField(object, field)) continue;
+        // The catalog describe of a standard object cannot know its custom fields
+        if (object.fromCatalog && /__c$/i.test(field)) continue;
+
+        const position = locateInQuery(query, field);
+        diagnostics.push({
+          range: toRange(position.line, position.character, field.length),
+          severity: DiagnosticSeverity.Warning,
+          source: 'asfst',
+          message: `Unknown field ${field} on ${object.name}`,
+        });
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * textDocument/definition
+   */
+  definition({ textDocument, position }) {
+    const document = this._getDocument(textDocument.uri);
+    if (!document?.parsed) return null;
+
+    const target = getWordAt(document.text, position);
+    if (!target) return null;
+
+    const owner = target.qualifier
+      ? this._resolveQualifierClass(document, target.qualifier, position.line)
+      : document.parsed;
+
+    if (owner) {
+      const member = findMember(owner, target.word);
+      if (member) {
+        return this._location(owner, member.line, target.word);
+      }
+    }
+
+    if (!target.qualifier) {
+      const targetClass = this._findClass(target.word);
+      if (targetClass) {
+        return this._location(targetClass, findDeclarationLine(this._sourceOf(targetClass), targetClass.name), target.word);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * textDocument/references
+   */
+  references({ textDocument, position, context }) {
+    const document = this._getDocument(textDocument.uri);
+    if (!document?.parsed) return [];
+
+    const target = getWordAt(document.text, position);
+    if (!target) return [];
+
+    const owner = target.qualifier
+      ? this._resolveQualifierClass(document, target.qualifier, position.line)
+      : document.parsed;
+    const method = owner?.methods?.find(m => m.name === target.word);
+    if (!method) return [];
+
+    const locations = [];
+    if (context?.includeDeclaration) {
+      locations.push(this._location(owner, method.line, method.name));
+    }
+
+    const { graph, resolver } = this.project;
+    const targetId = graph.nodeId('method', `${owner.name}.${method.name}`);
+
+    for (const caller of resolver.getCallers(owner.name, method.name)) {
+      const callerClass = this._findClass(caller.split('.')[0]);
+      if (!callerClass) continue;
+
+      const callerId = caller.includes('.')
+        ? graph.nodeId('method', caller)
+        : graph.nodeId('class', caller);
+      const edge = (graph.outgoing.get(callerId) || [])
+        .find(e => e.to === targetId && e.type === 'calls');
+      if (edge?.metadata?.line) {
+        locations.push(this._location(callerClass, edge.metadata.line, method.name));
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * textDocument/hover
+   */
+  hover({ textDocument, position }) {
+    const document = this._getDocument(textDocument.uri);
+    if (!document?.parsed) return null;
+
+    const target = getWordAt(document.text, position);
+    if (!target) return null;
+
+    let value = null;
+
+    if (target.qualifier) {
+      const qualifierType = this._resolveQualifierType(document, target.qualifier, position.line);
+      const object = this._findObject(qualifierType);
+      const field = object ? findField(object, target.word) : null;
+      if (field) {
+        value = formatFieldHover(object, field);
+      } else {
+        const owner = this._findClass(qualifierType);
+        const method = owner?.methods?.find(m => m.name === target.word);
+        if (method) value = this._formatMethodHover(owner, method);
+      }
+    } else {
+      const query = findQueryAt(document.parsed, position);
+      const queryObject = query ? this._findObject(query.object) : null;
+      const field = queryObject ? findField(queryObject, target.word) : null;
+      const object = this._findObject(target.word);
+      const method = document.parsed.methods?.find(m => m.name === target.word);
+
+      if (field) {
+        value = formatFieldHover(queryObject, field);
+      } else if (object) {
+        value = formatObjectHover(object);
+      } else if (method) {
+        value = this._formatMethodHover(document.parsed, method);
+      }
+    }
+
+    if (!value) return null;
+    return {
+      contents: { kind: 'markdown', value },
+      range: target.range,
+    };
+  }
+
+  /**
+   * Get an open document, or a project file that is not open in the editor
+   */
+  _getDocument(uri) {
+    if (this.documents.has(uri)) {
+      return this.documents.get(uri);
+    }
+
+    const filePath = path.resolve(fileURLToPath(uri));
+    const parsed = this.project.parsedClasses.find(p => p.path === filePath);
+    return parsed ? { text: this._sourceOf(parsed), parsed } : null;
+  }
+
+  /**
+   * Resolve the class a qualifier refers to (class name, `this`, or a variable)
+   */
+  _resolveQualifierClass(document, qualifier, line) {
+    if (qualifier === 'this') return document.parsed;
+    return this._findClass(this._resolveQualifierType(document, qualifier, line));
+  }
+
+  /**
+   * Resolve the type name of a qualifier: a class/SObject name or a variable's base type
+   */
+  _resolveQualifierType(document, qualifier, line) {
+    if (this._findClass(qualifier) || this._findObject(qualifier)) {
+      return qualifier;
+    }
+    return resolveVariableType(document.parsed, document.text, qualifier, line);
+  }
+
+  /**
+   * Find a project class by name
+   */
+  _findClass(name) {
+    if (!name) return null;
+    return this.project.parsedClasses.find(p => p.name === name) || null;
+  }
+
+  /**
+   * Find an SObject schema by name, ignoring case like Apex does
+   */
+  _findObject(name) {
+    return this.schemaRegistry.findObject(name);
+  }
+
+  /**
+   * Current source text of a project class
+   */
+  _sourceOf(parsed) {
+    const uri = pathToFileURL(parsed.path).href;
+    return this.documents.get(uri)?.text || this.project.sourceCodeMap.get(parsed.file) || '';
+  }
+
+  /**
+   * Build an LSP location for a word on a 1-based line of a class
+   */
+  _location(parsed, line, word) {
+    const lineText = this._sourceOf(parsed).split('\n')[line - 1] || '';
+    const character = Math.max(lineText.search(new RegExp(`\\b${word}\\b`)), 0);
+    return {
+      uri: pathToFileURL(parsed.path).href,
+      range: toRange(line - 1, character, word.length),
+    };
+  }
+
+  /**
+   * Markdown hover for a method
+   */
+  _formatMethodHover(owner, method) {
+    const params = (method.parameters || []).map(p => `${p.type} ${p.name}`).join(', ');
+    const modifiers = method.modifiers?.length ? `${method.modifiers.join(' ')} ` : '';
+    const callers = this.project.resolver.getCallers(owner.name, method.name);
+    return [
+      '```apex',
+      `${modifiers}${method.returnType || 'void'} ${owner.name}.${method.name}(${params})`,
+      '```',
+      `Complexity: ${method.complexity || 0} | Callers: ${callers.length}`,
+    ].join('\n');
+  }
+}
+
+/**
+ * Identifier under a position, with the identifier before a preceding dot
+ * @returns {Object|null} { word, qualifier, range }
+ */
+function getWordAt(text, position) {
+  const lineText = text.split('\n')[position.line];
+  if (lineText === undefined) return null;
+
+  const isWordChar = ch => /[A-Za-z0-9_]/.test(ch || '');
+  let start = position.character;
+  let end = position.character;
+  while (start > 0 && isWordChar(lineText[start - 1])) start--;
+  while (end < lineText.length && isWordChar(lineText[end])) end++;
+  if (start === end) return null;
+
+  let qualifier = null;
+  const before = lineText.slice(0, start).match(/([A-Za-z_][A-Za-z0-9_]*)\s*\.\s*$/);
+  if (before) {
+    qualifier = before[1];
+  }
+
+  return {
+    word: lineText.slice(start, end),
+    qualifier,
+    range: {
+      start: { line: position.line, character: start },
+      end: { line: position.line, character: end },
+    },
+  };
+}
+
+/**
+ * Resolve a variable's base type from method parameters, class fields or
+ * local declarations that precede the given 0-based line
+ */
+function resolveVariableType(parsed, text, name, line) {
+  const symbols = new SymbolTable(parsed);
+  symbols.buildFromParsedResult();
+
+  const method = (parsed.methods || []).find(m =>
+    line + 1 >= m.line && line + 1 <= (m.endLine || m.line)
+  );
+  if (method) {
+    const parameter = symbols.createMethodScope(method).get(name);
+    if (parameter) return symbols.extractBaseType(parameter.type);
+  }
+
+  // Local declarations: `Account acc =`, `List<Account> accs;`, `for (Account acc :`
+  const start = method ? method.line - 1 : 0;
+  const scopeText = text.split('\n').slice(start, line + 1).join('\n');
+  const declaration = new RegExp(
+    `([A-Za-z_][\\w.]*(?:<[\\w.,\\s<>]+>)?(?:\\[\\])?)\\s+${name}\\s*[=;:,)]`,
+    'g'
+  );
+  let localType = null;
+  let match;
+  while ((match = declaration.exec(scopeText)) !== null) {
+    if (!NON_TYPE_KEYWORDS.has(match[1].toLowerCase())) {
+      localType = match[1];
+    }
+  }
+  if (localType) return symbols.extractBaseType(localType);
+
+  const symbol = symbols.resolveSymbol(name);
+  if (symbol?.kind === 'field') return symbols.extractBaseType(symbol.type);
+
+  return null;
+}
+
+/**
+ * Find a method, field or property of a parsed class by name
+ */
+function findMember(parsed, name) {
+  return (parsed.methods || []).find(m => m.name === name) ||
+    (parsed.fields || []).find(f => f.name === name) ||
+    (parsed.properties || []).find(p => p.name === name) ||
+    null;
+}
+
+/**
+ * Find the 1-based line of a class, interface, trigger or enum declaration
+ */
+function findDeclarationLine(sourceCode, name) {
+  const pattern = new RegExp(`\\b(class|interface|trigger|enum)\\s+${name}\\b`, 'i');
+  const index = sourceCode.split('\n').findIndex(line => pattern.test(line));
+  return index >= 0 ? index + 1 : 1;
+}
+
+/**
+ * Find a field on an object schema, ignoring case
+ */
+function findField(object, fieldName) {
+  const exact = object.fields.get(fieldName);
+  if (exact) return exact;
+
+  const lower = fieldName.toLowerCase();
+  for (const [name, field] of object.fields) {
+    if (name.toLowerCase() === lower) return field;
+  }
+  return null;
+}
+
+/**
+ * Find the SOQL query that spans a position
+ */
+function findQueryAt(parsed, position) {
+  for (const query of (parsed.soql || [])) {
+    const startLine = query.line - 1;
+    const endLine = startLine + query.query.split('\n').length - 1;
+    if (position.line >= startLine && position.line <= endLine) {
+      return query;
+    }
+  }
+  return null;
+}
+
+/**
+ * Position (0-based) of a selected field inside a query's text
+ */
+function locateInQuery(query, field) {
+  const selectIndex = Math.max(query.query.search(/\bSELECT\b/i), 0);
+  const offset = query.query.slice(selectIndex).search(new RegExp(`\\b${field}\\b`));
+  const index = selectIndex + Math.max(offset, 0);
+
+  const prefix = query.query.slice(0, index);
+  const newlines = prefix.split('\n').length - 1;
+  return {
+    line: query.line - 1 + newlines,
+    character: newlines === 0 ? query.column + index : index - prefix.lastIndexOf('\n') - 1,
+  };
+}
+
+/**
+ * Single-line range starting at a 0-based position
+ */
+function toRange(line, character, length) {
+  return {
+    start: { line, character },
+    end: { line, character: character + length },
+  };
+}
+
+/**
+ * Markdown hover for an SObject field
+ */
+function formatFieldHover(object, field) {
+  const lines = [`**${object.name}.${field.name}** — ${field.type}`];
+
+  if (field.label && field.label !== field.name) lines.push(`Label: ${field.label}`);
+  if (field.required) lines.push('Required');
+  if (field.length) lines.push(`Length: ${field.length}`);
+  if (field.referenceTo) lines.push(`References: ${[].concat(field.referenceTo).join(', ')}`);
+  if (field.picklistValues?.length > 0) {
+    const values = field.picklistValues.map(v => v.fullName || v.label || v);
+    lines.push(`Values: ${values.slice(0, 10).join(', ')}${values.length > 10 ? ', …' : ''}`);
+  }
+  if (field.description) lines.push('', field.description);
+
+  return lines.join('\n\n');
+}
+
+/**
+ * Markdown hover for an SObject
+ */
+function formatObjectHover(object) {
+  const lines = [`**${object.name}** (${object.label})`];
+  lines.push(`Fields: ${object.fields.size}${object.isStandard ? ' (standard object)' : ''}`);
+  if (object.validationRules?.length > 0) {
+    lines.push(`Validation rules: ${object.validationRules.map(r => r.name).join(', ')}`);
+  }
+  return lines.join('\n\n');
+}
+
+/**
+ * Run the language server over stdio until the client exits
+ * @param {Object} options - Server options
+ * @returns {Promise<ApexLanguageServer>} The server, once the connection closed
+ */
+async function startLanguageServer(options = {}) {
+  const connection = new JsonRpcConnection(process.stdin, process.stdout, { framing: 'header' });
+  const server = new ApexLanguageServer(connection, options);
+  await connection.listen();
+  return server;
+}
+
+export {
+  ApexLanguageServer,
+  startLanguageServer,
+  getWordAt,
+};
@@ -0,0 +1,307 @@
+/**
+ * MCP Tool Server
+ *
+ * Model Context Protocol server over stdio, so AI agents can query AsfST
+ * directly instead of shelling out and scraping stdout. Tools:
+ * 1. get_context - LLM-formatted abstraction of a file (optionally one method)
+ * 2. get_impact - GraphAnalyzer impact analysis for a graph node
+ * 3. describe_sobject - SObject schema from the SchemaRegistry
+ * 4. find_callers - direct and indirect callers from the ReferenceResolver
+ * 5. trace_call_path - shortest call path between two methods
+ *
+ * The project stays loaded between calls; each graph tool refreshes it
+ * incrementally so edits made by the agent are picked up.
+ */
+
+import fse from 'fs-extra';
+import { abstractFile, formatForLLM } from './abstraction.js';
+import { GraphAnalyzer } from './graph-analyzer.js';
+import { Project } from './project.js';
+import { schemaRegistry as defaultSchemaRegistry } from './schema-registry.js';
+import { JsonRpcConnection, ResponseError, ErrorCodes } from './jsonrpc.js';
+
+/**
+ * Protocol revision implemented by this server
+ */
+const PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * Version reported to clients, from package.json
+ */
+const { version: PACKAGE_VERSION } = fse.readJsonSync(new URL('../package.json', import.meta.url));
+
+/**
+ * Tool definitions advertised through tools/list
+ */
+const TOOLS = [
+  {
+    name: 'get_context',
+    description: 'Condensed, schema-enriched context for an Apex file, optionally focused on one method with its callers and callees.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: { type: 'string', description: 'Path to a .cls or .trigger file' },
+        method: { type: 'string', description: 'Method to focus on' },
+      },
+      required: ['file'],
+    },
+  },
+  {
+    name: 'get_impact',
+    description: 'Blast radius and risk of changing a class, method or SObject across the project.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: { type: 'string', description: 'Node id (e.g. method:Class.method) or name (Class, Class.method, SObject)' },
+        depth: { type: 'number', description: 'Dependency hops to follow (default 3)' },
+      },
+      required: ['node'],
+    },
+  },
+  {
+    name: 'describe_sobject',
+    description: 'Fields, types and validation rules of an SObject from the schema cache and project metadata.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'SObject API name, e.g. Account or Invoice__c' },
+      },
+      required: ['name'],
+    },
+  },
+  {
+    name: 'find_callers',
+    description: 'Methods and triggers that call a method, directly and one level further up.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        method: { type: 'string', description: 'Method as Class.method' },
+      },
+      required: ['method'],
+    },
+  },
+  {
+    name: 'trace_call_path',
+    description: 'Shortest call path between two methods.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', description: 'Starting method as Class.method' },
+        to: { type: 'string', description: 'Target method as Class.method' },
+        maxDepth: { type: 'number', description: 'Maximum path length (default 5)' },
+      },
+      required: ['from', 'to'],
+    },
+  },
+];
+
+class McpServer {
+  /**
+   * @param {JsonRpcConnection} connection - Connection to the agent
+   * @param {Object} options - { targets, index, schemaRegistry }
+   */
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.options = options;
+    this.targets = options.targets && options.targets.length > 0 ? options.targets : [process.cwd()];
+    this.schemaRegistry = options.schemaRegistry || defaultSchemaRegistry;
+    this.project = null;
+
+    this.handlers = {
+      get_context: args => this.getContext(args),
+      get_impact: args => this.getImpact(args),
+      describe_sobject: args => this.describeSObject(args),
+      find_callers: args => this.findCallers(args),
+      trace_call_path: args => this.traceCallPath(args),
+    };
+
+    this._registerHandlers();
+  }
+
+  /**
+   * Wire protocol methods to server methods
+   */
+  _registerHandlers() {
+    const connection = this.connection;
+
+    connection.onRequest('initialize', params => ({
+      protocolVersion: params.protocolVersion || PROTOCOL_VERSION,
+      capabilities: { tools: {} },
+      serverInfo: { name: 'asfst', version: PACKAGE_VERSION },
+    }));
+    connection.onNotification('notifications/initialized', () => {});
+    connection.onRequest('ping', () => ({}));
+    connection.onRequest('tools/list', () => ({ tools: TOOLS }));
+    connection.onRequest('tools/call', params => this.callTool(params));
+  }
+
+  /**
+   * Run a tool; failures are reported to the agent as tool errors
+   */
+  async callTool({ name, arguments: args = {} }) {
+    const handler = this.handlers[name];
+    if (!handler) {
+      throw new ResponseError(ErrorCodes.InvalidParams, `Unknown tool: ${name}`);
+    }
+
+    const tool = TOOLS.find(t => t.name === name);
+    const missing = tool.inputSchema.required.filter(key => args[key] === undefined || args[key] === '');
+    if (missing.length > 0) {
+      return errorResult(`Missing required argument(s): ${missing.join(', ')}`);
+    }
+
+    try {
+      const result = await handler(args);
+      return {
+        content: [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error.message);
+    }
+  }
+
+  /**
+   * Load the project on first use, then refresh only what changed
+   */
+  async getProject() {
+    if (!this.project) {
+      await this.schemaRegistry.loadFromCache();
+      this.project = new Project(this.targets, {
+        index: this.options.index !== undefined ? this.options.index : true,
+        schemaRegistry: this.schemaRegistry,
+      });
+    }
+    await this.project.refresh();
+    return this.project;
+  }
+
+  /**
+   * get_context tool
+   */
+  async getContext({ file, method }) {
+    const abstraction = await abstractFile(file, { targetMethod: method || null });
+    if (method && abstraction.methods.length === 0) {
+      throw new Error(`Method not found: ${abstraction.meta.name}.${method}`);
+    }
+
+    const sections = [formatForLLM(abstraction)];
+    if (method) {
+      const project = await this.getProject();
+      const callers = project.resolver.getCallers(abstraction.meta.name, method);
+      const callees = project.resolver.getCallees(abstraction.meta.name, method);
+      sections.push([
+        '## Call Graph',
+        `Called by: ${callers.join(', ') || '(none)'}`,
+        `Calls: ${callees.join(', ') || '(none)'}`,
+      ].join('\n'));
+    }
+
+    return sections.join('\n');
+  }
+
+  /**
+   * get_impact tool
+   */
+  async getImpact({ node, depth }) {
+    const project = await this.getProject();
+    const analyzer = new GraphAnalyzer(project.graph, project.resolver);
+    return analyzer.analyzeImpact(resolveNodeId(project.graph, node), depth || 3);
+  }
+
+  /**
+   * describe_sobject tool
+   */
+  async describeSObject({ name }) {
+    await this.getProject();
+    const object = this.schemaRegistry.describeObject(name);
+    if (!object) {
+      throw new Error(`SObject not found: ${name}`);
+    }
+    return object;
+  }
+
+  /**
+   * find_callers tool
+   */
+  async findCallers({ method }) {
+    const project = await this.getProject();
+    const [className, methodName] = splitMethod(method);
+    if (!project.graph.methodNodes.has(`${className}.${methodName}`)) {
+      throw new Error(`Method not found: ${method}`);
+    }
+
+    const impact = project.resolver.buildImpactMap(`${className}.${methodName}`);
+    return {
+      method: `${className}.${methodName}`,
+      callers: impact.directImpact,
+      indirectCallers: impact.indirectImpact,
+    };
+  }
+
+  /**
+   * trace_call_path tool
+   */
+  async traceCallPath({ from, to, maxDepth }) {
+    const project = await this.getProject();
+    const analyzer = new GraphAnalyzer(project.graph, project.resolver);
+    const fromId = resolveNodeId(project.graph, from);
+    const toId = resolveNodeId(project.graph, to);
+    return analyzer.traceCallPath(fromId, toId, maxDepth || 5);
+  }
+}
+
+/**
+ * Resolve a node reference given as an id or a bare name
+ */
+function resolveNodeId(graph, reference) {
+  const candidates = [
+    reference,
+    graph.nodeId('method', reference),
+    graph.nodeId('class', reference),
+    graph.nodeId('sobject', reference),
+  ];
+  const id = candidates.find(candidate => graph.nodes.has(candidate));
+  if (!id) {
+    throw new Error(`Node not found: ${reference}`);
+  }
+  return id;
+}
+
+/**
+ * Split "Class.method" into its parts
+ */
+function splitMethod(reference) {
+  const index = reference.lastIndexOf('.');
+  if (index <= 0) {
+    throw new Error(`Expected Class.method, got: ${reference}`);
+  }
+  return [reference.slice(0, index), reference.slice(index + 1)];
+}
+
+/**
+ * Tool result that reports an error to the agent
+ */
+function errorResult(message) {
+  return {
+    content: [{ type: 'text', text: message }],
+    isError: true,
+  };
+}
+
+/**
+ * Run the MCP server over stdio until the client disconnects
+ * @param {Object} options - Server options
+ * @returns {Promise<McpServer>} The server, once the connection closed
+ */
+async function startMcpServer(options = {}) {
+  const connection = new JsonRpcConnection(process.stdin, process.stdout, { framing: 'line' });
+  const server = new McpServer(connection, options);
+  await connection.listen();
+  return server;
+}
+
+export {
+  McpServer,
+  startMcpServer,
+  TOOLS,
+};
@@ -0,0 +1,113 @@
+/**
+ * Metadata Component Selection
+ *
+ * Turns ingest options into the list of `{ type, fullName }` components to
+ * retrieve:
+ * 1. --types ApexClass CustomObject   - every component of those types
+ * 2. --metadata ApexClass:InvoiceService CustomObject:Invoice__c
+ * 3. --manifest package.xml           - the types and members of a manifest
+ *
+ * With no selection the default types are retrieved in full.
+ */
+
+import { readMetadataXml } from './source-format.js';
+
+/**
+ * Types retrieved when nothing is selected
+ */
+const DEFAULT_METADATA_TYPES = [
+  'ApexClass',
+  'ApexTrigger',
+  'CustomObject',
+  'CustomLabels',
+  'GlobalValueSet',
+  'Profile',
+  'PermissionSet',
+];
+
+/**
+ * Parse `Type:Name` (or bare `Type`) metadata arguments
+ * @param {string[]} values - Arguments as given on the command line
+ * @returns {Object[]} Components as { type, fullName }
+ */
+function parseMetadataArgs(values = []) {
+  return values.map(value => {
+    const separator = value.indexOf(':');
+    const type = (separator === -1 ? value : value.slice(0, separator)).trim();
+    const fullName = separator === -1 ? '*' : value.slice(separator + 1).trim();
+
+    if (!type || !fullName) {
+      throw new Error(`Invalid metadata "${value}", expected Type:Name`);
+    }
+    return { type, fullName };
+  });
+}
+
+/**
+ * Read the components listed in a package.xml manifest
+ * @param {string} manifestPath - Path to package.xml
+ * @returns {Promise<Object>} { components, apiVersion }
+ */
+async function readManifest(manifestPath) {
+  let document;
+  try {
+    document = await readMetadataXml(manifestPath);
+  } catch (error) {
+    throw new Error(`Cannot read manifest ${manifestPath}: ${error.message}`);
+  }
+
+  const pkg = document?.Package;
+  if (!pkg) {
+    throw new Error(`Not a package.xml manifest: ${manifestPath}`);
+  }
+
+  const components = [];
+  for (const entry of toArray(pkg.types)) {
+    for (const member of toArray(entry.members)) {
+      components.push({ type: entry.name, fullName: member });
+    }
+  }
+
+  return { components, apiVersion: pkg.version || null };
+}
+
+/**
+ * Combine --types, --metadata and manifest components, dropping duplicates
+ * and members already covered by a wildcard of the same type
+ * @param {Object} selection - { types, metadata, manifest } (manifest as returned by readManifest)
+ * @returns {Object[]} Components as { type, fullName }
+ */
+function selectComponents(selection = {}) {
+  const requested = [
+    ...(selection.types || []).map(type => ({ type, fullName: '*' })),
+    ...parseMetadataArgs(selection.metadata),
+    ...(selection.manifest?.components || []),
+  ];
+  const components = requested.length > 0
+    ? requested
+    : DEFAULT_METADATA_TYPES.map(type => ({ type, fullName: '*' }));
+
+  const wildcards = new Set(components.filter(c => c.fullName === '*').map(c => c.type));
+  const seen = new Set();
+  return components.filter(({ type, fullName }) => {
+    const key = `${type}:${fullName}`;
+    if (seen.has(key) || (fullName !== '*' && wildcards.has(type))) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Normalize a value xml2js may have parsed as a single item
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export {
+  DEFAULT_METADATA_TYPES,
+  parseMetadataArgs,
+  readManifest,
+  selectComponents,
+};
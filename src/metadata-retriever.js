@@ -2,21 +2,33 @@
 import { ComponentSet } from '@salesforce/source-deploy-retrieve';
 import { authorize } from './auth.js';
 
-async function retrieveMetadata(metadataTypes) {
-  const connection = await authorize();
+/**
+ * listMetadata allows at most this many queries per call
+ */
+const LIST_QUERY_LIMIT = 3;
+
+/**
+ * Retrieve metadata components from an org
+ * @param {Array<Object|string>} components - { type, fullName } entries, or type names to retrieve in full
+ * @param {Object} options - { output, apiVersion, connection, targetOrg }
+ */
+async function retrieveMetadata(components, options = {}) {
+  const connection = options.connection || await authorize({ targetOrg: options.targetOrg });
 
   const componentSet = new ComponentSet();
+  if (options.apiVersion) {
+    componentSet.sourceApiVersion = options.apiVersion;
+  }
 
-  for (const type of metadataTypes) {
-    componentSet.add({
-      fullName: '*',
-      type: type,
-    });
+  for (const component of components) {
+    componentSet.add(typeof component === 'string'
+      ? { fullName: '*', type: component }
+      : { fullName: component.fullName, type: component.type });
   }
 
   const retrieve = await componentSet.retrieve({
     usernameOrConnection: connection,
-    output: './metadata', // This is a temporary directory
+    output: options.output || './metadata', // This is a temporary directory
     merge: true,
   });
 
@@ -25,4 +37,37 @@ async function retrieveMetadata(metadataTypes) {
   return result;
 }
 
-export { retrieveMetadata };
+/**
+ * Create a lister for incremental ingest that calls listMetadata on the org
+ * @param {Connection} connection - Authorized org connection
+ * @returns {Function} (types) => Promise<FileProperties[]>
+ */
+function createMetadataLister(connection) {
+  return async (types) => {
+    const results = [];
+    for (let i = 0; i < types.length; i += LIST_QUERY_LIMIT) {
+      const queries = types.slice(i, i + LIST_QUERY_LIMIT).map(type => ({ type }));
+      const listed = await connection.metadata.list(queries);
+      results.push(...(Array.isArray(listed) ? listed : [listed]).filter(Boolean));
+    }
+    return results;
+  };
+}
+
+/**
+ * Identity of the org behind a connection, for the cache manifest
+ * @param {Connection} connection - Authorized org connection
+ * @returns {Object} { source, orgId, username, instanceUrl, apiVersion }
+ */
+function describeOrg(connection) {
+  const fields = connection.getAuthInfo().getFields();
+  return {
+    source: 'org',
+    orgId: fields.orgId,
+    username: fields.username,
+    instanceUrl: connection.instanceUrl || fields.instanceUrl,
+    apiVersion: connection.getApiVersion(),
+  };
+}
+
+export { retrieveMetadata, createMetadataLister, describeOrg };
@@ -0,0 +1,335 @@
+/**
+ * Org Drift Report
+ *
+ * Compares two metadata cache snapshots (e.g. a sandbox and production):
+ * 1. SObjects present in only one snapshot
+ * 2. Fields: type, length, required, reference, formula and picklist values
+ * 3. Validation rules: active flag, formula and message
+ * 4. Apex class and trigger signatures (declaration and methods)
+ *
+ * Objects are read through SchemaRegistry.parseObjectSchema and Apex through
+ * the parser, so the report sees the schema exactly as contexts do.
+ */
+
+import fse from 'fs-extra';
+import path from 'path';
+import { SchemaRegistry } from './schema-registry.js';
+import { parseSource } from './parser.js';
+import { diffParsed } from './semantic-diff.js';
+
+/**
+ * Field attributes compared between snapshots
+ */
+const FIELD_ATTRIBUTES = ['type', 'length', 'required', 'referenceTo', 'formula'];
+
+/**
+ * Validation rule attributes compared between snapshots
+ */
+const RULE_ATTRIBUTES = ['active', 'errorConditionFormula', 'errorMessage', 'errorDisplayField'];
+
+/**
+ * Load the schema and Apex of one cache snapshot
+ * @param {string} cacheDir - Cache directory
+ * @returns {Promise<Object>} { cacheDir, snapshot, objects, apex, errors }
+ */
+async function loadCacheSnapshot(cacheDir) {
+  if (!await fse.pathExists(cacheDir)) {
+    throw new Error(`Cache directory not found: ${cacheDir}`);
+  }
+
+  // Catalog standard objects are identical on both sides and only add noise
+  const registry = new SchemaRegistry({ cacheDir, standardObjects: false });
+  await registry.loadFromCache();
+
+  const apex = new Map();
+  const errors = [];
+  for (const [folder, extension] of [['classes', '.cls'], ['triggers', '.trigger']]) {
+    const dir = path.join(cacheDir, folder);
+    if (!await fse.pathExists(dir)) continue;
+
+    for (const file of (await fse.readdir(dir)).filter(f => f.endsWith(extension)).sort()) {
+      const filePath = path.join(dir, file);
+      try {
+        const parsed = parseSource(await fse.readFile(filePath, 'utf-8'), filePath);
+        apex.set(parsed.name || path.basename(file, extension), parsed);
+      } catch (error) {
+        errors.push({ file: filePath, message: error.message });
+      }
+    }
+  }
+
+  return {
+    cacheDir,
+    snapshot: registry.getSnapshot(),
+    objects: registry.objects,
+    apex,
+    errors,
+  };
+}
+
+/**
+ * Compare two cache snapshots
+ * @param {string} cacheDirA - First cache directory
+ * @param {string} cacheDirB - Second cache directory
+ * @returns {Promise<Object>} { a, b, objects, apex, summary }
+ */
+async function diffOrgCaches(cacheDirA, cacheDirB) {
+  const a = await loadCacheSnapshot(cacheDirA);
+  const b = await loadCacheSnapshot(cacheDirB);
+
+  const objects = diffObjects(a.objects, b.objects);
+  const apex = diffApex(a.apex, b.apex);
+
+  return {
+    a: { cacheDir: cacheDirA, snapshot: a.snapshot, errors: a.errors },
+    b: { cacheDir: cacheDirB, snapshot: b.snapshot, errors: b.errors },
+    objects,
+    apex,
+    summary: {
+      objectsOnlyInA: objects.onlyInA.length,
+      objectsOnlyInB: objects.onlyInB.length,
+      objectsChanged: objects.changed.length,
+      fieldDifferences: objects.changed.reduce((sum, o) =>
+        sum + o.fields.onlyInA.length + o.fields.onlyInB.length + o.fields.changed.length, 0),
+      ruleDifferences: objects.changed.reduce((sum, o) =>
+        sum + o.validationRules.onlyInA.length + o.validationRules.onlyInB.length + o.validationRules.changed.length, 0),
+      apexOnlyInA: apex.onlyInA.length,
+      apexOnlyInB: apex.onlyInB.length,
+      apexChanged: apex.changed.length,
+    },
+  };
+}
+
+/**
+ * Compare object schemas by name
+ * @param {Map} objectsA - Object schemas of snapshot A
+ * @param {Map} objectsB - Object schemas of snapshot B
+ */
+function diffObjects(objectsA, objectsB) {
+  const { onlyInA, onlyInB, shared } = splitKeys(objectsA, objectsB);
+  const changed = [];
+
+  for (const name of shared) {
+    const objectA = objectsA.get(name);
+    const objectB = objectsB.get(name);
+
+    const fields = diffMembers(objectA.fields, objectB.fields, diffField);
+    const validationRules = diffMembers(
+      new Map(objectA.validationRules.map(rule => [rule.name, rule])),
+      new Map(objectB.validationRules.map(rule => [rule.name, rule])),
+      (ruleA, ruleB) => diffAttributes(ruleA, ruleB, RULE_ATTRIBUTES)
+    );
+    const label = objectA.label !== objectB.label ? { a: objectA.label, b: objectB.label } : null;
+
+    if (label || !isEmpty(fields) || !isEmpty(validationRules)) {
+      changed.push({ name, label, fields, validationRules });
+    }
+  }
+
+  return { onlyInA, onlyInB, changed };
+}
+
+/**
+ * Compare two versions of a field
+ * @returns {Object} Changed attributes as { a, b }, picklist values as { onlyInA, onlyInB }
+ */
+function diffField(fieldA, fieldB) {
+  const changes = diffAttributes(fieldA, fieldB, FIELD_ATTRIBUTES);
+
+  const valuesA = picklistValueNames(fieldA);
+  const valuesB = picklistValueNames(fieldB);
+  const onlyInA = valuesA.filter(value => !valuesB.includes(value));
+  const onlyInB = valuesB.filter(value => !valuesA.includes(value));
+  if (onlyInA.length > 0 || onlyInB.length > 0) {
+    changes.picklistValues = { onlyInA, onlyInB };
+  }
+
+  return changes;
+}
+
+/**
+ * Compare Apex classes and triggers by name, on their signatures only
+ */
+function diffApex(apexA, apexB) {
+  const { onlyInA, onlyInB, shared } = splitKeys(apexA, apexB);
+  const changed = [];
+
+  for (const name of shared) {
+    const diff = diffParsed(apexA.get(name), apexB.get(name));
+    const declaration = Object.fromEntries(Object.entries(diff.declaration).map(([part, change]) => [
+      part,
+      'before' in change
+        ? { a: change.before, b: change.after }
+        : { onlyInA: change.removed, onlyInB: change.added },
+    ]));
+    const methods = {
+      onlyInA: diff.methods.removed.map(m => m.signature),
+      onlyInB: diff.methods.added.map(m => m.signature),
+      changed: diff.methods.changed.map(m => ({ name: m.name, a: m.before, b: m.after })),
+    };
+
+    if (Object.keys(declaration).length > 0 || !isEmpty(methods)) {
+      changed.push({ name, type: diff.type, declaration, methods });
+    }
+  }
+
+  return { onlyInA, onlyInB, changed };
+}
+
+/**
+ * Compare two maps of named members with a per-member diff function
+ */
+function diffMembers(membersA, membersB, diffMember) {
+  const { onlyInA, onlyInB, shared } = splitKeys(membersA, membersB);
+  const changed = [];
+
+  for (const name of shared) {
+    const changes = diffMember(membersA.get(name), membersB.get(name));
+    if (Object.keys(changes).length > 0) {
+      changed.push({ name, changes });
+    }
+  }
+
+  return { onlyInA, onlyInB, changed };
+}
+
+/**
+ * Compare plain attributes of two records
+ */
+function diffAttributes(recordA, recordB, attributes) {
+  const changes = {};
+  for (const attribute of attributes) {
+    const valueA = recordA[attribute] ?? null;
+    const valueB = recordB[attribute] ?? null;
+    if (valueA !== valueB) {
+      changes[attribute] = { a: valueA, b: valueB };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Split the keys of two maps into only-in-A, only-in-B and shared (sorted)
+ */
+function splitKeys(mapA, mapB) {
+  const keysA = Array.from(mapA.keys()).sort();
+  const keysB = Array.from(mapB.keys()).sort();
+  return {
+    onlyInA: keysA.filter(key => !mapB.has(key)),
+    onlyInB: keysB.filter(key => !mapA.has(key)),
+    shared: keysA.filter(key => mapB.has(key)),
+  };
+}
+
+/**
+ * Picklist value API names of a field
+ */
+function picklistValueNames(field) {
+  const values = field.picklistValues || [];
+  return (Array.isArray(values) ? values : [values]).map(value => value.fullName || value);
+}
+
+/**
+ * Check whether an { onlyInA, onlyInB, changed } diff is empty
+ */
+function isEmpty(diff) {
+  return diff.onlyInA.length === 0 && diff.onlyInB.length === 0 && diff.changed.length === 0;
+}
+
+/**
+ * Format an org diff as a readable report
+ */
+function formatOrgDiffReport(result) {
+  const lines = [];
+  const nameOf = side => side.snapshot?.origin || side.cacheDir;
+  const value = v => JSON.stringify(v);
+
+  lines.push(`# Org Drift: A = ${nameOf(result.a)} | B = ${nameOf(result.b)}`);
+  lines.push('');
+
+  const { objects, apex } = result;
+  if (objects.onlyInA.length > 0 || objects.onlyInB.length > 0 || objects.changed.length > 0) {
+    lines.push('## SObjects');
+    for (const name of objects.onlyInA) lines.push(`  < ${name} (only in A)`);
+    for (const name of objects.onlyInB) lines.push(`  > ${name} (only in B)`);
+
+    for (const object of objects.changed) {
+      lines.push(`  ~ ${object.name}`);
+      if (object.label) {
+        lines.push(`      label: ${value(object.label.a)} -> ${value(object.label.b)}`);
+      }
+      for (const name of object.fields.onlyInA) lines.push(`      < field ${name}`);
+      for (const name of object.fields.onlyInB) lines.push(`      > field ${name}`);
+      for (const field of object.fields.changed) {
+        lines.push(`      ~ field ${field.name}: ${describeChanges(field.changes)}`);
+      }
+      for (const name of object.validationRules.onlyInA) lines.push(`      < rule ${name}`);
+      for (const name of object.validationRules.onlyInB) lines.push(`      > rule ${name}`);
+      for (const rule of object.validationRules.changed) {
+        lines.push(`      ~ rule ${rule.name}: ${describeChanges(rule.changes)}`);
+      }
+    }
+    lines.push('');
+  }
+
+  if (apex.onlyInA.length > 0 || apex.onlyInB.length > 0 || apex.changed.length > 0) {
+    lines.push('## Apex');
+    for (const name of apex.onlyInA) lines.push(`  < ${name} (only in A)`);
+    for (const name of apex.onlyInB) lines.push(`  > ${name} (only in B)`);
+
+    for (const entry of apex.changed) {
+      lines.push(`  ~ ${entry.type} ${entry.name}`);
+      for (const [part, change] of Object.entries(entry.declaration)) {
+        lines.push(`      ~ ${describeChanges({ [part]: change })}`);
+      }
+      for (const signature of entry.methods.onlyInA) lines.push(`      < method ${signature}`);
+      for (const signature of entry.methods.onlyInB) lines.push(`      > method ${signature}`);
+      for (const method of entry.methods.changed) {
+        lines.push(`      ~ method ${method.name}: ${method.a} | ${method.b}`);
+      }
+    }
+    lines.push('');
+  }
+
+  const { summary } = result;
+  const total = Object.values(summary).reduce((sum, n) => sum + n, 0);
+  lines.push('## Summary');
+  if (total === 0) {
+    lines.push('No drift between the snapshots.');
+  } else {
+    lines.push(`SObjects: ${summary.objectsOnlyInA} only in A, ${summary.objectsOnlyInB} only in B, ${summary.objectsChanged} differ`);
+    lines.push(`Fields: ${summary.fieldDifferences} differences | Validation rules: ${summary.ruleDifferences} differences`);
+    lines.push(`Apex: ${summary.apexOnlyInA} only in A, ${summary.apexOnlyInB} only in B, ${summary.apexChanged} differ`);
+  }
+
+  for (const side of ['a', 'b']) {
+    for (const { file, message } of result[side].errors) {
+      lines.push(`Warning: could not parse ${file}: ${message}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Describe attribute changes as 'type: "Text" -> "Number"; picklistValues: A only [X], B only [Y]'
+ */
+function describeChanges(changes) {
+  return Object.entries(changes).map(([attribute, change]) => {
+    if ('onlyInA' in change) {
+      const parts = [];
+      if (change.onlyInA.length > 0) parts.push(`A only [${change.onlyInA.join(', ')}]`);
+      if (change.onlyInB.length > 0) parts.push(`B only [${change.onlyInB.join(', ')}]`);
+      return `${attribute}: ${parts.join(', ')}`;
+    }
+    return `${attribute}: ${JSON.stringify(change.a)} -> ${JSON.stringify(change.b)}`;
+  }).join('; ');
+}
+
+export {
+  diffOrgCaches,
+  diffObjects,
+  diffApex,
+  loadCacheSnapshot,
+  formatOrgDiffReport,
+};
@@ -36,6 +36,17 @@ async function parseFile(filePath, options = {}) {
   }
   
   const code = await fse.readFile(absolutePath, 'utf-8');
+  return parseSource(code, absolutePath, options);
+}
+
+/**
+ * Parse in-memory Apex source that belongs to a file (e.g. an unsaved editor buffer)
+ * @param {string} code - Apex source code
+ * @param {string} filePath - Path of the .cls or .trigger file the code belongs to
+ * @param {Object} options - Parser options
+ * @returns {Object} Parsed file metadata
+ */
+function parseSource(code, filePath, options = {}) {
   const ext = path.extname(filePath).toLowerCase();
   const fileName = path.basename(filePath);
   
@@ -51,7 +62,7 @@ async function parseFile(filePath, options = {}) {
   
   const result = parseCode(code, { ...options, fileType });
   result.file = fileName;
-  result.path = absolutePath;
+  result.path = path.resolve(filePath);
   
   return result;
 }
@@ -136,6 +147,7 @@ function serializeTree(node, maxDepth = 10) {
 
 export { 
   parseFile, 
+  parseSource,
   parseCode, 
   parseSOQL, 
   parseSOSL,
@@ -0,0 +1,162 @@
+/**
+ * Project Index
+ *
+ * Persists ApexVisitor results on disk so that unchanged files do not have
+ * to be re-parsed with tree-sitter on every command. Each entry is keyed by
+ * absolute file path and stores a content hash; an entry is only reused when
+ * the hash still matches. The whole index is invalidated when the parser
+ * modules themselves change, so cached results never go stale in shape.
+ */
+
+import crypto from 'crypto';
+import fse from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const INDEX_DIR = '.asfst-index';
+const INDEX_FILE = 'index.json';
+
+/**
+ * Modules whose output is stored in the index
+ */
+const PARSER_MODULES = ['parser.js', 'visitor.js', 'complexity.js'];
+
+const moduleDir = path.dirname(fileURLToPath(import.meta.url));
+
+let cachedFingerprint = null;
+
+/**
+ * Hash source text
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Fingerprint of the parser implementation, used to invalidate old indexes
+ */
+async function parserFingerprint() {
+  if (!cachedFingerprint) {
+    const hash = crypto.createHash('sha256');
+    for (const moduleName of PARSER_MODULES) {
+      hash.update(await fse.readFile(path.join(moduleDir, moduleName)));
+    }
+    cachedFingerprint = hash.digest('hex');
+  }
+  return cachedFingerprint;
+}
+
+class ProjectIndex {
+  constructor(indexDir = INDEX_DIR) {
+    this.indexDir = indexDir;
+    this.indexPath = path.join(indexDir, INDEX_FILE);
+    this.entries = new Map(); // absolute path -> { hash, parsed }
+    this.fingerprint = null;
+    this.loaded = false;
+    this.dirty = false;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Load the index from disk, discarding it if the parser has changed
+   */
+  async load() {
+    if (this.loaded) return this;
+
+    this.fingerprint = await parserFingerprint();
+
+    if (await fse.pathExists(this.indexPath)) {
+      try {
+        const data = await fse.readJson(this.indexPath);
+        if (data.fingerprint === this.fingerprint) {
+          for (const [file, entry] of Object.entries(data.files || {})) {
+            this.entries.set(file, entry);
+          }
+        } else {
+          this.dirty = true;
+        }
+      } catch (error) {
+        // A corrupt index is simply rebuilt
+        this.dirty = true;
+      }
+    }
+
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Get the cached parse result for a file if its content hash matches
+   */
+  get(filePath, hash) {
+    const entry = this.entries.get(filePath);
+    if (entry && entry.hash === hash) {
+      this.stats.hits++;
+      return entry.parsed;
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store the parse result for a file
+   */
+  set(filePath, hash, parsed) {
+    this.entries.set(filePath, { hash, parsed });
+    this.dirty = true;
+  }
+
+  /**
+   * Remove a file from the index
+   */
+  delete(filePath) {
+    if (this.entries.delete(filePath)) {
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Drop entries for files under the given roots that no longer exist
+   * @param {string[]} roots - Absolute directories that were scanned
+   * @param {string[]} existingFiles - Absolute paths found in those roots
+   */
+  prune(roots, existingFiles) {
+    const existing = new Set(existingFiles);
+    for (const file of Array.from(this.entries.keys())) {
+      const inRoots = roots.some(root => file === root || file.startsWith(root + path.sep));
+      if (inRoots && !existing.has(file)) {
+        this.delete(file);
+      }
+    }
+  }
+
+  /**
+   * Write the index to disk if it has changed
+   */
+  async save() {
+    if (!this.dirty) return;
+
+    await fse.ensureDir(this.indexDir);
+    await fse.writeJson(this.indexPath, {
+      fingerprint: this.fingerprint || await parserFingerprint(),
+      updatedAt: new Date().toISOString(),
+      files: Object.fromEntries(this.entries),
+    });
+    this.dirty = false;
+  }
+
+  /**
+   * Remove the index from disk and memory
+   */
+  async clear() {
+    this.entries.clear();
+    this.dirty = false;
+    await fse.remove(this.indexDir);
+  }
+}
+
+export {
+  ProjectIndex,
+  hashContent,
+  INDEX_DIR,
+};
@@ -0,0 +1,625 @@
+/**
+ * Project Loader
+ *
+ * Builds a project-wide view of Apex source so that graph analysis can see
+ * references between classes:
+ * 1. Discovers .cls/.trigger files from files, directories or glob patterns
+ * 2. Parses every file once and keeps the source text for reference resolution
+ * 3. Builds a single SemanticGraph + ReferenceResolver over the whole codebase
+ *
+ * Directories holding an sfdx-project.json are expanded into their
+ * packageDirectories; object metadata found there is registered with the
+ * project's SchemaRegistry so that the code and schema form one workspace.
+ * Several SFDX projects can be loaded side by side.
+ *
+ * With a ProjectIndex, unchanged files reuse their cached visitor results,
+ * and refresh() rebuilds the graph for changed classes only. The default
+ * index lives in the project root rather than the working directory.
+ */
+
+import fse from 'fs-extra';
+import path from 'path';
+import { parseSource } from './parser.js';
+import { SemanticGraph } from './semantic-graph.js';
+import { ReferenceResolver } from './reference-resolver.js';
+import { SchemaRegistry } from './schema-registry.js';
+import { readSourceObject, readMetadataXml, findSourceObjectDirs, findGlobalValueSetFiles } from './source-format.js';
+import { ProjectIndex, hashContent, INDEX_DIR } from './project-index.js';
+
+/**
+ * File extensions that contain executable Apex
+ */
+const APEX_EXTENSIONS = new Set(['.cls', '.trigger']);
+
+/**
+ * SFDX project descriptor file name
+ */
+const SFDX_PROJECT_FILE = 'sfdx-project.json';
+
+/**
+ * Directories that never contain project source
+ */
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules',
+  '.git',
+  '.sfdx',
+  '.sf',
+  '.asfst-cache',
+  '.asfst-index',
+]);
+
+class Project {
+  constructor(targets = [], options = {}) {
+    this.targets = Array.isArray(targets) ? targets : [targets];
+    this.options = options;
+    this.schemaRegistry = options.schemaRegistry || new SchemaRegistry({ cacheDir: options.cacheDir });
+    this.index = options.index === true ? null : (options.index || null);
+    this.root = null; // sfdx-project.json directory, or the first scanned directory
+
+    this.sfdxProjects = []; // Parsed sfdx-project.json of every target that is an SFDX project
+    this.packageDirectories = []; // Package directories of all SFDX projects, in target order
+    this.files = []; // Absolute paths of discovered source files
+    this.parsedClasses = []; // Visitor results, one per file
+    this.sourceCodeMap = new Map(); // fileName -> sourceCode text
+    this.fileHashes = new Map(); // absolute path -> content hash
+    this.errors = []; // { file, message } for files that could not be parsed
+    this.objects = []; // SObject names registered from project metadata
+
+    this.graph = null;
+    this.resolver = null;
+  }
+
+  /**
+   * Discover and parse every source file in the project targets
+   */
+  async load() {
+    const sourceTargets = await this._resolveTargets();
+    this.root = await findProjectRoot(this.targets);
+    if (this.options.index === true && !this.index) {
+      this.index = new ProjectIndex(path.join(this.root, INDEX_DIR));
+    }
+    if (this.index) {
+      await this.index.load();
+    }
+
+    this.files = await findApexFiles(sourceTargets);
+    this.parsedClasses = [];
+    this.sourceCodeMap = new Map();
+    this.fileHashes = new Map();
+    this.errors = [];
+    this.objects = [];
+
+    for (const file of this.files) {
+      const loaded = await this._loadFile(file);
+      if (loaded) {
+        this.parsedClasses.push(loaded.parsed);
+        this.sourceCodeMap.set(loaded.parsed.file, loaded.sourceCode);
+      }
+    }
+
+    if (this.sfdxProjects.length > 0) {
+      await this._loadObjectMetadata();
+    }
+
+    await this._saveIndex(sourceTargets);
+    return this;
+  }
+
+  /**
+   * Re-scan the project and rebuild the graph for changed classes only
+   * @returns {Promise<Object>} Names of added, changed, removed and re-resolved classes
+   */
+  async refresh() {
+    if (!this.graph) {
+      await this.load();
+      this.buildGraph();
+      const names = this.parsedClasses.map(p => p.name);
+      return { added: names, changed: [], removed: [], affected: names };
+    }
+
+    const sourceTargets = await this._resolveTargets();
+    const files = await findApexFiles(sourceTargets);
+    const previousByPath = new Map(this.parsedClasses.map(p => [p.path, p]));
+    const currentFiles = new Set(files);
+
+    const summary = { added: [], changed: [], removed: [], affected: [] };
+    const changedClasses = [];
+    const removedNames = new Set();
+    const parsedClasses = [];
+    this.errors = [];
+
+    for (const file of files) {
+      const previous = previousByPath.get(file);
+      const sourceCode = await fse.readFile(file, 'utf-8');
+
+      if (previous && this.fileHashes.get(file) === hashContent(sourceCode)) {
+        parsedClasses.push(previous);
+        continue;
+      }
+
+      const loaded = await this._loadFile(file, sourceCode);
+      if (previous) {
+        removedNames.add(previous.name);
+        this.sourceCodeMap.delete(previous.file);
+      }
+      if (!loaded) continue;
+
+      parsedClasses.push(loaded.parsed);
+      changedClasses.push(loaded.parsed);
+      this.sourceCodeMap.set(loaded.parsed.file, loaded.sourceCode);
+      (previous ? summary.changed : summary.added).push(loaded.parsed.name);
+    }
+
+    for (const [file, previous] of previousByPath) {
+      if (!currentFiles.has(file)) {
+        removedNames.add(previous.name);
+        this.sourceCodeMap.delete(previous.file);
+        this.fileHashes.delete(file);
+        summary.removed.push(previous.name);
+      }
+    }
+
+    // A changed class keeps its name, so it is rebuilt rather than removed
+    for (const parsed of changedClasses) {
+      removedNames.delete(parsed.name);
+    }
+
+    for (const name of [...removedNames, ...changedClasses.map(p => p.name)]) {
+      this.graph.removeClassNode(name);
+    }
+    for (const parsed of changedClasses) {
+      this.graph.addClassNode(parsed);
+    }
+
+    this.files = files;
+    this.parsedClasses = parsedClasses;
+    summary.affected = this.resolver.updateClasses(changedClasses, Array.from(removedNames));
+
+    await this._saveIndex(sourceTargets);
+    return summary;
+  }
+
+  /**
+   * Register the project's object metadata again after it changed on disk
+   * @returns {Promise<string[]>} Names of the registered objects
+   */
+  async reloadMetadata() {
+    this.objects = [];
+    if (this.sfdxProjects.length > 0) {
+      await this._loadObjectMetadata();
+    }
+    if (this.graph) {
+      this.graph.refreshSchema();
+    }
+    return this.objects;
+  }
+
+  /**
+   * Replace one file's source with in-memory content (e.g. an unsaved editor
+   * buffer) and rebuild only that class in the graph. If the new source has
+   * no declaration, the previous version is kept in the graph.
+   * @param {string} filePath - Path of the .cls or .trigger file
+   * @param {string} sourceCode - New source text
+   * @returns {Promise<Object|null>} New parse result, or null if it could not be parsed
+   */
+  async updateSource(filePath, sourceCode) {
+    const file = path.resolve(filePath);
+    const previous = this.parsedClasses.find(p => p.path === file);
+
+    if (previous && this.fileHashes.get(file) === hashContent(sourceCode)) {
+      return previous;
+    }
+
+    this.errors = this.errors.filter(e => e.file !== file);
+    const loaded = await this._loadFile(file, sourceCode);
+    if (!loaded) return null;
+
+    const { parsed } = loaded;
+    if (previous) {
+      this.parsedClasses[this.parsedClasses.indexOf(previous)] = parsed;
+      this.sourceCodeMap.delete(previous.file);
+    } else {
+      this.parsedClasses.push(parsed);
+      if (!this.files.includes(file)) {
+        this.files.push(file);
+      }
+    }
+    this.sourceCodeMap.set(parsed.file, sourceCode);
+
+    if (this.graph) {
+      const removedNames = previous && previous.name !== parsed.name ? [previous.name] : [];
+      for (const name of [...removedNames, parsed.name]) {
+        this.graph.removeClassNode(name);
+      }
+      this.graph.addClassNode(parsed);
+      this.resolver.updateClasses([parsed], removedNames);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Read and parse one file, reusing the index when its content is unchanged
+   * @returns {Promise<Object|null>} { parsed, sourceCode }, or null if it could not be parsed
+   */
+  async _loadFile(file, sourceCode = null) {
+    try {
+      if (sourceCode === null) {
+        sourceCode = await fse.readFile(file, 'utf-8');
+      }
+
+      const hash = hashContent(sourceCode);
+      const useIndex = this.index && !this.options.includeRawTree;
+      let parsed = useIndex ? this.index.get(file, hash) : null;
+
+      if (!parsed) {
+        parsed = parseSource(sourceCode, file, { includeRawTree: this.options.includeRawTree });
+        if (useIndex) {
+          this.index.set(file, hash, parsed);
+        }
+      }
+
+      this.fileHashes.set(file, hash);
+
+      if (!parsed.name) {
+        this.errors.push({ file, message: 'No class, interface, trigger or enum declaration found' });
+        return null;
+      }
+
+      if (this.sfdxProjects.length > 0) {
+        parsed.package = this._packageInfoFor(file);
+      }
+
+      return { parsed, sourceCode };
+    } catch (error) {
+      this.errors.push({ file, message: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Drop index entries for deleted files and persist it
+   */
+  async _saveIndex(sourceTargets) {
+    if (!this.index) return;
+
+    const roots = sourceTargets
+      .filter(target => !isGlobPattern(target))
+      .map(target => path.resolve(target));
+    this.index.prune(roots, this.files);
+    await this.index.save();
+  }
+
+  /**
+   * Expand SFDX project directories into their package directories
+   */
+  async _resolveTargets() {
+    const sourceTargets = [];
+    this.sfdxProjects = [];
+    this.packageDirectories = [];
+
+    for (const target of this.targets) {
+      const projectFile = path.join(path.resolve(target), SFDX_PROJECT_FILE);
+      if (!isGlobPattern(target) && await fse.pathExists(projectFile)) {
+        const sfdxProject = await readSfdxProject(path.resolve(target));
+        if (this.sfdxProjects.some(p => p.root === sfdxProject.root)) continue;
+
+        this.sfdxProjects.push(sfdxProject);
+        for (const packageDir of sfdxProject.packageDirectories) {
+          this.packageDirectories.push({ ...packageDir, defaultPackage: sfdxProject.defaultPackage });
+          if (await fse.pathExists(packageDir.path)) {
+            sourceTargets.push(packageDir.path);
+          }
+        }
+      } else {
+        sourceTargets.push(target);
+      }
+    }
+
+    return sourceTargets;
+  }
+
+  /**
+   * Describe the package directory that contains a file
+   */
+  _packageInfoFor(file) {
+    const packageDir = this.packageDirectories.find(dir =>
+      file.startsWith(dir.path + path.sep)
+    );
+    if (!packageDir) return null;
+
+    return {
+      name: packageDir.package,
+      directory: packageDir.relativePath,
+      isDefault: packageDir.isDefault,
+      defaultPackage: packageDir.defaultPackage,
+    };
+  }
+
+  /**
+   * Register source-format object metadata and global value sets from every
+   * package directory of every SFDX project
+   */
+  async _loadObjectMetadata() {
+    await this.schemaRegistry.loadFromCache();
+
+    for (const packageDir of this.packageDirectories) {
+      if (!await fse.pathExists(packageDir.path)) continue;
+
+      for (const file of await findGlobalValueSetFiles(packageDir.path)) {
+        try {
+          this.schemaRegistry.addGlobalValueSet(path.basename(file, '.globalValueSet-meta.xml'), await readMetadataXml(file));
+        } catch (error) {
+          this.errors.push({ file, message: error.message });
+        }
+      }
+
+      for (const objectDir of await findSourceObjectDirs(packageDir.path)) {
+        const objectName = path.basename(objectDir);
+        try {
+          this.schemaRegistry.addObject(objectName, await readSourceObject(objectDir));
+          this.objects.push(objectName);
+        } catch (error) {
+          this.errors.push({ file: objectDir, message: error.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the semantic graph and resolve references across all parsed classes
+   */
+  buildGraph() {
+    this.graph = new SemanticGraph(this.parsedClasses, { schemaRegistry: this.schemaRegistry });
+    this.resolver = new ReferenceResolver(this.graph, this.parsedClasses, this.sourceCodeMap);
+    return this.graph;
+  }
+}
+
+/**
+ * Read an sfdx-project.json and resolve its package directories
+ * @param {string} rootDir - Directory containing sfdx-project.json
+ * @returns {Promise<Object>} Project name, package directories and default package
+ */
+async function readSfdxProject(rootDir) {
+  const projectFile = path.join(rootDir, SFDX_PROJECT_FILE);
+  const config = await fse.readJson(projectFile);
+
+  const packageDirectories = (config.packageDirectories || []).map(dir => ({
+    path: path.resolve(rootDir, dir.path),
+    relativePath: dir.path,
+    package: dir.package || null,
+    isDefault: dir.default === true,
+  }));
+
+  if (packageDirectories.length === 0) {
+    throw new Error(`No packageDirectories defined in ${projectFile}`);
+  }
+
+  const defaultDirectory = packageDirectories.find(dir => dir.isDefault) || packageDirectories[0];
+
+  return {
+    root: rootDir,
+    name: config.name || path.basename(rootDir),
+    sourceApiVersion: config.sourceApiVersion || null,
+    packageDirectories,
+    defaultPackage: defaultDirectory.package || defaultDirectory.relativePath,
+  };
+}
+
+/**
+ * Find all .cls and .trigger files for a set of targets
+ * @param {string|string[]} targets - Files, directories or glob patterns
+ * @returns {Promise<string[]>} Sorted, de-duplicated absolute file paths
+ */
+async function findApexFiles(targets) {
+  const files = new Set();
+
+  for (const target of (Array.isArray(targets) ? targets : [targets])) {
+    if (isGlobPattern(target)) {
+      for (const file of await expandGlob(target)) {
+        files.add(file);
+      }
+      continue;
+    }
+
+    const absolutePath = path.resolve(target);
+    if (!await fse.pathExists(absolutePath)) {
+      throw new Error(`Path not found: ${absolutePath}`);
+    }
+
+    const stat = await fse.stat(absolutePath);
+    if (stat.isDirectory()) {
+      for (const file of await walkDirectory(absolutePath)) {
+        if (isApexFile(file)) {
+          files.add(file);
+        }
+      }
+    } else {
+      files.add(absolutePath);
+    }
+  }
+
+  return Array.from(files).sort();
+}
+
+/**
+ * Recursively list files under a directory, skipping ignored directories
+ */
+async function walkDirectory(dir) {
+  const results = [];
+  const entries = await fse.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name)) {
+        results.push(...await walkDirectory(entryPath));
+      }
+    } else if (entry.isFile()) {
+      results.push(entryPath);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Check whether a path has an Apex source extension
+ */
+function isApexFile(filePath) {
+  return APEX_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Check whether a target contains glob syntax
+ */
+function isGlobPattern(target) {
+  return /[*?[\]{}]/.test(target);
+}
+
+/**
+ * Expand a glob pattern into matching Apex files
+ * Supports *, **, ?, [abc] character classes and {a,b} alternatives
+ */
+async function expandGlob(pattern) {
+  const normalized = pattern.split(path.sep).join('/');
+  const baseDir = globBaseDir(pattern);
+  if (!await fse.pathExists(baseDir)) {
+    return [];
+  }
+
+  const matcher = globToRegExp(path.resolve(normalized).split(path.sep).join('/'));
+  const files = await walkDirectory(baseDir);
+
+  return files.filter(file => isApexFile(file) && matcher.test(file.split(path.sep).join('/')));
+}
+
+/**
+ * Directory named by the longest literal prefix of a glob pattern
+ */
+function globBaseDir(pattern) {
+  const baseSegments = [];
+  for (const segment of pattern.split(path.sep).join('/').split('/')) {
+    if (isGlobPattern(segment)) break;
+    baseSegments.push(segment);
+  }
+  return path.resolve(baseSegments.join('/') || '.');
+}
+
+/**
+ * Find the root of the project a set of targets belongs to: the nearest
+ * directory above the first target that holds an sfdx-project.json, or the
+ * first target's own directory
+ * @param {string[]} targets - Files, directories or glob patterns
+ * @returns {Promise<string>} Absolute root directory
+ */
+async function findProjectRoot(targets) {
+  if (targets.length === 0) return process.cwd();
+
+  const target = targets[0];
+  let start = isGlobPattern(target) ? globBaseDir(target) : path.resolve(target);
+  if (await fse.pathExists(start) && (await fse.stat(start)).isFile()) {
+    start = path.dirname(start);
+  }
+
+  for (let dir = start; ; dir = path.dirname(dir)) {
+    if (await fse.pathExists(path.join(dir, SFDX_PROJECT_FILE))) return dir;
+    if (path.dirname(dir) === dir) return start;
+  }
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ */
+function globToRegExp(glob) {
+  return new RegExp(`^${globSource(glob)}$`);
+}
+
+/**
+ * Regular expression source for a glob pattern, or one alternative of it
+ */
+function globSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      // [abc], [a-z] and negated [!abc] / [^abc] match one character
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let body = glob.slice(i + 1, end);
+        const negated = body[0] === '!' || body[0] === '^';
+        if (negated) body = body.slice(1);
+        source += `[${negated ? '^/' : ''}${body.replace(/[\\\]^]/g, '\\$&')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = glob.slice(i + 1, end).split(',').map(globSource);
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Escape a string for literal use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Load a project and build its semantic graph
+ * @param {string|string[]} targets - Files, directories or glob patterns
+ * @param {Object} options - Options passed through to the parser
+ * @returns {Promise<Project>} Loaded project with graph and resolver
+ */
+async function loadProject(targets, options = {}) {
+  const project = new Project(targets, options);
+  await project.load();
+
+  if (project.parsedClasses.length === 0) {
+    throw new Error(`No Apex classes or triggers found in: ${project.targets.join(', ')}`);
+  }
+
+  project.buildGraph();
+  return project;
+}
+
+export {
+  Project,
+  loadProject,
+  readSfdxProject,
+  findProjectRoot,
+  findApexFiles,
+  globToRegExp,
+  APEX_EXTENSIONS,
+};
@@ -0,0 +1,180 @@
+/**
+ * Local Validation Rule Check
+ *
+ * Evaluates the active validation rules of an SObject against a sample
+ * record, predicting which rules a DML statement would trip:
+ * 1. Record values are typed from the schema (dates, numbers, percents)
+ * 2. Relationship paths read nested records (Account__r.Name)
+ * 3. ISCHANGED, PRIORVALUE and ISNEW compare against an optional prior record
+ * 4. $RecordType reads the record's RecordType; other globals come from options
+ *
+ * Values the record does not supply are treated as blank and listed per
+ * rule, so a rule that passes only because data is missing is visible. A
+ * value that does not fit its field's type ("abc" for a Number) makes every
+ * rule that reads it an error instead of a pass.
+ */
+
+import { schemaRegistry as defaultSchemaRegistry } from './schema-registry.js';
+import { evaluateFormula, DateValue } from './formula-evaluator.js';
+
+/**
+ * Check a record against an object's active validation rules
+ * @param {string} objectName - SObject API name
+ * @param {Object} record - Field values, as the REST API returns them
+ * @param {Object} options - { prior, globals, now, schemaRegistry }
+ *   prior: the record before an update (omit for an insert)
+ *   globals: values of global variables, e.g. { User: { Id: '005...' } }
+ * @returns {Object} { object, operation, rules: [{ name, errorMessage,
+ *   errorDisplayField, fires, missing, error }], fired }
+ */
+function validateRecord(objectName, record, options = {}) {
+  const registry = options.schemaRegistry || defaultSchemaRegistry;
+  const object = registry.findObject(objectName);
+  if (!object) {
+    throw new Error(`Unknown SObject ${objectName}: not in the schema cache`);
+  }
+
+  const isNew = !options.prior;
+  const rules = [];
+  const globals = {
+    $RecordType: record.RecordType,
+    ...Object.fromEntries(Object.entries(options.globals || {}).map(([name, value]) => [`$${name}`, value])),
+  };
+
+  for (const rule of object.validationRules.filter(r => r.active)) {
+    const missing = new Set();
+    const readField = (source, label) => (path) => {
+      const { found, value } = readPath(source, path);
+      if (!found) missing.add(label + path.join('.'));
+      return typeValue(value, fieldInfoForPath(registry, object.name, path), label + path.join('.'));
+    };
+
+    const context = {
+      isNew,
+      now: options.now,
+      resolveField: readField(record, ''),
+      resolvePrior: readField(options.prior || {}, 'prior '),
+      resolveGlobal: (path) => {
+        const { found, value } = readPath(globals, path);
+        if (!found) missing.add(path.join('.'));
+        return value;
+      },
+    };
+
+    const result = {
+      name: rule.name,
+      errorMessage: rule.errorMessage,
+      errorDisplayField: rule.errorDisplayField,
+      fires: null,
+      missing: [],
+      error: null,
+    };
+    try {
+      result.fires = evaluateFormula(rule.errorConditionFormula, context) === true;
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.missing = Array.from(missing);
+    rules.push(result);
+  }
+
+  return {
+    object: object.name,
+    operation: isNew ? 'insert' : 'update',
+    rules,
+    fired: rules.filter(rule => rule.fires).map(rule => rule.name),
+  };
+}
+
+/**
+ * Read a dotted path from a record, ignoring case like field names do
+ * @returns {Object} { found, value }
+ */
+function readPath(source, path) {
+  let current = source;
+  for (const segment of path) {
+    // A blank lookup (Account__r: null) makes the whole path blank
+    if (current === null) return { found: true, value: null };
+    if (typeof current !== 'object') return { found: false, value: null };
+    const key = Object.keys(current).find(k => k.toLowerCase() === segment.toLowerCase());
+    if (key === undefined) return { found: false, value: null };
+    current = current[key];
+  }
+  return { found: true, value: current ?? null };
+}
+
+/**
+ * Schema of the field at the end of a path, if the registry knows it
+ */
+function fieldInfoForPath(registry, objectName, path) {
+  if (path.length === 1) return registry.findField(objectName, path[0]);
+  const steps = registry.resolveFieldPath([objectName, ...path].join('.'));
+  return steps?.length === path.length ? steps[steps.length - 1].info : null;
+}
+
+/**
+ * Convert a JSON value to the formula type of its field: Date and DateTime
+ * strings to dates, percents to fractions (15 -> 0.15), numeric text to numbers
+ * @throws {Error} If the value cannot be read as its field's type
+ */
+function typeValue(value, fieldInfo, fieldPath) {
+  if (value === null || value === undefined || value === '' || !fieldInfo) return value ?? null;
+
+  const invalid = () => new Error(`${fieldPath}: ${JSON.stringify(value)} is not a valid ${fieldInfo.type}`);
+  switch (fieldInfo.type) {
+    case 'Date': {
+      const date = value instanceof DateValue ? value : DateValue.parse(value);
+      if (!date) throw invalid();
+      return date;
+    }
+    case 'DateTime': {
+      const dateTime = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(dateTime.getTime())) throw invalid();
+      return dateTime;
+    }
+    case 'Number':
+    case 'Currency':
+    case 'Percent': {
+      const number = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+      if (Number.isNaN(number)) throw invalid();
+      return fieldInfo.type === 'Percent' ? number / 100 : number;
+    }
+    case 'Checkbox':
+      return value === true || value === 'true';
+    default:
+      return value;
+  }
+}
+
+/**
+ * Plain-text report of which rules would fire
+ */
+function formatValidationReport(result) {
+  const lines = [];
+  const total = result.rules.length;
+
+  lines.push(`# ${result.object} (${result.operation}): ${result.fired.length} of ${total} active validation rule${total === 1 ? '' : 's'} would fire`);
+  lines.push('');
+
+  for (const rule of result.rules) {
+    if (rule.error) {
+      lines.push(`  ? ${rule.name}: could not evaluate (${rule.error})`);
+    } else if (rule.fires) {
+      const field = rule.errorDisplayField ? ` [${rule.errorDisplayField}]` : '';
+      lines.push(`  x ${rule.name}: "${rule.errorMessage}"${field}`);
+    } else {
+      lines.push(`  - ${rule.name}: passes`);
+    }
+    if (rule.missing.length > 0) {
+      lines.push(`      not in record (treated as blank): ${rule.missing.join(', ')}`);
+    }
+  }
+
+  if (total === 0) {
+    lines.push('No active validation rules.');
+  }
+
+  return lines.join('\n');
+}
+
+export { validateRecord, formatValidationReport };
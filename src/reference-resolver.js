@@ -39,12 +39,95 @@ class ReferenceResolver {
   _resolveAllReferences() {
     // For each method, find what it calls
     for (const [className, parsed] of this.allClasses) {
-      for (const method of (parsed.methods || [])) {
-        this._resolveMethodCalls(parsed.name, method, parsed);
-        this._resolveFieldAccesses(parsed.name, method);
-        this._resolveSObjectInteractions(parsed.name, method);
+      this._resolveClassReferences(parsed);
+    }
+  }
+
+  /**
+   * Resolve references for every method of one class
+   */
+  _resolveClassReferences(parsed) {
+    for (const method of (parsed.methods || [])) {
+      this._resolveMethodCalls(parsed.name, method, parsed);
+      this._resolveFieldAccesses(parsed.name, method);
+      this._resolveSObjectInteractions(parsed.name, method);
+    }
+
+    if (parsed.type === 'trigger') {
+      this._resolveTriggerCalls(parsed);
+    }
+  }
+
+  /**
+   * Incrementally re-resolve references after some classes changed.
+   * Only the changed classes and the classes whose source mentions them are
+   * re-resolved; the semantic graph must already contain the new class nodes.
+   * @param {Object[]} changedClasses - New parse results for added/changed classes
+   * @param {string[]} removedClassNames - Classes that no longer exist
+   * @returns {string[]} Names of every class whose references were rebuilt
+   */
+  updateClasses(changedClasses = [], removedClassNames = []) {
+    const touched = new Set([
+      ...changedClasses.map(c => c.name),
+      ...removedClassNames,
+    ]);
+
+    // Unchanged classes that reference a touched class must be re-resolved too
+    const affected = new Set(changedClasses.map(c => c.name));
+    for (const [className, parsed] of this.allClasses) {
+      if (touched.has(className)) continue;
+      const sourceCode = this.sourceCodeMap.get(parsed.file || 'unknown') || '';
+      for (const name of touched) {
+        if (new RegExp(`\\b${name}\\b`).test(sourceCode)) {
+          affected.add(className);
+          break;
+        }
+      }
+    }
+
+    // Forget everything previously resolved for touched and affected classes
+    const methodKeys = new Set([...this.references.keys(), ...this.callGraph.keys()]);
+    for (const methodKey of methodKeys) {
+      const className = methodKey.split('.')[0];
+      if (touched.has(className) || affected.has(className)) {
+        this._forgetMethod(methodKey);
+      }
+    }
+    for (const [methodKey, callers] of this.reverseCallGraph) {
+      if (removedClassNames.includes(methodKey.split('.')[0]) && callers.length === 0) {
+        this.reverseCallGraph.delete(methodKey);
       }
     }
+
+    for (const className of removedClassNames) {
+      this.allClasses.delete(className);
+    }
+    for (const parsed of changedClasses) {
+      this.allClasses.set(parsed.name, parsed);
+    }
+
+    for (const className of affected) {
+      const parsed = this.allClasses.get(className);
+      if (parsed) {
+        this._resolveClassReferences(parsed);
+      }
+    }
+
+    return Array.from(affected);
+  }
+
+  /**
+   * Remove a method's resolved calls and references
+   */
+  _forgetMethod(methodKey) {
+    for (const callee of (this.callGraph.get(methodKey) || [])) {
+      const callers = this.reverseCallGraph.get(callee);
+      if (callers) {
+        this.reverseCallGraph.set(callee, callers.filter(c => c !== methodKey));
+      }
+    }
+    this.callGraph.delete(methodKey);
+    this.references.delete(methodKey);
   }
 
   /**
@@ -92,6 +175,72 @@ class ReferenceResolver {
     }
   }
 
+  /**
+   * Resolve calls made from a trigger body into class methods.
+   * Triggers have no methods of their own, so calls are recorded under the
+   * trigger name and linked from the trigger's class node.
+   * Supports: Handler.method(), new Handler().method(), handler.method()
+   */
+  _resolveTriggerCalls(parsedTrigger) {
+    const triggerName = parsedTrigger.name;
+    const sourceCode = this.sourceCodeMap.get(parsedTrigger.file || 'unknown');
+    if (!sourceCode) return;
+
+    const calls = [];
+    const addCall = (calleeClassName, calledMethodName, index) => {
+      const targetClass = this.allClasses.get(calleeClassName);
+      if (targetClass?.type === 'trigger') return;
+      if (!targetClass?.methods?.some(m => m.name === calledMethodName)) return;
+
+      const targetMethod = `${calleeClassName}.${calledMethodName}`;
+      if (calls.some(c => c.targetMethod === targetMethod)) return;
+      calls.push({
+        targetMethod,
+        line: sourceCode.substring(0, index).split('\n').length,
+        arguments: this._extractMethodArguments(sourceCode, index),
+      });
+    };
+
+    // Local variables holding class instances: Handler handler = new Handler(...)
+    const variableTypes = new Map();
+    const declarationPattern = /(\w+)\s+(\w+)\s*=\s*new\s+(\w+)\s*\(/g;
+    let match;
+    while ((match = declarationPattern.exec(sourceCode)) !== null) {
+      variableTypes.set(match[2], match[3]);
+    }
+
+    // Pattern 1: new Handler(...).method(...)
+    const chainedPattern = /new\s+(\w+)\s*\([^)]*\)\s*\.(\w+)\s*\(/g;
+    while ((match = chainedPattern.exec(sourceCode)) !== null) {
+      addCall(match[1], match[2], match.index + match[0].lastIndexOf(match[2]));
+    }
+
+    // Pattern 2: Handler.staticMethod(...) or handler.method(...)
+    const qualifiedPattern = /(\w+)\.(\w+)\s*\(/g;
+    while ((match = qualifiedPattern.exec(sourceCode)) !== null) {
+      const calleeClassName = variableTypes.get(match[1]) || match[1];
+      addCall(calleeClassName, match[2], match.index);
+    }
+
+    this.callGraph.set(triggerName, calls.map(c => c.targetMethod));
+
+    const fromId = this.graph.nodeId('class', triggerName);
+    for (const call of calls) {
+      if (!this.reverseCallGraph.has(call.targetMethod)) {
+        this.reverseCallGraph.set(call.targetMethod, []);
+      }
+      this.reverseCallGraph.get(call.targetMethod).push(triggerName);
+
+      const toId = this.graph.nodeId('method', call.targetMethod);
+      if (this.graph.nodes.has(fromId) && this.graph.nodes.has(toId)) {
+        this.graph.addEdge(fromId, toId, 'calls', {
+          line: call.line,
+          arguments: call.arguments,
+        });
+      }
+    }
+  }
+
   /**
    * Extract method calls from source code using pattern matching
    * Supports: this.method(), ClassName.method(), method()
@@ -126,7 +275,7 @@ class ReferenceResolver {
           calls.push({
             targetMethod,
             type: 'instance',
-            line: method.line + methodBody.substring(0, match.index).split('\n').length - 1,
+            line: method.line + methodBody.substring(0, match.index).split('\n').length,
             arguments: this._extractMethodArguments(methodBody, match.index),
           });
         }
@@ -151,7 +300,7 @@ class ReferenceResolver {
             calls.push({
               targetMethod,
               type: 'static',
-              line: method.line + methodBody.substring(0, match.index).split('\n').length - 1,
+              line: method.line + methodBody.substring(0, match.index).split('\n').length,
               arguments: this._extractMethodArguments(methodBody, match.index),
             });
           }
@@ -174,7 +323,7 @@ class ReferenceResolver {
             calls.push({
               targetMethod,
               type: 'local',
-              line: method.line + methodBody.substring(0, match.index).split('\n').length - 1,
+              line: method.line + methodBody.substring(0, match.index).split('\n').length,
               arguments: this._extractMethodArguments(methodBody, match.index),
             });
           }
@@ -7,8 +7,18 @@
 
 import fse from 'fs-extra';
 import path from 'path';
+import { readSourceObject } from './source-format.js';
+import { CACHE_DIR, readCacheManifest } from './caching.js';
+import { describeStandardObject, isStandardObject, STANDARD_OBJECTS } from './standard-objects.js';
+import { extractFormulaReferences, FormulaSyntaxError } from './formula-parser.js';
 
-const CACHE_DIR = '.asfst-cache';
+/**
+ * Cache age, in days, after which contexts warn that the schema may be out of
+ * date. Override with the maxCacheAgeDays option or ASFST_CACHE_MAX_AGE_DAYS.
+ */
+const DEFAULT_MAX_CACHE_AGE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Core Sales Cloud objects that are commonly referenced
@@ -35,6 +45,11 @@ const CORE_SALES_CLOUD_OBJECTS = [
   'Asset',
 ];
 
+/**
+ * Suffixes of custom objects, custom metadata types and platform events
+ */
+const SOBJECT_TYPE_SUFFIX = /__(c|mdt|e)$/i;
+
 /**
  * Standard field types in Salesforce
  */
@@ -63,8 +78,20 @@ const FIELD_TYPES = {
 };
 
 class SchemaRegistry {
-  constructor() {
+  /**
+   * @param {Object} options - { cacheDir, maxCacheAgeDays, standardObjects }
+   *   standardObjects: false loads only what the cache holds, without the catalog
+   */
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || CACHE_DIR;
+    this.standardObjects = options.standardObjects !== false;
+    this.maxCacheAgeDays = options.maxCacheAgeDays
+      ?? (Number(process.env.ASFST_CACHE_MAX_AGE_DAYS) || DEFAULT_MAX_CACHE_AGE_DAYS);
+    this.manifest = null;
     this.objects = new Map();
+    this.globalValueSets = new Map();
+    this.profiles = new Map();
+    this.permissionSets = new Map();
     this.classes = new Map();
     this.triggers = new Map();
     this.loaded = false;
@@ -76,22 +103,68 @@ class SchemaRegistry {
   async loadFromCache() {
     if (this.loaded) return;
     
-    const objectsDir = path.join(CACHE_DIR, 'objects');
-    const classesDir = path.join(CACHE_DIR, 'classes');
-    const triggersDir = path.join(CACHE_DIR, 'triggers');
+    const objectsDir = path.join(this.cacheDir, 'objects');
+    const valueSetsDir = path.join(this.cacheDir, 'globalValueSets');
+    const profilesDir = path.join(this.cacheDir, 'profiles');
+    const permissionSetsDir = path.join(this.cacheDir, 'permissionsets');
+    const classesDir = path.join(this.cacheDir, 'classes');
+    const triggersDir = path.join(this.cacheDir, 'triggers');
+
+    this.manifest = await readCacheManifest(this.cacheDir);
+
+    // Global value sets first, so picklists that use one resolve on load
+    if (await fse.pathExists(valueSetsDir)) {
+      for (const file of await fse.readdir(valueSetsDir)) {
+        if (file.endsWith('.json')) {
+          const valueSetName = file.replace('.globalValueSet-meta.json', '').replace('.json', '');
+          this.addGlobalValueSet(valueSetName, await fse.readJson(path.join(valueSetsDir, file)));
+        }
+      }
+    }
     
-    // Load custom objects
+    // Load custom objects, either assembled (<Name>.object.json) or decomposed (<Name>/)
     if (await fse.pathExists(objectsDir)) {
-      const files = await fse.readdir(objectsDir);
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const objectData = await fse.readJson(path.join(objectsDir, file));
-          const objectName = file.replace('.object.json', '').replace('.json', '');
-          this.objects.set(objectName, this.parseObjectSchema(objectData, objectName));
+      const entries = await fse.readdir(objectsDir, { withFileTypes: true });
+      for (const entry of entries) {
+        let objectName;
+        let objectData;
+        if (entry.isDirectory()) {
+          objectName = entry.name;
+          objectData = await readSourceObject(path.join(objectsDir, entry.name));
+        } else if (entry.name.endsWith('.json')) {
+          objectName = entry.name.replace('.object.json', '').replace('.json', '');
+          objectData = await fse.readJson(path.join(objectsDir, entry.name));
+        } else {
+          continue;
+        }
+
+        // A retrieved standard object holds its customizations and untyped
+        // standard fields, so it is merged over the catalog describe
+        if (this.standardObjects && isStandardObject(objectName)) {
+          this.objects.set(objectName, this.createStandardObject(objectName));
         }
+        this.addObject(objectName, objectData);
       }
     }
     
+    // Load profiles and permission sets, for object and field access checks
+    if (await fse.pathExists(profilesDir)) {
+      for (const file of await fse.readdir(profilesDir)) {
+        if (file.endsWith('.json')) {
+          const profileName = safeDecode(file.replace('.profile-meta.json', '').replace('.json', ''));
+          this.addProfile(profileName, await fse.readJson(path.join(profilesDir, file)));
+        }
+      }
+    }
+    if (await fse.pathExists(permissionSetsDir)) {
+      for (const file of await fse.readdir(permissionSetsDir)) {
+        if (file.endsWith('.json')) {
+          const permissionSetName = file.replace('.permissionset-meta.json', '').replace('.json', '');
+          this.addPermissionSet(permissionSetName, await fse.readJson(path.join(permissionSetsDir, file)));
+        }
+      }
+    }
+
     // Load Apex classes metadata
     if (await fse.pathExists(classesDir)) {
       const files = await fse.readdir(classesDir);
@@ -116,16 +189,74 @@ class SchemaRegistry {
       }
     }
     
-    // Add standard object stubs if not in cache
-    for (const obj of CORE_SALES_CLOUD_OBJECTS) {
+    // Add catalog standard objects not in the cache
+    for (const obj of this.standardObjects ? Object.keys(STANDARD_OBJECTS) : []) {
       if (!this.objects.has(obj)) {
-        this.objects.set(obj, this.createStandardObjectStub(obj));
+        this.objects.set(obj, this.createStandardObject(obj));
       }
     }
     
     this.loaded = true;
   }
 
+  /**
+   * Resolve schema against another cache (e.g. a named org profile).
+   * The new cache is read on the next loadFromCache.
+   */
+  setCacheDir(cacheDir) {
+    if (cacheDir === this.cacheDir) return;
+    this.cacheDir = cacheDir;
+    this._clear();
+  }
+
+  /**
+   * Discard everything loaded and read the cache directory again
+   */
+  async reload() {
+    this._clear();
+    await this.loadFromCache();
+  }
+
+  /**
+   * Forget everything loaded from the cache
+   */
+  _clear() {
+    this.objects.clear();
+    this.globalValueSets.clear();
+    this.profiles.clear();
+    this.permissionSets.clear();
+    this.classes.clear();
+    this.triggers.clear();
+    this.manifest = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Which snapshot the schema reflects and whether it is stale
+   * @param {Date} now - Reference time for the age
+   * @returns {Object|null} Manifest fields plus { ageDays, stale, warning }, or null without a manifest
+   */
+  getSnapshot(now = new Date()) {
+    if (!this.manifest) return null;
+
+    const retrievedAt = new Date(this.manifest.retrievedAt);
+    const ageDays = Math.floor((now - retrievedAt) / DAY_MS);
+    const stale = ageDays > this.maxCacheAgeDays;
+    const origin = this.manifest.source === 'org'
+      ? `org ${this.manifest.username || this.manifest.orgId || '(unknown)'}`
+      : `${this.manifest.path || 'local metadata'}`;
+
+    return {
+      ...this.manifest,
+      origin,
+      ageDays,
+      stale,
+      warning: stale
+        ? `Schema cache is ${ageDays} days old (limit ${this.maxCacheAgeDays}); run asfst ingest to refresh it`
+        : null,
+    };
+  }
+
   /**
    * Parse object schema from cached JSON
    */
@@ -133,8 +264,10 @@ class SchemaRegistry {
     const schema = {
       name: objectName,
       label: data?.CustomObject?.label || objectName,
+      description: data?.CustomObject?.description || null,
       fields: new Map(),
       validationRules: [],
+      recordTypes: [],
       triggers: [],
       relationships: [],
     };
@@ -152,9 +285,18 @@ class SchemaRegistry {
             required: field.required === 'true' || field.required === true,
             unique: field.unique === 'true' || field.unique === true,
             length: field.length ? parseInt(field.length) : null,
+            precision: field.precision ? parseInt(field.precision) : null,
+            scale: field.scale ? parseInt(field.scale) : null,
             referenceTo: field.referenceTo || null,
-            relationshipName: field.relationshipName || null,
-            picklistValues: field.valueSet?.valueSetDefinition?.value || [],
+            // CustomField metadata names the child side of the relationship;
+            // like describe, relationshipName is the parent side (Account__r)
+            relationshipName: field.referenceTo ? parentRelationshipName(field.fullName) : null,
+            childRelationshipName: field.relationshipName ? `${field.relationshipName}__r` : null,
+            picklistValues: toArray(field.valueSet?.valueSetDefinition?.value),
+            valueSetName: field.valueSet?.valueSetName || null,
+            restricted: field.valueSet?.restricted === 'true' || field.valueSet?.restricted === true,
+            recordTypeValues: {},
+            formula: field.formula || null,
             description: field.description || null,
           });
         }
@@ -178,70 +320,301 @@ class SchemaRegistry {
       }
     }
     
+    // Parse record types
+    const recordTypes = data?.CustomObject?.recordTypes;
+    if (recordTypes) {
+      const typesArray = Array.isArray(recordTypes) ? recordTypes : [recordTypes];
+      for (const recordType of typesArray) {
+        if (recordType?.fullName) {
+          schema.recordTypes.push({
+            name: recordType.fullName,
+            label: recordType.label || recordType.fullName,
+            active: recordType.active === 'true' || recordType.active === true,
+            businessProcess: recordType.businessProcess || null,
+            description: recordType.description || null,
+            picklistValues: parseRecordTypePicklists(recordType.picklistValues),
+          });
+        }
+      }
+    }
+    
     return schema;
   }
 
   /**
-   * Create a stub for standard Salesforce objects
+   * Register an object from CustomObject metadata (e.g. project source).
+   * Fields are merged over any schema already known for the object, so a
+   * source directory holding only custom fields keeps the standard ones.
    */
-  createStandardObjectStub(objectName) {
-    const standardFields = {
-      Account: ['Id', 'Name', 'Industry', 'Type', 'ParentId', 'OwnerId', 'AnnualRevenue', 'NumberOfEmployees', 'BillingCity', 'BillingState', 'BillingCountry'],
-      Contact: ['Id', 'FirstName', 'LastName', 'Name', 'Email', 'Phone', 'AccountId', 'OwnerId', 'MailingCity', 'MailingState'],
-      Lead: ['Id', 'FirstName', 'LastName', 'Name', 'Email', 'Phone', 'Company', 'Status', 'OwnerId', 'ConvertedAccountId', 'ConvertedContactId'],
-      Opportunity: ['Id', 'Name', 'Amount', 'StageName', 'CloseDate', 'AccountId', 'OwnerId', 'Probability', 'IsClosed', 'IsWon'],
-      Case: ['Id', 'Subject', 'Description', 'Status', 'Priority', 'AccountId', 'ContactId', 'OwnerId', 'IsClosed'],
-      Campaign: ['Id', 'Name', 'Status', 'Type', 'StartDate', 'EndDate', 'OwnerId', 'IsActive'],
-      Task: ['Id', 'Subject', 'Description', 'Status', 'Priority', 'WhatId', 'WhoId', 'OwnerId', 'ActivityDate', 'IsClosed'],
-      Event: ['Id', 'Subject', 'Description', 'StartDateTime', 'EndDateTime', 'WhatId', 'WhoId', 'OwnerId'],
-      User: ['Id', 'Username', 'Email', 'FirstName', 'LastName', 'Name', 'IsActive', 'ProfileId', 'UserRoleId'],
-      Product2: ['Id', 'Name', 'ProductCode', 'Description', 'IsActive', 'Family'],
+  addObject(objectName, data) {
+    const schema = this.parseObjectSchema(data, objectName);
+    const existing = this.objects.get(objectName);
+
+    if (existing) {
+      const fields = data?.CustomObject?.fields;
+      const typedFields = new Set((Array.isArray(fields) ? fields : [fields])
+        .filter(field => field?.type)
+        .map(field => field.fullName));
+
+      for (const [fieldName, field] of existing.fields) {
+        const override = schema.fields.get(fieldName);
+        if (!override) {
+          schema.fields.set(fieldName, field);
+        } else if (!typedFields.has(fieldName)) {
+          // Standard fields are retrieved without a type; keep the known one
+          schema.fields.set(fieldName, {
+            ...field,
+            picklistValues: override.picklistValues.length > 0 ? override.picklistValues : field.picklistValues,
+            description: override.description || field.description,
+          });
+        }
+      }
+      if (!data?.CustomObject?.label) {
+        schema.label = existing.label;
+      }
+      schema.description = schema.description || existing.description || null;
+      if (schema.validationRules.length === 0) {
+        schema.validationRules = existing.validationRules;
+      }
+      if (schema.recordTypes.length === 0) {
+        schema.recordTypes = existing.recordTypes || [];
+      }
+      if (existing.isStandard) {
+        schema.isStandard = true;
+      }
+    }
+
+    this.linkPicklists(schema);
+    this.objects.set(objectName, schema);
+    return schema;
+  }
+
+  /**
+   * Register a GlobalValueSet; picklists that name it via valueSetName take
+   * its values, including those of objects registered before it
+   */
+  addGlobalValueSet(valueSetName, data) {
+    const valueSet = {
+      name: valueSetName,
+      label: data?.GlobalValueSet?.masterLabel || valueSetName,
+      values: toArray(data?.GlobalValueSet?.customValue).map(value => ({
+        fullName: value.fullName,
+        label: value.label || value.fullName,
+        default: value.default === 'true' || value.default === true,
+        isActive: value.isActive !== 'false' && value.isActive !== false,
+      })),
     };
-    
-    const schema = {
+    this.globalValueSets.set(valueSetName, valueSet);
+
+    for (const schema of this.objects.values()) {
+      if (Array.from(schema.fields.values()).some(field => field.valueSetName === valueSetName)) {
+        this.linkPicklists(schema);
+      }
+    }
+    return valueSet;
+  }
+
+  /**
+   * Resolve global value sets and per-record-type values on picklist fields
+   */
+  linkPicklists(schema) {
+    for (const [fieldName, field] of schema.fields) {
+      if (field.valueSetName && this.globalValueSets.has(field.valueSetName)) {
+        field.picklistValues = this.globalValueSets.get(field.valueSetName).values;
+      }
+
+      const recordTypeValues = {};
+      for (const recordType of schema.recordTypes || []) {
+        const values = recordType.picklistValues?.[fieldName];
+        if (values) {
+          recordTypeValues[recordType.name] = values.map(value => value.fullName);
+        }
+      }
+      field.recordTypeValues = recordTypeValues;
+    }
+  }
+
+  /**
+   * Legal picklist values of a field, narrowed to a record type's
+   * selection when one is given and restricts the field
+   * @returns {string[]|null} Value API names, or null for unknown fields
+   */
+  getPicklistValues(objectName, fieldName, recordTypeName = null) {
+    const field = this.findField(objectName, fieldName);
+    if (!field) return null;
+
+    if (recordTypeName && field.recordTypeValues?.[recordTypeName]) {
+      return field.recordTypeValues[recordTypeName];
+    }
+    return (field.picklistValues || [])
+      .filter(value => value.isActive !== false)
+      .map(value => value.fullName);
+  }
+
+  /**
+   * Register a Profile's object, field and system permissions
+   */
+  addProfile(profileName, data) {
+    const profile = parsePermissions('Profile', profileName, data?.Profile);
+    this.profiles.set(profileName, profile);
+    return profile;
+  }
+
+  /**
+   * Register a PermissionSet's object, field and system permissions
+   */
+  addPermissionSet(permissionSetName, data) {
+    const permissionSet = parsePermissions('PermissionSet', permissionSetName, data?.PermissionSet);
+    this.permissionSets.set(permissionSetName, permissionSet);
+    return permissionSet;
+  }
+
+  /**
+   * Find the profile or permission set access is checked against, ignoring case
+   * @param {Object} access - { profile } or { permissionSet }
+   * @returns {Object|null} Its permissions, or null when it is not cached
+   */
+  findPermissions(access = {}) {
+    if (access.profile) {
+      return this.profiles.get(access.profile) || findByName(this.profiles, access.profile);
+    }
+    if (access.permissionSet) {
+      return this.permissionSets.get(access.permissionSet) || findByName(this.permissionSets, access.permissionSet);
+    }
+    return null;
+  }
+
+  /**
+   * Object permissions a profile or permission set grants. Objects it does
+   * not list are inaccessible unless it has View All Data or Modify All Data.
+   * @param {string} objectName - SObject API name
+   * @param {Object} access - { profile } or { permissionSet }
+   * @returns {Object|null} { canCreate, canRead, canUpdate, canDelete,
+   *   viewAllRecords, modifyAllRecords }, or null when the profile or
+   *   permission set is not cached
+   */
+  getObjectAccess(objectName, access) {
+    const permissions = this.findPermissions(access);
+    if (!permissions) return null;
+
+    const name = this.findObject(objectName)?.name || objectName;
+    const granted = permissions.objects.get(name) || findByName(permissions.objects, name) || {};
+    const { modifyAllData, viewAllData } = permissions;
+
+    return {
+      canCreate: Boolean(granted.allowCreate || modifyAllData),
+      canRead: Boolean(granted.allowRead || viewAllData || modifyAllData),
+      canUpdate: Boolean(granted.allowEdit || modifyAllData),
+      canDelete: Boolean(granted.allowDelete || modifyAllData),
+      viewAllRecords: Boolean(granted.viewAllRecords || viewAllData || modifyAllData),
+      modifyAllRecords: Boolean(granted.modifyAllRecords || modifyAllData),
+    };
+  }
+
+  /**
+   * Field-level security a profile or permission set grants, within its
+   * object permissions. Custom fields it does not list are inaccessible;
+   * other unlisted fields (standard and required fields, which metadata
+   * rarely lists) follow the object. Formula, auto-number and roll-up
+   * fields are never editable.
+   * @returns {Object|null} { readable, editable }, or null when the profile
+   *   or permission set is not cached
+   */
+  getFieldAccess(objectName, fieldName, access) {
+    const permissions = this.findPermissions(access);
+    if (!permissions) return null;
+
+    const objectAccess = this.getObjectAccess(objectName, access);
+    const field = this.findField(objectName, fieldName);
+    const fullName = `${this.findObject(objectName)?.name || objectName}.${field?.name || fieldName}`;
+    const granted = permissions.fields.get(fullName) || findByName(permissions.fields, fullName);
+
+    let readable = true;
+    let editable = true;
+    if (granted) {
+      readable = granted.readable || granted.editable;
+      editable = granted.editable;
+    } else if (/__c$/i.test(fieldName) && !field?.required && field?.type !== 'MasterDetail') {
+      readable = false;
+      editable = false;
+    }
+    const readOnly = Boolean(field?.formula) || ['AutoNumber', 'Summary'].includes(field?.type);
+
+    return {
+      readable: readable && objectAccess.canRead,
+      editable: editable && !readOnly && (objectAccess.canCreate || objectAccess.canUpdate),
+    };
+  }
+
+  /**
+   * Create the schema of a standard object from the bundled catalog. The
+   * schema is marked fromCatalog until org or project metadata is merged over
+   * it, since until then it cannot know the object's custom fields.
+   */
+  createStandardObject(objectName) {
+    const describe = describeStandardObject(objectName);
+    if (!describe) return null;
+
+    return {
       name: objectName,
-      label: objectName,
+      label: describe.label,
       isStandard: true,
-      fields: new Map(),
+      fromCatalog: true,
+      fields: new Map(describe.fields.map(field => [field.name, field])),
       validationRules: [],
+      recordTypes: [],
       triggers: [],
       relationships: [],
     };
-    
-    const fields = standardFields[objectName] || ['Id', 'Name', 'OwnerId', 'CreatedDate', 'LastModifiedDate'];
-    for (const field of fields) {
-      schema.fields.set(field, {
-        name: field,
-        label: field,
-        type: this.inferFieldType(field),
-        required: field === 'Id',
-        isStandard: true,
-      });
+  }
+
+  /**
+   * Get object schema by name
+   */
+  getObject(objectName) {
+    return this.objects.get(objectName);
+  }
+
+  /**
+   * Get object schema by name, ignoring case like Apex and SOQL do
+   */
+  findObject(objectName) {
+    if (!objectName) return null;
+    const exact = this.objects.get(objectName);
+    if (exact) return exact;
+
+    const lower = objectName.toLowerCase();
+    for (const [name, schema] of this.objects) {
+      if (name.toLowerCase() === lower) return schema;
     }
-    
-    return schema;
+    return null;
   }
 
   /**
-   * Infer field type from field name
+   * Whether a type names an SObject: an object in the schema, a standard
+   * object of the catalog, or a custom object, metadata type or event
    */
-  inferFieldType(fieldName) {
-    if (fieldName === 'Id' || fieldName.endsWith('Id')) return 'Id';
-    if (fieldName.includes('Date') || fieldName.includes('Time')) return 'DateTime';
-    if (fieldName.includes('Email')) return 'Email';
-    if (fieldName.includes('Phone')) return 'Phone';
-    if (fieldName.includes('Amount') || fieldName.includes('Revenue') || fieldName.includes('Price')) return 'Currency';
-    if (fieldName.includes('Number') || fieldName.includes('Count')) return 'Integer';
-    if (fieldName.includes('Probability') || fieldName.includes('Percent')) return 'Percent';
-    if (fieldName.startsWith('Is') || fieldName.startsWith('Has')) return 'Boolean';
-    return 'String';
+  isSObjectType(typeName) {
+    if (!typeName) return false;
+    return Boolean(this.findObject(typeName)) || isStandardObject(typeName) || SOBJECT_TYPE_SUFFIX.test(typeName);
   }
 
   /**
-   * Get object schema by name
+   * Plain, serializable description of an object schema
    */
-  getObject(objectName) {
-    return this.objects.get(objectName);
+  describeObject(objectName) {
+    const object = this.findObject(objectName);
+    if (!object) return null;
+
+    return {
+      name: object.name,
+      label: object.label,
+      description: object.description || null,
+      isStandard: object.isStandard || false,
+      fields: Array.from(object.fields.values()),
+      validationRules: object.validationRules,
+      recordTypes: object.recordTypes || [],
+    };
   }
 
   /**
@@ -253,41 +626,185 @@ class SchemaRegistry {
   }
 
   /**
-   * Resolve a dotted field path like 'Account.Parent.Industry'
+   * Get field info ignoring case, like Apex and SOQL do
+   */
+  findField(objectName, fieldName) {
+    const object = this.findObject(objectName);
+    if (!object || !fieldName) return null;
+    return object.fields.get(fieldName) || findByName(object.fields, fieldName);
+  }
+
+  /**
+   * Find the lookup field behind a relationship segment of a path:
+   * its relationship name (Owner, Parent__r), a custom __r name, the lookup
+   * field itself (ParentId) or, for objects without relationship names,
+   * the field with an Id suffix
+   */
+  findRelationshipField(objectName, segment) {
+    const object = this.findObject(objectName);
+    if (!object || !segment) return null;
+
+    const lower = segment.toLowerCase();
+    const lookups = Array.from(object.fields.values()).filter(field => field.referenceTo);
+    const candidates = [
+      field => field.relationshipName?.toLowerCase() === lower,
+      field => lower.endsWith('__r') && field.name.toLowerCase() === `${lower.slice(0, -3)}__c`,
+      field => field.name.toLowerCase() === lower,
+      field => field.name.toLowerCase() === `${lower}id`,
+    ];
+    for (const matches of candidates) {
+      const field = lookups.find(matches);
+      if (field) return field;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a dotted field path like 'Contact.Account.Owner.Name' or
+   * 'Invoice__c.Account__r.Industry'
+   *
+   * Every segment but the last is a relationship hop. A polymorphic hop
+   * (Task.What, Case.Owner) continues on each of its target objects, so the
+   * following steps list every object the field resolves on. Resolution stops
+   * at the first segment that matches nothing.
+   * @returns {Object[]|null} Steps { segment, object, objects, field, type, info },
+   *   hops also with { relationshipName, targets, polymorphic }
    */
   resolveFieldPath(basePath) {
     const parts = basePath.split('.');
     if (parts.length < 2) return null;
-    
-    const objectName = parts[0];
-    const fieldPath = parts.slice(1);
-    
-    let currentObject = this.objects.get(objectName);
-    let resolved = [];
-    
-    for (let i = 0; i < fieldPath.length; i++) {
-      const fieldName = fieldPath[i];
-      if (!currentObject) break;
-      
-      const field = currentObject.fields?.get(fieldName);
-      if (field) {
-        resolved.push({
-          object: currentObject.name,
-          field: fieldName,
-          type: field.type,
-          info: field,
-        });
-        
-        // If this is a relationship, follow it
-        if (field.referenceTo && i < fieldPath.length - 1) {
-          currentObject = this.objects.get(field.referenceTo);
-        }
+
+    const start = this.findObject(parts[0]);
+    let current = start ? [start.name] : [];
+    const resolved = [];
+
+    for (let i = 1; i < parts.length && current.length > 0; i++) {
+      const segment = parts[i];
+      const isHop = i < parts.length - 1;
+
+      const matches = current
+        .map(objectName => ({
+          object: objectName,
+          field: isHop ? this.findRelationshipField(objectName, segment) : this.findField(objectName, segment),
+        }))
+        .filter(match => match.field);
+      if (matches.length === 0) break;
+
+      const [{ object, field }] = matches;
+      const step = {
+        segment,
+        object,
+        objects: matches.map(match => match.object),
+        field: field.name,
+        type: field.type,
+        info: field,
+      };
+
+      if (isHop) {
+        const targets = [...new Set(matches.flatMap(match => toArray(match.field.referenceTo)))];
+        step.relationshipName = field.relationshipName || segment;
+        step.targets = targets;
+        step.polymorphic = targets.length > 1;
+        current = targets.map(target => this.findObject(target)?.name).filter(Boolean);
       }
+
+      resolved.push(step);
     }
-    
+
     return resolved.length > 0 ? resolved : null;
   }
 
+  /**
+   * Child relationships of an object: lookups on other objects that point at
+   * it and name the relationship SOQL subqueries use
+   * @returns {Object[]} { relationshipName, childObject, field }
+   */
+  getChildRelationships(objectName) {
+    const parent = this.findObject(objectName);
+    if (!parent) return [];
+
+    const relationships = [];
+    for (const child of this.objects.values()) {
+      for (const field of child.fields.values()) {
+        if (field.childRelationshipName && toArray(field.referenceTo).includes(parent.name)) {
+          relationships.push({
+            relationshipName: field.childRelationshipName,
+            childObject: child.name,
+            field: field.name,
+          });
+        }
+      }
+    }
+    return relationships;
+  }
+
+  /**
+   * Resolve the child relationship of a subquery, e.g. Account + Contacts
+   * -> { childObject: 'Contact', field: 'AccountId' }
+   */
+  resolveChildRelationship(objectName, relationshipName) {
+    if (!relationshipName) return null;
+    const lower = relationshipName.toLowerCase();
+    return this.getChildRelationships(objectName)
+      .find(relationship => relationship.relationshipName.toLowerCase() === lower) || null;
+  }
+
+  /**
+   * What the formulas of an object reference: each formula field and
+   * validation rule with the fields, cross-object paths and global variables
+   * it uses. dependsOn lists the schema fields behind them, a path
+   * contributing each field it crosses (Account__r.Name -> Account__c and
+   * Account.Name). A formula that does not parse is listed with its error.
+   * @returns {Object[]} { kind: 'field'|'validationRule', name, active, formula,
+   *   fields, paths, globals, dependsOn: [{ object, field, path }], error }
+   */
+  getFormulaReferences(objectName) {
+    const object = this.findObject(objectName);
+    if (!object) return [];
+
+    const formulas = [
+      ...Array.from(object.fields.values())
+        .filter(field => field.formula)
+        .map(field => ({ kind: 'field', name: field.name, active: true, formula: field.formula })),
+      ...object.validationRules
+        .filter(rule => rule.errorConditionFormula)
+        .map(rule => ({ kind: 'validationRule', name: rule.name, active: rule.active, formula: rule.errorConditionFormula })),
+    ];
+
+    return formulas.map(entry => {
+      let references;
+      try {
+        references = extractFormulaReferences(entry.formula);
+      } catch (error) {
+        if (!(error instanceof FormulaSyntaxError)) throw error;
+        return { ...entry, fields: [], paths: [], globals: [], dependsOn: [], error: error.message };
+      }
+
+      const dependsOn = references.fields.map(field => ({
+        object: object.name,
+        field: this.findField(object.name, field)?.name || field,
+        path: null,
+      }));
+      for (const fieldPath of references.paths) {
+        const steps = this.resolveFieldPath(`${object.name}.${fieldPath}`);
+        if (steps) {
+          dependsOn.push(...steps.map(step => ({ object: step.object, field: step.field, path: fieldPath })));
+        } else {
+          dependsOn.push({ object: object.name, field: fieldPath, path: fieldPath });
+        }
+      }
+
+      return {
+        ...entry,
+        fields: references.fields,
+        paths: references.paths,
+        globals: references.globals,
+        dependsOn,
+        error: null,
+      };
+    });
+  }
+
   /**
    * Get validation rules for an object
    */
@@ -311,12 +828,116 @@ class SchemaRegistry {
   }
 }
 
+/**
+ * Parent-side relationship name of a lookup field: Account__c -> Account__r,
+ * AccountId -> Account
+ */
+function parentRelationshipName(fieldName) {
+  return /__c$/i.test(fieldName) ? fieldName.replace(/__c$/i, '__r') : fieldName.replace(/Id$/, '');
+}
+
+/**
+ * Permissions of a Profile or PermissionSet: object CRUD by object name,
+ * field access by Object.Field, and the system permissions that bypass them
+ */
+function parsePermissions(type, name, metadata = {}) {
+  const enabled = value => value === true || value === 'true';
+  const userPermissions = new Set(toArray(metadata?.userPermissions)
+    .filter(permission => enabled(permission.enabled))
+    .map(permission => permission.name));
+
+  return {
+    type,
+    name,
+    label: metadata?.label || name,
+    modifyAllData: userPermissions.has('ModifyAllData'),
+    viewAllData: userPermissions.has('ViewAllData'),
+    objects: new Map(toArray(metadata?.objectPermissions).map(permission => [permission.object, {
+      allowCreate: enabled(permission.allowCreate),
+      allowRead: enabled(permission.allowRead),
+      allowEdit: enabled(permission.allowEdit),
+      allowDelete: enabled(permission.allowDelete),
+      viewAllRecords: enabled(permission.viewAllRecords),
+      modifyAllRecords: enabled(permission.modifyAllRecords),
+    }])),
+    fields: new Map(toArray(metadata?.fieldPermissions).map(permission => [permission.field, {
+      readable: enabled(permission.readable),
+      editable: enabled(permission.editable),
+    }])),
+  };
+}
+
+/**
+ * Per-field value selections of a RecordType: { Status__c: [{ fullName, default }] }
+ */
+function parseRecordTypePicklists(picklistValues) {
+  const selections = {};
+  for (const selection of toArray(picklistValues)) {
+    if (!selection?.picklist) continue;
+    selections[selection.picklist] = toArray(selection.values).map(value => ({
+      // Record type metadata URL-encodes values (Closed%2C Won)
+      fullName: safeDecode(value.fullName),
+      default: value.default === 'true' || value.default === true,
+    }));
+  }
+  return selections;
+}
+
+/**
+ * Decode a URL-encoded metadata value, leaving malformed ones as they are
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Normalize a value xml2js may have parsed as a single item (or a
+ * polymorphic referenceTo, which already is a list)
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Find a map entry by name, ignoring case
+ */
+function findByName(map, name) {
+  const lower = name.toLowerCase();
+  for (const [key, value] of map) {
+    if (key.toLowerCase() === lower) return value;
+  }
+  return null;
+}
+
+/**
+ * One-line description of a schema snapshot for context headers
+ * e.g. "Schema: org admin@acme.com, API 62.0, retrieved 2024-05-01 (3 days ago)"
+ */
+function describeSchemaSnapshot(snapshot) {
+  if (!snapshot) return null;
+
+  const parts = [`Schema: ${snapshot.origin}`];
+  if (snapshot.apiVersion) {
+    parts.push(`API ${snapshot.apiVersion}`);
+  }
+  const age = snapshot.ageDays === 0 ? 'today' : `${snapshot.ageDays} day${snapshot.ageDays === 1 ? '' : 's'} ago`;
+  parts.push(`retrieved ${snapshot.retrievedAt.slice(0, 10)} (${age})`);
+
+  return parts.join(', ');
+}
+
 // Singleton instance
 const schemaRegistry = new SchemaRegistry();
 
 export { 
   SchemaRegistry, 
   schemaRegistry, 
+  describeSchemaSnapshot,
   CORE_SALES_CLOUD_OBJECTS,
   FIELD_TYPES,
 };
@@ -0,0 +1,405 @@
+/**
+ * Schema Inspection
+ *
+ * Looks into what SchemaRegistry knows, outside of generated contexts:
+ * 1. describeSchema - one object's fields, references, picklists, validation
+ *    rules, record types and child relationships
+ * 2. searchSchema - fuzzy search over object and field API names, labels and
+ *    descriptions, tolerant of typos and abbreviations (Invoce, Amt)
+ * 3. Plain-text tables of both for the terminal
+ */
+
+import { schemaRegistry as defaultSchemaRegistry } from './schema-registry.js';
+
+/**
+ * How much a match on each attribute counts; a name match beats a label
+ * match, which beats a mention in the description
+ */
+const SOURCE_WEIGHTS = {
+  name: 1,
+  label: 0.9,
+  description: 0.6,
+};
+
+/**
+ * Weight of a match on a field's object, which only counts towards
+ * multi-word searches (invoice amount)
+ */
+const OBJECT_CONTEXT_WEIGHT = 0.8;
+
+/**
+ * Lowest score a search term needs to count as a match
+ */
+const MIN_SCORE = 0.5;
+
+/**
+ * Error for an object missing from the schema, naming close matches
+ * @param {string} objectName - Name that was asked for
+ * @param {SchemaRegistry} registry - Registry to look for close matches in
+ * @returns {Error}
+ */
+function unknownObjectError(objectName, registry) {
+  const suggestions = searchSchema(objectName, { schemaRegistry: registry, kind: 'object', limit: 3 });
+  const hint = suggestions.length > 0 ? ` (did you mean ${suggestions.map(s => s.object).join(', ')}?)` : '';
+  return new Error(`Unknown SObject: ${objectName}${hint}`);
+}
+
+/**
+ * Describe an object for inspection
+ * @param {string} objectName - SObject API name, in any case
+ * @param {Object} options - { schemaRegistry }
+ * @returns {Object} { name, label, description, isStandard, fields: [{ name, label,
+ *   type, required, unique, length, precision, scale, referenceTo, relationshipName,
+ *   picklistValues, restricted, valueSetName, recordTypeValues, formula, description }],
+ *   validationRules, recordTypes, childRelationships }
+ * @throws {Error} When the object is not in the schema, naming close matches
+ */
+function describeSchema(objectName, options = {}) {
+  const registry = options.schemaRegistry || defaultSchemaRegistry;
+  const object = registry.describeObject(objectName);
+  if (!object) {
+    throw unknownObjectError(objectName, registry);
+  }
+
+  return {
+    name: object.name,
+    label: object.label,
+    description: object.description,
+    isStandard: object.isStandard,
+    fields: object.fields.map(field => ({
+      name: field.name,
+      label: field.label || field.name,
+      type: field.type,
+      required: Boolean(field.required),
+      unique: Boolean(field.unique),
+      length: field.length ?? null,
+      precision: field.precision ?? null,
+      scale: field.scale ?? null,
+      referenceTo: field.referenceTo ?? null,
+      relationshipName: field.relationshipName ?? null,
+      picklistValues: registry.getPicklistValues(object.name, field.name),
+      restricted: Boolean(field.restricted),
+      valueSetName: field.valueSetName || null,
+      recordTypeValues: field.recordTypeValues || {},
+      formula: field.formula || null,
+      description: field.description || null,
+    })),
+    validationRules: object.validationRules.map(rule => ({
+      name: rule.name,
+      active: rule.active,
+      errorMessage: rule.errorMessage,
+      errorDisplayField: rule.errorDisplayField,
+      errorConditionFormula: rule.errorConditionFormula,
+    })),
+    recordTypes: object.recordTypes.map(recordType => ({
+      name: recordType.name,
+      label: recordType.label,
+      active: recordType.active,
+    })),
+    childRelationships: registry.getChildRelationships(object.name),
+  };
+}
+
+/**
+ * Fuzzy search over objects and fields. Every word of the text must match
+ * the object or field, or the words must match together as a phrase; a
+ * field's words may also match its object's name and label.
+ * @param {string} text - What to look for, e.g. "invoice amount"
+ * @param {Object} options - { schemaRegistry, kind, object, limit }
+ *   kind: 'object' or 'field' to search only one of them
+ *   object: search only this object and its fields
+ *   limit: maximum number of results (default 25)
+ * @returns {Object[]} { kind, object, field, label, type, score, matchedOn },
+ *   best first; field is null for objects
+ * @throws {Error} When options.object is not in the schema, naming close matches
+ */
+function searchSchema(text, options = {}) {
+  const registry = options.schemaRegistry || defaultSchemaRegistry;
+  const terms = String(text ?? '').split(/[\s.]+/).map(normalize).filter(Boolean);
+  if (terms.length === 0) {
+    throw new Error('Nothing to search for');
+  }
+
+  let scope = registry.objects.values();
+  if (options.object) {
+    const object = registry.findObject(options.object);
+    if (!object) {
+      throw unknownObjectError(options.object, registry);
+    }
+    scope = [object];
+  }
+  const results = [];
+
+  for (const object of scope) {
+    const objectSources = { name: object.name, label: object.label, description: object.description };
+
+    if (options.kind !== 'field') {
+      const match = matchQuery(terms, objectSources);
+      if (match) {
+        results.push({ kind: 'object', object: object.name, field: null, label: object.label, type: null, ...match });
+      }
+    }
+
+    if (options.kind !== 'object') {
+      for (const field of object.fields.values()) {
+        const fieldSources = { name: field.name, label: field.label, description: field.description };
+        const match = matchQuery(terms, fieldSources, objectSources);
+        if (match) {
+          results.push({ kind: 'field', object: object.name, field: field.name, label: field.label || field.name, type: field.type, ...match });
+        }
+      }
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.object.localeCompare(b.object) || (a.field || '').localeCompare(b.field || ''))
+    .slice(0, options.limit ?? 25);
+}
+
+/**
+ * Best match of the search words, separately or as one phrase, so that
+ * "due date" matches Due_Date__c as well as Due Date
+ */
+function matchQuery(terms, sources, context = null) {
+  if (terms.length === 1) return matchTerms(terms, sources);
+
+  const separately = matchTerms(terms, sources, context);
+  const phrase = matchTerms([terms.join('')], sources);
+  if (!separately) return phrase;
+  return phrase && phrase.score > separately.score ? phrase : separately;
+}
+
+/**
+ * Score every term against an object's or field's own attributes and, for
+ * fields, its object's. At least one term has to match the item itself.
+ * @returns {Object|null} { score, matchedOn }, or null unless every term matches
+ */
+function matchTerms(terms, sources, context = null) {
+  let total = 0;
+  let matchesItself = false;
+  const matchedOn = new Set();
+
+  for (const term of terms) {
+    const own = bestSourceMatch(term, sources);
+    const inherited = context ? bestSourceMatch(term, context) : null;
+    const contextScore = inherited ? inherited.score * OBJECT_CONTEXT_WEIGHT : 0;
+
+    if (own && own.score >= contextScore) {
+      total += own.score;
+      matchedOn.add(own.source);
+      matchesItself = true;
+    } else if (inherited) {
+      total += contextScore;
+      matchedOn.add('object');
+    } else {
+      return null;
+    }
+  }
+
+  if (!matchesItself) return null;
+  return { score: Math.round((total / terms.length) * 100) / 100, matchedOn: Array.from(matchedOn) };
+}
+
+/**
+ * The attribute a term matches best, weighted by SOURCE_WEIGHTS
+ * @returns {Object|null} { source, score }
+ */
+function bestSourceMatch(term, sources) {
+  let best = null;
+  for (const [source, value] of Object.entries(sources)) {
+    if (!value) continue;
+    const score = scoreTerm(term, value, source === 'description') * SOURCE_WEIGHTS[source];
+    if (score >= MIN_SCORE && (!best || score > best.score)) {
+      best = { source, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * How well a normalized term matches a name, label or description, from 0
+ * to 1: whole-value, prefix and substring matches first, then per-word
+ * matches, then typos (edit distance) and abbreviations (letters in order).
+ * Descriptions only match whole words or substrings, since abbreviations
+ * would find something in any long text.
+ */
+function scoreTerm(term, value, isDescription = false) {
+  const whole = normalize(value);
+  const words = splitWords(value);
+  if (!isDescription) {
+    if (whole === term) return 1;
+    if (whole.startsWith(term)) return 0.9;
+  }
+  if (words.includes(term)) return isDescription ? 1 : 0.85;
+  if (whole.includes(term)) return 0.8;
+  if (words.some(word => word.startsWith(term))) return 0.75;
+
+  let score = 0;
+  for (const candidate of isDescription ? words : [whole, ...words]) {
+    const distance = editDistance(term, candidate);
+    const similarity = 1 - distance / Math.max(term.length, candidate.length);
+    if (term.length >= 4 && distance <= Math.max(1, Math.floor(term.length / 4))) {
+      score = Math.max(score, 0.7 * similarity);
+    }
+  }
+  if (!isDescription && term.length >= 3 && isSubsequence(term, whole) && term[0] === whole[0]) {
+    score = Math.max(score, 0.5 + 0.2 * (term.length / whole.length));
+  }
+  return score;
+}
+
+/**
+ * Lower-case letters and digits only, without the __c / __r style suffix
+ */
+function normalize(value) {
+  return String(value).replace(/__[a-z]+$/i, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Words of a name or label: Billing_Street__c, BillingStreet and
+ * "Billing Street" all give billing, street
+ */
+function splitWords(value) {
+  return String(value)
+    .replace(/__[a-z]+$/i, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function isSubsequence(term, text) {
+  let position = 0;
+  for (const char of text) {
+    if (char === term[position]) position++;
+    if (position === term.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Pad the columns of rows of cells into a table with a header rule
+ */
+function formatTable(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => String(row[i]).length)));
+  const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join(' | ').trimEnd();
+  return [line(header), widths.map(width => '-'.repeat(width)).join('-|-'), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Plain-text description of an object: a field table, then its validation
+ * rules, record types and child relationships
+ */
+function formatSchemaDescription(description) {
+  const lines = [];
+  lines.push(`# ${description.name} (${description.label}, ${description.isStandard ? 'standard' : 'custom'})`);
+  if (description.description) {
+    lines.push(description.description);
+  }
+  lines.push('');
+
+  const rows = description.fields.map(field => [
+    field.name,
+    formatFieldType(field),
+    field.required ? 'yes' : '',
+    formatFieldDetails(field),
+  ]);
+  lines.push(formatTable(['Field', 'Type', 'Required', 'Details'], rows));
+
+  if (description.validationRules.length > 0) {
+    lines.push('');
+    lines.push('Validation rules:');
+    for (const rule of description.validationRules) {
+      const field = rule.errorDisplayField ? ` [${rule.errorDisplayField}]` : '';
+      lines.push(`  - ${rule.name}${rule.active ? '' : ' (inactive)'}: "${rule.errorMessage}"${field}`);
+      if (rule.errorConditionFormula) {
+        lines.push(`      ${rule.errorConditionFormula.replace(/\s+/g, ' ').trim()}`);
+      }
+    }
+  }
+  if (description.recordTypes.length > 0) {
+    lines.push('');
+    lines.push(`Record types: ${description.recordTypes.map(rt => rt.active ? rt.name : `${rt.name} (inactive)`).join(', ')}`);
+  }
+  if (description.childRelationships.length > 0) {
+    lines.push('');
+    lines.push('Child relationships:');
+    for (const relationship of description.childRelationships) {
+      lines.push(`  - ${relationship.relationshipName}: ${relationship.childObject}.${relationship.field}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Type with its size: Text(80), Number(18,2)
+ */
+function formatFieldType(field) {
+  if (field.precision) return `${field.type}(${field.precision},${field.scale ?? 0})`;
+  if (field.length && !/Picklist|Id$/.test(field.type)) return `${field.type}(${field.length})`;
+  return field.type;
+}
+
+/**
+ * References, picklist values, formulas and uniqueness of a field
+ */
+function formatFieldDetails(field) {
+  const details = [];
+  if (field.referenceTo) {
+    const targets = [field.referenceTo].flat().join(', ');
+    details.push(`-> ${targets}${field.relationshipName ? ` (${field.relationshipName})` : ''}`);
+  }
+  if (field.picklistValues?.length > 0) {
+    details.push(`${field.restricted ? 'restricted: ' : ''}${field.picklistValues.join(', ')}`);
+  }
+  if (field.formula) {
+    details.push(`= ${field.formula.replace(/\s+/g, ' ').trim()}`);
+  }
+  if (field.unique && field.type !== 'Id') {
+    details.push('unique');
+  }
+  return details.join('; ');
+}
+
+/**
+ * Plain-text table of search results
+ */
+function formatSearchResults(results) {
+  if (results.length === 0) return 'No matches.';
+
+  const rows = results.map(result => [
+    result.score.toFixed(2),
+    result.field ? `${result.object}.${result.field}` : result.object,
+    result.type || 'object',
+    result.label,
+    result.matchedOn.join(', '),
+  ]);
+  return formatTable(['Score', 'Name', 'Type', 'Label', 'Matched on'], rows);
+}
+
+export {
+  describeSchema,
+  searchSchema,
+  formatSchemaDescription,
+  formatSearchResults,
+};
@@ -0,0 +1,527 @@
+/**
+ * Semantic Diff
+ *
+ * Compares two parsed versions of an Apex file and reports structured
+ * changes instead of line diffs:
+ * 1. Methods added or removed
+ * 2. Signature changes (parameters, return type, modifiers, annotations)
+ * 3. SOQL field changes per method
+ * 4. New (and removed) DML operations
+ * 5. Complexity deltas for the class and each method
+ */
+
+import path from 'path';
+import { parseCode } from './parser.js';
+import { getRepoRoot, listChangedFiles, readFileAtRevision } from './git.js';
+
+/**
+ * Diff two parse results of the same file
+ * @param {Object|null} before - Parsed result of the old version (null if added)
+ * @param {Object|null} after - Parsed result of the new version (null if removed)
+ * @returns {Object} Structured diff
+ */
+function diffParsed(before, after) {
+  const base = before || emptyParsed();
+  const target = after || emptyParsed();
+
+  const diff = {
+    name: target.name || base.name,
+    type: target.type || base.type,
+    status: !before ? 'added' : !after ? 'removed' : 'modified',
+    declaration: diffDeclaration(base, target),
+    methods: {
+      added: [],
+      removed: [],
+      changed: [],
+    },
+    soql: [],
+    dml: {
+      added: [],
+      removed: [],
+    },
+    complexity: {
+      before: base.complexity || 0,
+      after: target.complexity || 0,
+      delta: (target.complexity || 0) - (base.complexity || 0),
+      methods: [],
+    },
+  };
+
+  const { pairs, added, removed } = matchMethods(base.methods || [], target.methods || []);
+
+  diff.methods.added = added.map(m => methodSummary(m));
+  diff.methods.removed = removed.map(m => methodSummary(m));
+
+  for (const [oldMethod, newMethod] of pairs) {
+    const changes = diffSignature(oldMethod, newMethod);
+    if (Object.keys(changes).length > 0) {
+      diff.methods.changed.push({
+        name: newMethod.name,
+        before: methodSignature(oldMethod),
+        after: methodSignature(newMethod),
+        changes,
+      });
+    }
+
+    const delta = (newMethod.complexity || 0) - (oldMethod.complexity || 0);
+    if (delta !== 0) {
+      diff.complexity.methods.push({
+        name: newMethod.name,
+        before: oldMethod.complexity || 0,
+        after: newMethod.complexity || 0,
+        delta,
+      });
+    }
+  }
+
+  // Compare queries and DML per method, including added/removed methods
+  const methodPairs = [
+    ...pairs,
+    ...added.map(m => [null, m]),
+    ...removed.map(m => [m, null]),
+  ];
+
+  for (const [oldMethod, newMethod] of methodPairs) {
+    const methodName = (newMethod || oldMethod).name;
+
+    diff.soql.push(...diffQueries(methodName, oldMethod?.soql || [], newMethod?.soql || []));
+
+    const dmlChanges = diffDML(oldMethod?.dml || [], newMethod?.dml || []);
+    diff.dml.added.push(...dmlChanges.added.map(d => ({ method: methodName, ...d })));
+    diff.dml.removed.push(...dmlChanges.removed.map(d => ({ method: methodName, ...d })));
+  }
+
+  // Trigger bodies hold queries and DML outside of any method
+  if (base.type === 'trigger' || target.type === 'trigger') {
+    diff.soql.push(...diffQueries('(trigger body)', base.soql || [], target.soql || []));
+    const dmlChanges = diffDML(base.dml || [], target.dml || []);
+    diff.dml.added.push(...dmlChanges.added.map(d => ({ method: '(trigger body)', ...d })));
+    diff.dml.removed.push(...dmlChanges.removed.map(d => ({ method: '(trigger body)', ...d })));
+  }
+
+  diff.hasChanges = hasChanges(diff);
+  return diff;
+}
+
+/**
+ * Diff two source strings
+ */
+function diffCode(beforeCode, afterCode, options = {}) {
+  const before = beforeCode === null ? null : parseCode(beforeCode, options);
+  const after = afterCode === null ? null : parseCode(afterCode, options);
+  return diffParsed(before, after);
+}
+
+/**
+ * Semantic diff of every Apex file changed between two git revisions
+ * @param {string} revA - Base revision
+ * @param {string} revB - Target revision
+ * @param {Object} options - { cwd }
+ * @returns {Promise<Object>} { from, to, files, summary }
+ */
+async function diffRevisions(revA, revB, options = {}) {
+  const root = await getRepoRoot(options);
+  const changes = await listChangedFiles(revA, revB, { cwd: root });
+  const files = [];
+
+  for (const change of changes) {
+    const fileType = path.extname(change.path).toLowerCase() === '.trigger' ? 'trigger' : 'class';
+    const beforeCode = change.status === 'added'
+      ? null
+      : await readFileAtRevision(revA, change.oldPath, { cwd: root });
+    const afterCode = change.status === 'removed'
+      ? null
+      : await readFileAtRevision(revB, change.path, { cwd: root });
+
+    const diff = diffCode(beforeCode, afterCode, { fileType });
+    files.push({
+      path: change.path,
+      oldPath: change.oldPath !== change.path ? change.oldPath : undefined,
+      status: change.status,
+      diff,
+    });
+  }
+
+  return {
+    from: revA,
+    to: revB,
+    files,
+    summary: summarize(files),
+  };
+}
+
+/**
+ * Match methods between versions.
+ * Methods with identical signatures pair up first; a remaining name that
+ * occurs exactly once on each side is treated as a signature change.
+ */
+function matchMethods(oldMethods, newMethods) {
+  const pairs = [];
+  const unmatchedOld = [...oldMethods];
+  const unmatchedNew = [];
+
+  for (const method of newMethods) {
+    const index = unmatchedOld.findIndex(m => methodKey(m) === methodKey(method));
+    if (index >= 0) {
+      pairs.push([unmatchedOld[index], method]);
+      unmatchedOld.splice(index, 1);
+    } else {
+      unmatchedNew.push(method);
+    }
+  }
+
+  const added = [];
+  for (const method of unmatchedNew) {
+    const oldCandidates = unmatchedOld.filter(m => m.name === method.name);
+    const newCandidates = unmatchedNew.filter(m => m.name === method.name);
+    if (oldCandidates.length === 1 && newCandidates.length === 1) {
+      pairs.push([oldCandidates[0], method]);
+      unmatchedOld.splice(unmatchedOld.indexOf(oldCandidates[0]), 1);
+    } else {
+      added.push(method);
+    }
+  }
+
+  return { pairs, added, removed: unmatchedOld };
+}
+
+/**
+ * Identity of a method: name plus parameter types (Apex allows overloads)
+ */
+function methodKey(method) {
+  const paramTypes = (method.parameters || []).map(p => p.type).join(',');
+  return `${method.name}(${paramTypes})`;
+}
+
+/**
+ * Human-readable method signature
+ */
+function methodSignature(method) {
+  const modifiers = method.modifiers?.join(' ') || '';
+  const params = (method.parameters || []).map(p => `${p.type} ${p.name}`).join(', ');
+  return `${modifiers} ${method.returnType || 'void'} ${method.name}(${params})`.trim();
+}
+
+/**
+ * Summary of an added or removed method
+ */
+function methodSummary(method) {
+  return {
+    name: method.name,
+    signature: methodSignature(method),
+    line: method.line,
+    complexity: method.complexity,
+  };
+}
+
+/**
+ * Compare the signature parts of two versions of a method
+ */
+function diffSignature(oldMethod, newMethod) {
+  const changes = {};
+
+  const oldParams = (oldMethod.parameters || []).map(p => `${p.type} ${p.name}`);
+  const newParams = (newMethod.parameters || []).map(p => `${p.type} ${p.name}`);
+  if (oldParams.join(', ') !== newParams.join(', ')) {
+    changes.parameters = { before: oldParams, after: newParams };
+  }
+
+  if ((oldMethod.returnType || 'void') !== (newMethod.returnType || 'void')) {
+    changes.returnType = {
+      before: oldMethod.returnType || 'void',
+      after: newMethod.returnType || 'void',
+    };
+  }
+
+  const modifiers = diffLists(oldMethod.modifiers || [], newMethod.modifiers || []);
+  if (modifiers) {
+    changes.modifiers = modifiers;
+  }
+
+  const annotations = diffLists(
+    (oldMethod.annotations || []).map(formatAnnotation),
+    (newMethod.annotations || []).map(formatAnnotation)
+  );
+  if (annotations) {
+    changes.annotations = annotations;
+  }
+
+  return changes;
+}
+
+/**
+ * Compare the class/trigger declaration
+ */
+function diffDeclaration(base, target) {
+  const changes = {};
+
+  const modifiers = diffLists(base.modifiers || [], target.modifiers || []);
+  if (modifiers) changes.modifiers = modifiers;
+
+  const annotations = diffLists(
+    (base.annotations || []).map(formatAnnotation),
+    (target.annotations || []).map(formatAnnotation)
+  );
+  if (annotations) changes.annotations = annotations;
+
+  if ((base.extends || null) !== (target.extends || null) &&
+      JSON.stringify(base.extends) !== JSON.stringify(target.extends)) {
+    changes.extends = { before: base.extends || null, after: target.extends || null };
+  }
+
+  const interfaces = diffLists(base.implements || [], target.implements || []);
+  if (interfaces) changes.implements = interfaces;
+
+  const events = diffLists(base.events || [], target.events || []);
+  if (events) changes.events = events;
+
+  return changes;
+}
+
+/**
+ * Compare SOQL queries of one method, grouped by queried object
+ */
+function diffQueries(methodName, oldQueries, newQueries) {
+  const changes = [];
+  const oldFields = fieldsByObject(oldQueries);
+  const newFields = fieldsByObject(newQueries);
+  const objects = new Set([...oldFields.keys(), ...newFields.keys()]);
+
+  for (const object of objects) {
+    const before = oldFields.get(object);
+    const after = newFields.get(object);
+
+    if (!before) {
+      changes.push({ method: methodName, object, change: 'query_added', fields: Array.from(after) });
+    } else if (!after) {
+      changes.push({ method: methodName, object, change: 'query_removed', fields: Array.from(before) });
+    } else {
+      const fieldChanges = diffLists(Array.from(before), Array.from(after));
+      if (fieldChanges) {
+        changes.push({ method: methodName, object, change: 'fields_changed', ...fieldChanges });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Collect the selected fields of queries per object
+ */
+function fieldsByObject(queries) {
+  const result = new Map();
+  for (const query of queries) {
+    const object = query.object || '(unknown)';
+    if (!result.has(object)) {
+      result.set(object, new Set());
+    }
+    for (const field of (query.fields || [])) {
+      result.get(object).add(formatQueryField(field));
+    }
+  }
+  return result;
+}
+
+/**
+ * Render a SELECT item (plain field, subquery or function) as text
+ */
+function formatQueryField(field) {
+  if (typeof field === 'string') return field;
+  if (field.subquery) return field.subquery.replace(/\s+/g, ' ');
+  if (field.function) return field.function;
+  return JSON.stringify(field);
+}
+
+/**
+ * Compare DML operations as multisets of "operation target"
+ */
+function diffDML(oldOperations, newOperations) {
+  return {
+    added: subtractDML(newOperations, oldOperations),
+    removed: subtractDML(oldOperations, newOperations),
+  };
+}
+
+/**
+ * DML operations in `operations` that have no counterpart in `others`
+ */
+function subtractDML(operations, others) {
+  const remaining = others.map(d => `${d.type} ${d.target}`);
+  const result = [];
+
+  for (const dml of operations) {
+    const index = remaining.indexOf(`${dml.type} ${dml.target}`);
+    if (index >= 0) {
+      remaining.splice(index, 1);
+    } else {
+      result.push({ operation: dml.type, target: dml.target, line: dml.line });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Set difference of two string lists, or null when equal
+ */
+function diffLists(before, after) {
+  const added = after.filter(item => !before.includes(item));
+  const removed = before.filter(item => !after.includes(item));
+  if (added.length === 0 && removed.length === 0) return null;
+  return { added, removed };
+}
+
+/**
+ * Render an annotation with its parameters
+ */
+function formatAnnotation(annotation) {
+  return annotation.parameters ? `@${annotation.name}${annotation.parameters}` : `@${annotation.name}`;
+}
+
+/**
+ * Parse-result shape for a file that does not exist on one side
+ */
+function emptyParsed() {
+  return { name: null, type: null, methods: [], soql: [], dml: [], complexity: 0 };
+}
+
+/**
+ * Check whether a diff found anything semantic
+ */
+function hasChanges(diff) {
+  return diff.status !== 'modified' ||
+    Object.keys(diff.declaration).length > 0 ||
+    diff.methods.added.length > 0 ||
+    diff.methods.removed.length > 0 ||
+    diff.methods.changed.length > 0 ||
+    diff.soql.length > 0 ||
+    diff.dml.added.length > 0 ||
+    diff.dml.removed.length > 0 ||
+    diff.complexity.delta !== 0;
+}
+
+/**
+ * Count changes across all files
+ */
+function summarize(files) {
+  const summary = {
+    filesChanged: files.length,
+    methodsAdded: 0,
+    methodsRemoved: 0,
+    signaturesChanged: 0,
+    soqlChanges: 0,
+    dmlAdded: 0,
+    complexityDelta: 0,
+  };
+
+  for (const { diff } of files) {
+    summary.methodsAdded += diff.methods.added.length;
+    summary.methodsRemoved += diff.methods.removed.length;
+    summary.signaturesChanged += diff.methods.changed.length;
+    summary.soqlChanges += diff.soql.length;
+    summary.dmlAdded += diff.dml.added.length;
+    summary.complexityDelta += diff.complexity.delta;
+  }
+
+  return summary;
+}
+
+/**
+ * Format a revision diff as a readable summary
+ */
+function formatDiffSummary(result) {
+  const lines = [];
+  const signed = n => (n > 0 ? `+${n}` : `${n}`);
+
+  lines.push(`# Semantic Diff: ${result.from}..${result.to}`);
+  lines.push('');
+
+  if (result.files.length === 0) {
+    lines.push('No Apex changes.');
+    return lines.join('\n');
+  }
+
+  for (const file of result.files) {
+    const { diff } = file;
+    const rename = file.oldPath ? ` (from ${file.oldPath})` : '';
+    lines.push(`## ${file.path} [${file.status}]${rename}`);
+    if (diff.name) {
+      lines.push(`${diff.type}: ${diff.name}`);
+    }
+
+    for (const [part, change] of Object.entries(diff.declaration)) {
+      lines.push(`  ~ ${part}: ${describeChange(change)}`);
+    }
+    for (const method of diff.methods.added) {
+      lines.push(`  + method ${method.signature}`);
+    }
+    for (const method of diff.methods.removed) {
+      lines.push(`  - method ${method.signature}`);
+    }
+    for (const method of diff.methods.changed) {
+      const signature = method.before === method.after ? method.after : `${method.before} -> ${method.after}`;
+      lines.push(`  ~ method ${method.name}: ${signature}`);
+      for (const [part, change] of Object.entries(method.changes)) {
+        lines.push(`    ${part}: ${describeChange(change)}`);
+      }
+    }
+    for (const query of diff.soql) {
+      if (query.change === 'fields_changed') {
+        const parts = [
+          ...query.added.map(f => `+${f}`),
+          ...query.removed.map(f => `-${f}`),
+        ];
+        lines.push(`  ~ SOQL ${query.object} in ${query.method}: ${parts.join(', ')}`);
+      } else {
+        const sign = query.change === 'query_added' ? '+' : '-';
+        lines.push(`  ${sign} SOQL ${query.object} in ${query.method}: [${query.fields.join(', ')}]`);
+      }
+    }
+    for (const dml of diff.dml.added) {
+      lines.push(`  + DML ${dml.operation} ${dml.target} in ${dml.method}`);
+    }
+    for (const dml of diff.dml.removed) {
+      lines.push(`  - DML ${dml.operation} ${dml.target} in ${dml.method}`);
+    }
+    if (diff.complexity.delta !== 0) {
+      lines.push(`  Complexity: ${diff.complexity.before} -> ${diff.complexity.after} (${signed(diff.complexity.delta)})`);
+    }
+    for (const method of diff.complexity.methods) {
+      lines.push(`    ${method.name}: ${method.before} -> ${method.after} (${signed(method.delta)})`);
+    }
+    if (!diff.hasChanges) {
+      lines.push('  (no semantic changes)');
+    }
+    lines.push('');
+  }
+
+  const { summary } = result;
+  lines.push('## Summary');
+  lines.push(`Files: ${summary.filesChanged} | Methods: +${summary.methodsAdded} -${summary.methodsRemoved} ~${summary.signaturesChanged}`);
+  lines.push(`SOQL changes: ${summary.soqlChanges} | New DML: ${summary.dmlAdded} | Complexity: ${signed(summary.complexityDelta)}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Describe a { added, removed } or { before, after } change
+ */
+function describeChange(change) {
+  if ('before' in change) {
+    return `${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`;
+  }
+  return [
+    ...change.added.map(item => `+${item}`),
+    ...change.removed.map(item => `-${item}`),
+  ].join(', ');
+}
+
+export {
+  diffParsed,
+  diffCode,
+  diffRevisions,
+  formatDiffSummary,
+  methodKey,
+  methodSignature,
+};
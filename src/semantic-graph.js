@@ -5,7 +5,8 @@
  * - Classes, Triggers, Interfaces
  * - Methods and their callers
  * - Fields and their accessors
- * - SObjects and their relationships
+ * - SObjects and their lookup/master-detail relationships
+ * - Formula fields and validation rules and the schema fields they read
  * 
  * This enables:
  * 1. Forward dependencies: "What does this method call?"
@@ -14,8 +15,22 @@
  * 4. Context radius: "What's relevant for understanding this code?"
  */
 
+import { schemaRegistry as defaultSchemaRegistry } from './schema-registry.js';
+
+/**
+ * Edges derived from the schema rather than from code
+ */
+const RELATIONSHIP_EDGE_TYPES = new Set(['lookup', 'master_detail']);
+const SCHEMA_EDGE_TYPES = new Set([...RELATIONSHIP_EDGE_TYPES, 'formula_depends']);
+
 class SemanticGraph {
-  constructor(parsedResults = []) {
+  /**
+   * @param {Object[]} parsedResults - Parsed classes and triggers
+   * @param {Object} options - { schemaRegistry } used to resolve SOQL child relationships
+   */
+  constructor(parsedResults = [], options = {}) {
+    this.schemaRegistry = options.schemaRegistry || defaultSchemaRegistry;
+
     // Node store: nodeName -> { id, type, name, metadata, hash }
     this.nodes = new Map();
     
@@ -31,6 +46,7 @@ class SemanticGraph {
     this.methodNodes = new Map(); // className.methodName -> node details
     this.fieldNodes = new Map(); // className.fieldName -> node details
     this.objectNodes = new Map(); // SObjectName -> node details
+    this.unlinkedObjects = new Set(); // SObject nodes added since the last linkSObjects()
     
     // Build graph from initial parsed results
     if (parsedResults && parsedResults.length > 0) {
@@ -38,6 +54,8 @@ class SemanticGraph {
         this.addClassNode(parsed);
       }
     }
+
+    this.addFormulaDependencies();
   }
 
   /**
@@ -68,6 +86,9 @@ class SemanticGraph {
         metadata,
         createdAt: Date.now(),
       });
+      if (type === 'sobject') {
+        this.unlinkedObjects.add(id);
+      }
       
       // Initialize adjacency lists
       if (!this.outgoing.has(id)) {
@@ -110,6 +131,90 @@ class SemanticGraph {
     }
   }
 
+  /**
+   * Remove an edge from the graph
+   */
+  removeEdge(edgeId) {
+    const edge = this.edges.get(edgeId);
+    if (!edge) return;
+
+    this.edges.delete(edgeId);
+    const outgoing = this.outgoing.get(edge.from);
+    if (outgoing) {
+      this.outgoing.set(edge.from, outgoing.filter(e => e.id !== edgeId));
+    }
+    const incoming = this.incoming.get(edge.to);
+    if (incoming) {
+      this.incoming.set(edge.to, incoming.filter(e => e.id !== edgeId));
+    }
+  }
+
+  /**
+   * Remove a node and every edge touching it
+   */
+  removeNode(nodeId) {
+    if (!this.nodes.has(nodeId)) return;
+
+    const touching = [
+      ...(this.outgoing.get(nodeId) || []),
+      ...(this.incoming.get(nodeId) || []),
+    ];
+    for (const edge of touching) {
+      this.removeEdge(edge.id);
+    }
+
+    this.nodes.delete(nodeId);
+    this.outgoing.delete(nodeId);
+    this.incoming.delete(nodeId);
+  }
+
+  /**
+   * Remove a class node, its members, and any SObject nodes it leaves orphaned.
+   * Used to rebuild a single class incrementally after its source changes.
+   */
+  removeClassNode(className) {
+    const classId = this.classNodes.get(className);
+    if (!classId) return;
+
+    const memberIds = (this.outgoing.get(classId) || [])
+      .filter(e => e.type === 'contains')
+      .map(e => e.to);
+
+    // SObject and schema field nodes this class pointed at, directly or via members
+    const candidates = new Set();
+    for (const id of [classId, ...memberIds]) {
+      for (const edge of (this.outgoing.get(id) || [])) {
+        const target = this.nodes.get(edge.to);
+        if (target && (target.type === 'sobject' || target.type === 'sfield')) {
+          candidates.add(edge.to);
+        }
+      }
+    }
+
+    for (const id of [...memberIds, classId]) {
+      this.removeNode(id);
+    }
+
+    this.classNodes.delete(className);
+    for (const index of [this.methodNodes, this.fieldNodes]) {
+      for (const [key, id] of index) {
+        if (!this.nodes.has(id)) index.delete(key);
+      }
+    }
+
+    // Relationships to other SObjects alone do not keep an SObject in the graph
+    for (const id of candidates) {
+      const remaining = [...(this.incoming.get(id) || []), ...(this.outgoing.get(id) || [])];
+      if (remaining.every(edge => RELATIONSHIP_EDGE_TYPES.has(edge.type))) {
+        const node = this.nodes.get(id);
+        this.removeNode(id);
+        if (node.type === 'sobject') {
+          this.objectNodes.delete(node.name);
+        }
+      }
+    }
+  }
+
   /**
    * Add a class node and its contents
    */
@@ -121,6 +226,7 @@ class SemanticGraph {
       modifiers: parsedClass.modifiers,
       implements: parsedClass.implements,
       extends: parsedClass.extends,
+      package: parsedClass.package || null,
     });
 
     this.classNodes.set(className, classId);
@@ -137,6 +243,7 @@ class SemanticGraph {
 
     // Add SObject references (from SOQL and DML)
     this.addSObjectReferences(classId, parsedClass);
+    this.linkSObjects();
 
     return classId;
   }
@@ -168,6 +275,9 @@ class SemanticGraph {
     // Track DML operations
     this.addDMLReferences(methodId, method);
 
+    // Track assigned SObject fields
+    this.addFieldWriteReferences(methodId, method);
+
     return methodId;
   }
 
@@ -251,11 +361,40 @@ class SemanticGraph {
           });
 
           this.addEdge(methodId, fieldId, 'accesses_field', { mode: 'read' });
+        } else if (field?.subquery) {
+          this.addSubqueryReferences(methodId, query, field);
         }
       }
     }
   }
 
+  /**
+   * A subquery reads the child SObject of its relationship
+   * (Account + Contacts -> Contact)
+   */
+  addSubqueryReferences(methodId, query, subquery) {
+    const relationship = this.schemaRegistry.resolveChildRelationship(query.object, subquery.relationship);
+    if (!relationship) return;
+
+    const objectId = this.addNode('sobject', relationship.childObject);
+    this.addEdge(methodId, objectId, 'reads', {
+      fields: subquery.fields,
+      line: query.line,
+      relationship: subquery.relationship,
+      parent: query.object,
+      via: relationship.field,
+    });
+
+    for (const field of subquery.fields) {
+      if (typeof field !== 'string') continue;
+      const fieldId = this.addNode('sfield', `${relationship.childObject}.${field}`, {
+        object: relationship.childObject,
+        field,
+      });
+      this.addEdge(methodId, fieldId, 'accesses_field', { mode: 'read' });
+    }
+  }
+
   /**
    * Add DML operation references
    */
@@ -273,6 +412,136 @@ class SemanticGraph {
     }
   }
 
+  /**
+   * Field assignments whose record type is declared in the method
+   * (a local, parameter or constructed SObject). Fields of Apex class
+   * instances are not schema fields and are skipped.
+   */
+  addFieldWriteReferences(methodId, method) {
+    for (const write of (method.fieldWrites || [])) {
+      if (!write.type) continue;
+      const object = write.type.replace(/\[\]$/, '').replace(/^\w+<(\w+)>$/, '$1');
+      if (!this.schemaRegistry.isSObjectType(object)) continue;
+      const fieldId = this.addNode('sfield', `${object}.${write.field}`, {
+        object,
+        field: write.field,
+      });
+      this.addEdge(methodId, fieldId, 'accesses_field', { mode: 'write', line: write.line });
+    }
+  }
+
+  /**
+   * Formula fields depend on the fields their formula reads (sfield ->
+   * sfield), and so do validation rules, so changing a field reaches every
+   * formula and rule built on it. Covers every object of the schema
+   * registry that has formulas.
+   */
+  addFormulaDependencies() {
+    for (const objectName of this.schemaRegistry.getAllObjects()) {
+      for (const formula of this.schemaRegistry.getFormulaReferences(objectName)) {
+        if (formula.dependsOn.length === 0) continue;
+
+        const fromId = formula.kind === 'field'
+          ? this.addNode('sfield', `${objectName}.${formula.name}`, { object: objectName, field: formula.name })
+          : this.addNode('validation_rule', `${objectName}.${formula.name}`, { object: objectName, active: formula.active });
+
+        for (const dependency of formula.dependsOn) {
+          const toId = this.addNode('sfield', `${dependency.object}.${dependency.field}`, {
+            object: dependency.object,
+            field: dependency.field,
+          });
+          this.addEdge(fromId, toId, 'formula_depends', { kind: formula.kind, path: dependency.path });
+        }
+      }
+    }
+  }
+
+  /**
+   * Link the SObject nodes in the graph by their lookup and master-detail
+   * fields (child -> parent). Only objects already in the graph are linked;
+   * addSchemaObjects() brings in the whole schema. Several fields between
+   * the same two objects share one edge listing each field.
+   * @param {boolean} all - Relink every object rather than only the edges
+   *   touching objects added since the last call
+   */
+  linkSObjects(all = false) {
+    const added = this.unlinkedObjects;
+    this.unlinkedObjects = new Set();
+    if (!all && added.size === 0) return;
+
+    const sobjectIds = Array.from(this.nodes.values())
+      .filter(node => node.type === 'sobject')
+      .map(node => node.id);
+
+    for (const childId of sobjectIds) {
+      const child = this.schemaRegistry.findObject(this.nodes.get(childId).name);
+      if (!child) continue;
+
+      for (const field of child.fields.values()) {
+        const targets = [].concat(field.referenceTo || []);
+        const edgeType = field.type === 'MasterDetail' ? 'master_detail' : 'lookup';
+
+        for (const target of targets) {
+          const parentName = this.schemaRegistry.findObject(target)?.name || target;
+          const parentId = this.nodeId('sobject', parentName);
+          if (!this.nodes.has(parentId)) continue;
+          if (!all && !added.has(childId) && !added.has(parentId)) continue;
+
+          this.addEdge(childId, parentId, edgeType, { fields: [] });
+          const { fields } = this.edges.get(this.edgeId(childId, parentId, edgeType)).metadata;
+          if (!fields.some(f => f.field === field.name)) {
+            fields.push({
+              field: field.name,
+              relationshipName: field.relationshipName || null,
+              childRelationshipName: field.childRelationshipName || null,
+              // A master-detail child always has a parent
+              required: Boolean(field.required) || edgeType === 'master_detail',
+              polymorphic: targets.length > 1,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Add an SObject node for every object in the schema registry (or the
+   * given ones) and link them, e.g. to draw an entity-relationship diagram
+   */
+  addSchemaObjects(objectNames = this.schemaRegistry.getAllObjects()) {
+    for (const objectName of objectNames) {
+      const object = this.schemaRegistry.findObject(objectName);
+      const name = object?.name || objectName;
+      const objectId = this.addNode('sobject', name, {
+        label: object?.label || name,
+        isStandard: object?.isStandard || false,
+      });
+      this.objectNodes.set(name, objectId);
+    }
+    this.linkSObjects();
+  }
+
+  /**
+   * Rebuild the schema-derived edges (relationships and formula
+   * dependencies) after the schema registry changed
+   */
+  refreshSchema() {
+    for (const edge of Array.from(this.edges.values())) {
+      if (SCHEMA_EDGE_TYPES.has(edge.type)) {
+        this.removeEdge(edge.id);
+      }
+    }
+    for (const node of Array.from(this.nodes.values())) {
+      const unused = (this.incoming.get(node.id) || []).length === 0 && (this.outgoing.get(node.id) || []).length === 0;
+      if (unused && (node.type === 'validation_rule' || node.type === 'sfield')) {
+        this.removeNode(node.id);
+      }
+    }
+
+    this.addFormulaDependencies();
+    this.linkSObjects(true);
+  }
+
   /**
    * Find all forward dependencies (what does node A depend on?)
    */
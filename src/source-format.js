@@ -0,0 +1,175 @@
+/**
+ * Source Format Reader
+ *
+ * Reads SFDX source-format metadata, where a CustomObject is decomposed into
+ * a directory of files:
+ *
+ *   objects/Account/Account.object-meta.xml
+ *   objects/Account/fields/Rating__c.field-meta.xml
+ *   objects/Account/validationRules/Require_Rating.validationRule-meta.xml
+ *   objects/Account/recordTypes/Partner.recordType-meta.xml
+ *
+ * and assembles it back into the monolithic `{ CustomObject: {...} }` shape
+ * that SchemaRegistry.parseObjectSchema understands. Each piece may also be
+ * stored as already-converted JSON (`*-meta.json`), as in the metadata cache.
+ */
+
+import fse from 'fs-extra';
+import path from 'path';
+import { Parser } from 'xml2js';
+
+/**
+ * Child folders of a decomposed object and the CustomObject key they map to
+ */
+const OBJECT_CHILD_FOLDERS = {
+  fields: { key: 'fields', suffix: '.field-meta.xml' },
+  validationRules: { key: 'validationRules', suffix: '.validationRule-meta.xml' },
+  recordTypes: { key: 'recordTypes', suffix: '.recordType-meta.xml' },
+  businessProcesses: { key: 'businessProcesses', suffix: '.businessProcess-meta.xml' },
+  fieldSets: { key: 'fieldSets', suffix: '.fieldSet-meta.xml' },
+  listViews: { key: 'listViews', suffix: '.listView-meta.xml' },
+  compactLayouts: { key: 'compactLayouts', suffix: '.compactLayout-meta.xml' },
+  webLinks: { key: 'webLinks', suffix: '.webLink-meta.xml' },
+};
+
+/**
+ * Parse an XML metadata file into a plain object
+ */
+async function readMetadataXml(filePath) {
+  const xml = await fse.readFile(filePath);
+  const parser = new Parser({ explicitArray: false });
+  return parser.parseStringPromise(xml);
+}
+
+/**
+ * Read a metadata file stored as XML or as its JSON conversion
+ */
+async function readMetadataFile(filePath) {
+  return filePath.endsWith('.json') ? fse.readJson(filePath) : readMetadataXml(filePath);
+}
+
+/**
+ * Strip a metadata suffix in either its XML or JSON form
+ * @returns {string|null} Component name, or null if the suffix does not match
+ */
+function stripMetadataSuffix(fileName, suffix) {
+  for (const candidate of [suffix, suffix.replace(/\.xml$/, '.json')]) {
+    if (fileName.endsWith(candidate)) {
+      return fileName.slice(0, -candidate.length);
+    }
+  }
+  return null;
+}
+
+/**
+ * Return the single root element of a parsed metadata document
+ * e.g. { CustomField: {...} } -> {...}
+ */
+function unwrapRoot(document) {
+  const keys = Object.keys(document || {});
+  return keys.length === 1 ? document[keys[0]] : document;
+}
+
+/**
+ * Assemble a decomposed source-format object directory
+ * @param {string} objectDir - Path to objects/<ObjectName>
+ * @returns {Promise<Object>} `{ CustomObject: {...} }` with child components inlined
+ */
+async function readSourceObject(objectDir) {
+  const objectName = path.basename(objectDir);
+  let customObject = {};
+  for (const objectFile of [`${objectName}.object-meta.xml`, `${objectName}.object-meta.json`]) {
+    const objectPath = path.join(objectDir, objectFile);
+    if (await fse.pathExists(objectPath)) {
+      customObject = unwrapRoot(await readMetadataFile(objectPath)) || {};
+      break;
+    }
+  }
+
+  for (const [folder, { key, suffix }] of Object.entries(OBJECT_CHILD_FOLDERS)) {
+    const childDir = path.join(objectDir, folder);
+    if (!await fse.pathExists(childDir)) continue;
+
+    const children = [];
+    for (const file of (await fse.readdir(childDir)).sort()) {
+      const childName = stripMetadataSuffix(file, suffix);
+      if (childName === null) continue;
+
+      const child = unwrapRoot(await readMetadataFile(path.join(childDir, file))) || {};
+      if (!child.fullName) {
+        child.fullName = childName;
+      }
+      children.push(child);
+    }
+
+    if (children.length > 0) {
+      customObject[key] = children;
+    }
+  }
+
+  return { CustomObject: customObject };
+}
+
+/**
+ * Find decomposed object directories under a source directory
+ * @param {string} sourceDir - Package directory to search
+ * @returns {Promise<string[]>} Paths of objects/<ObjectName> directories
+ */
+async function findSourceObjectDirs(sourceDir) {
+  const results = [];
+  const entries = await fse.readdir(sourceDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    const entryPath = path.join(sourceDir, entry.name);
+    if (entry.name === 'objects') {
+      const objects = await fse.readdir(entryPath, { withFileTypes: true });
+      for (const object of objects) {
+        if (object.isDirectory()) {
+          results.push(path.join(entryPath, object.name));
+        }
+      }
+    } else if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+      results.push(...await findSourceObjectDirs(entryPath));
+    }
+  }
+
+  return results.sort();
+}
+
+/**
+ * Find GlobalValueSet files in a package directory
+ * @param {string} sourceDir - Package directory to search
+ * @returns {Promise<string[]>} Paths of globalValueSets/<Name>.globalValueSet-meta.xml files
+ */
+async function findGlobalValueSetFiles(sourceDir) {
+  const results = [];
+  const entries = await fse.readdir(sourceDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    const entryPath = path.join(sourceDir, entry.name);
+    if (entry.name === 'globalValueSets') {
+      const files = await fse.readdir(entryPath);
+      for (const file of files) {
+        if (file.endsWith('.globalValueSet-meta.xml')) {
+          results.push(path.join(entryPath, file));
+        }
+      }
+    } else if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+      results.push(...await findGlobalValueSetFiles(entryPath));
+    }
+  }
+
+  return results.sort();
+}
+
+export {
+  readSourceObject,
+  readMetadataXml,
+  findSourceObjectDirs,
+  findGlobalValueSetFiles,
+  OBJECT_CHILD_FOLDERS,
+};
@@ -0,0 +1,838 @@
+/**
+ * Standard Object Catalog
+ *
+ * Offline describe of the common standard objects, so schema resolution works
+ * without retrieving them from an org:
+ * 1. Field types use the CustomField vocabulary (Text, Lookup, Picklist...)
+ *    that SchemaRegistry.parseObjectSchema produces for custom fields
+ * 2. Lookups carry referenceTo, relationshipName and, where the parent has
+ *    one, the childRelationshipName SOQL subqueries use (Account.Contacts);
+ *    polymorphic lookups (WhatId, WhoId, some OwnerIds) list every target
+ * 3. Audit fields (Id, CreatedById, SystemModstamp...) are added to every object
+ *
+ * The catalog reflects the default org shape at CATALOG_API_VERSION. Org
+ * customizations (extra picklist values, custom fields) come from the cache
+ * and are merged over it by the registry.
+ */
+
+/**
+ * API version the catalog was taken from
+ */
+const CATALOG_API_VERSION = '62.0';
+
+/**
+ * Owners that may be a queue as well as a user
+ */
+const QUEUE_OWNER = ['Group', 'User'];
+
+const text = (length, options = {}) => ({ type: 'Text', length, ...options });
+const textArea = (length = 255, options = {}) => ({ type: 'TextArea', length, ...options });
+const longText = (length = 32000, options = {}) => ({ type: 'LongTextArea', length, ...options });
+const email = (options = {}) => ({ type: 'Email', length: 80, ...options });
+const phone = (options = {}) => ({ type: 'Phone', length: 40, ...options });
+const url = (options = {}) => ({ type: 'Url', length: 255, ...options });
+const checkbox = (options = {}) => ({ type: 'Checkbox', ...options });
+const number = (precision, scale, options = {}) => ({ type: 'Number', precision, scale, ...options });
+const currency = (options = {}) => ({ type: 'Currency', precision: 18, scale: 2, ...options });
+const percent = (options = {}) => ({ type: 'Percent', precision: 3, scale: 0, ...options });
+const date = (options = {}) => ({ type: 'Date', ...options });
+const dateTime = (options = {}) => ({ type: 'DateTime', ...options });
+const address = (options = {}) => ({ type: 'Address', ...options });
+const autoNumber = (options = {}) => ({ type: 'AutoNumber', length: 30, ...options });
+const lookup = (referenceTo, relationshipName, options = {}) => ({ type: 'Lookup', referenceTo, relationshipName, ...options });
+const masterDetail = (referenceTo, relationshipName, options = {}) => ({
+  type: 'MasterDetail', referenceTo, relationshipName, required: true, ...options,
+});
+const picklist = (values, options = {}) => ({ type: 'Picklist', length: 255, values, ...options });
+const multiPicklist = (values, options = {}) => ({ type: 'MultiselectPicklist', length: 4099, values, ...options });
+
+/**
+ * Street/City/State/PostalCode/Country components of a compound address
+ */
+function addressFields(prefix, label) {
+  const named = part => [label, part].filter(Boolean).join(' ');
+  return {
+    [`${prefix}Street`]: textArea(255, { label: named('Street') }),
+    [`${prefix}City`]: text(40, { label: named('City') }),
+    [`${prefix}State`]: text(80, { label: named('State/Province') }),
+    [`${prefix}PostalCode`]: text(20, { label: named('Zip/Postal Code') }),
+    [`${prefix}Country`]: text(80, { label: named('Country') }),
+    [`${prefix}Latitude`]: number(18, 15, { label: named('Latitude') }),
+    [`${prefix}Longitude`]: number(18, 15, { label: named('Longitude') }),
+    [`${prefix}Address`]: address({ label: named('Address') }),
+  };
+}
+
+const LEAD_SOURCE = ['Web', 'Phone Inquiry', 'Partner Referral', 'Purchased List', 'Other'];
+const SALUTATION = ['Mr.', 'Ms.', 'Mrs.', 'Dr.', 'Prof.', 'Mx.'];
+const INDUSTRY = [
+  'Agriculture', 'Apparel', 'Banking', 'Biotechnology', 'Chemicals', 'Communications', 'Construction',
+  'Consulting', 'Education', 'Electronics', 'Energy', 'Engineering', 'Entertainment', 'Environmental',
+  'Finance', 'Food & Beverage', 'Government', 'Healthcare', 'Hospitality', 'Insurance', 'Machinery',
+  'Manufacturing', 'Media', 'Not For Profit', 'Other', 'Recreation', 'Retail', 'Shipping', 'Technology',
+  'Telecommunications', 'Transportation', 'Utilities',
+];
+const RATING = ['Hot', 'Warm', 'Cold'];
+
+/**
+ * Person name components shared by Contact, Lead and User
+ */
+const PERSON_NAME = {
+  Salutation: picklist(SALUTATION),
+  FirstName: text(40, { label: 'First Name' }),
+  MiddleName: text(40, { label: 'Middle Name' }),
+  LastName: text(80, { label: 'Last Name', required: true }),
+  Suffix: text(40),
+  Name: text(121, { label: 'Full Name', calculated: true }),
+};
+
+/**
+ * Catalog entries: label, owner (target of OwnerId, if owned) and fields
+ */
+const STANDARD_OBJECTS = {
+  Account: {
+    label: 'Account',
+    owner: 'User',
+    fields: {
+      Name: text(255, { label: 'Account Name', required: true }),
+      AccountNumber: text(40, { label: 'Account Number' }),
+      Site: text(80, { label: 'Account Site' }),
+      Type: picklist(['Prospect', 'Customer - Direct', 'Customer - Channel', 'Channel Partner / Reseller',
+        'Installation Partner', 'Technology Partner', 'Other'], { label: 'Account Type' }),
+      Industry: picklist(INDUSTRY),
+      Rating: picklist(RATING, { label: 'Account Rating' }),
+      Ownership: picklist(['Public', 'Private', 'Subsidiary', 'Other']),
+      AccountSource: picklist(LEAD_SOURCE, { label: 'Account Source' }),
+      AnnualRevenue: currency({ label: 'Annual Revenue' }),
+      NumberOfEmployees: number(8, 0, { label: 'Employees' }),
+      ParentId: lookup('Account', 'Parent', { childRelationshipName: 'ChildAccounts', label: 'Parent Account ID' }),
+      Phone: phone({ label: 'Account Phone' }),
+      Fax: phone({ label: 'Account Fax' }),
+      Website: url(),
+      Sic: text(20, { label: 'SIC Code' }),
+      TickerSymbol: text(20, { label: 'Ticker Symbol' }),
+      Description: longText(32000, { label: 'Account Description' }),
+      ...addressFields('Billing', 'Billing'),
+      ...addressFields('Shipping', 'Shipping'),
+      LastActivityDate: date({ label: 'Last Activity' }),
+      MasterRecordId: lookup('Account', 'MasterRecord', { label: 'Master Record ID' }),
+    },
+  },
+
+  Contact: {
+    label: 'Contact',
+    owner: 'User',
+    fields: {
+      ...PERSON_NAME,
+      AccountId: lookup('Account', 'Account', { childRelationshipName: 'Contacts', label: 'Account ID' }),
+      ReportsToId: lookup('Contact', 'ReportsTo', { label: 'Reports To ID' }),
+      Title: text(128),
+      Department: text(80),
+      Email: email(),
+      Phone: phone({ label: 'Business Phone' }),
+      MobilePhone: phone({ label: 'Mobile Phone' }),
+      HomePhone: phone({ label: 'Home Phone' }),
+      OtherPhone: phone({ label: 'Other Phone' }),
+      Fax: phone({ label: 'Business Fax' }),
+      AssistantName: text(40, { label: "Assistant's Name" }),
+      AssistantPhone: phone({ label: 'Asst. Phone' }),
+      Birthdate: date(),
+      LeadSource: picklist(LEAD_SOURCE, { label: 'Lead Source' }),
+      HasOptedOutOfEmail: checkbox({ label: 'Email Opt Out' }),
+      DoNotCall: checkbox({ label: 'Do Not Call' }),
+      Description: longText(32000, { label: 'Contact Description' }),
+      ...addressFields('Mailing', 'Mailing'),
+      ...addressFields('Other', 'Other'),
+      LastActivityDate: date({ label: 'Last Activity' }),
+      MasterRecordId: lookup('Contact', 'MasterRecord', { label: 'Master Record ID' }),
+    },
+  },
+
+  Lead: {
+    label: 'Lead',
+    owner: QUEUE_OWNER,
+    fields: {
+      ...PERSON_NAME,
+      Company: text(255, { required: true }),
+      Title: text(128),
+      Email: email(),
+      Phone: phone(),
+      MobilePhone: phone({ label: 'Mobile Phone' }),
+      Fax: phone(),
+      Website: url(),
+      Status: picklist(['Open - Not Contacted', 'Working - Contacted', 'Closed - Converted', 'Closed - Not Converted'],
+        { label: 'Lead Status', default: 'Open - Not Contacted' }),
+      LeadSource: picklist(LEAD_SOURCE, { label: 'Lead Source' }),
+      Industry: picklist(INDUSTRY),
+      Rating: picklist(RATING),
+      AnnualRevenue: currency({ label: 'Annual Revenue' }),
+      NumberOfEmployees: number(8, 0, { label: 'Employees' }),
+      HasOptedOutOfEmail: checkbox({ label: 'Email Opt Out' }),
+      DoNotCall: checkbox({ label: 'Do Not Call' }),
+      Description: longText(32000),
+      ...addressFields('', null),
+      IsConverted: checkbox({ label: 'Converted' }),
+      ConvertedDate: date({ label: 'Converted Date' }),
+      ConvertedAccountId: lookup('Account', 'ConvertedAccount', { label: 'Converted Account ID' }),
+      ConvertedContactId: lookup('Contact', 'ConvertedContact', { label: 'Converted Contact ID' }),
+      ConvertedOpportunityId: lookup('Opportunity', 'ConvertedOpportunity', { label: 'Converted Opportunity ID' }),
+      IsUnreadByOwner: checkbox({ label: 'Unread By Owner' }),
+      LastActivityDate: date({ label: 'Last Activity' }),
+      MasterRecordId: lookup('Lead', 'MasterRecord', { label: 'Master Record ID' }),
+    },
+  },
+
+  Opportunity: {
+    label: 'Opportunity',
+    owner: 'User',
+    fields: {
+      Name: text(120, { label: 'Opportunity Name', required: true }),
+      AccountId: lookup('Account', 'Account', { childRelationshipName: 'Opportunities', label: 'Account ID' }),
+      ContactId: lookup('Contact', 'Contact', { label: 'Contact ID' }),
+      CampaignId: lookup('Campaign', 'Campaign', { childRelationshipName: 'Opportunities', label: 'Campaign ID' }),
+      Pricebook2Id: lookup('Pricebook2', 'Pricebook2', { label: 'Price Book ID' }),
+      StageName: picklist(['Prospecting', 'Qualification', 'Needs Analysis', 'Value Proposition',
+        'Id. Decision Makers', 'Perception Analysis', 'Proposal/Price Quote', 'Negotiation/Review',
+        'Closed Won', 'Closed Lost'], { label: 'Stage', required: true }),
+      Amount: currency(),
+      ExpectedRevenue: currency({ label: 'Expected Amount', calculated: true }),
+      Probability: percent({ label: 'Probability (%)' }),
+      CloseDate: date({ label: 'Close Date', required: true }),
+      Type: picklist(['Existing Customer - Upgrade', 'Existing Customer - Replacement',
+        'Existing Customer - Downgrade', 'New Customer'], { label: 'Opportunity Type' }),
+      NextStep: text(255, { label: 'Next Step' }),
+      LeadSource: picklist(LEAD_SOURCE, { label: 'Lead Source' }),
+      ForecastCategoryName: picklist(['Omitted', 'Pipeline', 'Best Case', 'Commit', 'Closed'], { label: 'Forecast Category' }),
+      IsClosed: checkbox({ label: 'Closed', calculated: true }),
+      IsWon: checkbox({ label: 'Won', calculated: true }),
+      IsPrivate: checkbox({ label: 'Private' }),
+      HasOpportunityLineItem: checkbox({ label: 'Has Line Item', calculated: true }),
+      TotalOpportunityQuantity: number(18, 2, { label: 'Quantity' }),
+      Description: longText(32000),
+      FiscalYear: number(4, 0, { label: 'Fiscal Year', calculated: true }),
+      FiscalQuarter: number(1, 0, { label: 'Fiscal Quarter', calculated: true }),
+      LastActivityDate: date({ label: 'Last Activity' }),
+    },
+  },
+
+  OpportunityLineItem: {
+    label: 'Opportunity Product',
+    fields: {
+      Name: text(376, { label: 'Opportunity Product Name', calculated: true }),
+      OpportunityId: masterDetail('Opportunity', 'Opportunity', { childRelationshipName: 'OpportunityLineItems', label: 'Opportunity ID' }),
+      PricebookEntryId: lookup('PricebookEntry', 'PricebookEntry', { label: 'Price Book Entry ID' }),
+      Product2Id: lookup('Product2', 'Product2', { label: 'Product ID' }),
+      ProductCode: text(255, { label: 'Product Code', calculated: true }),
+      Quantity: number(12, 2, { required: true }),
+      UnitPrice: currency({ label: 'Sales Price' }),
+      ListPrice: currency({ label: 'List Price', calculated: true }),
+      TotalPrice: currency({ label: 'Total Price' }),
+      Subtotal: currency({ calculated: true }),
+      Discount: percent({ precision: 5, scale: 2 }),
+      ServiceDate: date({ label: 'Date' }),
+      Description: text(255, { label: 'Line Description' }),
+      SortOrder: number(9, 0, { label: 'Sort Order' }),
+    },
+  },
+
+  OpportunityContactRole: {
+    label: 'Opportunity Contact Role',
+    fields: {
+      OpportunityId: lookup('Opportunity', 'Opportunity', { childRelationshipName: 'OpportunityContactRoles', label: 'Opportunity ID', required: true }),
+      ContactId: lookup('Contact', 'Contact', { childRelationshipName: 'OpportunityContactRoles', label: 'Contact ID', required: true }),
+      Role: picklist(['Business User', 'Decision Maker', 'Economic Buyer', 'Economic Decision Maker',
+        'Evaluator', 'Executive Sponsor', 'Influencer', 'Technical Buyer', 'Other']),
+      IsPrimary: checkbox({ label: 'Primary' }),
+    },
+  },
+
+  Case: {
+    label: 'Case',
+    owner: QUEUE_OWNER,
+    fields: {
+      CaseNumber: autoNumber({ label: 'Case Number' }),
+      Subject: text(255),
+      Description: longText(32000),
+      Status: picklist(['New', 'Working', 'Escalated', 'Closed'], { default: 'New' }),
+      Priority: picklist(['High', 'Medium', 'Low'], { default: 'Medium' }),
+      Origin: picklist(['Phone', 'Email', 'Web'], { label: 'Case Origin' }),
+      Reason: picklist(['Installation', 'Equipment Complexity', 'Performance', 'Breakdown',
+        'Equipment Design', 'Feedback', 'Other'], { label: 'Case Reason' }),
+      Type: picklist(['Mechanical', 'Electrical', 'Electronic', 'Structural', 'Other'], { label: 'Case Type' }),
+      AccountId: lookup('Account', 'Account', { childRelationshipName: 'Cases', label: 'Account ID' }),
+      ContactId: lookup('Contact', 'Contact', { childRelationshipName: 'Cases', label: 'Contact ID' }),
+      AssetId: lookup('Asset', 'Asset', { childRelationshipName: 'Cases', label: 'Asset ID' }),
+      ParentId: lookup('Case', 'Parent', { childRelationshipName: 'Cases', label: 'Parent Case ID' }),
+      SuppliedName: text(80, { label: 'Web Name' }),
+      SuppliedEmail: email({ label: 'Web Email' }),
+      SuppliedPhone: text(40, { label: 'Web Phone' }),
+      SuppliedCompany: text(80, { label: 'Web Company' }),
+      ContactEmail: email({ label: 'Contact Email', calculated: true }),
+      ContactPhone: phone({ label: 'Contact Phone', calculated: true }),
+      IsClosed: checkbox({ label: 'Closed', calculated: true }),
+      ClosedDate: dateTime({ label: 'Closed Date' }),
+      IsEscalated: checkbox({ label: 'Escalated' }),
+      MasterRecordId: lookup('Case', 'MasterRecord', { label: 'Master Record ID' }),
+    },
+  },
+
+  CaseComment: {
+    label: 'Case Comment',
+    fields: {
+      ParentId: masterDetail('Case', 'Parent', { childRelationshipName: 'CaseComments', label: 'Parent Case ID' }),
+      CommentBody: longText(4000, { label: 'Body' }),
+      IsPublished: checkbox({ label: 'Published' }),
+    },
+  },
+
+  Campaign: {
+    label: 'Campaign',
+    owner: 'User',
+    fields: {
+      Name: text(80, { label: 'Campaign Name', required: true }),
+      ParentId: lookup('Campaign', 'Parent', { childRelationshipName: 'ChildCampaigns', label: 'Parent Campaign ID' }),
+      Type: picklist(['Conference', 'Webinar', 'Trade Show', 'Public Relations', 'Partners',
+        'Referral Program', 'Advertisement', 'Banner Ads', 'Direct Mail', 'Email', 'Telemarketing', 'Other']),
+      Status: picklist(['Planned', 'In Progress', 'Completed', 'Aborted'], { default: 'Planned' }),
+      StartDate: date({ label: 'Start Date' }),
+      EndDate: date({ label: 'End Date' }),
+      IsActive: checkbox({ label: 'Active' }),
+      BudgetedCost: currency({ label: 'Budgeted Cost in Campaign' }),
+      ActualCost: currency({ label: 'Actual Cost in Campaign' }),
+      ExpectedRevenue: currency({ label: 'Expected Revenue in Campaign' }),
+      ExpectedResponse: percent({ label: 'Expected Response (%)', precision: 10, scale: 2 }),
+      NumberSent: number(18, 0, { label: 'Num Sent in Campaign' }),
+      NumberOfLeads: number(9, 0, { label: 'Leads in Campaign', calculated: true }),
+      NumberOfContacts: number(9, 0, { label: 'Contacts in Campaign', calculated: true }),
+      NumberOfOpportunities: number(9, 0, { label: 'Opportunities in Campaign', calculated: true }),
+      Description: longText(32000),
+    },
+  },
+
+  CampaignMember: {
+    label: 'Campaign Member',
+    fields: {
+      CampaignId: lookup('Campaign', 'Campaign', { childRelationshipName: 'CampaignMembers', label: 'Campaign ID', required: true }),
+      LeadId: lookup('Lead', 'Lead', { childRelationshipName: 'CampaignMembers', label: 'Lead ID' }),
+      ContactId: lookup('Contact', 'Contact', { childRelationshipName: 'CampaignMembers', label: 'Contact ID' }),
+      LeadOrContactId: lookup(['Contact', 'Lead'], 'LeadOrContact', { label: 'Lead or Contact ID', calculated: true }),
+      Status: picklist(['Planned', 'Received', 'Responded', 'Sent'], { default: 'Sent' }),
+      HasResponded: checkbox({ label: 'Responded', calculated: true }),
+      FirstRespondedDate: date({ label: 'First Responded Date' }),
+    },
+  },
+
+  Task: {
+    label: 'Task',
+    owner: QUEUE_OWNER,
+    fields: {
+      Subject: text(255),
+      Description: longText(32000, { label: 'Comments' }),
+      Status: picklist(['Not Started', 'In Progress', 'Completed', 'Waiting on someone else', 'Deferred'],
+        { default: 'Not Started', required: true }),
+      Priority: picklist(['High', 'Normal', 'Low'], { default: 'Normal', required: true }),
+      ActivityDate: date({ label: 'Due Date Only' }),
+      WhatId: lookup(['Account', 'Asset', 'Campaign', 'Case', 'Contract', 'Opportunity', 'Order', 'Product2', 'Quote'],
+        'What', { childRelationshipName: 'Tasks', label: 'Related To ID' }),
+      WhoId: lookup(['Contact', 'Lead'], 'Who', { childRelationshipName: 'Tasks', label: 'Name ID' }),
+      AccountId: lookup('Account', 'Account', { label: 'Account ID', calculated: true }),
+      TaskSubtype: picklist(['Task', 'Email', 'ListEmail', 'Cadence', 'Call', 'LinkedIn']),
+      Type: picklist(['Call', 'Email', 'Meeting', 'Other']),
+      CallType: picklist(['Internal', 'Inbound', 'Outbound']),
+      CallDurationInSeconds: number(8, 0, { label: 'Call Duration' }),
+      IsClosed: checkbox({ label: 'Closed', calculated: true }),
+      IsHighPriority: checkbox({ label: 'High Priority', calculated: true }),
+      CompletedDateTime: dateTime({ label: 'Completed Date/Time' }),
+      ReminderDateTime: dateTime({ label: 'Reminder Date/Time' }),
+      IsReminderSet: checkbox({ label: 'Reminder Set' }),
+    },
+  },
+
+  Event: {
+    label: 'Event',
+    owner: QUEUE_OWNER,
+    fields: {
+      Subject: text(255),
+      Description: longText(32000),
+      Location: text(255),
+      StartDateTime: dateTime({ label: 'Start' }),
+      EndDateTime: dateTime({ label: 'End' }),
+      ActivityDate: date({ label: 'Due Date Only' }),
+      ActivityDateTime: dateTime({ label: 'Due Date Time' }),
+      DurationInMinutes: number(8, 0, { label: 'Duration' }),
+      IsAllDayEvent: checkbox({ label: 'All-Day Event' }),
+      IsPrivate: checkbox({ label: 'Private' }),
+      ShowAs: picklist(['Busy', 'OutOfOffice', 'Free'], { label: 'Show Time As', default: 'Busy' }),
+      WhatId: lookup(['Account', 'Asset', 'Campaign', 'Case', 'Contract', 'Opportunity', 'Order', 'Product2', 'Quote'],
+        'What', { childRelationshipName: 'Events', label: 'Related To ID' }),
+      WhoId: lookup(['Contact', 'Lead'], 'Who', { childRelationshipName: 'Events', label: 'Name ID' }),
+      AccountId: lookup('Account', 'Account', { label: 'Account ID', calculated: true }),
+      EventSubtype: picklist(['Event']),
+      Type: picklist(['Call', 'Email', 'Meeting', 'Other']),
+      IsRecurrence: checkbox({ label: 'Create Recurring Series of Events' }),
+      ReminderDateTime: dateTime({ label: 'Reminder Date/Time' }),
+      IsReminderSet: checkbox({ label: 'Reminder Set' }),
+    },
+  },
+
+  User: {
+    label: 'User',
+    fields: {
+      Username: text(80, { required: true, unique: true }),
+      ...PERSON_NAME,
+      Alias: text(8, { required: true }),
+      CommunityNickname: text(40, { label: 'Nickname', unique: true }),
+      Email: email({ required: true }),
+      Phone: phone(),
+      MobilePhone: phone({ label: 'Mobile' }),
+      Title: text(80),
+      Department: text(80),
+      Division: text(80),
+      CompanyName: text(80, { label: 'Company Name' }),
+      EmployeeNumber: text(20, { label: 'Employee Number' }),
+      IsActive: checkbox({ label: 'Active' }),
+      ProfileId: lookup('Profile', 'Profile', { label: 'Profile ID', required: true }),
+      UserRoleId: lookup('UserRole', 'UserRole', { label: 'Role ID' }),
+      ManagerId: lookup('User', 'Manager', { childRelationshipName: 'ManagedUsers', label: 'Manager ID' }),
+      ContactId: lookup('Contact', 'Contact', { label: 'Contact ID' }),
+      AccountId: lookup('Account', 'Account', { label: 'Account ID', calculated: true }),
+      UserType: picklist(['Standard', 'PowerPartner', 'PowerCustomerSuccess', 'CustomerSuccess', 'Guest',
+        'CspLitePortal', 'CsnOnly', 'SelfService'], { label: 'User Type' }),
+      TimeZoneSidKey: picklist([], { label: 'Time Zone', required: true }),
+      LocaleSidKey: picklist([], { label: 'Locale', required: true }),
+      LanguageLocaleKey: picklist([], { label: 'Language', required: true }),
+      EmailEncodingKey: picklist(['UTF-8', 'ISO-8859-1', 'Shift_JIS', 'ISO-2022-JP', 'EUC-JP', 'ks_c_5601-1987',
+        'Big5', 'GB2312'], { label: 'Email Encoding', required: true }),
+      FederationIdentifier: text(512, { label: 'SAML Federation ID' }),
+      LastLoginDate: dateTime({ label: 'Last Login' }),
+      ...addressFields('', null),
+    },
+  },
+
+  UserRole: {
+    label: 'Role',
+    fields: {
+      Name: text(80, { required: true }),
+      DeveloperName: text(80, { label: 'Developer Name' }),
+      ParentRoleId: lookup('UserRole', 'ParentRole', { label: 'Parent Role ID' }),
+      RollupDescription: text(80, { label: 'Description' }),
+      PortalType: picklist(['None', 'CustomerPortal', 'Partner'], { label: 'Portal Type' }),
+    },
+  },
+
+  Profile: {
+    label: 'Profile',
+    fields: {
+      Name: text(255, { required: true }),
+      Description: text(255),
+      UserType: picklist(['Standard', 'PowerPartner', 'PowerCustomerSuccess', 'CustomerSuccess', 'Guest',
+        'CspLitePortal', 'CsnOnly', 'SelfService'], { label: 'User Type' }),
+      UserLicenseId: lookup('UserLicense', 'UserLicense', { label: 'User License ID' }),
+    },
+  },
+
+  Group: {
+    label: 'Group',
+    owner: 'User',
+    fields: {
+      Name: text(40, { required: true }),
+      DeveloperName: text(80, { label: 'Developer Name' }),
+      Type: picklist(['Regular', 'Role', 'RoleAndSubordinates', 'RoleAndSubordinatesInternal', 'Manager',
+        'ManagerAndSubordinatesInternal', 'Organization', 'Queue', 'PRMOrganization', 'AllCustomerPortal'],
+      { required: true }),
+      Email: email(),
+      RelatedId: lookup(['User', 'UserRole'], 'Related', { label: 'Related ID' }),
+      DoesSendEmailToMembers: checkbox({ label: 'Send Email to Members' }),
+      DoesIncludeBosses: checkbox({ label: 'Include Bosses' }),
+    },
+  },
+
+  RecordType: {
+    label: 'Record Type',
+    fields: {
+      Name: text(80, { label: 'Record Type Name', required: true }),
+      DeveloperName: text(80, { label: 'Record Type Name', required: true }),
+      NamespacePrefix: text(15, { label: 'Namespace Prefix' }),
+      SobjectType: picklist([], { label: 'SObject Type Name', required: true }),
+      Description: text(255),
+      IsActive: checkbox({ label: 'Active' }),
+      BusinessProcessId: lookup('BusinessProcess', 'BusinessProcess', { label: 'Business Process ID' }),
+    },
+  },
+
+  Product2: {
+    label: 'Product',
+    fields: {
+      Name: text(255, { label: 'Product Name', required: true }),
+      ProductCode: text(255, { label: 'Product Code' }),
+      Description: textArea(4000, { label: 'Product Description' }),
+      Family: picklist(['None'], { label: 'Product Family' }),
+      IsActive: checkbox({ label: 'Active' }),
+      QuantityUnitOfMeasure: picklist(['Each'], { label: 'Quantity Unit Of Measure' }),
+      StockKeepingUnit: text(180, { label: 'Product SKU' }),
+      ExternalId: text(255, { label: 'External ID' }),
+      DisplayUrl: url({ label: 'Display URL', length: 1000 }),
+    },
+  },
+
+  Pricebook2: {
+    label: 'Price Book',
+    fields: {
+      Name: text(255, { label: 'Price Book Name', required: true }),
+      Description: text(255),
+      IsActive: checkbox({ label: 'Active' }),
+      IsStandard: checkbox({ label: 'Is Standard Price Book', calculated: true }),
+    },
+  },
+
+  PricebookEntry: {
+    label: 'Price Book Entry',
+    fields: {
+      Name: text(255, { label: 'Product Name', calculated: true }),
+      Pricebook2Id: lookup('Pricebook2', 'Pricebook2', { childRelationshipName: 'PricebookEntries', label: 'Price Book ID', required: true }),
+      Product2Id: lookup('Product2', 'Product2', { childRelationshipName: 'PricebookEntries', label: 'Product ID', required: true }),
+      ProductCode: text(255, { label: 'Product Code', calculated: true }),
+      UnitPrice: currency({ label: 'List Price', required: true }),
+      IsActive: checkbox({ label: 'Active' }),
+      UseStandardPrice: checkbox({ label: 'Use Standard Price' }),
+    },
+  },
+
+  Quote: {
+    label: 'Quote',
+    owner: 'User',
+    fields: {
+      Name: text(255, { label: 'Quote Name', required: true }),
+      QuoteNumber: autoNumber({ label: 'Quote Number' }),
+      OpportunityId: masterDetail('Opportunity', 'Opportunity', { childRelationshipName: 'Quotes', label: 'Opportunity ID' }),
+      AccountId: lookup('Account', 'Account', { label: 'Account ID', calculated: true }),
+      ContactId: lookup('Contact', 'Contact', { label: 'Contact ID' }),
+      Pricebook2Id: lookup('Pricebook2', 'Pricebook2', { label: 'Price Book ID' }),
+      Status: picklist(['Draft', 'Needs Review', 'In Review', 'Approved', 'Rejected', 'Presented', 'Accepted', 'Denied'],
+        { default: 'Draft' }),
+      ExpirationDate: date({ label: 'Expiration Date' }),
+      IsSyncing: checkbox({ label: 'Syncing', calculated: true }),
+      Subtotal: currency({ calculated: true }),
+      Discount: percent({ precision: 5, scale: 2, calculated: true }),
+      TotalPrice: currency({ label: 'Total Price', calculated: true }),
+      GrandTotal: currency({ label: 'Grand Total', calculated: true }),
+      Tax: currency(),
+      ShippingHandling: currency({ label: 'Shipping and Handling' }),
+      Email: email(),
+      Phone: phone(),
+      Fax: phone(),
+      Description: longText(32000),
+      ...addressFields('Billing', 'Bill To'),
+      ...addressFields('Shipping', 'Ship To'),
+    },
+  },
+
+  QuoteLineItem: {
+    label: 'Quote Line Item',
+    fields: {
+      LineNumber: autoNumber({ label: 'Line Item Number' }),
+      QuoteId: masterDetail('Quote', 'Quote', { childRelationshipName: 'QuoteLineItems', label: 'Quote ID' }),
+      PricebookEntryId: lookup('PricebookEntry', 'PricebookEntry', { label: 'Price Book Entry ID', required: true }),
+      Product2Id: lookup('Product2', 'Product2', { label: 'Product ID' }),
+      OpportunityLineItemId: lookup('OpportunityLineItem', 'OpportunityLineItem', { label: 'Opportunity Line Item ID' }),
+      Quantity: number(12, 2, { required: true }),
+      UnitPrice: currency({ label: 'Sales Price', required: true }),
+      ListPrice: currency({ label: 'List Price', calculated: true }),
+      Discount: percent({ precision: 5, scale: 2 }),
+      Subtotal: currency({ calculated: true }),
+      TotalPrice: currency({ label: 'Total Price', calculated: true }),
+      ServiceDate: date({ label: 'Date' }),
+      Description: text(255, { label: 'Line Item Description' }),
+      SortOrder: number(9, 0, { label: 'Sort Order' }),
+    },
+  },
+
+  Contract: {
+    label: 'Contract',
+    owner: 'User',
+    fields: {
+      ContractNumber: autoNumber({ label: 'Contract Number' }),
+      AccountId: lookup('Account', 'Account', { childRelationshipName: 'Contracts', label: 'Account ID', required: true }),
+      Pricebook2Id: lookup('Pricebook2', 'Pricebook2', { label: 'Price Book ID' }),
+      CustomerSignedId: lookup('Contact', 'CustomerSigned', { label: 'Customer Signed By ID' }),
+      CompanySignedId: lookup('User', 'CompanySigned', { label: 'Company Signed By ID' }),
+      Status: picklist(['In Approval Process', 'Activated', 'Draft'], { default: 'Draft', required: true }),
+      StatusCode: picklist(['Draft', 'InApproval', 'Activated', 'Terminated', 'Expired'], { label: 'Status Category', calculated: true }),
+      StartDate: date({ label: 'Contract Start Date' }),
+      EndDate: date({ label: 'Contract End Date', calculated: true }),
+      ContractTerm: number(4, 0, { label: 'Contract Term' }),
+      CustomerSignedDate: date({ label: 'Customer Signed Date' }),
+      CompanySignedDate: date({ label: 'Company Signed Date' }),
+      ActivatedDate: dateTime({ label: 'Activated Date' }),
+      ActivatedById: lookup('User', 'ActivatedBy', { label: 'Activated By ID' }),
+      OwnerExpirationNotice: picklist(['15', '30', '45', '60', '90', '120'], { label: 'Owner Expiration Notice' }),
+      SpecialTerms: textArea(4000, { label: 'Special Terms' }),
+      Description: longText(32000),
+      ...addressFields('Billing', 'Billing'),
+    },
+  },
+
+  Order: {
+    label: 'Order',
+    owner: QUEUE_OWNER,
+    fields: {
+      OrderNumber: autoNumber({ label: 'Order Number' }),
+      Name: text(80, { label: 'Order Name' }),
+      AccountId: lookup('Account', 'Account', { childRelationshipName: 'Orders', label: 'Account ID' }),
+      ContractId: lookup('Contract', 'Contract', { childRelationshipName: 'Orders', label: 'Contract ID' }),
+      OpportunityId: lookup('Opportunity', 'Opportunity', { label: 'Opportunity ID' }),
+      QuoteId: lookup('Quote', 'Quote', { label: 'Quote ID' }),
+      Pricebook2Id: lookup('Pricebook2', 'Pricebook2', { label: 'Price Book ID' }),
+      OriginalOrderId: lookup('Order', 'OriginalOrder', { label: 'Original Order ID' }),
+      BillToContactId: lookup('Contact', 'BillToContact', { label: 'Bill To Contact ID' }),
+      ShipToContactId: lookup('Contact', 'ShipToContact', { label: 'Ship To Contact ID' }),
+      Status: picklist(['Draft', 'Activated'], { default: 'Draft', required: true }),
+      StatusCode: picklist(['Draft', 'Activated', 'Cancelled', 'Expired'], { label: 'Status Category', calculated: true }),
+      EffectiveDate: date({ label: 'Order Start Date', required: true }),
+      EndDate: date({ label: 'Order End Date' }),
+      Type: picklist([], { label: 'Order Type' }),
+      PoNumber: text(80, { label: 'PO Number' }),
+      PoDate: date({ label: 'PO Date' }),
+      IsReductionOrder: checkbox({ label: 'Reduction Order' }),
+      TotalAmount: currency({ label: 'Order Amount', calculated: true }),
+      Description: longText(32000),
+      ...addressFields('Billing', 'Billing'),
+      ...addressFields('Shipping', 'Shipping'),
+    },
+  },
+
+  OrderItem: {
+    label: 'Order Product',
+    fields: {
+      OrderItemNumber: autoNumber({ label: 'Order Product Number' }),
+      OrderId: masterDetail('Order', 'Order', { childRelationshipName: 'OrderItems', label: 'Order ID' }),
+      PricebookEntryId: lookup('PricebookEntry', 'PricebookEntry', { label: 'Price Book Entry ID', required: true }),
+      Product2Id: lookup('Product2', 'Product2', { label: 'Product ID' }),
+      OriginalOrderItemId: lookup('OrderItem', 'OriginalOrderItem', { label: 'Original Order Item ID' }),
+      QuoteLineItemId: lookup('QuoteLineItem', 'QuoteLineItem', { label: 'Quote Line Item ID' }),
+      Quantity: number(18, 2, { required: true }),
+      UnitPrice: currency({ label: 'Unit Price', required: true }),
+      ListPrice: currency({ label: 'List Price' }),
+      TotalPrice: currency({ label: 'Total Price', calculated: true }),
+      ServiceDate: date({ label: 'Start Date' }),
+      EndDate: date({ label: 'End Date' }),
+      Description: text(255, { label: 'Line Description' }),
+    },
+  },
+
+  Asset: {
+    label: 'Asset',
+    owner: 'User',
+    fields: {
+      Name: text(255, { label: 'Asset Name', required: true }),
+      AccountId: lookup('Account', 'Account', { childRelationshipName: 'Assets', label: 'Account ID' }),
+      ContactId: lookup('Contact', 'Contact', { childRelationshipName: 'Assets', label: 'Contact ID' }),
+      Product2Id: lookup('Product2', 'Product2', { label: 'Product ID' }),
+      ParentId: lookup('Asset', 'Parent', { childRelationshipName: 'ChildAssets', label: 'Parent Asset ID' }),
+      RootAssetId: lookup('Asset', 'RootAsset', { label: 'Root Asset ID', calculated: true }),
+      SerialNumber: text(80, { label: 'Serial Number' }),
+      Status: picklist(['Purchased', 'Shipped', 'Installed', 'Registered', 'Obsolete']),
+      Quantity: number(18, 2),
+      Price: currency(),
+      PurchaseDate: date({ label: 'Purchase Date' }),
+      InstallDate: date({ label: 'Install Date' }),
+      UsageEndDate: date({ label: 'Usage End Date' }),
+      IsCompetitorProduct: checkbox({ label: 'Competitor Asset' }),
+      Description: longText(32000),
+    },
+  },
+
+  Note: {
+    label: 'Note',
+    owner: 'User',
+    fields: {
+      ParentId: lookup(['Account', 'Asset', 'Contact', 'Contract', 'Lead', 'Opportunity', 'Order', 'Product2'],
+        'Parent', { childRelationshipName: 'Notes', label: 'Parent ID', required: true }),
+      Title: text(80, { required: true }),
+      Body: longText(32000),
+      IsPrivate: checkbox({ label: 'Private' }),
+    },
+  },
+
+  Attachment: {
+    label: 'Attachment',
+    owner: 'User',
+    fields: {
+      ParentId: lookup(['Account', 'Asset', 'Campaign', 'Case', 'Contact', 'Contract', 'Event', 'Lead',
+        'Opportunity', 'Order', 'Product2', 'Quote', 'Task'], 'Parent', { childRelationshipName: 'Attachments', label: 'Parent ID', required: true }),
+      Name: text(255, { label: 'File Name', required: true }),
+      Body: { type: 'Base64', label: 'Body', required: true },
+      ContentType: text(120, { label: 'Content Type' }),
+      BodyLength: number(18, 0, { label: 'Body Length', calculated: true }),
+      Description: textArea(500),
+      IsPrivate: checkbox({ label: 'Private' }),
+    },
+  },
+
+  ContentDocument: {
+    label: 'Content Document',
+    owner: 'User',
+    fields: {
+      Title: text(255, { required: true }),
+      Description: textArea(1000),
+      FileType: text(20, { label: 'File Type', calculated: true }),
+      FileExtension: text(40, { label: 'File Extension', calculated: true }),
+      ContentSize: number(18, 0, { label: 'Size', calculated: true }),
+      LatestPublishedVersionId: lookup('ContentVersion', 'LatestPublishedVersion', { label: 'Latest Published Version ID' }),
+      ParentId: lookup('ContentWorkspace', 'Parent', { label: 'Library ID' }),
+      PublishStatus: picklist(['U', 'P', 'R'], { label: 'Publish Status' }),
+      IsArchived: checkbox({ label: 'Is Archived' }),
+    },
+  },
+
+  ContentVersion: {
+    label: 'Content Version',
+    owner: 'User',
+    fields: {
+      Title: text(255, { required: true }),
+      Description: textArea(1000),
+      PathOnClient: text(500, { label: 'Path On Client', required: true }),
+      VersionData: { type: 'Base64', label: 'Version Data', required: true },
+      ContentDocumentId: lookup('ContentDocument', 'ContentDocument', { childRelationshipName: 'ContentVersions', label: 'ContentDocument ID' }),
+      FirstPublishLocationId: lookup(['Account', 'Case', 'Contact', 'Lead', 'Opportunity', 'User', 'ContentWorkspace'],
+        'FirstPublishLocation', { label: 'First Publish Location ID' }),
+      VersionNumber: text(20, { label: 'Version Number', calculated: true }),
+      IsLatest: checkbox({ label: 'Is Latest', calculated: true }),
+      FileType: text(20, { label: 'File Type', calculated: true }),
+      FileExtension: text(40, { label: 'File Extension', calculated: true }),
+      ContentSize: number(18, 0, { label: 'Size', calculated: true }),
+      ReasonForChange: text(1000, { label: 'Reason For Change' }),
+      Origin: picklist(['C', 'H'], { label: 'Content Origin', default: 'C' }),
+    },
+  },
+
+  ContentDocumentLink: {
+    label: 'Content Document Link',
+    audit: false,
+    fields: {
+      ContentDocumentId: lookup('ContentDocument', 'ContentDocument', { childRelationshipName: 'ContentDocumentLinks', label: 'ContentDocument ID', required: true }),
+      LinkedEntityId: lookup(['Account', 'Case', 'Contact', 'Lead', 'Opportunity', 'User', 'ContentWorkspace'],
+        'LinkedEntity', { childRelationshipName: 'ContentDocumentLinks', label: 'Linked Entity ID', required: true }),
+      ShareType: picklist(['V', 'C', 'I'], { label: 'Share Type' }),
+      Visibility: picklist(['AllUsers', 'InternalUsers', 'SharedUsers']),
+    },
+  },
+
+  EmailMessage: {
+    label: 'Email Message',
+    fields: {
+      Subject: text(3000),
+      FromAddress: email({ label: 'From Address' }),
+      FromName: text(1000, { label: 'From Name' }),
+      ToAddress: textArea(4000, { label: 'To Address' }),
+      CcAddress: textArea(4000, { label: 'CC Address' }),
+      BccAddress: textArea(4000, { label: 'BCC Address' }),
+      TextBody: longText(131072, { label: 'Text Body' }),
+      HtmlBody: { type: 'Html', length: 131072, label: 'HTML Body' },
+      Status: picklist(['0', '1', '2', '3', '4', '5']),
+      Incoming: checkbox({ label: 'Is Incoming' }),
+      MessageDate: dateTime({ label: 'Message Date' }),
+      ParentId: lookup('Case', 'Parent', { childRelationshipName: 'EmailMessages', label: 'Case ID' }),
+      RelatedToId: lookup(['Account', 'Asset', 'Campaign', 'Case', 'Contract', 'Opportunity', 'Order', 'Product2', 'Quote'],
+        'RelatedTo', { label: 'Related To ID' }),
+      ActivityId: lookup('Task', 'Activity', { label: 'Activity ID' }),
+    },
+  },
+
+  AccountContactRelation: {
+    label: 'Account Contact Relationship',
+    fields: {
+      AccountId: lookup('Account', 'Account', { childRelationshipName: 'AccountContactRelations', label: 'Account ID', required: true }),
+      ContactId: lookup('Contact', 'Contact', { childRelationshipName: 'ContactRelations', label: 'Contact ID', required: true }),
+      Roles: multiPicklist(['Business User', 'Decision Maker', 'Economic Buyer', 'Economic Decision Maker',
+        'Evaluator', 'Executive Sponsor', 'Influencer', 'Technical Buyer', 'Other']),
+      IsDirect: checkbox({ label: 'Direct', calculated: true }),
+      IsActive: checkbox({ label: 'Active' }),
+      StartDate: date({ label: 'Start Date' }),
+      EndDate: date({ label: 'End Date' }),
+    },
+  },
+};
+
+/**
+ * Audit fields every catalog object has, unless the entry sets audit: false
+ */
+const AUDIT_FIELDS = {
+  IsDeleted: checkbox({ label: 'Deleted', calculated: true }),
+  CreatedDate: dateTime({ label: 'Created Date', calculated: true }),
+  CreatedById: lookup('User', 'CreatedBy', { label: 'Created By ID', calculated: true }),
+  LastModifiedDate: dateTime({ label: 'Last Modified Date', calculated: true }),
+  LastModifiedById: lookup('User', 'LastModifiedBy', { label: 'Last Modified By ID', calculated: true }),
+  SystemModstamp: dateTime({ label: 'System Modstamp', calculated: true }),
+};
+
+/**
+ * Check whether the catalog describes an object
+ */
+function isStandardObject(objectName) {
+  return Object.prototype.hasOwnProperty.call(STANDARD_OBJECTS, objectName);
+}
+
+/**
+ * Describe a standard object from the catalog
+ * @param {string} objectName - Object API name
+ * @returns {Object|null} { name, label, fields: [...] } with fields in the shape
+ *   SchemaRegistry.parseObjectSchema produces; null when not in the catalog
+ */
+function describeStandardObject(objectName) {
+  if (!isStandardObject(objectName)) return null;
+  const entry = STANDARD_OBJECTS[objectName];
+
+  const definitions = {
+    Id: { type: 'Id', length: 18, label: `${entry.label} ID`, required: true, unique: true },
+    ...(entry.owner ? { OwnerId: lookup(entry.owner, 'Owner', { label: 'Owner ID', required: true }) } : {}),
+    ...entry.fields,
+    ...(entry.audit === false ? {} : AUDIT_FIELDS),
+  };
+
+  return {
+    name: objectName,
+    label: entry.label,
+    apiVersion: CATALOG_API_VERSION,
+    fields: Object.entries(definitions).map(([name, definition]) => toField(name, definition)),
+  };
+}
+
+/**
+ * Expand a catalog field definition into a registry field
+ */
+function toField(name, definition) {
+  const { values, default: defaultValue, ...attributes } = definition;
+
+  return {
+    name,
+    label: attributes.label || humanize(name),
+    type: attributes.type,
+    required: attributes.required || false,
+    unique: attributes.unique || false,
+    length: attributes.length ?? null,
+    precision: attributes.precision ?? null,
+    scale: attributes.scale ?? null,
+    referenceTo: attributes.referenceTo || null,
+    relationshipName: attributes.relationshipName || null,
+    childRelationshipName: attributes.childRelationshipName || null,
+    picklistValues: (values || []).map(value => ({ fullName: value, label: value, default: value === defaultValue })),
+    calculated: attributes.calculated || false,
+    description: null,
+    isStandard: true,
+  };
+}
+
+/**
+ * 'BillingPostalCode' -> 'Billing Postal Code'
+ */
+function humanize(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+}
+
+export {
+  describeStandardObject,
+  isStandardObject,
+  STANDARD_OBJECTS,
+  CATALOG_API_VERSION,
+};
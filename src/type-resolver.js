@@ -10,9 +10,15 @@
  */
 
 class TypeResolver {
-  constructor(symbolTable, schemaRegistry) {
+  /**
+   * @param {Object} options - { access }
+   *   access: { profile } or { permissionSet } whose object and field
+   *   permissions the constraints report
+   */
+  constructor(symbolTable, schemaRegistry, options = {}) {
     this.symbolTable = symbolTable;
     this.schemaRegistry = schemaRegistry;
+    this.access = options.access || null;
     this.typeInferences = new Map(); // Variable -> inferred type
     this.methodReturnTypes = new Map(); // Method signature -> return type
     this.flowTypes = new Map(); // Line-specific type info
@@ -139,8 +145,15 @@ class TypeResolver {
       precision: field.precision,
       scale: field.scale,
       referenceTo: field.referenceTo,
-      isPicklist: field.type === 'Picklist',
+      isPicklist: field.type === 'Picklist' || field.type === 'MultiselectPicklist',
       picklistValues: field.picklistValues || [],
+      restricted: field.restricted || false,
+      valueSetName: field.valueSetName || null,
+      recordTypeValues: field.recordTypeValues || {},
+      // Formula fields are read-only; writes to them fail at DML time
+      formula: field.formula || null,
+      // Field-level security of the running user, null without an access profile
+      access: this.access ? this.schemaRegistry.getFieldAccess(objectName, fieldName, this.access) : null,
       description: field.description,
     };
   }
@@ -168,11 +181,13 @@ class TypeResolver {
   }
 
   /**
-   * Get all constraints for an object
+   * Get all constraints for an object. CRUD permissions come from the
+   * access profile or permission set; without one everything is allowed.
    */
   getObjectConstraints(objectName) {
     const obj = this.schemaRegistry.getObject(objectName);
     if (!obj) return null;
+    const access = this.access ? this.schemaRegistry.getObjectAccess(objectName, this.access) : null;
 
     return {
       name: objectName,
@@ -180,9 +195,10 @@ class TypeResolver {
       isStandard: obj.isStandard,
       fields: Array.from(obj.fields?.values() || []),
       validationRules: obj.validationRules || [],
-      canCreate: true, // Simplified - in reality would check permissions
-      canUpdate: true,
-      canDelete: true,
+      canCreate: access ? access.canCreate : true,
+      canRead: access ? access.canRead : true,
+      canUpdate: access ? access.canUpdate : true,
+      canDelete: access ? access.canDelete : true,
     };
   }
 
@@ -65,9 +65,13 @@ class ApexVisitor {
       constructors: [],
       soql: [],
       dml: [],
+      fieldWrites: [],
       complexity: 0,
       errors: [],
     };
+
+    // Declared types of locals and parameters, per method or constructor
+    this.localTypes = new Map();
   }
 
   /**
@@ -387,6 +391,7 @@ class ApexVisitor {
       complexity: 0,
       soql: [],
       dml: [],
+      fieldWrites: [],
       isAbstract: false,
     };
     
@@ -439,6 +444,7 @@ class ApexVisitor {
       complexity: 0,
       soql: [],
       dml: [],
+      fieldWrites: [],
     };
     
     for (const child of node.namedChildren) {
@@ -523,6 +529,21 @@ class ApexVisitor {
           this.result.dml.push(dml);
         }
         break;
+
+      case 'local_variable_declaration':
+      case 'enhanced_for_statement':
+        this.declareLocals(node, target);
+        break;
+
+      case 'assignment_expression':
+      case 'object_creation_expression':
+        for (const write of this.extractFieldWrites(node, target)) {
+          target.fieldWrites.push(write);
+          if (target !== this.result) {
+            this.result.fieldWrites.push(write);
+          }
+        }
+        break;
     }
     
     for (const child of node.namedChildren) {
@@ -530,6 +551,86 @@ class ApexVisitor {
     }
   }
 
+  /**
+   * Declared types of the method or constructor being walked, seeded with
+   * its parameters
+   */
+  getLocalTypes(target) {
+    if (!this.localTypes.has(target)) {
+      const types = new Map();
+      for (const param of (target.parameters || [])) {
+        types.set(param.name.toLowerCase(), param.type);
+      }
+      this.localTypes.set(target, types);
+    }
+    return this.localTypes.get(target);
+  }
+
+  /**
+   * Record the type of variables declared by a local declaration or an
+   * enhanced for loop (for (Invoice__c inv : invoices))
+   */
+  declareLocals(node, target) {
+    const typeNode = node.namedChildren.find(c =>
+      c.type === 'type_identifier' || c.type === 'generic_type' || c.type === 'array_type');
+    if (!typeNode) return;
+
+    const type = this.extractTypeName(typeNode);
+    const names = node.type === 'enhanced_for_statement'
+      ? [node.namedChildren.find(c => c.type === 'identifier')?.text]
+      : node.namedChildren
+        .filter(c => c.type === 'variable_declarator')
+        .map(c => this.extractVariableName(c));
+
+    const types = this.getLocalTypes(target);
+    for (const name of names.filter(Boolean)) {
+      types.set(name.toLowerCase(), type);
+    }
+  }
+
+  /**
+   * Extract SObject field writes: assignments to a field of a variable
+   * (inv.Status__c = 'Closed', invoices[0].Amount__c += 5) and name=value
+   * constructor arguments (new Invoice__c(Amount__c = 5)).
+   * Each write is { target, type, field, line }; type is the declared type
+   * of the variable when it is a local or parameter, or the constructed type.
+   * The parser cannot tell SObjects from Apex classes, so consumers keep only
+   * writes whose type the schema knows as an SObject.
+   */
+  extractFieldWrites(node, target) {
+    const line = node.startPosition.row + 1;
+
+    if (node.type === 'object_creation_expression') {
+      const typeNode = node.namedChildren.find(c => c.type === 'type_identifier');
+      const args = node.namedChildren.find(c => c.type === 'argument_list');
+      if (!typeNode || !args) return [];
+
+      return args.namedChildren
+        .filter(arg => arg.type === 'assignment_expression' && arg.namedChildren[0]?.type === 'identifier')
+        .map(arg => ({ target: null, type: typeNode.text, field: arg.namedChildren[0].text, line }));
+    }
+
+    const left = node.namedChildren[0];
+    if (left?.type !== 'field_access') return [];
+
+    // Only direct fields of a variable; this.x and a.b.c are not record writes
+    let object = left.namedChildren[0];
+    if (object?.type === 'array_access') {
+      object = object.namedChildren[0];
+    }
+    const field = left.namedChildren[left.namedChildren.length - 1];
+    if (object?.type !== 'identifier' || field?.type !== 'identifier' || left.namedChildren.length !== 2) {
+      return [];
+    }
+
+    return [{
+      target: object.text,
+      type: this.getLocalTypes(target).get(object.text.toLowerCase()) || null,
+      field: field.text,
+      line,
+    }];
+  }
+
   /**
    * Extract SOQL query information
    */
@@ -545,25 +646,53 @@ class ApexVisitor {
     // Find the SOQL body
     const soqlBody = node.namedChildren.find(c => c.type === 'soql_query_body');
     if (soqlBody) {
-      // Extract fields from SELECT clause
-      const selectClause = soqlBody.namedChildren.find(c => c.type === 'select_clause');
-      if (selectClause) {
-        query.fields = this.extractSOQLFields(selectClause);
-      }
-      
-      // Extract object from FROM clause
-      const fromClause = soqlBody.namedChildren.find(c => c.type === 'from_clause');
-      if (fromClause) {
-        const storageId = fromClause.namedChildren.find(c => c.type === 'storage_identifier');
-        if (storageId) {
-          query.object = storageId.text;
-        }
-      }
+      Object.assign(query, this.extractSOQLBody(soqlBody));
     }
     
     return query;
   }
 
+  /**
+   * Extract the SELECT fields and FROM target of a SOQL query body
+   */
+  extractSOQLBody(soqlBody) {
+    const result = { fields: [], object: null };
+
+    // Extract fields from SELECT clause
+    const selectClause = soqlBody.namedChildren.find(c => c.type === 'select_clause');
+    if (selectClause) {
+      result.fields = this.extractSOQLFields(selectClause);
+    }
+
+    // Extract object from FROM clause
+    const fromClause = soqlBody.namedChildren.find(c => c.type === 'from_clause');
+    if (fromClause) {
+      const storageId = fromClause.namedChildren.find(c => c.type === 'storage_identifier');
+      if (storageId) {
+        result.object = storageId.text;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract a parent-to-child subquery; its FROM names a child relationship
+   * (e.g. Contacts), not an SObject
+   */
+  extractSOQLSubquery(node) {
+    const subquery = { subquery: node.text, relationship: null, fields: [] };
+
+    const soqlBody = node.namedChildren.find(c => c.type === 'soql_query_body');
+    if (soqlBody) {
+      const { fields, object } = this.extractSOQLBody(soqlBody);
+      subquery.relationship = object;
+      subquery.fields = fields;
+    }
+
+    return subquery;
+  }
+
   /**
    * Extract fields from SOQL SELECT clause
    */
@@ -577,7 +706,7 @@ class ApexVisitor {
         const fieldId = child.namedChildren.find(c => c.type === 'field_identifier');
         if (fieldId) fields.push(fieldId.text);
       } else if (child.type === 'subquery') {
-        fields.push({ subquery: child.text });
+        fields.push(this.extractSOQLSubquery(child));
       } else if (child.type === 'function_expression') {
         fields.push({ function: child.text });
       }
@@ -3,7 +3,11 @@
  */
 
 import { abstractFile, abstractCode, formatForLLM, estimateTokens } from '../src/abstraction.js';
-import { SchemaRegistry, CORE_SALES_CLOUD_OBJECTS } from '../src/schema-registry.js';
+import { SchemaRegistry, schemaRegistry, CORE_SALES_CLOUD_OBJECTS } from '../src/schema-registry.js';
+import { formatAsConstraintContext } from '../src/llm-formatter.js';
+import { TypeResolver } from '../src/type-resolver.js';
+import { SemanticGraph } from '../src/semantic-graph.js';
+import { parseCode } from '../src/parser.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -66,6 +70,252 @@ describe('Abstraction Layer', () => {
       expect(abstraction.methods[0].touches.reads).toHaveLength(1);
       expect(abstraction.methods[0].touches.writes).toHaveLength(1);
     });
+
+    test('should resolve subqueries to their child relationship', async () => {
+      const code = `
+        public class AccountQueries {
+          public List<Account> withContacts() {
+            return [SELECT Id, (SELECT Id, LastName, Owner.Name, Bogus__c FROM Contacts) FROM Account];
+          }
+        }
+      `;
+
+      const abstraction = await abstractCode(code, { resolveSchema: true });
+      const { touches } = abstraction.methods[0];
+      const [subquery] = touches.reads[0].subqueries;
+
+      expect(subquery).toMatchObject({ relationship: 'Contacts', object: 'Contact', via: 'AccountId' });
+      expect(subquery.fieldTypes.LastName).toMatchObject({ type: 'Text', required: true });
+      expect(subquery.fieldTypes['Owner.Name'].type).toBe('Text');
+      expect(subquery.unknownFields).toEqual(['Bogus__c']);
+      expect(touches.objects).toEqual(['Account', 'Contact']);
+      expect(formatForLLM(abstraction)).toContain('- Contacts (Contact via AccountId)');
+
+      const registry = new SchemaRegistry();
+      await registry.loadFromCache();
+      const graph = new SemanticGraph([parseCode(code)], { schemaRegistry: registry });
+      const reads = graph.outgoing.get(graph.methodNodes.get('AccountQueries.withContacts'))
+        .filter(edge => edge.type === 'reads');
+      expect(reads.map(edge => edge.to)).toEqual(['sobject:Account', 'sobject:Contact']);
+      expect(reads[1].metadata).toMatchObject({ relationship: 'Contacts', parent: 'Account', via: 'AccountId' });
+    });
+  });
+
+  describe('Picklist constraints', () => {
+    // abstractCode reads the shared registry; forget the test's schema afterwards
+    afterEach(() => schemaRegistry.reload());
+
+    test('should list legal picklist values per record type', async () => {
+      await schemaRegistry.loadFromCache();
+      schemaRegistry.addGlobalValueSet('Invoice_Statuses', {
+        GlobalValueSet: { customValue: [{ fullName: 'Open' }, { fullName: 'Closed' }, { fullName: 'Void' }] },
+      });
+      schemaRegistry.addObject('Invoice__c', {
+        CustomObject: {
+          label: 'Invoice',
+          fields: { fullName: 'Status__c', type: 'Picklist', valueSet: { valueSetName: 'Invoice_Statuses' } },
+          recordTypes: {
+            fullName: 'Credit_Note',
+            active: 'true',
+            picklistValues: { picklist: 'Status__c', values: [{ fullName: 'Open' }, { fullName: 'Void' }] },
+          },
+        },
+      });
+
+      const abstraction = await abstractCode(`
+        public class InvoiceQueries {
+          public List<Invoice__c> open() {
+            return [SELECT Id, Status__c FROM Invoice__c];
+          }
+        }
+      `, { resolveSchema: true });
+      const context = formatAsConstraintContext(abstraction);
+
+      expect(context).toContain('values: Open, Closed, Void (global value set Invoice_Statuses)');
+      expect(context).toContain('record type Credit_Note: Open, Void');
+    });
+  });
+
+  describe('Formula dependencies', () => {
+    afterEach(() => schemaRegistry.reload());
+
+    const invoice = {
+      CustomObject: {
+        label: 'Invoice',
+        fields: [
+          { fullName: 'Amount__c', type: 'Currency' },
+          { fullName: 'Status__c', type: 'Picklist' },
+          { fullName: 'Account__c', type: 'Lookup', referenceTo: 'Account' },
+          { fullName: 'Total__c', type: 'Currency', formula: 'Amount__c * (1 + Account__r.Discount__c)' },
+        ],
+        validationRules: {
+          fullName: 'Closed_Needs_Amount',
+          active: 'true',
+          errorConditionFormula: 'ISPICKVAL(Status__c, "Closed") && ISBLANK(Amount__c) && $User.Id <> null',
+          errorMessage: 'Closed invoices need an amount',
+        },
+      },
+    };
+
+    test('should attach validation rules to the fields a method writes', async () => {
+      await schemaRegistry.loadFromCache();
+      schemaRegistry.addObject('Invoice__c', invoice);
+
+      const abstraction = await abstractCode(`
+        public class InvoiceCloser {
+          public void close(List<Invoice__c> invoices) {
+            for (Invoice__c inv : invoices) {
+              inv.status__c = 'Closed';
+            }
+            update invoices;
+          }
+        }
+      `, { resolveSchema: true });
+
+      expect(abstraction.methods[0].touches.fieldWrites).toEqual([
+        { object: 'Invoice__c', field: 'Status__c', target: 'inv', line: 5, rules: ['Closed_Needs_Amount'] },
+      ]);
+      const constraint = abstraction.constraints.find(c => c.rule === 'Closed_Needs_Amount');
+      expect(constraint).toMatchObject({
+        fields: ['Status__c', 'Amount__c'],
+        globals: ['$User.Id'],
+        writtenFields: ['Status__c'],
+        writtenBy: [{ method: 'close', field: 'Status__c', line: 5 }],
+      });
+      expect(formatForLLM(abstraction)).toContain('Invoice__c.Status__c (line 5) | validated by: Closed_Needs_Amount');
+    });
+
+    test('should find validation rules whatever the case of the object name', async () => {
+      await schemaRegistry.loadFromCache();
+      schemaRegistry.addObject('Invoice__c', invoice);
+
+      const abstraction = await abstractCode(`
+        public class InvoiceCloser {
+          public void close() {
+            List<invoice__c> invoices = [SELECT Id FROM invoice__c];
+            for (invoice__c inv : invoices) {
+              inv.Status__c = 'Closed';
+            }
+            update invoices;
+          }
+        }
+      `, { resolveSchema: true });
+
+      expect(abstraction.constraints).toEqual([
+        expect.objectContaining({
+          object: 'Invoice__c',
+          rule: 'Closed_Needs_Amount',
+          fields: ['Status__c', 'Amount__c'],
+          writtenBy: [{ method: 'close', field: 'Status__c', line: 6 }],
+        }),
+      ]);
+    });
+
+    test('should link formula fields and rules to the fields they read', async () => {
+      const registry = new SchemaRegistry();
+      await registry.loadFromCache();
+      registry.addObject('Account', { CustomObject: { fields: { fullName: 'Discount__c', type: 'Percent' } } });
+      registry.addObject('Invoice__c', invoice);
+
+      const graph = new SemanticGraph([], { schemaRegistry: registry });
+      const dependencies = id => graph.outgoing.get(id)
+        .filter(edge => edge.type === 'formula_depends')
+        .map(edge => edge.to);
+
+      expect(dependencies('sfield:Invoice__c.Total__c')).toEqual([
+        'sfield:Invoice__c.Amount__c',
+        'sfield:Invoice__c.Account__c',
+        'sfield:Account.Discount__c',
+      ]);
+      expect(dependencies('validation_rule:Invoice__c.Closed_Needs_Amount')).toEqual([
+        'sfield:Invoice__c.Status__c',
+        'sfield:Invoice__c.Amount__c',
+      ]);
+    });
+  });
+
+  describe('Object and field access', () => {
+    afterEach(() => schemaRegistry.reload());
+
+    test('should report object constraints with and without an access profile', () => {
+      const registry = new SchemaRegistry({ standardObjects: false });
+      registry.addObject('Invoice__c', {
+        CustomObject: { label: 'Invoice', fields: [{ fullName: 'Amount__c', type: 'Currency' }] },
+      });
+      registry.addPermissionSet('Invoice_Viewer', {
+        PermissionSet: {
+          objectPermissions: { object: 'Invoice__c', allowRead: 'true', allowCreate: 'false', allowEdit: 'false', allowDelete: 'false' },
+          fieldPermissions: { field: 'Invoice__c.Amount__c', readable: 'true', editable: 'false' },
+        },
+      });
+
+      const unrestricted = new TypeResolver(null, registry);
+      expect(unrestricted.getObjectConstraints('Invoice__c')).toMatchObject({
+        canCreate: true, canRead: true, canUpdate: true, canDelete: true,
+      });
+      expect(unrestricted.getFieldConstraints('Invoice__c', 'Amount__c').access).toBeNull();
+
+      const viewer = new TypeResolver(null, registry, { access: { permissionSet: 'Invoice_Viewer' } });
+      expect(viewer.getObjectConstraints('Invoice__c')).toMatchObject({
+        canCreate: false, canRead: true, canUpdate: false, canDelete: false,
+      });
+      expect(viewer.getFieldConstraints('Invoice__c', 'Amount__c').access).toEqual({ readable: true, editable: false });
+    });
+
+    test('should report what a permission set may not do', async () => {
+      await schemaRegistry.loadFromCache();
+      schemaRegistry.addObject('Invoice__c', {
+        CustomObject: {
+          label: 'Invoice',
+          fields: [
+            { fullName: 'Amount__c', type: 'Currency' },
+            { fullName: 'Status__c', type: 'Picklist' },
+            { fullName: 'Notes__c', type: 'LongTextArea' },
+          ],
+        },
+      });
+      schemaRegistry.addPermissionSet('Invoice_Viewer', {
+        PermissionSet: {
+          label: 'Invoice Viewer',
+          objectPermissions: { object: 'Invoice__c', allowRead: 'true', allowCreate: 'false', allowEdit: 'false', allowDelete: 'false' },
+          fieldPermissions: [
+            { field: 'Invoice__c.Amount__c', readable: 'true', editable: 'false' },
+            { field: 'Invoice__c.Status__c', readable: 'true', editable: 'false' },
+          ],
+        },
+      });
+
+      const code = `
+        public class InvoiceCloser {
+          private List<Invoice__c> invoices;
+          public void close() {
+            for (Invoice__c inv : [SELECT Id, Amount__c, Notes__c FROM Invoice__c WHERE Id IN :invoices]) {
+              inv.Status__c = 'Closed';
+            }
+            update invoices;
+          }
+        }
+      `;
+      const abstraction = await abstractCode(code, { resolveSchema: true, access: { permissionSet: 'Invoice_Viewer' } });
+
+      expect(abstraction.access.source).toBe('PermissionSet Invoice_Viewer');
+      expect(abstraction.access.objects).toEqual([expect.objectContaining({
+        object: 'Invoice__c', canRead: true, canCreate: false, canUpdate: false, canDelete: false,
+      })]);
+      expect(abstraction.access.denied).toEqual([
+        { method: 'close', line: 5, operation: 'query', object: 'Invoice__c', field: 'Notes__c', reason: 'field is not readable' },
+        { method: 'close', line: 8, operation: 'update', object: 'Invoice__c', field: null, reason: 'needs Edit access' },
+        { method: 'close', line: 6, operation: 'set', object: 'Invoice__c', field: 'Status__c', reason: 'field is not editable' },
+      ]);
+
+      const context = formatAsConstraintContext(abstraction);
+      expect(context).toContain('## Access (PermissionSet Invoice_Viewer)');
+      expect(context).toContain('Notes__c: LongTextArea [hidden]');
+      expect(formatForLLM(abstraction)).toContain('close (line 8): update Invoice__c: needs Edit access');
+
+      await expect(abstractCode(code, { access: { profile: 'Nobody' } }))
+        .rejects.toThrow('Unknown profile Nobody: not in the schema cache');
+    });
   });
 
   describe('Signature extraction', () => {
@@ -151,6 +401,42 @@ describe('Abstraction Layer', () => {
       expect(abstraction.touches.operations.queries.length).toBeGreaterThan(0);
       expect(abstraction.touches.operations.dml.length).toBeGreaterThan(0);
     });
+
+    test('should resolve DML on method parameters', async () => {
+      const abstraction = await abstractCode(`
+        public class InvoiceArchiver {
+          public void archive(List<Invoice__c> records) {
+            update records;
+          }
+        }
+      `);
+
+      expect(abstraction.methods[0].touches.writes).toEqual([
+        expect.objectContaining({ operation: 'update', target: 'records', object: 'Invoice__c' }),
+      ]);
+    });
+
+    test('should not treat fields of Apex class instances as SObject writes', async () => {
+      const code = `
+        public class LabelMaker {
+          public void make() {
+            Wrapper w = new Wrapper();
+            w.label = 'x';
+            Invoice__c inv = new Invoice__c();
+            inv.Status__c = 'Open';
+          }
+        }
+      `;
+      const abstraction = await abstractCode(code);
+
+      expect(abstraction.touches.objects).toEqual(['Invoice__c']);
+      expect(abstraction.touches.fields).toEqual(['Invoice__c.Status__c']);
+      expect(abstraction.methods[0].touches.fieldWrites.map(w => w.object)).toEqual(['Invoice__c']);
+
+      const graph = new SemanticGraph([parseCode(code)], { schemaRegistry: new SchemaRegistry() });
+      expect(graph.nodes.has('sfield:Wrapper.label')).toBe(false);
+      expect(graph.nodes.has('sfield:Invoice__c.Status__c')).toBe(true);
+    });
   });
 
   describe('State abstraction', () => {
@@ -277,7 +563,7 @@ describe('Schema Registry', () => {
     expect(CORE_SALES_CLOUD_OBJECTS).toContain('Case');
   });
 
-  test('should create standard object stubs', async () => {
+  test('should create standard objects from the catalog', async () => {
     await registry.loadFromCache();
     
     const account = registry.getObject('Account');
@@ -295,6 +581,37 @@ describe('Schema Registry', () => {
     expect(field.name).toBe('Name');
   });
 
+  test('should resolve relationship names, __r names and polymorphic hops', async () => {
+    await registry.loadFromCache();
+    registry.addObject('Invoice__c', {
+      CustomObject: {
+        label: 'Invoice',
+        fields: { fullName: 'Account__c', type: 'Lookup', referenceTo: 'Account', relationshipName: 'Invoices' },
+      },
+    });
+
+    const owner = registry.resolveFieldPath('Contact.Account.Owner.Name');
+    expect(owner.map(s => s.field)).toEqual(['AccountId', 'OwnerId', 'Name']);
+    expect(owner[2].object).toBe('User');
+
+    const custom = registry.resolveFieldPath('invoice__c.Account__r.industry');
+    expect(custom.map(s => `${s.object}.${s.field}`)).toEqual(['Invoice__c.Account__c', 'Account.Industry']);
+    expect(custom[0]).toMatchObject({ relationshipName: 'Account__r', targets: ['Account'], polymorphic: false });
+    expect(registry.getField('Invoice__c', 'Account__c').childRelationshipName).toBe('Invoices__r');
+
+    const what = registry.resolveFieldPath('Task.What.Name');
+    expect(what[0].polymorphic).toBe(true);
+    expect(what[0].targets).toEqual(expect.arrayContaining(['Account', 'Opportunity', 'Case']));
+    expect(what[1].objects).toEqual(expect.arrayContaining(['Account', 'Opportunity']));
+
+    const queue = registry.resolveFieldPath('Case.Owner.Name');
+    expect(queue[0].targets).toEqual(['Group', 'User']);
+    expect(queue[1].objects).toEqual(['Group', 'User']);
+
+    expect(registry.resolveFieldPath('Account.Nope.Name')).toBeNull();
+    expect(registry.resolveFieldPath('Contact.Account.Nope')).toHaveLength(1);
+  });
+
   test('should identify core objects', () => {
     expect(registry.isCoreObject('Account')).toBe(true);
     expect(registry.isCoreObject('CustomObject__c')).toBe(false);
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for org authentication
+ */
+
+import { jest } from '@jest/globals';
+import { authorize, AuthenticationError } from '../src/auth.js';
+
+/**
+ * Stand-in for @salesforce/core that records how it was called
+ */
+function createCore(options = {}) {
+  const calls = { org: [], authInfo: [], updates: [] };
+  const connection = {
+    identity: async () => ({ username: 'ci@example.com', organization_id: '00D000000000001' }),
+  };
+
+  return {
+    calls,
+    connection,
+    Org: {
+      create: async (orgOptions) => {
+        calls.org.push(orgOptions);
+        if (options.orgError) throw options.orgError;
+        return { getConnection: () => connection };
+      },
+    },
+    AuthInfo: {
+      create: async (authOptions) => {
+        calls.authInfo.push(authOptions);
+        return { update: (fields) => calls.updates.push(fields) };
+      },
+    },
+    Connection: {
+      create: async () => {
+        if (options.tokenError) throw options.tokenError;
+        return connection;
+      },
+    },
+  };
+}
+
+describe('Authorize', () => {
+  test('should prefer an access token in the environment over --target-org', async () => {
+    const core = createCore();
+    const env = { SF_ACCESS_TOKEN: '00Dxx!token', SF_INSTANCE_URL: 'https://acme.my.salesforce.com' };
+
+    const connection = await authorize({ targetOrg: 'prod', env, core });
+
+    expect(connection).toBe(core.connection);
+    expect(core.calls.org).toEqual([]);
+    expect(core.calls.authInfo).toEqual([
+      { username: '00Dxx!token', accessTokenOptions: { instanceUrl: 'https://acme.my.salesforce.com' } },
+    ]);
+    // The token is replaced by the real username once the org answers
+    expect(core.calls.updates).toEqual([{ username: 'ci@example.com', orgId: '00D000000000001' }]);
+  });
+
+  test('should require the access token and instance URL together', async () => {
+    const core = createCore();
+
+    for (const env of [{ SF_ACCESS_TOKEN: '00Dxx!token' }, { SF_INSTANCE_URL: 'https://acme.my.salesforce.com' }]) {
+      const attempt = authorize({ targetOrg: 'prod', env, core });
+      await expect(attempt).rejects.toThrow(AuthenticationError);
+      await expect(attempt).rejects.toThrow('SF_ACCESS_TOKEN and SF_INSTANCE_URL must be set together');
+    }
+    expect(core.calls.org).toEqual([]);
+  });
+
+  test('should use the target org or the CLI default without a token', async () => {
+    const core = createCore();
+
+    expect(await authorize({ targetOrg: 'prod', env: {}, core })).toBe(core.connection);
+    await authorize({ env: {}, core });
+    expect(core.calls.org).toEqual([{ aliasOrUsername: 'prod' }, {}]);
+  });
+
+  test('should wrap connection failures without exiting', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit called');
+    });
+    const cause = new Error('No authorization information found for prod');
+
+    try {
+      const error = await authorize({ targetOrg: 'prod', env: {}, core: createCore({ orgError: cause }) })
+        .catch(e => e);
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.message).toBe('Could not connect to org prod: No authorization information found for prod');
+      expect(error.targetOrg).toBe('prod');
+      expect(error.cause).toBe(cause);
+
+      const noDefault = await authorize({ env: {}, core: createCore({ orgError: cause }) }).catch(e => e);
+      expect(noDefault).toBeInstanceOf(AuthenticationError);
+      expect(noDefault.message).toMatch(/^No target org: pass --target-org/);
+
+      const tokenCause = new Error('INVALID_SESSION_ID');
+      const env = { SF_ACCESS_TOKEN: 'expired', SF_INSTANCE_URL: 'https://acme.my.salesforce.com' };
+      const rejected = await authorize({ env, core: createCore({ tokenError: tokenCause }) }).catch(e => e);
+      expect(rejected).toBeInstanceOf(AuthenticationError);
+      expect(rejected.message).toBe('Access token rejected by https://acme.my.salesforce.com: INVALID_SESSION_ID');
+      expect(rejected.cause).toBe(tokenCause);
+
+      expect(exit).not.toHaveBeenCalled();
+    } finally {
+      exit.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the Change-Set Blast Radius
+ */
+
+import { computeBlastRadius, formatBlastRadiusReport } from '../src/blast-radius.js';
+import { execFileSync } from 'child_process';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const TRIGGER = `
+trigger OpportunityTrigger on Opportunity (after update) {
+  OpportunityHandler handler = new OpportunityHandler();
+  handler.afterUpdate(Trigger.new);
+}
+`;
+
+const HANDLER = `
+public class OpportunityHandler {
+  public void afterUpdate(List<Opportunity> opportunities) {
+    PricingService.reprice(opportunities);
+  }
+}
+`;
+
+const SERVICE = `
+public class PricingService {
+  public static void reprice(List<Opportunity> opportunities) {
+    update opportunities;
+  }
+
+  public static Decimal discount(Decimal amount) {
+    return amount;
+  }
+}
+`;
+
+const SERVICE_CHANGED = `
+public class PricingService {
+  public static void reprice(List<Opportunity> opportunities) {
+    for (Opportunity opp : opportunities) {
+      opp.Amount = discount(opp.Amount);
+    }
+    update opportunities;
+  }
+
+  public static Decimal discount(Decimal amount) {
+    return amount;
+  }
+}
+`;
+
+describe('Blast Radius', () => {
+  let repoDir;
+
+  const git = (...args) => execFileSync(
+    'git',
+    ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+    { cwd: repoDir }
+  );
+
+  beforeAll(async () => {
+    repoDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-blast-'));
+    git('init', '-q', '-b', 'main');
+    await fse.outputFile(path.join(repoDir, 'classes', 'OpportunityHandler.cls'), HANDLER);
+    await fse.outputFile(path.join(repoDir, 'classes', 'PricingService.cls'), SERVICE);
+    await fse.outputFile(path.join(repoDir, 'triggers', 'OpportunityTrigger.trigger'), TRIGGER);
+    git('add', '-A');
+    git('commit', '-q', '-m', 'base');
+
+    git('checkout', '-q', '-b', 'feature');
+    await fse.outputFile(path.join(repoDir, 'classes', 'PricingService.cls'), SERVICE_CHANGED);
+    git('commit', '-q', '-am', 'reprice');
+  });
+
+  afterAll(async () => {
+    await fse.remove(repoDir);
+  });
+
+  test('should map changed lines to methods and follow callers into triggers', async () => {
+    const report = await computeBlastRadius('main', { cwd: repoDir, index: false });
+
+    expect(report.changed.map(c => c.name)).toEqual(['PricingService.reprice']);
+    expect(report.changed[0].kind).toBe('body');
+    expect(report.affected.callers).toEqual(['OpportunityHandler.afterUpdate']);
+    expect(report.affected.triggers).toEqual(['OpportunityTrigger']);
+    expect(report.affected.sobjects).toEqual(expect.arrayContaining(['Opportunity']));
+  });
+
+  test('should report removed methods that are still referenced', async () => {
+    await fse.outputFile(
+      path.join(repoDir, 'classes', 'PricingService.cls'),
+      SERVICE_CHANGED.replace(/public static void reprice[\s\S]*?\n  }\n/, '')
+    );
+
+    const report = await computeBlastRadius('main', { cwd: repoDir, index: false });
+    await fse.outputFile(path.join(repoDir, 'classes', 'PricingService.cls'), SERVICE_CHANGED);
+
+    expect(report.removed).toEqual([
+      expect.objectContaining({ name: 'PricingService.reprice', referencedBy: ['OpportunityHandler'] }),
+    ]);
+    expect(report.summary.riskLevel).toBe('critical');
+    expect(formatBlastRadiusReport(report)).toContain('still referenced by OpportunityHandler');
+  });
+
+  test('should find callers of a removed method through the call graph', async () => {
+    const quoteService = path.join(repoDir, 'classes', 'QuoteService.cls');
+    const discountJob = path.join(repoDir, 'classes', 'DiscountJob.cls');
+    await fse.outputFile(quoteService, `
+// Replaces PricingService.discount(amount) for quotes
+public class QuoteService {
+  public Decimal quote(Decimal amount) {
+    return amount;
+  }
+}
+`);
+    await fse.outputFile(discountJob, `
+public class DiscountJob {
+  public void run() {
+    PricingService.discount(1);
+  }
+}
+`);
+    await fse.outputFile(
+      path.join(repoDir, 'classes', 'PricingService.cls'),
+      SERVICE_CHANGED.replace(/\n  public static Decimal discount[\s\S]*?\n  }\n/, '')
+    );
+
+    const report = await computeBlastRadius('main', { cwd: repoDir, index: false });
+    await fse.outputFile(path.join(repoDir, 'classes', 'PricingService.cls'), SERVICE_CHANGED);
+    await fse.remove(quoteService);
+    await fse.remove(discountJob);
+
+    expect(report.removed).toEqual([
+      expect.objectContaining({ name: 'PricingService.discount', referencedBy: ['DiscountJob'] }),
+    ]);
+  });
+});
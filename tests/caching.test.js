@@ -0,0 +1,195 @@
+/**
+ * Unit tests for the metadata cache
+ */
+
+import { cacheMetadata, clearCache, getCacheDir, readCacheManifest, writeCacheManifest } from '../src/caching.js';
+import { SchemaRegistry, describeSchemaSnapshot } from '../src/schema-registry.js';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sfdxProjectPath = path.join(__dirname, 'fixtures', 'sfdx-project');
+const mdapiPath = path.join(__dirname, 'fixtures', 'mdapi');
+
+describe('Metadata Cache', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = path.join(await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-cache-')), '.asfst-cache');
+  });
+
+  afterEach(async () => {
+    await fse.remove(path.dirname(cacheDir));
+  });
+
+  test('should assemble source-format objects into the registry cache', async () => {
+    const summary = await cacheMetadata(sfdxProjectPath, { cacheDir });
+    expect(summary).toEqual({ classes: 1, triggers: 0, objects: 2, labels: 0, globalValueSets: 0, profiles: 0, permissionsets: 1 });
+    expect(await fse.pathExists(path.join(cacheDir, 'classes', 'InvoiceService.cls'))).toBe(true);
+
+    const registry = new SchemaRegistry({ cacheDir });
+    await registry.loadFromCache();
+
+    const invoice = registry.getObject('Invoice__c');
+    expect(invoice.label).toBe('Invoice');
+    expect(Array.from(invoice.fields.keys())).toEqual(['Account__c', 'Amount__c', 'Status__c']);
+    expect(invoice.validationRules.map(r => r.name)).toEqual(['Amount_Positive']);
+    expect(invoice.recordTypes).toEqual([expect.objectContaining({ name: 'Credit_Note', label: 'Credit Note', active: true })]);
+    expect(registry.classes.has('InvoiceService')).toBe(true);
+  });
+
+  test('should load decomposed object directories kept in the cache', async () => {
+    const objectsDir = path.join(sfdxProjectPath, 'force-app', 'main', 'default', 'objects');
+    await fse.copy(path.join(objectsDir, 'Invoice__c'), path.join(cacheDir, 'objects', 'Invoice__c'));
+    await fse.outputJson(path.join(cacheDir, 'objects', 'Contact', 'fields', 'Level__c.field-meta.json'), {
+      CustomField: { fullName: 'Level__c', label: 'Level', type: 'Picklist' },
+    });
+
+    const registry = new SchemaRegistry({ cacheDir });
+    await registry.loadFromCache();
+
+    expect(registry.getField('Invoice__c', 'Status__c').picklistValues.map(v => v.fullName)).toEqual(['Open', 'Closed']);
+    expect(registry.getValidationRules('Invoice__c').map(r => r.name)).toEqual(['Amount_Positive']);
+    expect(registry.getObject('Invoice__c').recordTypes.map(rt => rt.name)).toEqual(['Credit_Note']);
+    expect(registry.getField('Invoice__c', 'Status__c').recordTypeValues).toEqual({ Credit_Note: ['Open'] });
+    expect(registry.getPicklistValues('Invoice__c', 'Status__c', 'Credit_Note')).toEqual(['Open']);
+    expect(registry.getPicklistValues('Invoice__c', 'Status__c')).toEqual(['Open', 'Closed']);
+    expect(registry.getField('Contact', 'Level__c').type).toBe('Picklist');
+    expect(registry.getField('Contact', 'Email')).toBeDefined();
+  });
+
+  test('should read Metadata API format', async () => {
+    const summary = await cacheMetadata(mdapiPath, { cacheDir });
+    expect(summary).toEqual({ classes: 1, triggers: 0, objects: 1, labels: 1, globalValueSets: 1, profiles: 1, permissionsets: 0 });
+
+    const labels = await fse.readJson(path.join(cacheDir, 'labels', 'CustomLabels.labels-meta.json'));
+    expect(labels.CustomLabels.labels.fullName).toBe('Shipment_Late');
+
+    const registry = new SchemaRegistry({ cacheDir });
+    await registry.loadFromCache();
+    expect(registry.getField('Shipment__c', 'Weight__c').type).toBe('Number');
+    expect(registry.getValidationRules('Shipment__c')[0].errorConditionFormula).toBe('ISBLANK(Weight__c)');
+
+    // Picklists using a global value set take its values; inactive ones are not legal
+    const serviceLevel = registry.getField('Shipment__c', 'Service_Level__c');
+    expect(serviceLevel).toMatchObject({ valueSetName: 'Service_Levels', restricted: true });
+    expect(serviceLevel.picklistValues.map(v => v.fullName)).toEqual(['Standard', 'Express', 'Overnight']);
+    expect(registry.getPicklistValues('Shipment__c', 'Service_Level__c')).toEqual(['Standard', 'Express']);
+
+    // Profile object permissions and field-level security
+    const clerk = { profile: 'shipping clerk' };
+    expect(registry.getObjectAccess('Shipment__c', clerk)).toMatchObject({
+      canCreate: false, canRead: true, canUpdate: true, canDelete: false,
+    });
+    expect(registry.getFieldAccess('Shipment__c', 'Carrier__c', clerk)).toEqual({ readable: true, editable: false });
+    expect(registry.getFieldAccess('Shipment__c', 'Weight__c', clerk)).toEqual({ readable: false, editable: false });
+    expect(registry.getFieldAccess('Shipment__c', 'Name', clerk)).toEqual({ readable: true, editable: true });
+    expect(registry.getObjectAccess('Account', clerk).canRead).toBe(false);
+    expect(registry.getObjectAccess('Shipment__c', { profile: 'Nobody' })).toBeNull();
+  });
+
+  test('should merge profile permissions retrieved separately', async () => {
+    await cacheMetadata(mdapiPath, { cacheDir, types: ['Profile'] });
+    const retrieveDir = path.join(path.dirname(cacheDir), 'retrieve');
+    await fse.outputFile(path.join(retrieveDir, 'profiles', 'Shipping Clerk.profile'), `<?xml version="1.0" encoding="UTF-8"?>
+<Profile xmlns="http://soap.sforce.com/2006/04/metadata">
+    <objectPermissions>
+        <allowCreate>true</allowCreate>
+        <allowDelete>false</allowDelete>
+        <allowEdit>true</allowEdit>
+        <allowRead>true</allowRead>
+        <object>Account</object>
+    </objectPermissions>
+</Profile>`);
+    await cacheMetadata(retrieveDir, { cacheDir });
+
+    const registry = new SchemaRegistry({ cacheDir });
+    await registry.loadFromCache();
+    const clerk = { profile: 'Shipping Clerk' };
+    expect(registry.getObjectAccess('Account', clerk)).toMatchObject({ canCreate: true, canDelete: false });
+    expect(registry.getObjectAccess('Shipment__c', clerk)).toMatchObject({ canRead: true, canUpdate: true });
+    expect(registry.getFieldAccess('Shipment__c', 'Carrier__c', clerk).readable).toBe(true);
+  });
+
+  test('should merge a selective retrieve into the existing cache', async () => {
+    await cacheMetadata(sfdxProjectPath, { cacheDir });
+
+    const retrieveDir = path.join(path.dirname(cacheDir), 'retrieve');
+    await fse.outputFile(path.join(retrieveDir, 'objects', 'Invoice__c', 'fields', 'Amount__c.field-meta.xml'), [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<CustomField xmlns="http://soap.sforce.com/2006/04/metadata">',
+      '    <fullName>Amount__c</fullName>',
+      '    <label>Net Amount</label>',
+      '    <type>Currency</type>',
+      '</CustomField>',
+    ].join('\n'));
+    await cacheMetadata(retrieveDir, { cacheDir, types: ['CustomObject'] });
+
+    const registry = new SchemaRegistry({ cacheDir });
+    await registry.loadFromCache();
+    const invoice = registry.getObject('Invoice__c');
+    expect(invoice.label).toBe('Invoice');
+    expect(invoice.fields.get('Amount__c').label).toBe('Net Amount');
+    expect(Array.from(invoice.fields.keys()).sort()).toEqual(['Account__c', 'Amount__c', 'Status__c']);
+    expect(invoice.validationRules).toHaveLength(1);
+  });
+
+  test('should record the snapshot and report its age', async () => {
+    await cacheMetadata(sfdxProjectPath, { cacheDir });
+    expect(await readCacheManifest(cacheDir)).toEqual(expect.objectContaining({
+      source: 'directory',
+      path: sfdxProjectPath,
+      apiVersion: '62.0',
+    }));
+
+    const manifest = await writeCacheManifest(cacheDir, {
+      source: 'org',
+      orgId: '00D000000000001',
+      username: 'admin@acme.test',
+      apiVersion: '61.0',
+    });
+    const registry = new SchemaRegistry({ cacheDir, maxCacheAgeDays: 7 });
+    await registry.loadFromCache();
+
+    const fresh = registry.getSnapshot(new Date(manifest.retrievedAt));
+    expect(fresh).toEqual(expect.objectContaining({ orgId: '00D000000000001', ageDays: 0, stale: false, warning: null }));
+    expect(describeSchemaSnapshot(fresh)).toMatch(/^Schema: org admin@acme\.test, API 61\.0, retrieved \d{4}-\d{2}-\d{2} \(today\)$/);
+
+    const later = new Date(Date.parse(manifest.retrievedAt) + 10 * 24 * 60 * 60 * 1000);
+    const stale = registry.getSnapshot(later);
+    expect(stale.stale).toBe(true);
+    expect(stale.warning).toContain('10 days old');
+    expect(new SchemaRegistry({ cacheDir: path.join(cacheDir, 'none') }).getSnapshot()).toBeNull();
+  });
+
+  test('should keep a separate cache per org profile', async () => {
+    expect(getCacheDir()).toBe('.asfst-cache');
+    expect(getCacheDir('uat')).toBe(path.join('.asfst-cache', 'orgs', 'uat'));
+    expect(() => getCacheDir('../prod')).toThrow('Invalid org profile name');
+
+    const uatDir = path.join(cacheDir, 'orgs', 'uat');
+    await cacheMetadata(sfdxProjectPath, { cacheDir });
+    await cacheMetadata(mdapiPath, { cacheDir: uatDir });
+
+    const registry = new SchemaRegistry({ cacheDir });
+    await registry.loadFromCache();
+    expect(registry.getObject('Invoice__c')).toBeDefined();
+    expect(registry.getObject('Shipment__c')).toBeUndefined();
+
+    registry.setCacheDir(uatDir);
+    await registry.loadFromCache();
+    expect(registry.getObject('Shipment__c')).toBeDefined();
+    expect(registry.getObject('Invoice__c')).toBeUndefined();
+    expect(registry.getSnapshot().apiVersion).toBe('60.0');
+  });
+
+  test('should reject a missing directory and clear the cache', async () => {
+    await expect(cacheMetadata(path.join(mdapiPath, 'missing'), { cacheDir })).rejects.toThrow('not found');
+
+    await cacheMetadata(mdapiPath, { cacheDir });
+    await clearCache({ cacheDir });
+    expect(await fse.pathExists(cacheDir)).toBe(false);
+  });
+});
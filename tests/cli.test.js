@@ -0,0 +1,62 @@
+/**
+ * Tests for the asfst command line
+ */
+
+import { execFile } from 'child_process';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cliPath = path.join(__dirname, '..', 'asfst');
+const mdapiPath = path.join(__dirname, 'fixtures', 'mdapi');
+
+describe('CLI', () => {
+  let workDir;
+
+  /**
+   * Run asfst in the work directory, resolving with its exit code and output
+   */
+  const run = (...args) => new Promise(resolve => {
+    const env = { ...process.env, HOME: workDir, SF_TARGET_ORG: '', ASFST_ORG: '' };
+    delete env.SF_ACCESS_TOKEN;
+    delete env.SF_INSTANCE_URL;
+    execFile(process.execPath, [cliPath, ...args], { cwd: workDir, env, timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+
+  beforeEach(async () => {
+    workDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-cli-'));
+  });
+
+  afterEach(async () => {
+    await fse.remove(workDir);
+  });
+
+  test('should ingest from a metadata directory', async () => {
+    const result = await run('ingest', '--from', mdapiPath);
+
+    expect(result.stderr).not.toContain('mutually exclusive');
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Metadata ingestion complete');
+    expect(await fse.pathExists(path.join(workDir, '.asfst-cache', 'objects'))).toBe(true);
+  });
+
+  test('should accept --incremental on its own', async () => {
+    const result = await run('ingest', '--incremental');
+
+    // Without an authorized org the command gets as far as connecting
+    expect(result.stderr).not.toContain('mutually exclusive');
+    expect(result.stdout).toContain('Starting metadata ingestion...');
+    expect(result.stderr).toContain('Salesforce authentication failed');
+  });
+
+  test('should reject --incremental with --clean', async () => {
+    const result = await run('ingest', '--incremental', '--clean');
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Arguments incremental and clean are mutually exclusive');
+  });
+});
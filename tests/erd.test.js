@@ -0,0 +1,121 @@
+/**
+ * Unit tests for SObject relationship edges and ER diagrams
+ */
+
+import { buildErd, formatErd } from '../src/erd.js';
+import { SemanticGraph } from '../src/semantic-graph.js';
+import { SchemaRegistry } from '../src/schema-registry.js';
+import { parseCode } from '../src/parser.js';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+async function createRegistry() {
+  const cacheDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-erd-'));
+  const registry = new SchemaRegistry({ cacheDir });
+  await registry.loadFromCache();
+  await fse.remove(cacheDir);
+
+  registry.addObject('Invoice__c', {
+    CustomObject: {
+      label: 'Invoice',
+      fields: [
+        { fullName: 'Account__c', type: 'Lookup', referenceTo: 'Account' },
+        { fullName: 'Amount__c', type: 'Currency' },
+      ],
+    },
+  });
+  registry.addObject('Invoice_Line__c', {
+    CustomObject: {
+      label: 'Invoice Line',
+      fields: { fullName: 'Invoice__c', type: 'MasterDetail', referenceTo: 'Invoice__c', relationshipName: 'Lines' },
+    },
+  });
+  return registry;
+}
+
+describe('SObject Relationships', () => {
+  test('should link the SObjects code touches by their lookups', async () => {
+    const registry = await createRegistry();
+    const code = `
+      public class Billing {
+        public void bill() {
+          List<Invoice_Line__c> lines = [SELECT Id FROM Invoice_Line__c];
+          List<Invoice__c> invoices = [SELECT Id FROM Invoice__c];
+        }
+      }
+    `;
+    const graph = new SemanticGraph([parseCode(code)], { schemaRegistry: registry });
+
+    const masterDetail = graph.edges.get('sobject:Invoice_Line__c-master_detail->sobject:Invoice__c');
+    expect(masterDetail.metadata.fields).toEqual([
+      expect.objectContaining({ field: 'Invoice__c', childRelationshipName: 'Lines__r', required: true }),
+    ]);
+    // Account is not used by the code, so it is not pulled into the graph
+    expect(graph.nodes.has('sobject:Account')).toBe(false);
+
+    graph.removeClassNode('Billing');
+    expect(graph.nodes.has('sobject:Invoice__c')).toBe(false);
+    expect(graph.edges.size).toBe(0);
+  });
+
+  test('should link SObjects that classes added later bring in', async () => {
+    const registry = await createRegistry();
+    const lineClass = parseCode('public class Lines { void run() { delete [SELECT Id FROM Invoice_Line__c]; } }');
+    const invoiceClass = parseCode('public class Invoices { void run() { delete [SELECT Id FROM Invoice__c]; } }');
+    const accountClass = parseCode('public class Accounts { void run() { delete [SELECT Id FROM Account]; } }');
+    const graph = new SemanticGraph([lineClass], { schemaRegistry: registry });
+
+    // The new object is a parent of one already in the graph and a child of the next
+    graph.addClassNode(invoiceClass);
+    graph.addClassNode(accountClass);
+    expect(graph.edges.has('sobject:Invoice_Line__c-master_detail->sobject:Invoice__c')).toBe(true);
+    expect(graph.edges.has('sobject:Invoice__c-lookup->sobject:Account')).toBe(true);
+
+    graph.removeClassNode('Invoices');
+    expect(graph.edges.has('sobject:Invoice__c-lookup->sobject:Account')).toBe(false);
+    graph.addClassNode(invoiceClass);
+    expect(graph.edges.has('sobject:Invoice__c-lookup->sobject:Account')).toBe(true);
+    expect(graph.edges.has('sobject:Invoice_Line__c-master_detail->sobject:Invoice__c')).toBe(true);
+  });
+});
+
+describe('ERD', () => {
+  test('should draw the selected objects and their neighbours', async () => {
+    const registry = await createRegistry();
+    const erd = buildErd(['invoice_line__c'], { depth: 2, schemaRegistry: registry });
+
+    expect(erd.entities.map(e => e.name)).toEqual(['Account', 'Invoice_Line__c', 'Invoice__c']);
+    expect(erd.relationships).toEqual(expect.arrayContaining([
+      { from: 'Invoice_Line__c', to: 'Invoice__c', type: 'master_detail', field: 'Invoice__c', relationshipName: 'Invoice__r', required: true },
+      expect.objectContaining({ from: 'Invoice__c', to: 'Account', type: 'lookup', required: false }),
+    ]));
+
+    const mermaid = formatErd(erd, 'mermaid');
+    expect(mermaid).toContain('erDiagram');
+    expect(mermaid).toContain('Invoice__c ||--o{ Invoice_Line__c : "Invoice__c"');
+    expect(mermaid).toContain('Account |o--o{ Invoice__c : "Account__c"');
+    expect(mermaid).toContain('        Lookup Account__c FK');
+
+    expect(formatErd(erd, 'dot')).toContain('"Invoice_Line__c" -> "Invoice__c" [label="Invoice__c", style=solid, penwidth=2];');
+    expect(formatErd(erd, 'plantuml')).toContain('entity Invoice__c {\n  * Id : Id <<PK>>\n  --\n  Account__c : Lookup <<FK>>\n}');
+
+    const withFields = buildErd(['Invoice__c'], { depth: 0, includeFields: true, schemaRegistry: registry });
+    expect(withFields.entities[0].fields.map(f => f.name)).toEqual(['Id', 'Account__c', 'Amount__c']);
+    expect(() => buildErd(['Nope__c'], { schemaRegistry: registry })).toThrow('Unknown SObject: Nope__c');
+  });
+
+  test('should widen the diagram one relationship hop per depth level', async () => {
+    const registry = await createRegistry();
+    const names = depth => buildErd(['Invoice_Line__c'], { depth, schemaRegistry: registry }).entities.map(e => e.name);
+
+    const alone = buildErd(['Invoice_Line__c'], { depth: 0, schemaRegistry: registry });
+    expect(alone.entities.map(e => e.name)).toEqual(['Invoice_Line__c']);
+    expect(alone.relationships).toEqual([]);
+    expect(names(1)).toEqual(['Invoice_Line__c', 'Invoice__c']);
+    expect(names(2)).toEqual(['Account', 'Invoice_Line__c', 'Invoice__c']);
+
+    expect(() => buildErd(['Invoice__c', 'Nope__c', 'Gone__c'], { schemaRegistry: registry }))
+      .toThrow('Unknown SObjects: Nope__c, Gone__c');
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for the Salesforce formula parser
+ */
+
+import { parseFormula, extractFormulaReferences, FormulaSyntaxError } from '../src/formula-parser.js';
+
+describe('Formula Parser', () => {
+  test('should parse operators with Salesforce precedence', () => {
+    expect(parseFormula('1 + 2 * 3 & "x"')).toEqual({
+      type: 'Binary',
+      operator: '&',
+      left: {
+        type: 'Binary',
+        operator: '+',
+        left: { type: 'Literal', dataType: 'number', value: 1 },
+        right: {
+          type: 'Binary',
+          operator: '*',
+          left: { type: 'Literal', dataType: 'number', value: 2 },
+          right: { type: 'Literal', dataType: 'number', value: 3 },
+        },
+      },
+      right: { type: 'Literal', dataType: 'string', value: 'x' },
+    });
+
+    const condition = parseFormula('Amount__c <= 0 || ISBLANK(Status__c) && !Active__c');
+    expect(condition.operator).toBe('||');
+    expect(condition.right.operator).toBe('&&');
+    expect(condition.right.left).toMatchObject({ type: 'Call', name: 'ISBLANK' });
+    expect(condition.right.right).toMatchObject({ type: 'Unary', operator: '!' });
+
+    expect(parseFormula('true')).toEqual({ type: 'Literal', dataType: 'boolean', value: true });
+    expect(parseFormula('isBlank(Name)').name).toBe('ISBLANK');
+  });
+
+  test('should extract fields, cross-object paths and globals', () => {
+    const references = extractFormulaReferences(`
+      AND(
+        ISPICKVAL(Status__c, 'Closed'), /* only closed invoices */
+        OR(Amount__c <= 0, ISBLANK(Account__r.Owner.Email)),
+        $User.Id <> OwnerId,
+        Amount__c > 0
+      )
+    `);
+
+    expect(references).toEqual({
+      fields: ['Status__c', 'Amount__c', 'OwnerId'],
+      paths: ['Account__r.Owner.Email'],
+      globals: ['$User.Id'],
+      functions: ['AND', 'ISPICKVAL', 'OR', 'ISBLANK'],
+    });
+  });
+
+  test('should report syntax errors with their position', () => {
+    expect(() => parseFormula('AND(Amount__c > 0,')).toThrow(FormulaSyntaxError);
+    expect(() => parseFormula('Name = "open')).toThrow('Unterminated string at position 7');
+    expect(() => parseFormula('(1 + 2')).toThrow("Expected ')' but found end of formula");
+    expect(() => parseFormula('')).toThrow('Empty formula');
+  });
+});
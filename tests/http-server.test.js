@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the HTTP/JSON API server
+ */
+
+import { ApiServer } from '../src/http-server.js';
+import { SchemaRegistry } from '../src/schema-registry.js';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixtureProject = path.join(__dirname, 'fixtures', 'sfdx-project');
+
+describe('HTTP API Server', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    tempDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-serve-'));
+    await fse.copy(fixtureProject, tempDir);
+
+    server = new ApiServer({
+      targets: [tempDir],
+      index: false,
+      debounceMs: 50,
+      schemaRegistry: new SchemaRegistry(),
+    });
+    const { port } = await server.start(0);
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await fse.remove(tempDir);
+  });
+
+  const get = async (route) => {
+    const response = await fetch(`${baseUrl}${route}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('should report health and graph queries from the loaded project', async () => {
+    const health = await get('/health');
+    expect(health.body).toEqual(expect.objectContaining({ status: 'ok', classes: 2 }));
+
+    const callers = await get('/graph/callers?method=StringUtils.log');
+    expect(callers.body.directImpact).toEqual(['InvoiceService.getOpenInvoices']);
+
+    const callPath = await get('/graph/path?from=InvoiceService.getOpenInvoices&to=StringUtils.log');
+    expect(callPath.body.found).toBe(true);
+  });
+
+  test('should serve schema lookups and formatted context', async () => {
+    const invoice = await get('/schema/objects/invoice__c');
+    expect(invoice.body.name).toBe('Invoice__c');
+    expect(invoice.body.fields.map(f => f.name)).toContain('Amount__c');
+
+    const file = path.join(tempDir, 'force-app', 'main', 'default', 'classes', 'InvoiceService.cls');
+    const context = await get(`/context?format=llm&file=${encodeURIComponent(file)}`);
+    expect(context.body.text).toContain('InvoiceService');
+  });
+
+  test('should parse posted code', async () => {
+    const response = await fetch(`${baseUrl}/parse`, {
+      method: 'POST',
+      body: JSON.stringify({ code: 'public class Posted { public void run() {} }' }),
+    });
+    const parsed = await response.json();
+    expect(parsed.name).toBe('Posted');
+    expect(parsed.methods.map(m => m.name)).toEqual(['run']);
+  });
+
+  test('should return errors with matching status codes', async () => {
+    expect((await get('/unknown')).status).toBe(404);
+    expect((await get('/schema/objects/Missing__c')).status).toBe(404);
+    expect((await get('/graph/callers')).body).toEqual({ error: 'Missing required parameter: method' });
+  });
+
+  test('should refresh the graph when a source file changes', async () => {
+    const refreshed = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No refresh event')), 5000);
+      server.once('refresh', summary => {
+        clearTimeout(timer);
+        resolve(summary);
+      });
+    });
+
+    await fse.writeFile(path.join(tempDir, 'utils', 'classes', 'Audit.cls'), [
+      'public class Audit {',
+      '    public void record() {',
+      '        StringUtils.log(\'audit\');',
+      '    }',
+      '}',
+    ].join('\n'));
+
+    const summary = await refreshed;
+    expect(summary.added).toEqual(['Audit']);
+
+    const callers = await get('/graph/callers?method=StringUtils.log');
+    expect(callers.body.directImpact).toContain('Audit.record');
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for incremental ingest
+ */
+
+import { incrementalIngest, planIncrementalIngest, readIngestState } from '../src/incremental-ingest.js';
+import { SchemaRegistry } from '../src/schema-registry.js';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const field = (name, label) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<CustomField xmlns="http://soap.sforce.com/2006/04/metadata">',
+  `    <fullName>${name}</fullName>`,
+  `    <label>${label}</label>`,
+  '    <type>Text</type>',
+  '</CustomField>',
+].join('\n');
+
+/**
+ * In-memory stand-in for an org: components with their files and dates
+ */
+function createOrg() {
+  const components = new Map();
+  const retrieved = [];
+
+  const put = (type, fullName, lastModifiedDate, files) => {
+    components.set(`${type}:${fullName}`, { type, fullName, lastModifiedDate, files });
+  };
+
+  return {
+    put,
+    remove: (type, fullName) => components.delete(`${type}:${fullName}`),
+    retrieved,
+    lister: async (types) => Array.from(components.values())
+      .filter(c => types.includes(c.type))
+      .map(({ type, fullName, lastModifiedDate }) => ({ type, fullName, lastModifiedDate })),
+    retriever: (outputDir) => async (selected) => {
+      retrieved.push(selected.map(c => `${c.type}:${c.fullName}`));
+      await fse.remove(outputDir);
+      for (const component of components.values()) {
+        const wanted = selected.some(s => s.type === component.type && (s.fullName === '*' || s.fullName === component.fullName));
+        if (!wanted) continue;
+        for (const [file, content] of Object.entries(component.files)) {
+          await fse.outputFile(path.join(outputDir, file), content);
+        }
+      }
+      return outputDir;
+    },
+  };
+}
+
+describe('Incremental Ingest', () => {
+  let tempDir;
+  let cacheDir;
+  let outputDir;
+
+  beforeEach(async () => {
+    tempDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-incremental-'));
+    cacheDir = path.join(tempDir, '.asfst-cache');
+    outputDir = path.join(tempDir, 'metadata');
+  });
+
+  afterEach(async () => {
+    await fse.remove(tempDir);
+  });
+
+  test('should plan changed, deleted and unchanged components', () => {
+    const state = {
+      components: {
+        'ApexClass:A': { type: 'ApexClass', fullName: 'A', lastModifiedDate: '2024-01-01' },
+        'ApexClass:B': { type: 'ApexClass', fullName: 'B', lastModifiedDate: '2024-01-01' },
+        'ApexTrigger:T': { type: 'ApexTrigger', fullName: 'T', lastModifiedDate: '2024-01-01' },
+      },
+    };
+    const listed = [
+      { type: 'ApexClass', fullName: 'A', lastModifiedDate: '2024-01-01' },
+      { type: 'ApexClass', fullName: 'C', lastModifiedDate: '2024-02-01' },
+    ];
+
+    const plan = planIncrementalIngest(state, listed, ['ApexClass']);
+    expect(plan.full).toBe(false);
+    expect(plan.changed.map(c => c.fullName)).toEqual(['C']);
+    expect(plan.deleted.map(c => c.fullName)).toEqual(['B']);
+    expect(plan.unchanged).toBe(1);
+    expect(planIncrementalIngest(null, listed, ['ApexClass']).full).toBe(true);
+  });
+
+  test('should retrieve only what changed since the last run', async () => {
+    const org = createOrg();
+    org.put('ApexClass', 'InvoiceService', '2024-01-01T00:00:00.000Z', {
+      'classes/InvoiceService.cls': 'public class InvoiceService {}',
+      'classes/InvoiceService.cls-meta.xml': '<ApexClass><status>Active</status></ApexClass>',
+    });
+    org.put('CustomObject', 'Invoice__c', '2024-01-01T00:00:00.000Z', {
+      'objects/Invoice__c/Invoice__c.object-meta.xml': '<CustomObject><label>Invoice</label></CustomObject>',
+    });
+    org.put('CustomField', 'Invoice__c.Amount__c', '2024-01-01T00:00:00.000Z', {
+      'objects/Invoice__c/fields/Amount__c.field-meta.xml': field('Amount__c', 'Amount'),
+    });
+    org.put('CustomField', 'Invoice__c.Notes__c', '2024-01-01T00:00:00.000Z', {
+      'objects/Invoice__c/fields/Notes__c.field-meta.xml': field('Notes__c', 'Notes'),
+    });
+
+    const run = () => incrementalIngest({
+      types: ['ApexClass', 'CustomObject'],
+      cacheDir,
+      lister: org.lister,
+      retriever: org.retriever(outputDir),
+    });
+
+    const first = await run();
+    expect(first.full).toBe(true);
+    expect(org.retrieved[0]).toEqual(['ApexClass:*', 'CustomObject:*']);
+    expect(Object.keys((await readIngestState(cacheDir)).components)).toHaveLength(4);
+
+    org.put('CustomField', 'Invoice__c.Amount__c', '2024-03-01T00:00:00.000Z', {
+      'objects/Invoice__c/fields/Amount__c.field-meta.xml': field('Amount__c', 'Net Amount'),
+    });
+    org.remove('CustomField', 'Invoice__c.Notes__c');
+
+    const second = await run();
+    expect(second.full).toBe(false);
+    expect(second.unchanged).toBe(2);
+    expect(org.retrieved[1]).toEqual(['CustomField:Invoice__c.Amount__c']);
+    expect(second.deleted.map(c => c.fullName)).toEqual(['Invoice__c.Notes__c']);
+
+    const registry = new SchemaRegistry({ cacheDir });
+    await registry.loadFromCache();
+    expect(registry.getObject('Invoice__c').label).toBe('Invoice');
+    expect(Array.from(registry.getObject('Invoice__c').fields.keys())).toEqual(['Amount__c']);
+    expect(registry.getField('Invoice__c', 'Amount__c').label).toBe('Net Amount');
+    expect(registry.classes.has('InvoiceService')).toBe(true);
+
+    org.remove('ApexClass', 'InvoiceService');
+    const third = await run();
+    expect(org.retrieved).toHaveLength(2);
+    expect(third.deleted.map(c => c.fullName)).toEqual(['InvoiceService']);
+    expect(await fse.readdir(path.join(cacheDir, 'classes'))).toEqual([]);
+  });
+
+  test('should drop deleted objects from the cache', async () => {
+    const org = createOrg();
+    for (const name of ['Invoice__c', 'Payment__c']) {
+      org.put('CustomObject', name, '2024-01-01T00:00:00.000Z', {
+        [`objects/${name}/${name}.object-meta.xml`]: `<CustomObject><label>${name}</label></CustomObject>`,
+      });
+    }
+    org.put('CustomField', 'Payment__c.Notes__c', '2024-01-01T00:00:00.000Z', {
+      'objects/Payment__c/fields/Notes__c.field-meta.xml': field('Notes__c', 'Notes'),
+    });
+
+    const run = () => incrementalIngest({
+      types: ['CustomObject'],
+      cacheDir,
+      lister: org.lister,
+      retriever: org.retriever(outputDir),
+    });
+    await run();
+
+    org.remove('CustomObject', 'Payment__c');
+    org.remove('CustomField', 'Payment__c.Notes__c');
+    const plan = await run();
+
+    expect(plan.changed).toEqual([]);
+    expect(plan.deleted.map(c => `${c.type}:${c.fullName}`).sort())
+      .toEqual(['CustomField:Payment__c.Notes__c', 'CustomObject:Payment__c']);
+    expect(Object.keys((await readIngestState(cacheDir)).components)).toEqual(['CustomObject:Invoice__c']);
+
+    const registry = new SchemaRegistry({ cacheDir });
+    await registry.loadFromCache();
+    expect(registry.getObject('Invoice__c')).toBeDefined();
+    expect(registry.getObject('Payment__c')).toBeUndefined();
+  });
+});
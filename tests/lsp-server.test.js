@@ -0,0 +1,187 @@
+/**
+ * Unit tests for the Apex Language Server
+ */
+
+import { ApexLanguageServer, getWordAt } from '../src/lsp-server.js';
+import { JsonRpcConnection } from '../src/jsonrpc.js';
+import { SchemaRegistry } from '../src/schema-registry.js';
+import { PassThrough } from 'stream';
+import fse from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectPath = path.join(__dirname, 'fixtures', 'sfdx-project');
+const invoiceServicePath = path.join(projectPath, 'force-app', 'main', 'default', 'classes', 'InvoiceService.cls');
+const stringUtilsPath = path.join(projectPath, 'utils', 'classes', 'StringUtils.cls');
+
+/**
+ * Minimal LSP client talking to the server over in-memory streams
+ */
+function createClient() {
+  const toServer = new PassThrough();
+  const fromServer = new PassThrough();
+  const connection = new JsonRpcConnection(toServer, fromServer);
+  new ApexLanguageServer(connection, { index: false, schemaRegistry: new SchemaRegistry() });
+  connection.listen();
+
+  const pending = new Map();
+  const notifications = [];
+  let buffer = Buffer.alloc(0);
+  let nextId = 1;
+
+  fromServer.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let match;
+    while ((match = buffer.toString('ascii', 0, 64).match(/^Content-Length: (\d+)\r\n\r\n/))) {
+      const start = match[0].length;
+      const length = Number(match[1]);
+      if (buffer.length < start + length) break;
+      const message = JSON.parse(buffer.subarray(start, start + length).toString('utf-8'));
+      buffer = buffer.subarray(start + length);
+
+      if (message.id !== undefined && pending.has(message.id)) {
+        pending.get(message.id)(message);
+        pending.delete(message.id);
+      } else {
+        notifications.push(message);
+      }
+    }
+  });
+
+  const send = message => {
+    const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+    toServer.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+  };
+
+  return {
+    notifications,
+    request(method, params) {
+      const id = nextId++;
+      return new Promise(resolve => {
+        pending.set(id, resolve);
+        send({ id, method, params });
+      });
+    },
+    notify(method, params) {
+      send({ method, params });
+    },
+    // Messages are handled in order, so a round-trip flushes earlier notifications
+    sync() {
+      return this.request('$/sync', {});
+    },
+  };
+}
+
+describe('Apex Language Server', () => {
+  let client;
+  const invoiceUri = pathToFileURL(invoiceServicePath).href;
+  let invoiceSource;
+
+  beforeAll(async () => {
+    client = createClient();
+    invoiceSource = await fse.readFile(invoiceServicePath, 'utf-8');
+    const response = await client.request('initialize', {
+      rootUri: pathToFileURL(projectPath).href,
+      capabilities: {},
+    });
+    expect(response.result.capabilities.hoverProvider).toBe(true);
+  });
+
+  const position = (text, line, word) => ({
+    line,
+    character: text.split('\n')[line].indexOf(word) + 1,
+  });
+
+  test('should resolve definitions across classes', async () => {
+    const response = await client.request('textDocument/definition', {
+      textDocument: { uri: invoiceUri },
+      position: position(invoiceSource, 8, 'log'),
+    });
+
+    expect(response.result.uri).toBe(pathToFileURL(stringUtilsPath).href);
+    expect(response.result.range.start.line).toBe(2);
+  });
+
+  test('should find references through the call graph', async () => {
+    const source = await fse.readFile(stringUtilsPath, 'utf-8');
+    const response = await client.request('textDocument/references', {
+      textDocument: { uri: pathToFileURL(stringUtilsPath).href },
+      position: position(source, 2, 'log'),
+      context: { includeDeclaration: false },
+    });
+
+    expect(response.result).toEqual([
+      expect.objectContaining({ uri: invoiceUri, range: expect.objectContaining({ start: { line: 8, character: 20 } }) }),
+    ]);
+  });
+
+  test('should show schema field types on hover', async () => {
+    const inQuery = await client.request('textDocument/hover', {
+      textDocument: { uri: invoiceUri },
+      position: position(invoiceSource, 4, 'Amount__c'),
+    });
+    expect(inQuery.result.contents.value).toContain('Invoice__c.Amount__c** — Currency');
+
+    const onVariable = await client.request('textDocument/hover', {
+      textDocument: { uri: invoiceUri },
+      position: position(invoiceSource, 14, 'Status__c'),
+    });
+    expect(onVariable.result.contents.value).toContain('Picklist');
+  });
+
+  test('should publish diagnostics for unknown SOQL fields and syntax errors', async () => {
+    const edited = invoiceSource.replace('Status__c\n', 'Status__c, Total__c\n');
+    client.notify('textDocument/didOpen', {
+      textDocument: { uri: invoiceUri, languageId: 'apex', version: 1, text: edited },
+    });
+    await client.sync();
+
+    const diagnostics = client.notifications
+      .filter(n => n.method === 'textDocument/publishDiagnostics')
+      .pop().params.diagnostics;
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        message: 'Unknown field Total__c on Invoice__c',
+        range: { start: { line: 4, character: 51 }, end: { line: 4, character: 59 } },
+      }),
+    ]);
+
+    const standard = invoiceSource.replace('update invoices;',
+      'List<Account> accounts = [SELECT Id, Nmae, Legacy__c FROM Account];\n' +
+      '        List<Contact> contacts = [SELECT Id, Level__c, Bogus__c FROM Contact];');
+    client.notify('textDocument/didChange', {
+      textDocument: { uri: invoiceUri, version: 2 },
+      contentChanges: [{ text: standard }],
+    });
+    await client.sync();
+
+    // Catalog objects flag unknown standard fields but cannot rule out custom ones
+    const standardDiagnostics = client.notifications
+      .filter(n => n.method === 'textDocument/publishDiagnostics')
+      .pop().params.diagnostics;
+    expect(standardDiagnostics.map(d => d.message)).toEqual([
+      'Unknown field Nmae on Account',
+      'Unknown field Bogus__c on Contact',
+    ]);
+
+    client.notify('textDocument/didChange', {
+      textDocument: { uri: invoiceUri, version: 3 },
+      contentChanges: [{ text: invoiceSource.replace('update invoices;', 'update invoices') }],
+    });
+    await client.sync();
+
+    const syntax = client.notifications
+      .filter(n => n.method === 'textDocument/publishDiagnostics')
+      .pop().params.diagnostics;
+    expect(syntax.length).toBeGreaterThan(0);
+    expect(syntax[0].severity).toBe(1);
+  });
+
+  test('should find the identifier and qualifier at a position', () => {
+    expect(getWordAt('  acc.Industry = x;', { line: 0, character: 8 })).toEqual(
+      expect.objectContaining({ word: 'Industry', qualifier: 'acc' })
+    );
+    expect(getWordAt('   ', { line: 0, character: 1 })).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the MCP Tool Server
+ */
+
+import { McpServer, TOOLS } from '../src/mcp-server.js';
+import { JsonRpcConnection } from '../src/jsonrpc.js';
+import { SchemaRegistry } from '../src/schema-registry.js';
+import { PassThrough } from 'stream';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectPath = path.join(__dirname, 'fixtures', 'sfdx-project');
+const invoiceServicePath = path.join(projectPath, 'force-app', 'main', 'default', 'classes', 'InvoiceService.cls');
+
+/**
+ * Minimal MCP client over newline-delimited JSON-RPC
+ */
+function createClient() {
+  const toServer = new PassThrough();
+  const fromServer = new PassThrough();
+  const connection = new JsonRpcConnection(toServer, fromServer, { framing: 'line' });
+  new McpServer(connection, {
+    targets: [projectPath],
+    index: false,
+    schemaRegistry: new SchemaRegistry(),
+  });
+  connection.listen();
+
+  const pending = new Map();
+  let buffer = '';
+  let nextId = 1;
+
+  fromServer.on('data', chunk => {
+    buffer += chunk.toString('utf-8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const message = JSON.parse(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      if (pending.has(message.id)) {
+        pending.get(message.id)(message);
+        pending.delete(message.id);
+      }
+    }
+  });
+
+  return {
+    request(method, params) {
+      const id = nextId++;
+      return new Promise(resolve => {
+        pending.set(id, resolve);
+        toServer.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+      });
+    },
+    async callTool(name, args) {
+      const response = await this.request('tools/call', { name, arguments: args });
+      return response.result;
+    },
+  };
+}
+
+describe('MCP Tool Server', () => {
+  let client;
+
+  beforeAll(async () => {
+    client = createClient();
+    const response = await client.request('initialize', { protocolVersion: '2024-11-05' });
+    expect(response.result.capabilities.tools).toEqual({});
+  });
+
+  test('should list every tool with an input schema', async () => {
+    const response = await client.request('tools/list', {});
+
+    expect(response.result.tools.map(t => t.name)).toEqual([
+      'get_context', 'get_impact', 'describe_sobject', 'find_callers', 'trace_call_path',
+    ]);
+    expect(TOOLS.every(t => t.inputSchema.type === 'object')).toBe(true);
+  });
+
+  test('should find callers across the project', async () => {
+    const result = await client.callTool('find_callers', { method: 'StringUtils.log' });
+
+    expect(JSON.parse(result.content[0].text).callers).toEqual(['InvoiceService.getOpenInvoices']);
+  });
+
+  test('should focus context on one method with its call graph', async () => {
+    const result = await client.callTool('get_context', {
+      file: invoiceServicePath,
+      method: 'getOpenInvoices',
+    });
+    const text = result.content[0].text;
+
+    expect(text).toContain('### getOpenInvoices');
+    expect(text).not.toContain('### closeInvoices');
+    expect(text).toContain('Calls: StringUtils.log');
+  });
+
+  test('should describe SObjects from project metadata', async () => {
+    const result = await client.callTool('describe_sobject', { name: 'invoice__c' });
+    const object = JSON.parse(result.content[0].text);
+
+    expect(object.label).toBe('Invoice');
+    expect(object.fields.find(f => f.name === 'Amount__c').type).toBe('Currency');
+  });
+
+  test('should trace call paths and analyze impact', async () => {
+    const trace = await client.callTool('trace_call_path', {
+      from: 'InvoiceService.getOpenInvoices',
+      to: 'StringUtils.log',
+    });
+    expect(JSON.parse(trace.content[0].text).found).toBe(true);
+
+    const impact = await client.callTool('get_impact', { node: 'StringUtils.log' });
+    expect(JSON.parse(impact.content[0].text).target.id).toBe('method:StringUtils.log');
+  });
+
+  test('should report tool errors to the agent', async () => {
+    const missing = await client.callTool('find_callers', {});
+    expect(missing.isError).toBe(true);
+    expect(missing.content[0].text).toContain('method');
+
+    const unknown = await client.callTool('get_impact', { node: 'Nope.nothing' });
+    expect(unknown.isError).toBe(true);
+
+    const response = await client.request('tools/call', { name: 'no_such_tool', arguments: {} });
+    expect(response.error.code).toBe(-32602);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for metadata component selection
+ */
+
+import { parseMetadataArgs, readManifest, selectComponents, DEFAULT_METADATA_TYPES } from '../src/metadata-manifest.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const manifestPath = path.join(__dirname, 'fixtures', 'mdapi', 'package.xml');
+
+describe('Metadata Component Selection', () => {
+  test('should parse Type:Name arguments', () => {
+    expect(parseMetadataArgs(['CustomObject:Invoice__c', 'ApexTrigger'])).toEqual([
+      { type: 'CustomObject', fullName: 'Invoice__c' },
+      { type: 'ApexTrigger', fullName: '*' },
+    ]);
+    expect(() => parseMetadataArgs([':Invoice__c'])).toThrow('expected Type:Name');
+  });
+
+  test('should read types and members from package.xml', async () => {
+    const manifest = await readManifest(manifestPath);
+
+    expect(manifest.apiVersion).toBe('60.0');
+    expect(manifest.components).toEqual([
+      { type: 'ApexClass', fullName: '*' },
+      { type: 'CustomObject', fullName: 'Shipment__c' },
+      { type: 'CustomLabels', fullName: '*' },
+    ]);
+    await expect(readManifest(path.join(__dirname, 'fixtures', 'mdapi', 'missing.xml'))).rejects.toThrow('Cannot read manifest');
+  });
+
+  test('should combine selections and fall back to the default types', async () => {
+    const manifest = await readManifest(manifestPath);
+    const components = selectComponents({
+      types: ['ApexClass'],
+      metadata: ['ApexClass:ShipmentService', 'CustomObject:Shipment__c', 'CustomField:Account.Tier__c'],
+      manifest,
+    });
+
+    expect(components).toEqual([
+      { type: 'ApexClass', fullName: '*' },
+      { type: 'CustomObject', fullName: 'Shipment__c' },
+      { type: 'CustomField', fullName: 'Account.Tier__c' },
+      { type: 'CustomLabels', fullName: '*' },
+    ]);
+    expect(selectComponents({}).map(c => c.type)).toEqual(DEFAULT_METADATA_TYPES);
+  });
+});
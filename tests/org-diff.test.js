@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the org drift report
+ */
+
+import { diffOrgCaches, formatOrgDiffReport } from '../src/org-diff.js';
+import { cacheMetadata } from '../src/caching.js';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sfdxProjectPath = path.join(__dirname, 'fixtures', 'sfdx-project');
+
+describe('Org Diff', () => {
+  let tempDir;
+  let cacheA;
+  let cacheB;
+
+  beforeEach(async () => {
+    tempDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-org-diff-'));
+    cacheA = path.join(tempDir, 'prod');
+    cacheB = path.join(tempDir, 'uat');
+
+    // B is a sandbox that drifted from A
+    const sandbox = path.join(tempDir, 'sandbox');
+    await fse.copy(sfdxProjectPath, sandbox);
+    const defaultDir = path.join(sandbox, 'force-app', 'main', 'default');
+    const statusPath = path.join(defaultDir, 'objects', 'Invoice__c', 'fields', 'Status__c.field-meta.xml');
+    await fse.writeFile(statusPath, (await fse.readFile(statusPath, 'utf-8')).replace(/Closed/g, 'Paid'));
+    const amountPath = path.join(defaultDir, 'objects', 'Invoice__c', 'fields', 'Amount__c.field-meta.xml');
+    await fse.writeFile(amountPath, (await fse.readFile(amountPath, 'utf-8')).replace('Currency', 'Number'));
+    await fse.remove(path.join(defaultDir, 'objects', 'Invoice__c', 'validationRules'));
+    await fse.outputFile(path.join(defaultDir, 'classes', 'PaymentService.cls'), 'public class PaymentService {}');
+    const servicePath = path.join(defaultDir, 'classes', 'InvoiceService.cls');
+    await fse.writeFile(servicePath, (await fse.readFile(servicePath, 'utf-8'))
+      .replace('public void closeInvoices', 'public void payInvoices'));
+
+    await cacheMetadata(sfdxProjectPath, { cacheDir: cacheA });
+    await cacheMetadata(sandbox, { cacheDir: cacheB });
+  });
+
+  afterEach(async () => {
+    await fse.remove(tempDir);
+  });
+
+  test('should report field, rule and Apex drift', async () => {
+    const result = await diffOrgCaches(cacheA, cacheB);
+
+    expect(result.objects.onlyInA).toEqual([]);
+    expect(result.objects.onlyInB).toEqual([]);
+    const invoice = result.objects.changed.find(o => o.name === 'Invoice__c');
+    expect(invoice.fields.changed).toEqual([
+      { name: 'Amount__c', changes: { type: { a: 'Currency', b: 'Number' } } },
+      { name: 'Status__c', changes: { picklistValues: { onlyInA: ['Closed'], onlyInB: ['Paid'] } } },
+    ]);
+    expect(invoice.validationRules.onlyInA).toEqual(['Amount_Positive']);
+
+    expect(result.apex.onlyInB).toEqual(['PaymentService']);
+    const service = result.apex.changed.find(c => c.name === 'InvoiceService');
+    expect(service.methods.onlyInA).toEqual([expect.stringContaining('closeInvoices')]);
+    expect(service.methods.onlyInB).toEqual([expect.stringContaining('payInvoices')]);
+
+    expect(result.summary).toMatchObject({ fieldDifferences: 2, ruleDifferences: 1, apexOnlyInB: 1, apexChanged: 1 });
+
+    const report = formatOrgDiffReport(result);
+    expect(report).toContain('~ field Amount__c: type: "Currency" -> "Number"');
+    expect(report).toContain('~ field Status__c: picklistValues: A only [Closed], B only [Paid]');
+    expect(report).toContain('< rule Amount_Positive');
+    expect(report).toContain('> PaymentService (only in B)');
+  });
+
+  test('should report objects that exist in one snapshot only', async () => {
+    const withPayment = path.join(tempDir, 'with-payment');
+    await fse.copy(sfdxProjectPath, withPayment);
+    await fse.outputFile(
+      path.join(withPayment, 'force-app', 'main', 'default', 'objects', 'Payment__c', 'Payment__c.object-meta.xml'),
+      '<?xml version="1.0" encoding="UTF-8"?>\n<CustomObject xmlns="http://soap.sforce.com/2006/04/metadata"><label>Payment</label></CustomObject>\n'
+    );
+    const cacheC = path.join(tempDir, 'dev');
+    await cacheMetadata(withPayment, { cacheDir: cacheC });
+
+    const added = await diffOrgCaches(cacheA, cacheC);
+    expect(added.objects).toEqual({ onlyInA: [], onlyInB: ['Payment__c'], changed: [] });
+    expect(added.summary).toMatchObject({ objectsOnlyInA: 0, objectsOnlyInB: 1 });
+    expect(formatOrgDiffReport(added)).toContain('> Payment__c (only in B)');
+
+    const removed = await diffOrgCaches(cacheC, cacheA);
+    expect(removed.objects.onlyInA).toEqual(['Payment__c']);
+    expect(formatOrgDiffReport(removed)).toContain('< Payment__c (only in A)');
+  });
+
+  test('should report no drift for identical snapshots', async () => {
+    const result = await diffOrgCaches(cacheA, cacheA);
+    expect(result.objects.changed).toEqual([]);
+    expect(result.apex.changed).toEqual([]);
+    expect(formatOrgDiffReport(result)).toContain('No drift between the snapshots.');
+
+    await expect(diffOrgCaches(cacheA, path.join(tempDir, 'missing'))).rejects.toThrow('Cache directory not found');
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Unit tests for the Project Loader
+ */
+
+import { Project, loadProject, readSfdxProject, findApexFiles, globToRegExp } from '../src/project.js';
+import { GraphAnalyzer } from '../src/graph-analyzer.js';
+import { SchemaRegistry, schemaRegistry as sharedSchemaRegistry } from '../src/schema-registry.js';
+import { ProjectIndex } from '../src/project-index.js';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesPath = path.join(__dirname, 'fixtures');
+const sfdxProjectPath = path.join(fixturesPath, 'sfdx-project');
+
+describe('Project Loader', () => {
+  describe('findApexFiles', () => {
+    test('should find classes and triggers in a directory', async () => {
+      const files = await findApexFiles(fixturesPath);
+      const names = files.map(f => path.basename(f));
+
+      expect(names).toContain('SampleClass.cls');
+      expect(names).toContain('SampleTrigger.trigger');
+      expect(names).toContain('AccountService.cls');
+    });
+
+    test('should expand glob patterns', async () => {
+      const files = await findApexFiles(path.join(fixturesPath, '*.trigger'));
+
+      expect(files.map(f => path.basename(f))).toEqual(['SampleTrigger.trigger']);
+    });
+
+    test('should expand character classes', async () => {
+      const files = await findApexFiles(path.join(fixturesPath, '[AB]*.cls'));
+
+      expect(files.map(f => path.basename(f))).toEqual(['AccountService.cls']);
+    });
+
+    test('should expand wildcards inside alternatives', async () => {
+      const files = await findApexFiles(path.join(fixturesPath, '**', '{*.trigger,Account*.cls}'));
+
+      expect(files.map(f => path.basename(f)).sort()).toEqual(['AccountService.cls', 'SampleTrigger.trigger']);
+    });
+
+    test('should throw for missing paths', async () => {
+      await expect(findApexFiles(path.join(fixturesPath, 'missing'))).rejects.toThrow('Path not found');
+    });
+  });
+
+  describe('globToRegExp', () => {
+    test('should support **, * and alternatives', () => {
+      const matcher = globToRegExp('src/**/*.{cls,trigger}');
+
+      expect(matcher.test('src/Foo.cls')).toBe(true);
+      expect(matcher.test('src/a/b/Foo.trigger')).toBe(true);
+      expect(matcher.test('src/a/Foo.js')).toBe(false);
+    });
+
+    test('should expand wildcards inside alternatives', () => {
+      const matcher = globToRegExp('tests/fixtures/**/{*.cls,Sample?rigger.trigger}');
+
+      expect(matcher.test('tests/fixtures/AccountService.cls')).toBe(true);
+      expect(matcher.test('tests/fixtures/a/SampleTrigger.trigger')).toBe(true);
+      expect(matcher.test('tests/fixtures/a/Other.trigger')).toBe(false);
+      expect(matcher.test('tests/fixtures/a/b.cls/Foo.js')).toBe(false);
+    });
+
+    test('should support character classes', () => {
+      expect(globToRegExp('classes/[AB]*.cls').test('classes/Billing.cls')).toBe(true);
+      expect(globToRegExp('classes/[AB]*.cls').test('classes/Invoice.cls')).toBe(false);
+      expect(globToRegExp('classes/[!A-M]*.cls').test('classes/Shipment.cls')).toBe(true);
+      expect(globToRegExp('classes/[!A-M]*.cls').test('classes/Billing.cls')).toBe(false);
+      expect(globToRegExp('classes/[AB.cls').test('classes/[AB.cls')).toBe(true);
+    });
+  });
+
+  describe('loadProject', () => {
+    test('should build one graph over every file', async () => {
+      const project = await loadProject(fixturesPath);
+
+      expect(project).toBeInstanceOf(Project);
+      expect(project.graph.classNodes.has('AccountHandler')).toBe(true);
+      expect(project.graph.classNodes.has('AccountService')).toBe(true);
+      expect(project.sourceCodeMap.size).toBe(project.parsedClasses.length);
+    });
+
+    test('should resolve calls between classes', async () => {
+      const project = await loadProject(fixturesPath);
+
+      expect(project.resolver.getCallers('AccountHandler', 'deleteInactiveAccounts'))
+        .toContain('AccountService.cleanUp');
+
+      const issues = new GraphAnalyzer(project.graph).detectIssues();
+      const deadMethods = issues.deadMethods.map(m => m.method);
+      expect(deadMethods).not.toContain('AccountHandler.deleteInactiveAccounts');
+    });
+  });
+
+  describe('SFDX projects', () => {
+    test('should read package directories from sfdx-project.json', async () => {
+      const sfdxProject = await readSfdxProject(sfdxProjectPath);
+
+      expect(sfdxProject.name).toBe('sample-project');
+      expect(sfdxProject.defaultPackage).toBe('Core');
+      expect(sfdxProject.packageDirectories.map(d => d.relativePath)).toEqual(['force-app', 'utils']);
+    });
+
+    test('should load classes from every package directory', async () => {
+      const project = await loadProject(sfdxProjectPath, { schemaRegistry: new SchemaRegistry() });
+
+      expect(project.sfdxProjects.map(p => p.name)).toEqual(['sample-project']);
+      expect(project.parsedClasses.map(c => c.name).sort()).toEqual(['InvoiceService', 'StringUtils']);
+      expect(project.resolver.getCallers('StringUtils', 'log')).toContain('InvoiceService.getOpenInvoices');
+    });
+
+    test('should record package names on class nodes', async () => {
+      const project = await loadProject(sfdxProjectPath, { schemaRegistry: new SchemaRegistry() });
+
+      const utils = project.graph.nodes.get(project.graph.classNodes.get('StringUtils'));
+      expect(utils.metadata.package).toEqual({
+        name: 'Utils',
+        directory: 'utils',
+        isDefault: false,
+        defaultPackage: 'Core',
+      });
+
+      const service = project.graph.nodes.get(project.graph.classNodes.get('InvoiceService'));
+      expect(service.metadata.package.isDefault).toBe(true);
+    });
+
+    test('should merge package directories from several SFDX projects', async () => {
+      const otherPath = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-sfdx-'));
+      try {
+        await fse.writeJson(path.join(otherPath, 'sfdx-project.json'), {
+          name: 'other-project',
+          packageDirectories: [{ path: 'src', package: 'Billing', default: true }],
+        });
+        await fse.copy(path.join(fixturesPath, 'AccountService.cls'), path.join(otherPath, 'src', 'classes', 'AccountService.cls'));
+        await fse.outputFile(path.join(otherPath, 'src', 'objects', 'Payment__c', 'Payment__c.object-meta.xml'),
+          '<?xml version="1.0" encoding="UTF-8"?>\n<CustomObject xmlns="http://soap.sforce.com/2006/04/metadata"><label>Payment</label></CustomObject>\n');
+
+        const registry = new SchemaRegistry();
+        const project = await loadProject([sfdxProjectPath, otherPath], { schemaRegistry: registry });
+
+        expect(project.packageDirectories.map(d => d.package)).toEqual(['Core', 'Utils', 'Billing']);
+        expect(project.parsedClasses.map(c => c.name).sort())
+          .toEqual(['AccountService', 'InvoiceService', 'StringUtils']);
+        expect(project.objects).toEqual(expect.arrayContaining(['Invoice__c', 'Payment__c']));
+        expect(registry.getObject('Payment__c').label).toBe('Payment');
+
+        const service = project.graph.nodes.get(project.graph.classNodes.get('AccountService'));
+        expect(service.metadata.package).toMatchObject({ name: 'Billing', defaultPackage: 'Billing' });
+      } finally {
+        await fse.remove(otherPath);
+      }
+    });
+
+    test('should keep object metadata out of the shared schema registry', async () => {
+      const project = await loadProject(sfdxProjectPath);
+
+      expect(project.schemaRegistry).not.toBe(sharedSchemaRegistry);
+      expect(project.schemaRegistry.getObject('Invoice__c')).toBeDefined();
+      expect(sharedSchemaRegistry.getObject('Invoice__c')).toBeUndefined();
+    });
+
+    test('should register object metadata with the schema registry', async () => {
+      const registry = new SchemaRegistry();
+      const project = await loadProject(sfdxProjectPath, { schemaRegistry: registry });
+
+      expect(project.objects).toEqual(expect.arrayContaining(['Contact', 'Invoice__c']));
+      expect(registry.getObject('Invoice__c').label).toBe('Invoice');
+      expect(registry.getField('Invoice__c', 'Amount__c').required).toBe(true);
+      expect(registry.getValidationRules('Invoice__c')[0].name).toBe('Amount_Positive');
+
+      // Custom fields are merged over the catalog describe of the standard object
+      expect(registry.getField('Contact', 'Level__c').type).toBe('Text');
+      expect(registry.getField('Contact', 'Email')).toBeDefined();
+    });
+  });
+
+  describe('Incremental index', () => {
+    let workDir;
+
+    beforeEach(async () => {
+      workDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-project-'));
+      await fse.copy(path.join(fixturesPath, 'SampleClass.cls'), path.join(workDir, 'src', 'SampleClass.cls'));
+      await fse.copy(path.join(fixturesPath, 'AccountService.cls'), path.join(workDir, 'src', 'AccountService.cls'));
+    });
+
+    afterEach(async () => {
+      await fse.remove(workDir);
+    });
+
+    test('should keep the default index in the project root', async () => {
+      const srcDir = path.join(workDir, 'src');
+      await loadProject(srcDir, { index: true });
+      expect(await fse.pathExists(path.join(srcDir, '.asfst-index', 'index.json'))).toBe(true);
+
+      const appDir = path.join(workDir, 'app');
+      await fse.copy(sfdxProjectPath, appDir);
+      const classesDir = path.join(appDir, 'force-app', 'main', 'default', 'classes');
+      const project = await loadProject(classesDir, { index: true, schemaRegistry: new SchemaRegistry() });
+
+      expect(project.root).toBe(appDir);
+      expect(await fse.pathExists(path.join(appDir, '.asfst-index', 'index.json'))).toBe(true);
+    });
+
+    test('should reuse cached parse results for unchanged files', async () => {
+      const indexDir = path.join(workDir, '.asfst-index');
+      const srcDir = path.join(workDir, 'src');
+
+      const first = await loadProject(srcDir, { index: new ProjectIndex(indexDir) });
+      expect(first.index.stats.misses).toBe(2);
+      expect(await fse.pathExists(path.join(indexDir, 'index.json'))).toBe(true);
+
+      await fse.appendFile(path.join(srcDir, 'AccountService.cls'), '\n// touched\n');
+
+      const second = await loadProject(srcDir, { index: new ProjectIndex(indexDir) });
+      expect(second.index.stats.hits).toBe(1);
+      expect(second.index.stats.misses).toBe(1);
+      expect(second.parsedClasses.map(p => p.name).sort()).toEqual(['AccountHandler', 'AccountService']);
+    });
+
+    test('should rebuild only affected classes on refresh', async () => {
+      const srcDir = path.join(workDir, 'src');
+      const servicePath = path.join(srcDir, 'AccountService.cls');
+      const project = await loadProject(srcDir);
+
+      expect(project.resolver.getCallers('AccountHandler', 'deleteInactiveAccounts'))
+        .toEqual(['AccountService.cleanUp']);
+
+      // Stop calling AccountHandler
+      const source = await fse.readFile(servicePath, 'utf-8');
+      await fse.writeFile(servicePath, source.replace('AccountHandler.deleteInactiveAccounts();', ''));
+
+      const summary = await project.refresh();
+      expect(summary.changed).toEqual(['AccountService']);
+      expect(summary.affected).toEqual(['AccountService']);
+      expect(project.resolver.getCallers('AccountHandler', 'deleteInactiveAccounts')).toEqual([]);
+      expect(project.graph.nodes.has('method:AccountService.cleanUp')).toBe(true);
+
+      const edgeTypes = (project.graph.incoming.get('method:AccountHandler.deleteInactiveAccounts') || [])
+        .map(e => e.type);
+      expect(edgeTypes).toEqual(['contains']);
+    });
+
+    test('should drop deleted classes and re-resolve their callers', async () => {
+      const srcDir = path.join(workDir, 'src');
+      const project = await loadProject(srcDir);
+
+      await fse.remove(path.join(srcDir, 'SampleClass.cls'));
+      const summary = await project.refresh();
+
+      expect(summary.removed).toEqual(['AccountHandler']);
+      expect(summary.affected).toContain('AccountService');
+      expect(project.graph.classNodes.has('AccountHandler')).toBe(false);
+      expect(project.graph.nodes.has('method:AccountHandler.updateIndustry')).toBe(false);
+      expect(project.resolver.getCallees('AccountService', 'cleanUp')).toEqual(['AccountService.logResult']);
+    });
+
+    test('should apply unsaved source without touching disk', async () => {
+      const srcDir = path.join(workDir, 'src');
+      const servicePath = path.join(srcDir, 'AccountService.cls');
+      const project = await loadProject(srcDir);
+      const source = await fse.readFile(servicePath, 'utf-8');
+
+      const parsed = await project.updateSource(
+        servicePath,
+        source.replace('AccountHandler.deleteInactiveAccounts();', '')
+      );
+
+      expect(parsed.name).toBe('AccountService');
+      expect(project.resolver.getCallers('AccountHandler', 'deleteInactiveAccounts')).toEqual([]);
+      expect(await project.updateSource(servicePath, 'public class {')).toBeNull();
+      expect(project.graph.nodes.has('method:AccountService.cleanUp')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for the formula evaluator and local validation rule check
+ */
+
+import { evaluateFormula, DateValue, FormulaEvaluationError } from '../src/formula-evaluator.js';
+import { validateRecord, formatValidationReport } from '../src/record-validator.js';
+import { SchemaRegistry } from '../src/schema-registry.js';
+
+describe('Formula Evaluator', () => {
+  const record = { Amount__c: 5, Name: 'INV-1', Due__c: DateValue.parse('2024-01-31') };
+  const context = {
+    resolveField: path => record[path.join('.')] ?? null,
+    now: new Date('2024-03-01T10:00:00Z'),
+  };
+  const evaluate = formula => evaluateFormula(formula, context);
+
+  test('should evaluate logic, text and blank handling', () => {
+    expect(evaluate('AND(Amount__c > 0, NOT(ISBLANK(Name)), ISBLANK(Missing__c))')).toBe(true);
+    expect(evaluate('Missing__c > 0 || Missing__c = NULL')).toBe(true);
+    expect(evaluate('IF(LEN(Name) > 3, LEFT(Name, 3) & "-" & TEXT(Amount__c * 2), "short")')).toBe('INV-10');
+    expect(evaluate('CASE(Name, "x", 1, "INV-1", 2, 3)')).toBe(2);
+    expect(evaluate('BLANKVALUE(Missing__c, "n/a")')).toBe('n/a');
+    expect(evaluate('ROUND(-2.5, 0)')).toBe(-3);
+  });
+
+  test('should do date math', () => {
+    expect(evaluate('TODAY() - Due__c')).toBe(30);
+    expect(String(evaluate('Due__c + 30'))).toBe('2024-03-01');
+    expect(String(evaluate('ADDMONTHS(Due__c, 1)'))).toBe('2024-02-29');
+    expect(evaluate('TEXT(DATE(2024, 2, 29))')).toBe('2024-02-29');
+    expect(evaluate('WEEKDAY(Due__c)')).toBe(4);
+  });
+
+  test('should reject what it cannot evaluate', () => {
+    expect(() => evaluate('VLOOKUP(Name, Name, Name)')).toThrow('Unsupported function VLOOKUP');
+    expect(() => evaluate('Amount__c / 0')).toThrow(FormulaEvaluationError);
+    expect(() => evaluate('Name > 1')).toThrow('Cannot compare text "INV-1" with 1');
+  });
+});
+
+describe('Record Validator', () => {
+  const registry = new SchemaRegistry({ standardObjects: false });
+  registry.addObject('Account', { CustomObject: { fields: { fullName: 'Rating__c', type: 'Text' } } });
+  registry.addObject('Invoice__c', {
+    CustomObject: {
+      fields: [
+        { fullName: 'Amount__c', type: 'Currency' },
+        { fullName: 'Discount__c', type: 'Percent' },
+        { fullName: 'Due__c', type: 'Date' },
+        { fullName: 'Status__c', type: 'Picklist' },
+        { fullName: 'Account__c', type: 'Lookup', referenceTo: 'Account' },
+      ],
+      validationRules: [
+        { fullName: 'Discount_Cap', active: 'true', errorConditionFormula: 'Discount__c > 0.5', errorMessage: 'Discount over 50%', errorDisplayField: 'Discount__c' },
+        { fullName: 'Closed_Is_Final', active: 'true', errorConditionFormula: 'ISCHANGED(Amount__c) && ISPICKVAL(PRIORVALUE(Status__c), "Closed")', errorMessage: 'Closed invoices are final' },
+        { fullName: 'Due_Within_Year', active: 'true', errorConditionFormula: 'Due__c - TODAY() > 365', errorMessage: 'Due date too far out' },
+        { fullName: 'Rated_Accounts', active: 'true', errorConditionFormula: 'ISBLANK(Account__r.Rating__c) && $User.Alias <> "admin"', errorMessage: 'Account needs a rating' },
+        { fullName: 'Inactive', active: 'false', errorConditionFormula: 'true', errorMessage: 'never' },
+      ],
+    },
+  });
+  const options = { schemaRegistry: registry, now: new Date('2024-03-01T00:00:00Z'), globals: { User: { Alias: 'admin' } } };
+
+  test('should report the rules a record would fire', () => {
+    const result = validateRecord('invoice__c', {
+      Amount__c: 100,
+      Discount__c: 60,
+      Due__c: '2026-01-01',
+      Account__r: { Rating__c: 'Hot' },
+    }, options);
+
+    expect(result.operation).toBe('insert');
+    expect(result.rules.map(rule => rule.name)).toEqual(['Discount_Cap', 'Closed_Is_Final', 'Due_Within_Year', 'Rated_Accounts']);
+    expect(result.fired).toEqual(['Discount_Cap', 'Due_Within_Year']);
+
+    const report = formatValidationReport(result);
+    expect(report).toContain('2 of 4 active validation rules would fire');
+    expect(report).toContain('x Discount_Cap: "Discount over 50%" [Discount__c]');
+    expect(report).toContain('- Rated_Accounts: passes');
+  });
+
+  test('should compare against the prior record and list missing values', () => {
+    const result = validateRecord('Invoice__c', { Amount__c: 120, Status__c: 'Closed' }, {
+      ...options,
+      prior: { Amount__c: 100, Status__c: 'Closed' },
+      globals: {},
+    });
+
+    expect(result.operation).toBe('update');
+    expect(result.fired).toEqual(['Closed_Is_Final', 'Rated_Accounts']);
+    const rated = result.rules.find(rule => rule.name === 'Rated_Accounts');
+    expect(rated.missing).toEqual(['Account__r.Rating__c', '$User.Alias']);
+
+    expect(() => validateRecord('Unknown__c', {}, options)).toThrow('Unknown SObject Unknown__c');
+  });
+
+  test('should not pass rules on values that do not fit the field type', () => {
+    const result = validateRecord('Invoice__c', { Discount__c: 'abc', Due__c: 'soon' }, options);
+
+    expect(result.fired).toEqual([]);
+    expect(result.rules.find(rule => rule.name === 'Discount_Cap')).toMatchObject({
+      fires: null,
+      error: 'Discount__c: "abc" is not a valid Percent',
+    });
+    expect(result.rules.find(rule => rule.name === 'Due_Within_Year').error).toBe('Due__c: "soon" is not a valid Date');
+    expect(formatValidationReport(result)).toContain('? Discount_Cap: could not evaluate (Discount__c: "abc" is not a valid Percent)');
+  });
+});
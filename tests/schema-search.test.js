@@ -0,0 +1,104 @@
+/**
+ * Unit tests for schema describe and search
+ */
+
+import { describeSchema, searchSchema, formatSchemaDescription, formatSearchResults } from '../src/schema-search.js';
+import { SchemaRegistry } from '../src/schema-registry.js';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+async function createRegistry() {
+  const cacheDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-schema-'));
+  const registry = new SchemaRegistry({ cacheDir });
+  await registry.loadFromCache();
+  await fse.remove(cacheDir);
+
+  registry.addObject('Invoice__c', {
+    CustomObject: {
+      label: 'Invoice',
+      description: 'Bills sent to customers',
+      fields: [
+        { fullName: 'Account__c', label: 'Account', type: 'Lookup', referenceTo: 'Account', relationshipName: 'Invoices' },
+        { fullName: 'Amount__c', label: 'Amount', type: 'Currency', precision: '16', scale: '2', required: 'true' },
+        {
+          fullName: 'Status__c',
+          label: 'Status',
+          type: 'Picklist',
+          valueSet: { restricted: 'true', valueSetDefinition: { value: [{ fullName: 'Open' }, { fullName: 'Paid' }] } },
+        },
+        { fullName: 'Due_Date__c', label: 'Due Date', type: 'Date', description: 'When payment is expected' },
+      ],
+      validationRules: {
+        fullName: 'Amount_Positive',
+        active: 'true',
+        errorConditionFormula: 'Amount__c <= 0',
+        errorMessage: 'Amount must be positive',
+        errorDisplayField: 'Amount__c',
+      },
+    },
+  });
+  return registry;
+}
+
+describe('Schema Describe', () => {
+  test('should describe fields, picklists, rules and relationships', async () => {
+    const registry = await createRegistry();
+    const description = describeSchema('invoice__c', { schemaRegistry: registry });
+
+    expect(description).toMatchObject({ name: 'Invoice__c', label: 'Invoice', description: 'Bills sent to customers' });
+    expect(description.fields.find(f => f.name === 'Status__c')).toMatchObject({ picklistValues: ['Open', 'Paid'], restricted: true });
+    expect(description.fields.find(f => f.name === 'Amount__c')).toMatchObject({ type: 'Currency', required: true });
+    expect(description.validationRules).toEqual([expect.objectContaining({ name: 'Amount_Positive', errorDisplayField: 'Amount__c' })]);
+    expect(registry.getChildRelationships('Account')).toContainEqual(
+      { relationshipName: 'Invoices__r', childObject: 'Invoice__c', field: 'Account__c' });
+
+    const table = formatSchemaDescription(description);
+    expect(table).toContain('# Invoice__c (Invoice, custom)');
+    expect(table).toMatch(/Amount__c +\| Currency\(16,2\) +\| yes/);
+    expect(table).toContain('-> Account (Account__r)');
+    expect(table).toContain('restricted: Open, Paid');
+    expect(table).toContain('- Amount_Positive: "Amount must be positive" [Amount__c]');
+
+    expect(() => describeSchema('Invoce__c', { schemaRegistry: registry }))
+      .toThrow('Unknown SObject: Invoce__c (did you mean Invoice__c?)');
+  });
+
+  test('should describe validation rules cached without a formula', async () => {
+    const registry = await createRegistry();
+    registry.addObject('Payment__c', {
+      CustomObject: {
+        label: 'Payment',
+        validationRules: { fullName: 'Legacy_Check', active: 'false', errorMessage: 'Legacy check failed' },
+      },
+    });
+
+    const table = formatSchemaDescription(describeSchema('Payment__c', { schemaRegistry: registry }));
+    expect(table).toMatch(/- Legacy_Check \(inactive\): "Legacy check failed"\n*$/);
+  });
+});
+
+describe('Schema Search', () => {
+  test('should match names, labels and descriptions despite typos', async () => {
+    const registry = await createRegistry();
+    const search = (text, options = {}) => searchSchema(text, { schemaRegistry: registry, ...options });
+
+    expect(search('invoce')[0]).toMatchObject({ kind: 'object', object: 'Invoice__c', matchedOn: ['name'] });
+    expect(search('invoice amount')).toEqual([
+      expect.objectContaining({ kind: 'field', object: 'Invoice__c', field: 'Amount__c', matchedOn: ['object', 'name'] }),
+    ]);
+    expect(search('payment', { object: 'Invoice__c' })).toEqual([
+      expect.objectContaining({ field: 'Due_Date__c', matchedOn: ['description'] }),
+    ]);
+    expect(search('due date', { object: 'Invoice__c' })[0]).toMatchObject({ field: 'Due_Date__c', score: 1 });
+    expect(search('amt', { object: 'Invoice__c' }).map(r => r.field)).toEqual(['Amount__c']);
+    expect(search('account', { kind: 'object' }).map(r => r.object)).toContain('Account');
+    expect(search('zzzz')).toEqual([]);
+    expect(() => search('  ')).toThrow('Nothing to search for');
+    expect(() => search('amount', { object: 'Invoce__c' }))
+      .toThrow('Unknown SObject: Invoce__c (did you mean Invoice__c?)');
+
+    expect(formatSearchResults(search('invoice amount'))).toMatch(/Invoice__c\.Amount__c \| Currency \| Amount/);
+    expect(formatSearchResults([])).toBe('No matches.');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the Semantic Diff
+ */
+
+import { diffCode, diffRevisions, formatDiffSummary } from '../src/semantic-diff.js';
+import { execFileSync } from 'child_process';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const BEFORE = `
+public class OrderService {
+  public static void process(List<Order> orders) {
+    List<Account> accounts = [SELECT Id, Name FROM Account];
+    update orders;
+  }
+
+  public Integer count(String status) {
+    return 0;
+  }
+
+  private void cleanup() {
+  }
+}
+`;
+
+const AFTER = `
+public class OrderService {
+  @AuraEnabled
+  public static void process(List<Order> orders, Boolean force) {
+    List<Account> accounts = [SELECT Id, Name, Rating FROM Account];
+    if (force) {
+      update orders;
+      insert new Task();
+    }
+  }
+
+  public Decimal count(String status) {
+    return 0;
+  }
+
+  public void archive() {
+  }
+}
+`;
+
+describe('Semantic Diff', () => {
+  describe('diffCode', () => {
+    const diff = diffCode(BEFORE, AFTER);
+
+    test('should report added and removed methods', () => {
+      expect(diff.methods.added.map(m => m.name)).toEqual(['archive']);
+      expect(diff.methods.removed.map(m => m.name)).toEqual(['cleanup']);
+    });
+
+    test('should report signature changes', () => {
+      const process = diff.methods.changed.find(m => m.name === 'process');
+      expect(process.changes.parameters.after).toEqual(['List<Order> orders', 'Boolean force']);
+      expect(process.changes.annotations.added).toEqual(['@AuraEnabled']);
+
+      const count = diff.methods.changed.find(m => m.name === 'count');
+      expect(count.changes.returnType).toEqual({ before: 'Integer', after: 'Decimal' });
+    });
+
+    test('should report SOQL field changes per method', () => {
+      expect(diff.soql).toEqual([
+        expect.objectContaining({ method: 'process', object: 'Account', change: 'fields_changed', added: ['Rating'] }),
+      ]);
+    });
+
+    test('should report new DML and complexity deltas', () => {
+      expect(diff.dml.added).toEqual([
+        expect.objectContaining({ method: 'process', operation: 'insert' }),
+      ]);
+      expect(diff.complexity.methods.find(m => m.name === 'process').delta).toBe(1);
+    });
+
+    test('should find no changes between identical sources', () => {
+      expect(diffCode(BEFORE, BEFORE).hasChanges).toBe(false);
+    });
+
+    test('should summarize annotation-only method changes', () => {
+      const annotated = diffCode(BEFORE, BEFORE.replace('  public Integer count', '  @future\n  public Integer count'));
+      const summary = formatDiffSummary({
+        from: 'a',
+        to: 'b',
+        files: [{ path: 'classes/OrderService.cls', status: 'modified', diff: annotated }],
+        summary: { filesChanged: 1, methodsAdded: 0, methodsRemoved: 0, signaturesChanged: 1, soqlChanges: 0, dmlAdded: 0, complexityDelta: 0 },
+      });
+
+      expect(summary).toContain('  ~ method count: public Integer count(String status)\n    annotations: +@future');
+    });
+
+    test('should treat a missing side as added', () => {
+      const added = diffCode(null, AFTER);
+      expect(added.status).toBe('added');
+      expect(added.methods.added).toHaveLength(3);
+    });
+  });
+
+  describe('diffRevisions', () => {
+    let repoDir;
+
+    const git = (...args) => execFileSync(
+      'git',
+      ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+      { cwd: repoDir }
+    );
+
+    beforeAll(async () => {
+      repoDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-diff-'));
+      git('init', '-q');
+      await fse.outputFile(path.join(repoDir, 'classes', 'OrderService.cls'), BEFORE);
+      await fse.outputFile(path.join(repoDir, 'README.md'), 'docs');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'before');
+
+      await fse.outputFile(path.join(repoDir, 'classes', 'OrderService.cls'), AFTER);
+      await fse.outputFile(path.join(repoDir, 'README.md'), 'more docs');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'after');
+    });
+
+    afterAll(async () => {
+      await fse.remove(repoDir);
+    });
+
+    test('should diff only Apex files between revisions', async () => {
+      const result = await diffRevisions('HEAD~1', 'HEAD', { cwd: repoDir });
+
+      expect(result.files.map(f => f.path)).toEqual(['classes/OrderService.cls']);
+      expect(result.summary.methodsAdded).toBe(1);
+      expect(result.summary.signaturesChanged).toBe(2);
+
+      const summary = formatDiffSummary(result);
+      expect(summary).toContain('+ method public void archive()');
+      expect(summary).toContain('+ DML insert');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for the standard object catalog
+ */
+
+import { describeStandardObject, isStandardObject, CATALOG_API_VERSION } from '../src/standard-objects.js';
+import { SchemaRegistry } from '../src/schema-registry.js';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('Standard Object Catalog', () => {
+  test('should describe real field types, lengths and references', () => {
+    const account = describeStandardObject('Account');
+    expect(account.apiVersion).toBe(CATALOG_API_VERSION);
+
+    const fields = Object.fromEntries(account.fields.map(f => [f.name, f]));
+    expect(fields.NumberOfEmployees).toMatchObject({ type: 'Number', precision: 8, scale: 0, label: 'Employees' });
+    expect(fields.Name).toMatchObject({ type: 'Text', length: 255, required: true });
+    expect(fields.ParentId).toMatchObject({ type: 'Lookup', referenceTo: 'Account', relationshipName: 'Parent' });
+    expect(fields.OwnerId).toMatchObject({ referenceTo: 'User', relationshipName: 'Owner' });
+    expect(fields.CreatedById).toMatchObject({ referenceTo: 'User', relationshipName: 'CreatedBy' });
+    expect(fields.Industry.picklistValues.map(v => v.fullName)).toContain('Banking');
+
+    const task = Object.fromEntries(describeStandardObject('Task').fields.map(f => [f.name, f]));
+    expect(task.WhoId.referenceTo).toEqual(['Contact', 'Lead']);
+    expect(task.OwnerId.referenceTo).toEqual(['Group', 'User']);
+    expect(task.Status.picklistValues.find(v => v.default).fullName).toBe('Not Started');
+
+    expect(isStandardObject('OpportunityLineItem')).toBe(true);
+    expect(describeStandardObject('Invoice__c')).toBeNull();
+  });
+
+  test('should merge cached customizations over the catalog', async () => {
+    const cacheDir = await fse.mkdtemp(path.join(os.tmpdir(), 'asfst-catalog-'));
+    try {
+      const registry = new SchemaRegistry({ cacheDir });
+      await registry.loadFromCache();
+      expect(registry.getField('Contact', 'AccountId').type).toBe('Lookup');
+      expect(registry.getObject('ContentVersion').isStandard).toBe(true);
+
+      // Retrieved standard fields carry no type, only customizations
+      registry.addObject('Account', {
+        CustomObject: {
+          fields: [
+            { fullName: 'Industry', valueSet: { valueSetDefinition: { value: [{ fullName: 'Space' }] } } },
+            { fullName: 'Tier__c', label: 'Tier', type: 'Picklist' },
+          ],
+        },
+      });
+
+      const account = registry.getObject('Account');
+      expect(account.label).toBe('Account');
+      expect(account.isStandard).toBe(true);
+      expect(registry.getField('Account', 'Industry')).toMatchObject({ type: 'Picklist', picklistValues: [{ fullName: 'Space' }] });
+      expect(registry.getField('Account', 'Tier__c').type).toBe('Picklist');
+      expect(registry.getField('Account', 'NumberOfEmployees').type).toBe('Number');
+
+      const bare = new SchemaRegistry({ cacheDir, standardObjects: false });
+      await bare.loadFromCache();
+      expect(bare.getObject('Account')).toBeUndefined();
+    } finally {
+      await fse.remove(cacheDir);
+    }
+  });
+});